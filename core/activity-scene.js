@@ -0,0 +1,69 @@
+/* ActivityScene lists the registered mini-games (window.MiniGames.list()) in the Activities modal.
+   Extends BaseModalScene; choosing an activity hands off to game.launchMiniGame. */
+(function () {
+  function ActivityScene() {
+    if (typeof BaseModalScene === 'function') BaseModalScene.call(this);
+    this._listenersBound = false;
+    this._cleanup = null;
+  }
+  if (typeof BaseModalScene === 'function') {
+    ActivityScene.prototype = Object.create(BaseModalScene.prototype);
+    ActivityScene.prototype.constructor = ActivityScene;
+  }
+  var escapeHtml = window.DSG.escapeHtml;
+  ActivityScene.prototype._renderList = function () {
+    var list = document.getElementById('activity-list');
+    if (!list) return;
+    var games = window.MiniGames ? window.MiniGames.list() : [];
+    if (!games.length) { list.innerHTML = '<p class="no-sessions">No activities are installed.</p>'; return; }
+    list.innerHTML = games.map(function (g) {
+      return '<li><button class="activity-option" data-game-id="' + escapeHtml(g.id) + '">' +
+        '<span class="material-icons" aria-hidden="true">' + escapeHtml(g.icon || 'sports_esports') + '</span>' +
+        '<span class="activity-option-text"><span class="activity-option-name">' + escapeHtml(g.name || g.id) + '</span>' +
+        '<span class="activity-option-description">' + escapeHtml(g.description || '') + '</span></span>' +
+        '</button></li>';
+    }).join('');
+  };
+  ActivityScene.prototype.onEnter = function () {
+    var self = this;
+    this._renderList();
+    var modal = (typeof this.openModal === 'function') ? this.openModal('activity-modal', { focusSelector: '.activity-option' }) : document.getElementById('activity-modal');
+    if (!modal) return;
+    this.onEscClose = function () {
+      try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+    };
+    if (!this._listenersBound) {
+      var list = document.getElementById('activity-list');
+      var modalClose = modal.querySelector('.modal-close');
+      var cancelBtn = document.getElementById('close-activities');
+      var handleClose = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        self.onEscClose();
+      };
+      var handlePick = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('.activity-option') : null;
+        if (!btn) return;
+        if (typeof self.closeModal === 'function') self.closeModal();
+        if (window.game && typeof window.game.launchMiniGame === 'function') window.game.launchMiniGame(btn.getAttribute('data-game-id'));
+      };
+      if (list) list.addEventListener('click', handlePick);
+      if (modalClose) modalClose.addEventListener('click', handleClose);
+      if (cancelBtn) cancelBtn.addEventListener('click', handleClose);
+      this._cleanup = function () {
+        if (list) list.removeEventListener('click', handlePick);
+        if (modalClose) modalClose.removeEventListener('click', handleClose);
+        if (cancelBtn) cancelBtn.removeEventListener('click', handleClose);
+      };
+      this._listenersBound = true;
+    }
+  };
+  ActivityScene.prototype.onExit = function () {
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (this._cleanup) this._cleanup();
+    this._listenersBound = false;
+  };
+  ActivityScene.prototype.update = function () {};
+  ActivityScene.prototype.render = function () {};
+  ActivityScene.prototype.handleInput = function () {};
+  window.ActivityScene = ActivityScene;
+})();
@@ -1,9 +1,15 @@
-/* Lightweight Engine loop that drives SceneManager with delta time */
+/* Lightweight Engine loop that drives SceneManager with a fixed simulation step.
+   Updates always advance by FIXED_STEP (accumulator pattern) so movement, target motion and dwell timing are
+   identical on 60Hz and 144Hz displays; render receives alpha (0..1) = progress into the next step for interpolation. */
 (function () {
+  const FIXED_STEP = 1 / 60;   // seconds per simulation step
+  const MAX_FRAME_TIME = 0.25; // clamp long frames (tab switch, debugger) to avoid a spiral of catch-up steps
+
   function Engine(ctx) {
     this.ctx = ctx || null;
     this.running = false;
     this._last = 0;
+    this._accumulator = 0;
     this._sm = null;
   }
   Engine.prototype.start = function (sceneManager) {
@@ -11,16 +17,24 @@
     this._sm = sceneManager;
     this.running = true;
     this._last = performance.now();
+    this._accumulator = 0;
     const loop = (t) => {
       if (!this.running) return;
-      const dt = (t - this._last) / 1000;
+      const frameTime = Math.min(Math.max((t - this._last) / 1000, 0), MAX_FRAME_TIME);
       this._last = t;
-      try { this._sm.update(dt); } catch (e) { console.warn('Scene update error', e); }
-      try { this._sm.render(this.ctx); } catch (e) { console.warn('Scene render error', e); }
+      this._accumulator += frameTime;
+      while (this._accumulator >= FIXED_STEP) {
+        try { this._sm.update(FIXED_STEP); } catch (e) { console.warn('Scene update error', e); }
+        this._accumulator -= FIXED_STEP;
+      }
+      const alpha = this._accumulator / FIXED_STEP;
+      try { this._sm.render(this.ctx, alpha); } catch (e) { console.warn('Scene render error', e); }
       requestAnimationFrame(loop);
     };
     requestAnimationFrame(loop);
   };
   Engine.prototype.stop = function () { this.running = false; };
+  Engine.FIXED_STEP = FIXED_STEP;
+  Engine.MAX_FRAME_TIME = MAX_FRAME_TIME;
   window.Engine = Engine;
 })();
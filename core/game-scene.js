@@ -1,36 +1,116 @@
-/* GameScene wraps the existing DirectionalSkillsGame to enable SceneManager control. */
+/* GameScene hosts the active mini-game (window.MiniGames) on the shared canvas under SceneManager control.
+   switch('main', { gameId, replayCode, config, restart }) mounts a mini-game; a replayCode without a gameId mounts
+   the activity the code belongs to (activityFor); switching back to 'main' without either (e.g. resuming from pause)
+   keeps the mounted one running. Directional practice is the default.
+   Once bound to the host it also routes the input bridge: movement (joystick, switch scanning, eye gaze) and the
+   key presses filter keys / sticky movement accept go to the mounted mini-game's handleInput, so an activity gets
+   its input without changes to the host. */
 (function () {
+  var DEFAULT_GAME = 'directional-practice';
+
   function GameScene(options) {
     this.options = options || {};
-    this.instance = null;
+    this.instance = null; // host DirectionalSkillsGame (canvas, audio, history, UI chrome)
+    this.miniGame = null;
+    this.miniGameId = null;
+    this._bridgeWired = false;
   }
-  GameScene.prototype.onEnter = function () {
-    // Expect the page has created a DirectionalSkillsGame already
-    if (window.game) {
+  GameScene.DEFAULT_GAME = DEFAULT_GAME;
+
+  // Id of the activity a replay code belongs to: the one that registered its prefix, else directional practice
+  GameScene.activityFor = function (code) {
+    var owner = window.MiniGames && window.MiniGames.ownerOf(code);
+    return owner ? owner.id : DEFAULT_GAME;
+  };
+
+  GameScene.prototype._bindHost = function () {
+    if (!this.instance && window.game) {
       this.instance = window.game;
       window.__SCENE_ENGINE_ACTIVE__ = true;
     }
+    if (this.instance) this._wireInputBridge();
+    return this.instance;
+  };
+
+  // Movement reaches the mounted mini-game whichever scene is showing (each one checks its own state, and a
+  // released switch or joystick must still stop the player behind the pause menu); filtered keys only while this
+  // scene is showing, like the raw keys SceneManager forwards
+  GameScene.prototype._wireInputBridge = function () {
+    var self = this, host = this.instance, bridge = host.inputBridge;
+    if (this._bridgeWired || !bridge) return;
+    this._bridgeWired = true;
+    host.inputRoutedByScene = true;
+    bridge.on('movement', function (evt) {
+      if (!self.miniGame) return;
+      try { self.miniGame.handleInput(Object.assign({ type: 'movement' }, evt.data)); } catch (e) { console.warn('Mini-game input error', e); }
+    });
+    bridge.on('key', function (evt) {
+      if (host.playback || !window.sceneManager || window.sceneManager.current !== self) return;
+      var data = evt.data;
+      self.handleInput({ type: data.pressed ? 'keydown' : 'keyup', code: data.code, filtered: true, latchReleased: data.latchReleased, target: null, preventDefault: function () {} });
+    });
+  };
+
+  GameScene.prototype._services = function (id) {
+    var host = this.instance;
+    return {
+      id: id,
+      host: host,
+      canvas: host.canvas,
+      fixedStep: host.fixedStep,
+      announce: function (message) { if (host.announceToScreenReader) host.announceToScreenReader(message); },
+      playSound: function (name) { if (host.sounds && typeof host.sounds[name] === 'function') host.sounds[name](); },
+      complete: function (results) { host.completeMiniGame(id, results); },
+      exit: function () { host.returnToMainMenu(); }
+    };
+  };
+
+  // Initialise a registered mini-game; returns false when the id is unknown
+  GameScene.prototype.mount = function (id, params) {
+    params = params || {};
+    var next = window.MiniGames && window.MiniGames.get(id);
+    if (!next || !this._bindHost()) { console.warn('[GameScene] Mini-game not available:', id); return false; }
+    if (this.miniGame && this.miniGame !== next && typeof this.miniGame.dispose === 'function') {
+      try { this.miniGame.dispose(); } catch (e) { console.warn('[GameScene] dispose error', e); }
+    }
+    this.miniGame = next;
+    this.miniGameId = id;
+    this.instance.activeMiniGame = id;
+    var ctx = this.instance.ctx || (this.instance.canvas && this.instance.canvas.getContext('2d'));
+    next.init(ctx, params.config || next.defaults || {}, this._services(id));
+    if (params.replayCode) next.applyReplayCode(params.replayCode);
+    return true;
+  };
+
+  GameScene.prototype.onEnter = function (params) {
+    params = params || {};
+    if (!this._bindHost()) return;
+    window.__SCENE_ENGINE_ACTIVE__ = true;
+    if (!params.gameId && params.replayCode && GameScene.activityFor(params.replayCode) !== this.miniGameId) {
+      params = Object.assign({}, params, { gameId: GameScene.activityFor(params.replayCode) });
+    }
+    if (params.gameId && (params.gameId !== this.miniGameId || params.restart)) this.mount(params.gameId, params);
+    else if (!this.miniGame) this.mount(DEFAULT_GAME, params);
+    else if (params.replayCode) this.miniGame.applyReplayCode(params.replayCode);
   };
   GameScene.prototype.onExit = function () {
     window.__SCENE_ENGINE_ACTIVE__ = false;
   };
   GameScene.prototype.update = function (dt) {
     // Lazy bind in case window.game was created after onEnter
-    if (!this.instance && window.game) {
-      this.instance = window.game;
-      window.__SCENE_ENGINE_ACTIVE__ = true;
-    }
-    if (!this.instance) return;
-    // Delegate to original update
-    try { this.instance.update(dt); } catch (e) { /* ignore */ }
+    if (!this.miniGame && this._bindHost()) this.mount(DEFAULT_GAME);
+    if (!this.miniGame) return;
+    try { this.miniGame.update(dt); } catch (e) { console.warn('Mini-game update error', e); }
   };
-  GameScene.prototype.render = function (ctx) {
-    if (!this.instance && window.game) {
-      this.instance = window.game;
-      window.__SCENE_ENGINE_ACTIVE__ = true;
-    }
-    if (!this.instance) return;
-    try { this.instance.render(ctx); } catch (e) { /* ignore */ }
+  GameScene.prototype.render = function (ctx, alpha) {
+    if (!this.miniGame) return;
+    try { this.miniGame.render(ctx, alpha); } catch (e) { /* ignore */ }
+  };
+  GameScene.prototype.handleInput = function (evt) {
+    if (!this.miniGame) return;
+    // Switch presses and filter keys / sticky movement: the game hands over the resulting input instead
+    if (window.game && window.DSG && window.DSG.input && window.DSG.input.ownedByBridge(window.game, evt)) return;
+    try { this.miniGame.handleInput(evt); } catch (e) { /* ignore */ }
   };
   window.GameScene = GameScene;
 })();
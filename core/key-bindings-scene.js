@@ -0,0 +1,228 @@
+/* KeyBindingsScene is the Keyboard Controls modal, opened from Game Settings (DSG.keyBindings): one row per action
+   with two key slots. Activating a slot waits for the next key press (Escape cancels, Delete clears the slot); a key
+   already used by another action is only moved after it is pressed a second time. Saving stores the table on the
+   active profile and both keyboard paths pick it up straight away; Reset to Defaults restores the original keys. */
+(function () {
+  function KeyBindingsScene() {
+    if (typeof BaseModalScene === 'function') BaseModalScene.call(this);
+    this._listenersBound = false;
+    this._cleanup = null;
+    this._draft = null;
+    this._capture = null; // { action, slot, pending } while waiting for a key
+    this._swallowKeyUp = null;
+    this._rendering = false;
+  }
+  if (typeof BaseModalScene === 'function') {
+    KeyBindingsScene.prototype = Object.create(BaseModalScene.prototype);
+    KeyBindingsScene.prototype.constructor = KeyBindingsScene;
+  }
+  var escapeHtml = window.DSG.escapeHtml;
+  function keyBindings() { return window.DSG && window.DSG.keyBindings; }
+  function announce(message) {
+    if (window.game && typeof window.game.announceToScreenReader === 'function') window.game.announceToScreenReader(message);
+  }
+  function actionById(id) {
+    return keyBindings().ACTIONS.filter(function (a) { return a.id === id; })[0] || null;
+  }
+
+  KeyBindingsScene.prototype._setStatus = function (message, isError) {
+    var status = document.getElementById('keys-status');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('playlist-status-error', !!isError);
+  };
+
+  KeyBindingsScene.prototype._slotButton = function (action, slot) {
+    var rows = document.getElementById('key-bindings-rows');
+    return rows ? rows.querySelector('[data-binding-action="' + action + '"][data-binding-slot="' + slot + '"]') : null;
+  };
+
+  KeyBindingsScene.prototype._render = function (focus) {
+    var rows = document.getElementById('key-bindings-rows');
+    var kb = keyBindings();
+    if (!rows || !kb || !this._draft) return;
+    var draft = this._draft, capture = this._capture;
+    var html = '', group = null;
+    kb.ACTIONS.forEach(function (a) {
+      if (a.group !== group) {
+        group = a.group;
+        html += '<tr class="key-bindings-group"><th colspan="3" scope="colgroup">' + escapeHtml(group) + '</th></tr>';
+      }
+      html += '<tr><th scope="row">' + escapeHtml(a.label) + '</th>';
+      for (var slot = 0; slot < kb.SLOTS; slot++) {
+        var code = draft[a.id][slot];
+        var waiting = capture && capture.action === a.id && capture.slot === slot;
+        var text = waiting ? 'Press a key…' : kb.keyLabel(code);
+        var label = a.label + ', key ' + (slot + 1) + ': ' + (waiting ? 'waiting for a key' : kb.keyLabel(code) + '. Activate to change');
+        html += '<td><button type="button" class="key-binding-btn' + (waiting ? ' key-binding-capturing' : '') + (code ? '' : ' key-binding-empty') + '"' +
+          ' data-binding-action="' + a.id + '" data-binding-slot="' + slot + '" aria-label="' + escapeHtml(label) + '">' +
+          escapeHtml(text) + '</button></td>';
+      }
+      html += '</tr>';
+    });
+    // Replacing the focused button must not read as leaving it (which cancels a capture)
+    this._rendering = true;
+    rows.innerHTML = html;
+    if (focus) {
+      var btn = this._slotButton(focus.action, focus.slot);
+      if (btn) btn.focus();
+    }
+    this._rendering = false;
+  };
+
+  KeyBindingsScene.prototype._startCapture = function (action, slot) {
+    var a = actionById(action);
+    if (!a) return;
+    this._capture = { action: action, slot: slot, pending: null };
+    this._render({ action: action, slot: slot });
+    this._setStatus('Press the new key for ' + a.label + '. Escape cancels, Delete clears this key.');
+  };
+
+  KeyBindingsScene.prototype._endCapture = function (message, isError) {
+    var capture = this._capture;
+    if (!capture) return;
+    this._capture = null;
+    this._render({ action: capture.action, slot: capture.slot });
+    this._setStatus(message, isError);
+    if (message) announce(message);
+  };
+
+  // Keys pressed while a slot is waiting; returns false when the key should keep its usual meaning (Tab)
+  KeyBindingsScene.prototype._captureKey = function (e) {
+    var kb = keyBindings(), capture = this._capture;
+    var a = actionById(capture.action);
+    if (e.code === 'Tab') { this._endCapture(''); return false; }
+    if (e.repeat) return true;
+    if (e.code === 'Escape') { this._endCapture('No change to ' + a.label + '.'); return true; }
+    if (e.code === 'Delete' || e.code === 'Backspace') {
+      this._draft[capture.action].splice(capture.slot, 1);
+      this._endCapture(a.label + ': key ' + (capture.slot + 1) + ' cleared.');
+      return true;
+    }
+    if (!kb.canBind(e.code)) {
+      this._setStatus((e.code ? kb.keyLabel(e.code) : 'That key') + ' cannot be used here. Try another key, or press Escape to cancel.', true);
+      return true;
+    }
+    var name = kb.keyLabel(e.code);
+    var other = kb.conflictFor(this._draft, e.code, capture.action);
+    if (other && capture.pending !== e.code) {
+      capture.pending = e.code;
+      this._setStatus(name + ' is already used for ' + other.label + '. Press ' + name + ' again to use it for ' + a.label + ' instead, or press another key.', true);
+      announce(name + ' is already used for ' + other.label);
+      return true;
+    }
+    if (other) this._draft[other.id] = this._draft[other.id].filter(function (code) { return code !== e.code; });
+    // A key already in this action's other slot swaps places with the chosen one
+    var keys = this._draft[capture.action].slice();
+    var at = keys.indexOf(e.code);
+    if (at !== -1 && at !== capture.slot) keys[at] = keys[capture.slot];
+    if (capture.slot < keys.length) keys[capture.slot] = e.code; else keys.push(e.code);
+    this._draft[capture.action] = keys.filter(Boolean);
+    this._endCapture(a.label + ': ' + name + (other ? ' (no longer used for ' + other.label + ')' : '') + '.');
+    return true;
+  };
+
+  KeyBindingsScene.prototype.onEnter = function () {
+    var self = this;
+    var kb = keyBindings();
+    if (!kb || !window.game) return;
+    this._draft = kb.load(window.game);
+    this._capture = null;
+    this._setStatus('');
+    this._render();
+    var modal = (typeof this.openModal === 'function') ? this.openModal('keys-modal', { focusSelector: '.key-binding-btn' }) : document.getElementById('keys-modal');
+    if (!modal) return;
+    this.onEscClose = function () {
+      try { if (window.sceneManager) window.sceneManager.switch('settings'); } catch (e) {}
+    };
+    if (!this._listenersBound) {
+      var rows = document.getElementById('key-bindings-rows');
+      var saveBtn = document.getElementById('save-keys-btn');
+      var resetBtn = document.getElementById('reset-keys-btn');
+      var cancelBtn = document.getElementById('cancel-keys-btn');
+      var modalClose = modal.querySelector('.modal-close');
+      var handleClose = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        self.onEscClose();
+      };
+      var handleRows = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-binding-action]') : null;
+        if (!btn) return;
+        var action = btn.getAttribute('data-binding-action');
+        var slot = parseInt(btn.getAttribute('data-binding-slot'), 10);
+        var capture = self._capture;
+        if (capture && capture.action === action && capture.slot === slot) self._endCapture('No change to ' + actionById(action).label + '.');
+        else self._startCapture(action, slot);
+      };
+      // Runs before the document listeners (game keyboard paths, Escape-to-close) and keeps the key from them
+      var handleKeyDown = function (e) {
+        if (!self._capture) return;
+        if (self._captureKey(e)) {
+          self._swallowKeyUp = e.code;
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      };
+      // Space activates the focused slot button on release; a key the capture used must not click it
+      var handleKeyUp = function (e) {
+        if (!self._swallowKeyUp || e.code !== self._swallowKeyUp) return;
+        self._swallowKeyUp = null;
+        e.preventDefault();
+        e.stopPropagation();
+      };
+      var handleFocusOut = function (e) {
+        var capture = self._capture;
+        if (!capture || self._rendering || !e.target || !e.target.getAttribute) return;
+        if (e.target.getAttribute('data-binding-action') !== capture.action || parseInt(e.target.getAttribute('data-binding-slot'), 10) !== capture.slot) return;
+        if (rows && e.relatedTarget && rows.contains(e.relatedTarget)) return;
+        self._endCapture('');
+      };
+      var handleSave = function () {
+        if (self._capture) self._endCapture('');
+        var error = kb.validate(self._draft);
+        if (error) { self._setStatus(error, true); return; }
+        kb.save(window.game, self._draft);
+        if (window.game.showToast) window.game.showToast('Keyboard controls saved');
+        announce('Keyboard controls saved');
+        handleClose();
+      };
+      var handleReset = function () {
+        self._capture = null;
+        self._draft = kb.defaults();
+        self._render();
+        self._setStatus('Default keys restored. Save to keep them.');
+        announce('Default keys restored');
+      };
+      if (rows) rows.addEventListener('click', handleRows);
+      if (rows) rows.addEventListener('focusout', handleFocusOut);
+      modal.addEventListener('keydown', handleKeyDown);
+      modal.addEventListener('keyup', handleKeyUp);
+      if (saveBtn) saveBtn.addEventListener('click', handleSave);
+      if (resetBtn) resetBtn.addEventListener('click', handleReset);
+      if (cancelBtn) cancelBtn.addEventListener('click', handleClose);
+      if (modalClose) modalClose.addEventListener('click', handleClose);
+      this._cleanup = function () {
+        if (rows) rows.removeEventListener('click', handleRows);
+        if (rows) rows.removeEventListener('focusout', handleFocusOut);
+        modal.removeEventListener('keydown', handleKeyDown);
+        modal.removeEventListener('keyup', handleKeyUp);
+        if (saveBtn) saveBtn.removeEventListener('click', handleSave);
+        if (resetBtn) resetBtn.removeEventListener('click', handleReset);
+        if (cancelBtn) cancelBtn.removeEventListener('click', handleClose);
+        if (modalClose) modalClose.removeEventListener('click', handleClose);
+      };
+      this._listenersBound = true;
+    }
+  };
+  KeyBindingsScene.prototype.onExit = function () {
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (this._cleanup) this._cleanup();
+    this._listenersBound = false;
+    this._capture = null;
+    this._swallowKeyUp = null;
+  };
+  KeyBindingsScene.prototype.update = function () {};
+  KeyBindingsScene.prototype.render = function () {};
+  KeyBindingsScene.prototype.handleInput = function () {};
+  window.KeyBindingsScene = KeyBindingsScene;
+})();
@@ -0,0 +1,571 @@
+/* LayoutEditorScene is the therapist's layout editor in the Layout Editor modal (DSG.customLayouts): list the saved
+   layouts, place, move and delete the player start and targets of each type on a scaled canvas with the mouse or the
+   keyboard, save the layout, share it as a layout code or open one, and play it. Playing hands the layout code to
+   game.playReplayCode, which uses it in place of random placement. */
+(function () {
+  var TARGET_SIZES = { 'small': 20, 'medium': 30, 'large': 40, 'extra-large': 50 };
+  var SMALL_STEP = 0.02, LARGE_STEP = 0.1;
+  var OVERLAY = { width: 160, height: 60 }; // timer / progress overlay that random layouts keep clear of
+
+  function LayoutEditorScene() {
+    if (typeof BaseModalScene === 'function') BaseModalScene.call(this);
+    this._listenersBound = false;
+    this._cleanup = null;
+    this._draft = null;
+    this._selected = null; // 'player' | target index | null
+    this._cursor = { nx: 0.5, ny: 0.5 };
+    this._dragging = false;
+  }
+  if (typeof BaseModalScene === 'function') {
+    LayoutEditorScene.prototype = Object.create(BaseModalScene.prototype);
+    LayoutEditorScene.prototype.constructor = LayoutEditorScene;
+  }
+  var escapeHtml = window.DSG.escapeHtml;
+  function layouts() { return window.DSG && window.DSG.customLayouts; }
+  function announce(message) {
+    if (window.game && typeof window.game.announceToScreenReader === 'function') window.game.announceToScreenReader(message);
+  }
+  function copyText(text, message) {
+    var g = window.game;
+    var done = function () { if (g) { g.showToast(message); g.announceToScreenReader(message); } };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(done).catch(function () { if (g) g.fallbackCopyToClipboard(text); });
+    } else if (g) {
+      g.fallbackCopyToClipboard(text);
+    }
+  }
+  function typeInfo(id) {
+    return layouts().TYPES.filter(function (t) { return t.id === id; })[0];
+  }
+
+  LayoutEditorScene.prototype._setStatus = function (message, isError) {
+    var status = document.getElementById('layout-status');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('playlist-status-error', !!isError);
+  };
+
+  // --- geometry: the editor canvas is the layout reference frame, scaled down ---
+  LayoutEditorScene.prototype._sizes = function () {
+    var config = window.game ? window.game.sessionConfig : {};
+    var target = TARGET_SIZES[config.targetSize] || 30;
+    return { target: target, player: target * 0.75 };
+  };
+  LayoutEditorScene.prototype._scale = function (canvas) {
+    return canvas.width / window.DSG.layout.REFERENCE.width;
+  };
+  LayoutEditorScene.prototype._margin = function (canvas, item) {
+    var sizes = this._sizes();
+    return ((item === 'player' ? sizes.player : sizes.target) + 20) * this._scale(canvas);
+  };
+  LayoutEditorScene.prototype._toCanvas = function (canvas, item, nx, ny) {
+    return window.DSG.layout.fromUnit(nx, ny, this._margin(canvas, item), canvas);
+  };
+  LayoutEditorScene.prototype._toUnit = function (canvas, item, x, y) {
+    return window.DSG.layout.toUnit(x, y, this._margin(canvas, item), canvas);
+  };
+  LayoutEditorScene.prototype._position = function (item) {
+    return item === 'player' ? this._draft.player : this._draft.targets[item];
+  };
+  LayoutEditorScene.prototype._itemName = function (item) {
+    if (item === 'player') return 'Player start';
+    var t = this._draft.targets[item];
+    return typeInfo(t.type).label + ' target ' + (item + 1);
+  };
+  LayoutEditorScene.prototype._itemAt = function (canvas, x, y) {
+    var sizes = this._sizes(), scale = this._scale(canvas);
+    for (var i = this._draft.targets.length - 1; i >= 0; i--) {
+      var t = this._draft.targets[i];
+      var p = this._toCanvas(canvas, i, t.nx, t.ny);
+      if (Math.hypot(x - p.x, y - p.y) <= sizes.target * scale) return i;
+    }
+    var pl = this._toCanvas(canvas, 'player', this._draft.player.nx, this._draft.player.ny);
+    if (Math.abs(x - pl.x) <= sizes.player * scale && Math.abs(y - pl.y) <= sizes.player * scale) return 'player';
+    return null;
+  };
+
+  // --- drawing ---
+  LayoutEditorScene.prototype._draw = function () {
+    var canvas = document.getElementById('layout-canvas');
+    if (!canvas || !this._draft) return;
+    var ctx = canvas.getContext('2d');
+    var self = this, sizes = this._sizes(), scale = this._scale(canvas);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Tenths grid with a stronger centre line (left / right halves matter for neglect work)
+    ctx.lineWidth = 1;
+    for (var i = 1; i < 10; i++) {
+      ctx.strokeStyle = i === 5 ? '#95a5a6' : '#ecf0f1';
+      ctx.beginPath(); ctx.moveTo(canvas.width * i / 10, 0); ctx.lineTo(canvas.width * i / 10, canvas.height); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(0, canvas.height * i / 10); ctx.lineTo(canvas.width, canvas.height * i / 10); ctx.stroke();
+    }
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#7f8c8d';
+    ctx.strokeRect(1, 1, OVERLAY.width * scale, OVERLAY.height * scale);
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#7f8c8d';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Timer area', 6, 6);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold ' + Math.max(10, Math.round(sizes.target * scale * 0.8)) + 'px sans-serif';
+    this._draft.targets.forEach(function (t, index) {
+      var p = self._toCanvas(canvas, index, t.nx, t.ny);
+      ctx.fillStyle = typeInfo(t.type).color;
+      ctx.beginPath(); ctx.arc(p.x, p.y, sizes.target * scale, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(String(index + 1), p.x, p.y);
+    });
+    var pl = this._toCanvas(canvas, 'player', this._draft.player.nx, this._draft.player.ny);
+    var half = sizes.player * scale;
+    ctx.fillStyle = (window.game && window.game.player && window.game.player.color) || '#2c3e50';
+    ctx.fillRect(pl.x - half, pl.y - half, half * 2, half * 2);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(pl.x - half * 0.6, pl.y); ctx.lineTo(pl.x + half * 0.6, pl.y);
+    ctx.moveTo(pl.x, pl.y - half * 0.6); ctx.lineTo(pl.x, pl.y + half * 0.6); ctx.stroke();
+
+    if (this._selected !== null) {
+      var s = this._position(this._selected);
+      var sp = this._toCanvas(canvas, this._selected, s.nx, s.ny);
+      var r = (this._selected === 'player' ? sizes.player * 1.5 : sizes.target) * scale + 5;
+      ctx.strokeStyle = '#f1c40f';
+      ctx.lineWidth = 3;
+      ctx.beginPath(); ctx.arc(sp.x, sp.y, r, 0, Math.PI * 2); ctx.stroke();
+    }
+    // Keyboard cursor (only while the canvas has focus)
+    if (document.activeElement === canvas) {
+      var c = this._toCanvas(canvas, this._cursorItem(), this._cursor.nx, this._cursor.ny);
+      ctx.strokeStyle = '#2c3e50';
+      ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.moveTo(c.x - 10, c.y); ctx.lineTo(c.x + 10, c.y); ctx.moveTo(c.x, c.y - 10); ctx.lineTo(c.x, c.y + 10); ctx.stroke();
+    }
+  };
+
+  // --- lists ---
+  LayoutEditorScene.prototype._renderList = function () {
+    var list = document.getElementById('layout-list');
+    var store = layouts();
+    if (!list || !store || !window.game) return;
+    var saved = store.load(window.game);
+    if (!saved.length) {
+      list.innerHTML = '<li class="no-sessions">No layouts yet. Create one or open a layout code.</li>';
+      return;
+    }
+    list.innerHTML = saved.map(function (l) {
+      var name = escapeHtml(l.name);
+      var id = escapeHtml(l.id);
+      return '<li class="profile-item">' +
+        '<button class="activity-option" data-layout-action="play" data-layout-id="' + id + '">' +
+        '<span class="material-icons" aria-hidden="true">place</span>' +
+        '<span class="activity-option-text"><span class="activity-option-name">' + name + '</span>' +
+        '<span class="activity-option-description">' + escapeHtml(store.describe(l)) + ' · Play</span></span>' +
+        '</button>' +
+        '<button class="profile-action" data-layout-action="edit" data-layout-id="' + id + '" aria-label="Edit ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">edit</span></button>' +
+        '<button class="profile-action" data-layout-action="share" data-layout-id="' + id + '" aria-label="Copy the layout code for ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">share</span></button>' +
+        '<button class="profile-action" data-layout-action="remove" data-layout-id="' + id + '" aria-label="Remove ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">delete</span></button>' +
+        '</li>';
+    }).join('');
+  };
+
+  LayoutEditorScene.prototype._renderItems = function () {
+    var list = document.getElementById('layout-items');
+    var counts = document.getElementById('layout-counts');
+    var store = layouts();
+    if (!list || !store || !this._draft) return;
+    var self = this;
+    var row = function (item, color) {
+      var p = self._position(item);
+      var name = self._itemName(item);
+      var current = self._selected === item;
+      var html = '<li class="layout-item' + (current ? ' selected' : '') + '">' +
+        '<span class="layout-swatch" style="background:' + color + '" aria-hidden="true"></span>' +
+        '<span class="layout-item-text"><strong>' + escapeHtml(name) + '</strong> · ' + store.positionText(p.nx, p.ny) + '</span>' +
+        '<button class="profile-action" data-item-action="select" data-item-index="' + item + '" aria-label="Select ' + escapeHtml(name) + '"' + (current ? ' aria-pressed="true"' : '') + '>' +
+        '<span class="material-icons" aria-hidden="true">open_with</span></button>';
+      if (item !== 'player') {
+        html += '<button class="profile-action" data-item-action="remove" data-item-index="' + item + '" aria-label="Remove ' + escapeHtml(name) + '">' +
+          '<span class="material-icons" aria-hidden="true">delete</span></button>';
+      }
+      return html + '</li>';
+    };
+    var playerColor = (window.game && window.game.player && window.game.player.color) || '#2c3e50';
+    list.innerHTML = row('player', playerColor) + this._draft.targets.map(function (t, i) { return row(i, typeInfo(t.type).color); }).join('');
+    if (counts) counts.textContent = this._draft.targets.length ? store.describe(this._draft) : 'No targets yet: choose a type and click the canvas.';
+  };
+
+  LayoutEditorScene.prototype._refresh = function () {
+    this._renderItems();
+    this._draw();
+  };
+
+  // --- editing ---
+  LayoutEditorScene.prototype._tool = function () {
+    var checked = document.querySelector('input[name="layout-tool"]:checked');
+    return checked ? checked.value : 'static';
+  };
+  // Margins differ between the player and targets; the cursor follows whatever it would place or is holding
+  LayoutEditorScene.prototype._cursorItem = function () {
+    if (this._selected !== null) return this._selected;
+    return this._tool() === 'player' ? 'player' : 0;
+  };
+
+  LayoutEditorScene.prototype._place = function (nx, ny) {
+    var store = layouts();
+    var tool = this._tool();
+    if (tool === 'player') {
+      this._draft.player = { nx: nx, ny: ny };
+      this._setStatus('Player start moved to ' + store.positionText(nx, ny));
+      return 'player';
+    }
+    var used = this._draft.targets.filter(function (t) { return t.type === tool; }).length;
+    if (used >= store.MAX_PER_TYPE) {
+      this._setStatus('A layout holds up to ' + store.MAX_PER_TYPE + ' ' + typeInfo(tool).label.toLowerCase() + ' targets.', true);
+      return null;
+    }
+    this._draft.targets.push({ type: tool, nx: nx, ny: ny });
+    var index = this._draft.targets.length - 1;
+    this._setStatus('Placed ' + this._itemName(index) + ' at ' + store.positionText(nx, ny));
+    return index;
+  };
+
+  LayoutEditorScene.prototype._select = function (item) {
+    this._selected = item;
+    if (item !== null) {
+      var p = this._position(item);
+      this._cursor = { nx: p.nx, ny: p.ny };
+      this._setStatus(this._itemName(item) + ' selected at ' + layouts().positionText(p.nx, p.ny) + '. Arrow keys move it, Enter drops it.');
+    }
+    this._refresh();
+  };
+
+  LayoutEditorScene.prototype._removeItem = function (item) {
+    if (item === null) return;
+    if (item === 'player') { this._setStatus('The player start can be moved but not removed.', true); return; }
+    var name = this._itemName(item);
+    this._draft.targets.splice(item, 1);
+    this._selected = null;
+    this._setStatus(name + ' removed');
+    this._refresh();
+  };
+
+  LayoutEditorScene.prototype._moveBy = function (dx, dy) {
+    var clamp = function (n) { return Math.max(0, Math.min(1, Math.round(n * 1000) / 1000)); };
+    this._cursor = { nx: clamp(this._cursor.nx + dx), ny: clamp(this._cursor.ny + dy) };
+    var store = layouts();
+    if (this._selected !== null) {
+      var p = this._position(this._selected);
+      p.nx = this._cursor.nx; p.ny = this._cursor.ny;
+      this._setStatus(this._itemName(this._selected) + ' at ' + store.positionText(p.nx, p.ny));
+      this._refresh();
+      return;
+    }
+    var canvas = document.getElementById('layout-canvas');
+    var c = this._toCanvas(canvas, this._cursorItem(), this._cursor.nx, this._cursor.ny);
+    var under = this._itemAt(canvas, c.x, c.y);
+    this._setStatus('Cursor at ' + store.positionText(this._cursor.nx, this._cursor.ny) + (under !== null ? ', on ' + this._itemName(under) : ''));
+    this._draw();
+  };
+
+  LayoutEditorScene.prototype._handleKey = function (e) {
+    if (!this._draft) return;
+    var step = e.shiftKey ? LARGE_STEP : SMALL_STEP;
+    var moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+    var canvas = e.currentTarget;
+    if (moves[e.key]) {
+      e.preventDefault();
+      this._moveBy(moves[e.key][0], moves[e.key][1]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      if (this._selected !== null) {
+        var dropped = this._itemName(this._selected);
+        this._selected = null;
+        this._setStatus(dropped + ' dropped at ' + layouts().positionText(this._cursor.nx, this._cursor.ny));
+        this._refresh();
+        return;
+      }
+      var c = this._toCanvas(canvas, this._cursorItem(), this._cursor.nx, this._cursor.ny);
+      var under = this._itemAt(canvas, c.x, c.y);
+      if (under !== null) this._select(under);
+      else if (this._place(this._cursor.nx, this._cursor.ny) !== null) this._refresh();
+    } else if (e.key === 'n' || e.key === 'N') {
+      e.preventDefault();
+      var order = ['player'].concat(this._draft.targets.map(function (t, i) { return i; }));
+      var at = order.indexOf(this._selected);
+      var next = at < 0 ? (e.shiftKey ? order.length - 1 : 0) : (at + (e.shiftKey ? -1 : 1) + order.length) % order.length;
+      this._select(order[next]);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      this._removeItem(this._selected);
+    } else if (e.key === 'Escape' && this._selected !== null) {
+      // Let go of the selection instead of closing the editor
+      e.preventDefault();
+      e.stopPropagation();
+      this._selected = null;
+      this._setStatus('Selection cleared');
+      this._refresh();
+    } else if (/^[1-6]$/.test(e.key)) {
+      var radio = document.querySelectorAll('input[name="layout-tool"]')[parseInt(e.key, 10) - 1];
+      if (radio) {
+        e.preventDefault();
+        radio.checked = true;
+        this._setStatus('Placing: ' + radio.getAttribute('data-label'));
+        this._draw();
+      }
+    }
+  };
+
+  LayoutEditorScene.prototype._renderTools = function () {
+    var tools = document.getElementById('layout-tools');
+    if (!tools || tools.getAttribute('data-ready')) return;
+    var options = layouts().TYPES.map(function (t) { return { value: t.id, label: t.label + ' target', color: t.color }; });
+    options.push({ value: 'player', label: 'Player start', color: (window.game && window.game.player && window.game.player.color) || '#2c3e50' });
+    tools.insertAdjacentHTML('beforeend', options.map(function (o, i) {
+      return '<label><input type="radio" name="layout-tool" value="' + o.value + '" data-label="' + escapeHtml(o.label) + '"' + (i === 0 ? ' checked' : '') + '> ' +
+        '<span class="layout-swatch" style="background:' + o.color + '" aria-hidden="true"></span>' + escapeHtml(o.label) + ' <kbd>' + (i + 1) + '</kbd></label>';
+    }).join(''));
+    tools.setAttribute('data-ready', 'true');
+  };
+
+  LayoutEditorScene.prototype._openEditor = function (layout) {
+    var store = layouts();
+    var l = store.clean(layout);
+    this._draft = { id: layout.id || null, name: layout.name ? l.name : '', player: l.player, targets: l.targets };
+    this._selected = null;
+    this._cursor = { nx: 0.5, ny: 0.5 };
+    var editor = document.getElementById('layout-editor');
+    var manager = document.getElementById('layout-manager');
+    var nameInput = document.getElementById('layout-name-input');
+    if (nameInput) nameInput.value = this._draft.name;
+    this._renderTools();
+    if (manager) manager.hidden = true;
+    if (editor) editor.hidden = false;
+    this._setStatus('');
+    this._refresh();
+    if (nameInput) nameInput.focus();
+  };
+
+  LayoutEditorScene.prototype._closeEditor = function () {
+    this._draft = null;
+    this._selected = null;
+    var editor = document.getElementById('layout-editor');
+    var manager = document.getElementById('layout-manager');
+    if (editor) editor.hidden = true;
+    if (manager) manager.hidden = false;
+    this._renderList();
+    var newBtn = document.getElementById('new-layout-btn');
+    if (newBtn) newBtn.focus();
+  };
+
+  LayoutEditorScene.prototype._checked = function (layout) {
+    var error = layouts().validate(layout);
+    if (error) this._setStatus(error, true);
+    return !error;
+  };
+
+  LayoutEditorScene.prototype._play = function (layout) {
+    if (!layout || !this._checked(layout)) return;
+    var code = layouts().encode(layout);
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (window.game) window.game.playReplayCode(code);
+  };
+
+  LayoutEditorScene.prototype.onEnter = function () {
+    var self = this;
+    if (!layouts()) return;
+    this._draft = null;
+    document.getElementById('layout-editor').hidden = true;
+    document.getElementById('layout-manager').hidden = false;
+    this._setStatus('');
+    this._renderList();
+    var modal = (typeof this.openModal === 'function') ? this.openModal('layout-modal', { focusSelector: '#new-layout-btn' }) : document.getElementById('layout-modal');
+    if (!modal) return;
+    this.onEscClose = function () {
+      try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+    };
+    if (!this._listenersBound) {
+      var game = window.game;
+      var list = document.getElementById('layout-list');
+      var items = document.getElementById('layout-items');
+      var canvas = document.getElementById('layout-canvas');
+      var tools = document.getElementById('layout-tools');
+      var newBtn = document.getElementById('new-layout-btn');
+      var openForm = document.getElementById('open-layout-form');
+      var openInput = document.getElementById('layout-code-input');
+      var nameInput = document.getElementById('layout-name-input');
+      var saveBtn = document.getElementById('save-layout-btn');
+      var playBtn = document.getElementById('play-layout-btn');
+      var shareBtn = document.getElementById('share-layout-btn');
+      var clearBtn = document.getElementById('clear-layout-btn');
+      var cancelBtn = document.getElementById('cancel-layout-btn');
+      var modalClose = modal.querySelector('.modal-close');
+      var closeBtn = document.getElementById('close-layouts');
+      var handleClose = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        self.onEscClose();
+      };
+      var handleList = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-layout-action]') : null;
+        if (!btn) return;
+        var id = btn.getAttribute('data-layout-id');
+        var layout = layouts().load(game).filter(function (l) { return l.id === id; })[0];
+        if (!layout) return;
+        var action = btn.getAttribute('data-layout-action');
+        if (action === 'play') self._play(layout);
+        else if (action === 'edit') self._openEditor(layout);
+        else if (action === 'share') copyText(layouts().encode(layout), 'Layout code for ' + layout.name + ' copied');
+        else if (action === 'remove' && confirm('Remove the layout "' + layout.name + '"? This action cannot be undone.')) {
+          layouts().remove(game, id);
+          self._renderList();
+          announce('Layout ' + layout.name + ' removed');
+        }
+      };
+      var handleNew = function () { self._openEditor({ name: '', targets: [] }); };
+      var handleOpen = function (e) {
+        e.preventDefault();
+        var result = layouts().decode(openInput ? openInput.value : '');
+        if (!result.layout) { self._setStatus(result.error, true); return; }
+        if (openInput) openInput.value = '';
+        self._openEditor(result.layout);
+        self._setStatus('Opened a layout with ' + layouts().describe(result.layout) + '. Name and save it to keep it on this profile, or play it now.');
+      };
+      var pointerPosition = function (e) {
+        var rect = canvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) * canvas.width / rect.width, y: (e.clientY - rect.top) * canvas.height / rect.height };
+      };
+      var handlePointerDown = function (e) {
+        if (!self._draft || e.button > 0) return;
+        var p = pointerPosition(e);
+        var hit = self._itemAt(canvas, p.x, p.y);
+        if (hit === null) {
+          var u = self._toUnit(canvas, self._tool() === 'player' ? 'player' : 0, p.x, p.y);
+          hit = self._place(u.nx, u.ny);
+          if (hit === null) return;
+          self._selected = hit;
+          self._refresh();
+        } else {
+          self._select(hit);
+        }
+        self._dragging = true;
+        if (canvas.setPointerCapture) try { canvas.setPointerCapture(e.pointerId); } catch (err) {}
+      };
+      var handlePointerMove = function (e) {
+        if (!self._dragging || self._selected === null) return;
+        var p = pointerPosition(e);
+        var u = self._toUnit(canvas, self._selected, p.x, p.y);
+        var pos = self._position(self._selected);
+        pos.nx = u.nx; pos.ny = u.ny;
+        self._cursor = { nx: u.nx, ny: u.ny };
+        self._draw();
+      };
+      var handlePointerUp = function () {
+        if (!self._dragging) return;
+        self._dragging = false;
+        if (self._selected === null) return;
+        var pos = self._position(self._selected);
+        self._setStatus(self._itemName(self._selected) + ' at ' + layouts().positionText(pos.nx, pos.ny));
+        self._renderItems();
+      };
+      var handleKey = function (e) { self._handleKey(e); };
+      var handleFocus = function () { self._draw(); };
+      var handleTool = function () { self._draw(); };
+      var handleItemClick = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-item-action]') : null;
+        if (!btn || !self._draft) return;
+        var raw = btn.getAttribute('data-item-index');
+        var item = raw === 'player' ? 'player' : parseInt(raw, 10);
+        if (btn.getAttribute('data-item-action') === 'remove') {
+          self._removeItem(item);
+          if (canvas) canvas.focus();
+        } else {
+          self._select(item);
+          if (canvas) canvas.focus();
+        }
+      };
+      var handleName = function () { if (self._draft) self._draft.name = nameInput.value; };
+      var handleSave = function () {
+        if (!self._draft || !self._checked(self._draft)) return;
+        var saved = layouts().upsert(game, self._draft);
+        announce('Layout ' + saved.name + ' saved');
+        self._closeEditor();
+      };
+      var handlePlay = function () { self._play(self._draft); };
+      var handleShare = function () {
+        if (!self._draft || !self._checked(self._draft)) return;
+        copyText(layouts().encode(self._draft), 'Layout code copied');
+      };
+      var handleClear = function () {
+        if (!self._draft || !self._draft.targets.length || !confirm('Remove every target from this layout?')) return;
+        self._draft.targets = [];
+        self._selected = null;
+        self._setStatus('All targets removed');
+        self._refresh();
+      };
+      var handleCancel = function () { self._closeEditor(); };
+      if (list) list.addEventListener('click', handleList);
+      if (newBtn) newBtn.addEventListener('click', handleNew);
+      if (openForm) openForm.addEventListener('submit', handleOpen);
+      if (canvas) {
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerUp);
+        canvas.addEventListener('pointercancel', handlePointerUp);
+        canvas.addEventListener('keydown', handleKey);
+        canvas.addEventListener('focus', handleFocus);
+        canvas.addEventListener('blur', handleFocus);
+      }
+      if (tools) tools.addEventListener('change', handleTool);
+      if (items) items.addEventListener('click', handleItemClick);
+      if (nameInput) nameInput.addEventListener('input', handleName);
+      if (saveBtn) saveBtn.addEventListener('click', handleSave);
+      if (playBtn) playBtn.addEventListener('click', handlePlay);
+      if (shareBtn) shareBtn.addEventListener('click', handleShare);
+      if (clearBtn) clearBtn.addEventListener('click', handleClear);
+      if (cancelBtn) cancelBtn.addEventListener('click', handleCancel);
+      if (modalClose) modalClose.addEventListener('click', handleClose);
+      if (closeBtn) closeBtn.addEventListener('click', handleClose);
+      this._cleanup = function () {
+        if (list) list.removeEventListener('click', handleList);
+        if (newBtn) newBtn.removeEventListener('click', handleNew);
+        if (openForm) openForm.removeEventListener('submit', handleOpen);
+        if (canvas) {
+          canvas.removeEventListener('pointerdown', handlePointerDown);
+          canvas.removeEventListener('pointermove', handlePointerMove);
+          canvas.removeEventListener('pointerup', handlePointerUp);
+          canvas.removeEventListener('pointercancel', handlePointerUp);
+          canvas.removeEventListener('keydown', handleKey);
+          canvas.removeEventListener('focus', handleFocus);
+          canvas.removeEventListener('blur', handleFocus);
+        }
+        if (tools) tools.removeEventListener('change', handleTool);
+        if (items) items.removeEventListener('click', handleItemClick);
+        if (nameInput) nameInput.removeEventListener('input', handleName);
+        if (saveBtn) saveBtn.removeEventListener('click', handleSave);
+        if (playBtn) playBtn.removeEventListener('click', handlePlay);
+        if (shareBtn) shareBtn.removeEventListener('click', handleShare);
+        if (clearBtn) clearBtn.removeEventListener('click', handleClear);
+        if (cancelBtn) cancelBtn.removeEventListener('click', handleCancel);
+        if (modalClose) modalClose.removeEventListener('click', handleClose);
+        if (closeBtn) closeBtn.removeEventListener('click', handleClose);
+      };
+      this._listenersBound = true;
+    }
+  };
+  LayoutEditorScene.prototype.onExit = function () {
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (this._cleanup) this._cleanup();
+    this._listenersBound = false;
+    this._dragging = false;
+  };
+  LayoutEditorScene.prototype.update = function () {};
+  LayoutEditorScene.prototype.render = function () {};
+  LayoutEditorScene.prototype.handleInput = function () {};
+  window.LayoutEditorScene = LayoutEditorScene;
+})();
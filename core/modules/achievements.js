@@ -0,0 +1,220 @@
+/**
+ * Achievements: structured gameplay events and a data-driven achievement catalogue.
+ *
+ * Responsibilities:
+ *  - Forward gameplay events to the progress tracker (emit): sessionStarted, targetCollected (by type), hazardHit,
+ *    personalBest, streakDays and sessionCompleted
+ *  - Work out the player's running totals from the session history (totals): sessions, targets by type, hazards,
+ *    personal bests, practice streaks, input methods and accessibility modes used
+ *  - Describe every achievement as data (CATALOGUE) and decide which are earned from the totals (earned, progress)
+ *  - Report a finished session (sessionCompleted): emits the personal best / streak / completion events and returns
+ *    the achievements it unlocked, for the results modal (describe)
+ *  - Render the achievements gallery in the Progress & History modal (render)
+ *
+ * Catalogue entries:
+ *  { id, icon, name, description, category, stat, goal } - earned once totals[stat] >= goal; stat may be a dotted
+ *  path (inputMethods.mouse, assists.dwell)
+ *
+ * Design notes:
+ *  - Totals are derived from the history rather than counted event by event, so imported sessions, a cleared
+ *    history and sessions from before achievements existed all count the same way.
+ *  - Unlocked achievements are stored by the tracker in the profile's progress data (studentProgressData), the
+ *    same list the progress export / import reads and merges (DSG.dataTransfer).
+ *  - Nothing is emitted while a playback re-runs a finished session (game.playback) or when the tracker is
+ *    missing or tracking is switched off; the gallery then only shows progress.
+ *
+ * Exports (window.DSG.achievements):
+ *  CATALOGUE: entry[]
+ *  emit(game, type, data) -> unlocked achievement[]
+ *  totals(history) -> object
+ *  earned(totals) -> entry[]
+ *  progress(entry, totals) -> { value, goal }
+ *  sessionCompleted(game, entry) -> unlocked achievement[]
+ *  unlocked(game) -> stored achievement[]
+ *  assistsOf(config) -> string[]           accessibility modes a setup uses (dwell, calm, boundaries, sequence)
+ *  describe(list) -> [{ icon, text }]
+ *  render(game)
+ */
+(function(){
+  const DEFAULT_GAME = 'directional-practice';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const CATEGORIES = ['Getting started', 'Practice', 'Skill', 'Input methods', 'Accessibility modes'];
+
+  const CATALOGUE = [
+    { id: 'firstTarget', icon: '🎯', name: 'First Success', description: 'Collected your first target', category: 'Getting started', stat: 'targets', goal: 1 },
+    { id: 'firstLevel', icon: '⭐', name: 'Level Master', description: 'Completed your first session', category: 'Getting started', stat: 'sessions', goal: 1 },
+    { id: 'collector', icon: '🧺', name: 'Collector', description: 'Collected 10 targets in a single session', category: 'Getting started', stat: 'mostTargets', goal: 10 },
+    { id: 'regular', icon: '📅', name: 'Regular Practice', description: 'Completed 10 sessions', category: 'Practice', stat: 'sessions', goal: 10 },
+    { id: 'dedicated', icon: '🏅', name: 'Dedicated', description: 'Completed 50 sessions', category: 'Practice', stat: 'sessions', goal: 50 },
+    { id: 'streak3', icon: '🔥', name: 'Three in a Row', description: 'Practised on 3 days in a row', category: 'Practice', stat: 'longestStreak', goal: 3 },
+    { id: 'streak7', icon: '🗓️', name: 'Week Streak', description: 'Practised on 7 days in a row', category: 'Practice', stat: 'longestStreak', goal: 7 },
+    { id: 'allActivities', icon: '🧭', name: 'Explorer', description: 'Completed every kind of activity', category: 'Practice', stat: 'activities', goal: 3 },
+    { id: 'century', icon: '💯', name: 'Century', description: 'Collected 100 targets', category: 'Skill', stat: 'targets', goal: 100 },
+    { id: 'bonusHunter', icon: '✨', name: 'Bonus Hunter', description: 'Collected 10 bonus targets', category: 'Skill', stat: 'bonus', goal: 10 },
+    { id: 'carefulMover', icon: '🛡️', name: 'Careful Mover', description: 'Finished 5 sessions with hazards without hitting one', category: 'Skill', stat: 'cleanHazardSessions', goal: 5 },
+    { id: 'personalBest', icon: '🏆', name: 'Personal Best', description: 'Beat your best time for a setup', category: 'Skill', stat: 'personalBests', goal: 1 },
+    { id: 'improver', icon: '🚀', name: 'Always Improving', description: 'Set 5 personal bests', category: 'Skill', stat: 'personalBests', goal: 5 },
+    { id: 'straightLine', icon: '📐', name: 'Straight Line', description: 'Finished a session with a path efficiency of 90% or more', category: 'Skill', stat: 'bestEfficiency', goal: 90 },
+    { id: 'inputDiscrete', icon: '⌨️', name: 'Step by Step', description: 'Completed a session with discrete (step) movement', category: 'Input methods', stat: 'inputMethods.discrete', goal: 1 },
+    { id: 'inputContinuous', icon: '🐍', name: 'Keep Moving', description: 'Completed a session with continuous movement', category: 'Input methods', stat: 'inputMethods.continuous', goal: 1 },
+    { id: 'inputMouse', icon: '🖱️', name: 'Point and Click', description: 'Completed a session with mouse / touch click-to-move', category: 'Input methods', stat: 'inputMethods.mouse', goal: 1 },
+    { id: 'inputJoystick', icon: '🎮', name: 'Controller Pro', description: 'Completed a session with a controller', category: 'Input methods', stat: 'inputMethods.joystick', goal: 1 },
+    { id: 'inputCursor', icon: '👁️', name: 'Follow Me', description: 'Completed a session with cursor follow', category: 'Input methods', stat: 'inputMethods.cursor', goal: 1 },
+    { id: 'inputSwitch', icon: '🔘', name: 'Switched On', description: 'Completed a session with switch scanning', category: 'Input methods', stat: 'inputMethods.switch', goal: 1 },
+    { id: 'inputGaze', icon: '👀', name: 'Look Where You Go', description: 'Completed a session with eye gaze or a head pointer', category: 'Input methods', stat: 'inputMethods.gaze', goal: 1 },
+    { id: 'dwellMode', icon: '⏳', name: 'Steady Hand', description: 'Completed a session collecting targets by dwelling', category: 'Accessibility modes', stat: 'assists.dwell', goal: 1 },
+    { id: 'calmMode', icon: '🌿', name: 'Calm Focus', description: 'Completed a session in calm mode', category: 'Accessibility modes', stat: 'assists.calm', goal: 1 },
+    { id: 'boundaries', icon: '🧱', name: 'Safe Edges', description: 'Completed a session with boundaries on', category: 'Accessibility modes', stat: 'assists.boundaries', goal: 1 },
+    { id: 'sequenceMode', icon: '🔢', name: 'In Order', description: 'Completed a session collecting targets in order', category: 'Accessibility modes', stat: 'assists.sequence', goal: 1 }
+  ];
+
+  function tracker(){ return window.progressTracker || null; }
+  function tracking(){ const t = tracker(); return !!(t && t.progressData); }
+  function completed(s){ return !!(s && s.completed && typeof s.totalTime === 'number'); }
+  function gameOf(s){ return s.gameId || DEFAULT_GAME; }
+
+  // Accessibility modes a session used (directional practice setups)
+  function assistsOf(config){
+    const c = config || {}, assists = [];
+    if(c.dwellMode) assists.push('dwell');
+    if(c.calmMode) assists.push('calm');
+    if(c.boundaries && c.boundaries !== 'none') assists.push('boundaries');
+    if(c.sequenceMode && c.sequenceMode !== 'off') assists.push('sequence');
+    return assists;
+  }
+
+  function emit(game, type, data){
+    if(!tracking() || (game && game.playback)) return [];
+    const t = tracker();
+    const before = t.progressData.achievements.length;
+    t.trackEvent(type, data || {});
+    return t.progressData.achievements.slice(before);
+  }
+
+  // --- totals ---
+  function dayNumber(ms){ const d = new Date(ms); return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS); }
+
+  function streaks(sessions){
+    const days = Array.from(new Set(sessions.map(s => dayNumber(s.endTime || s.startTime)))).sort((a, b) => a - b);
+    let longest = 0, run = 0;
+    days.forEach((day, i) => {
+      run = i > 0 && day === days[i - 1] + 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+    return { longest, current: run };
+  }
+
+  function totals(history){
+    const sessions = (history || []).filter(completed);
+    const bests = window.DSG.personalBests;
+    const bestTimes = {};
+    const activities = new Set();
+    const result = {
+      sessions: sessions.length, targets: 0, bonus: 0, hazards: 0, mostTargets: 0, cleanHazardSessions: 0,
+      personalBests: 0, bestEfficiency: 0, activities: 0, longestStreak: 0, currentStreak: 0,
+      inputMethods: {}, assists: {}
+    };
+    sessions.forEach(s => {
+      result.targets += s.targetsCollected || 0;
+      result.bonus += s.bonusTargetsCollected || 0;
+      result.hazards += s.hazardTargetsHit || 0;
+      result.mostTargets = Math.max(result.mostTargets, s.targetsCollected || 0);
+      if(s.path && s.path.efficiency != null) result.bestEfficiency = Math.max(result.bestEfficiency, s.path.efficiency);
+      activities.add(gameOf(s));
+      const config = s.config || {};
+      if(config.targetCounts && config.targetCounts.hazard > 0 && !s.hazardTargetsHit) result.cleanHazardSessions++;
+      if(config.inputMethod) result.inputMethods[config.inputMethod] = (result.inputMethods[config.inputMethod] || 0) + 1;
+      assistsOf(config).forEach(a => { result.assists[a] = (result.assists[a] || 0) + 1; });
+      // Same rule as the results banner: faster than every earlier run of the same setup
+      if(bests){
+        const key = bests.configKey(s);
+        if(key in bestTimes && s.totalTime < bestTimes[key]) result.personalBests++;
+        if(!(key in bestTimes) || s.totalTime < bestTimes[key]) bestTimes[key] = s.totalTime;
+      }
+    });
+    result.activities = activities.size;
+    const streak = streaks(sessions);
+    result.longestStreak = streak.longest;
+    result.currentStreak = streak.current;
+    return result;
+  }
+
+  function statValue(totals, stat){
+    return stat.split('.').reduce((value, part) => value && value[part], totals) || 0;
+  }
+
+  function progress(entry, totals){ return { value: Math.min(statValue(totals, entry.stat), entry.goal), goal: entry.goal }; }
+
+  function earned(totals){ return CATALOGUE.filter(entry => statValue(totals, entry.stat) >= entry.goal); }
+
+  // --- session reporting ---
+  function sessionCompleted(game, entry){
+    if(!completed(entry)) return [];
+    const sums = totals(game.sessionHistory);
+    const config = entry.config || {};
+    let unlocked = [];
+    const pb = game.personalBestResult;
+    if(pb && pb.previous && entry.totalTime < pb.previous.bestTime){
+      unlocked = unlocked.concat(emit(game, 'personalBest', { gameId: gameOf(entry), key: pb.key, time: entry.totalTime, previous: pb.previous.bestTime }));
+    }
+    unlocked = unlocked.concat(emit(game, 'streakDays', { days: sums.currentStreak }));
+    unlocked = unlocked.concat(emit(game, 'sessionCompleted', {
+      gameId: gameOf(entry),
+      time: entry.totalTime,
+      targetsCollected: entry.targetsCollected || 0,
+      bonusCollected: entry.bonusTargetsCollected || 0,
+      hazardsHit: entry.hazardTargetsHit || 0,
+      inputMethod: config.inputMethod || null,
+      assists: assistsOf(config),
+      efficiency: entry.path ? entry.path.efficiency : null,
+      totals: sums
+    }));
+    return unlocked;
+  }
+
+  function unlocked(game){
+    if(tracking()) return tracker().progressData.achievements;
+    try {
+      const progress = JSON.parse(localStorage.getItem(game.storageKey('studentProgressData')));
+      return progress && Array.isArray(progress.achievements) ? progress.achievements : [];
+    } catch(e){ return []; }
+  }
+
+  function describe(list){
+    return (list || []).map(a => ({ icon: a.icon || '🏅', text: `Achievement unlocked: ${a.name}` }));
+  }
+
+  // --- stats modal ---
+  const escapeHtml = window.DSG.escapeHtml;
+
+  function card(entry, stored, sums){
+    const state = stored
+      ? `<span class="achievement-state">Unlocked ${new Date(stored.unlockedAt).toLocaleDateString()}</span>`
+      : (() => { const p = progress(entry, sums); return `<progress class="achievement-progress" max="${p.goal}" value="${p.value}" aria-label="${escapeHtml(entry.name)} progress"></progress><span class="achievement-state">${p.value} / ${p.goal}</span>`; })();
+    return `<li class="achievement-card ${stored ? 'unlocked' : 'locked'}"><span class="achievement-card-icon" aria-hidden="true">${stored ? entry.icon || '🏅' : '🔒'}</span>` +
+      `<span class="achievement-card-text"><strong>${escapeHtml(entry.name)}</strong><span class="sr-only">${stored ? ' (unlocked)' : ' (locked)'}</span>` +
+      `<span class="achievement-card-description">${escapeHtml(entry.description || '')}</span>${state}</span></li>`;
+  }
+
+  function render(game){
+    const container = document.getElementById('achievements-gallery');
+    if(!container) return;
+    const stored = new Map(unlocked(game).map(a => [a.id, a]));
+    const sums = totals(game.sessionHistory);
+    const known = new Set(CATALOGUE.map(entry => entry.id));
+    // Achievements from older versions or imports that the catalogue no longer lists stay visible
+    const others = Array.from(stored.values()).filter(a => !known.has(a.id));
+    const summary = document.getElementById('achievements-summary');
+    const count = CATALOGUE.filter(entry => stored.has(entry.id)).length;
+    if(summary) summary.textContent = `${count} of ${CATALOGUE.length} achievements unlocked.` + (tracking() ? '' : ' Progress tracking is off, so new achievements are not recorded.');
+    const groups = CATEGORIES.map(category => {
+      const entries = CATALOGUE.filter(entry => entry.category === category);
+      return `<h4 class="achievements-category">${category}</h4><ul class="achievements-list">${entries.map(entry => card(entry, stored.get(entry.id), sums)).join('')}</ul>`;
+    });
+    if(others.length) groups.push(`<h4 class="achievements-category">Other</h4><ul class="achievements-list">${others.map(a => card(a, a, sums)).join('')}</ul>`);
+    container.innerHTML = groups.join('');
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.achievements = { CATALOGUE, emit, totals, earned, progress, sessionCompleted, unlocked, assistsOf, describe, render };
+})();
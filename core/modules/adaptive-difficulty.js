@@ -0,0 +1,221 @@
+/**
+ * Adaptive difficulty for directional practice.
+ *
+ * Responsibilities:
+ *  - Judge the recent sessions at the current setup (assess): time per target, path efficiency, hazards hit and
+ *    overshoots, averaged over the last ROLLING_WINDOW runs
+ *  - Propose the next session's setup (propose): one step easier or harder (target size, number of targets,
+ *    moving / flee targets, dwell time or player speed), always inside the teacher's limits, with a plain-language
+ *    reason for the results screen
+ *  - Apply a proposal to the session setup and take it back again (apply / undo)
+ *
+ * Settings (sessionConfig.adaptive, saved with the session setup per profile):
+ *  { mode: 'off' | 'suggest' | 'auto', minSize, maxSize, minTargets, maxTargets, maxMoving, maxFlee,
+ *    minSpeed, maxSpeed, minDwell, maxDwell }
+ *
+ * Design notes:
+ *  - Only sessions with the same setup (DSG.personalBests.configKey) count, so every change is judged on runs played
+ *    after it; at least MIN_SESSIONS are needed before anything changes.
+ *  - One change per session, tried in a fixed order, so a student never meets several new demands at once.
+ *  - A setup outside the limits (e.g. after the teacher narrowed them) is brought back inside first.
+ *  - Bonus and hazard counts, input method and cosmetic options are never changed; neither are any target counts
+ *    while a hand-made layout (sessionConfig.customLayout) decides where the targets are.
+ *
+ * Exports (window.DSG.adaptive):
+ *  DEFAULTS: object
+ *  settings(config) -> adaptive settings with limits put in order
+ *  assess(sessions) -> { level: 'easier' | 'harder' | 'same', stats, notes }
+ *  propose(game) -> proposal | null         null when adaptive mode is off
+ *  apply(game, proposal)
+ *  undo(game, proposal)
+ */
+(function(){
+  const SIZES = ['small', 'medium', 'large', 'extra-large']; // hardest first
+  const SIZE_LABELS = { small: 'small', medium: 'medium', large: 'large', 'extra-large': 'extra large' };
+  const SPEED_LABELS = ['very slow', 'slow', 'normal', 'fast', 'very fast'];
+  const ROLLING_WINDOW = 3;
+  const MIN_SESSIONS = 2;
+  const FAST_SECONDS_PER_TARGET = 2.5;
+  const SLOW_SECONDS_PER_TARGET = 6;
+  const GOOD_EFFICIENCY = 75;
+  const POOR_EFFICIENCY = 50;
+  const DWELL_STEP = 250;
+  const MAX_PER_TYPE = 10; // same as the session setup sliders
+  const DEFAULTS = {
+    mode: 'off', minSize: 'small', maxSize: 'extra-large', minTargets: 1, maxTargets: 10, maxMoving: 3, maxFlee: 2,
+    minSpeed: 1, maxSpeed: 5, minDwell: 500, maxDwell: 3000
+  };
+
+  function clamp(v, lo, hi){ return Math.max(lo, Math.min(hi, v)); }
+  function mean(values){ return values.reduce((a, b) => a + b, 0) / values.length; }
+  function plural(n, word){ return `${n} ${word}${n === 1 ? '' : 's'}`; }
+
+  function settings(config){
+    const s = { ...DEFAULTS, ...((config && config.adaptive) || {}) };
+    let minSize = SIZES.indexOf(s.minSize), maxSize = SIZES.indexOf(s.maxSize);
+    if(minSize < 0) minSize = 0;
+    if(maxSize < 0) maxSize = SIZES.length - 1;
+    // Smallest targets are the hardest: the "min" size must not be larger than the "max" size
+    if(minSize > maxSize) [minSize, maxSize] = [maxSize, minSize];
+    const order = (a, b) => a <= b ? [a, b] : [b, a];
+    const [minTargets, maxTargets] = order(clamp(parseInt(s.minTargets, 10) || 1, 1, 30), clamp(parseInt(s.maxTargets, 10) || 1, 1, 30));
+    const [minSpeed, maxSpeed] = order(clamp(parseInt(s.minSpeed, 10) || 1, 1, 5), clamp(parseInt(s.maxSpeed, 10) || 5, 1, 5));
+    const [minDwell, maxDwell] = order(parseInt(s.minDwell, 10) || 500, parseInt(s.maxDwell, 10) || 3000);
+    return {
+      mode: ['suggest', 'auto'].includes(s.mode) ? s.mode : 'off',
+      minSize: SIZES[minSize], maxSize: SIZES[maxSize], minTargets, maxTargets,
+      maxMoving: Math.max(0, parseInt(s.maxMoving, 10) || 0), maxFlee: Math.max(0, parseInt(s.maxFlee, 10) || 0),
+      minSpeed, maxSpeed, minDwell, maxDwell
+    };
+  }
+
+  function coreCount(counts){ return (counts.stationary || 0) + (counts.moving || 0) + (counts.flee || 0); }
+
+  // Seconds per core target, not counting the time the player had to hold still on targets in dwell mode
+  function secondsPerTarget(s){
+    const targets = coreCount(s.config.targetCounts) || 1;
+    const dwell = s.config.dwellMode ? (s.config.dwellTime || 1000) : 0;
+    return Math.max(0, s.totalTime / targets - dwell) / 1000;
+  }
+
+  function assess(sessions){
+    const spt = mean(sessions.map(secondsPerTarget));
+    const efficiencies = sessions.map(s => s.path && s.path.efficiency).filter(v => typeof v === 'number');
+    const efficiency = efficiencies.length ? Math.round(mean(efficiencies)) : null;
+    const hazards = sessions.reduce((n, s) => n + (s.config.targetCounts.hazard || 0), 0);
+    const hazardRate = hazards ? sessions.reduce((n, s) => n + (s.hazardTargetsHit || 0), 0) / hazards : 0;
+    const withPath = sessions.filter(s => s.path);
+    const overshoots = withPath.length ? mean(withPath.map(s => s.path.overshoots / (coreCount(s.config.targetCounts) || 1))) : 0;
+    const stats = { sessions: sessions.length, secondsPerTarget: spt, efficiency, hazardRate, overshootsPerTarget: overshoots };
+
+    const notes = [`${spt.toFixed(1)}s per target`];
+    if(efficiency !== null) notes.push(`${efficiency}% path efficiency`);
+    if(hazards) notes.push(`${Math.round(hazardRate * 100)}% of hazards hit`);
+    if(withPath.length) notes.push(`${overshoots.toFixed(1)} overshoots per target`);
+
+    const struggling = spt > SLOW_SECONDS_PER_TARGET || (efficiency !== null && efficiency < POOR_EFFICIENCY) || hazardRate > 0.5 || overshoots > 1;
+    const confident = spt < FAST_SECONDS_PER_TARGET && (efficiency === null || efficiency >= GOOD_EFFICIENCY) && hazardRate <= 0.25 && overshoots <= 0.5;
+    return { level: struggling ? 'easier' : confident ? 'harder' : 'same', stats, notes };
+  }
+
+  function countsText(counts){
+    const extra = [];
+    if(counts.moving) extra.push(`${counts.moving} moving`);
+    if(counts.flee) extra.push(`${counts.flee} flee`);
+    return plural(coreCount(counts), 'target') + (extra.length ? ` (${extra.join(', ')})` : '');
+  }
+
+  // Each step returns the changed fields, or null when it is not possible inside the limits
+  const HARDER = [
+    (c, b) => { const i = SIZES.indexOf(c.targetSize); return i > SIZES.indexOf(b.minSize) ? { targetSize: SIZES[i - 1] } : null; },
+    (c, b) => coreCount(c.targetCounts) < b.maxTargets && c.targetCounts.stationary < MAX_PER_TYPE ? { targetCounts: { ...c.targetCounts, stationary: c.targetCounts.stationary + 1 } } : null,
+    (c, b) => c.targetCounts.moving < Math.min(b.maxMoving, MAX_PER_TYPE) && c.targetCounts.stationary > 1 ? { targetCounts: { ...c.targetCounts, stationary: c.targetCounts.stationary - 1, moving: c.targetCounts.moving + 1 } } : null,
+    (c, b) => c.targetCounts.flee < Math.min(b.maxFlee, MAX_PER_TYPE) && c.targetCounts.stationary > 1 ? { targetCounts: { ...c.targetCounts, stationary: c.targetCounts.stationary - 1, flee: c.targetCounts.flee + 1 } } : null,
+    (c, b) => c.dwellMode && c.dwellTime + DWELL_STEP <= b.maxDwell ? { dwellTime: c.dwellTime + DWELL_STEP } : null,
+    (c, b) => c.playerSpeed < b.maxSpeed ? { playerSpeed: c.playerSpeed + 1 } : null
+  ];
+  const EASIER = [
+    (c) => c.targetCounts.flee > 0 && c.targetCounts.stationary < MAX_PER_TYPE ? { targetCounts: { ...c.targetCounts, flee: c.targetCounts.flee - 1, stationary: c.targetCounts.stationary + 1 } } : null,
+    (c) => c.targetCounts.moving > 0 && c.targetCounts.stationary < MAX_PER_TYPE ? { targetCounts: { ...c.targetCounts, moving: c.targetCounts.moving - 1, stationary: c.targetCounts.stationary + 1 } } : null,
+    (c, b) => c.dwellMode && c.dwellTime - DWELL_STEP >= b.minDwell ? { dwellTime: c.dwellTime - DWELL_STEP } : null,
+    (c, b) => { const i = SIZES.indexOf(c.targetSize); return i >= 0 && i < SIZES.indexOf(b.maxSize) ? { targetSize: SIZES[i + 1] } : null; },
+    (c, b) => coreCount(c.targetCounts) > b.minTargets && c.targetCounts.stationary > 0 ? { targetCounts: { ...c.targetCounts, stationary: c.targetCounts.stationary - 1 } } : null,
+    (c, b) => c.playerSpeed > b.minSpeed ? { playerSpeed: c.playerSpeed - 1 } : null
+  ];
+
+  // Bring a setup back inside the limits (fewest changes that fit); returns the changed fields
+  function withinBounds(c, b){
+    const next = {};
+    const size = clamp(Math.max(0, SIZES.indexOf(c.targetSize)), SIZES.indexOf(b.minSize), SIZES.indexOf(b.maxSize));
+    if(SIZES[size] !== c.targetSize) next.targetSize = SIZES[size];
+    const counts = { ...c.targetCounts };
+    counts.moving = Math.min(counts.moving, b.maxMoving);
+    counts.flee = Math.min(counts.flee, b.maxFlee);
+    counts.stationary += (c.targetCounts.moving - counts.moving) + (c.targetCounts.flee - counts.flee);
+    const core = coreCount(counts);
+    if(core > b.maxTargets) counts.stationary = Math.max(0, counts.stationary - (core - b.maxTargets));
+    if(coreCount(counts) < b.minTargets) counts.stationary += b.minTargets - coreCount(counts);
+    if(JSON.stringify(counts) !== JSON.stringify(c.targetCounts)) next.targetCounts = counts;
+    const speed = clamp(c.playerSpeed, b.minSpeed, b.maxSpeed);
+    if(speed !== c.playerSpeed) next.playerSpeed = speed;
+    if(c.dwellMode){
+      const dwell = clamp(c.dwellTime, b.minDwell, b.maxDwell);
+      if(dwell !== c.dwellTime) next.dwellTime = dwell;
+    }
+    return next;
+  }
+
+  function describeChanges(from, next){
+    const changes = [];
+    if(next.targetSize) changes.push({ label: 'Target size', from: SIZE_LABELS[from.targetSize] || from.targetSize, to: SIZE_LABELS[next.targetSize] });
+    if(next.targetCounts) changes.push({ label: 'Targets', from: countsText(from.targetCounts), to: countsText(next.targetCounts) });
+    if(next.dwellTime) changes.push({ label: 'Dwell time', from: `${(from.dwellTime / 1000).toFixed(2)}s`, to: `${(next.dwellTime / 1000).toFixed(2)}s` });
+    if(next.playerSpeed) changes.push({ label: 'Player speed', from: SPEED_LABELS[from.playerSpeed - 1], to: SPEED_LABELS[next.playerSpeed - 1] });
+    return changes;
+  }
+
+  function snapshot(c){
+    return { targetSize: c.targetSize, targetCounts: { ...c.targetCounts }, playerSpeed: c.playerSpeed, dwellTime: c.dwellTime || 1000, dwellMode: !!c.dwellMode };
+  }
+
+  function propose(game){
+    const bounds = settings(game.sessionConfig);
+    if(bounds.mode === 'off') return null;
+    const current = snapshot(game.sessionConfig);
+    const bests = window.DSG.personalBests;
+    const key = bests ? bests.configKey({ gameId: 'directional-practice', config: game.sessionConfig }) : null;
+    const sessions = (game.sessionHistory || [])
+      .filter(s => s.completed && (s.gameId || 'directional-practice') === 'directional-practice' && s.config && s.config.targetCounts)
+      .filter(s => !key || bests.configKey(s) === key)
+      .slice(-ROLLING_WINDOW);
+
+    const fixedTargets = !!game.sessionConfig.customLayout;
+    const fix = withinBounds(current, bounds);
+    if(fixedTargets) delete fix.targetCounts;
+    let next = fix, level = 'same', reason;
+    if(Object.keys(fix).length){
+      reason = 'The setup was outside the limits set for adaptive difficulty, so it has been brought back inside them.';
+    } else if(sessions.length < MIN_SESSIONS){
+      reason = `${plural(sessions.length, 'session')} played with this setup so far; after ${MIN_SESSIONS} the next session can be adjusted.`;
+    } else {
+      const result = assess(sessions);
+      level = result.level;
+      const span = `Over the last ${plural(sessions.length, 'session')}: ${result.notes.join(', ')}.`;
+      if(level === 'same'){
+        reason = `${span} That is steady progress, so the setup stays the same.`;
+      } else {
+        const steps = level === 'harder' ? HARDER : EASIER;
+        next = {};
+        for(const step of steps){ const change = step(current, bounds); if(change && !(fixedTargets && change.targetCounts)){ next = change; break; } }
+        if(!Object.keys(next).length) reason = `${span} The setup is already at the ${level === 'harder' ? 'hardest' : 'easiest'} level the limits allow.`;
+        else reason = `${span} ${level === 'harder' ? 'That looks comfortable, so the next session is a little harder.' : 'That looks like hard work, so the next session is a little easier.'}`;
+      }
+    }
+    return { mode: bounds.mode, level, reason, changes: describeChanges(current, next), next, applied: false, previous: null };
+  }
+
+  // Changes the session setup (not the finished session); the next session gets a fresh layout and replay code
+  function apply(game, proposal){
+    if(!proposal || proposal.applied || !proposal.changes.length) return;
+    proposal.previous = snapshot(game.sessionConfig);
+    const next = proposal.next;
+    if(next.targetSize) game.sessionConfig.targetSize = next.targetSize;
+    if(next.targetCounts) game.sessionConfig.targetCounts = { ...next.targetCounts };
+    if(next.playerSpeed) game.sessionConfig.playerSpeed = next.playerSpeed;
+    if(next.dwellTime) game.sessionConfig.dwellTime = next.dwellTime;
+    game.sessionConfig.seed = null; // the finished session's code no longer describes the setup
+    game.saveSessionConfig();
+    proposal.applied = true;
+  }
+
+  function undo(game, proposal){
+    if(!proposal || !proposal.applied || !proposal.previous) return;
+    const p = proposal.previous;
+    Object.assign(game.sessionConfig, { targetSize: p.targetSize, targetCounts: { ...p.targetCounts }, playerSpeed: p.playerSpeed, dwellTime: p.dwellTime, seed: null });
+    game.saveSessionConfig();
+    proposal.applied = false;
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.adaptive = { DEFAULTS, settings, assess, propose, apply, undo };
+})();
@@ -7,42 +7,62 @@
  *  - Handle dwell mode collection (require staying inside target for set time)
  *  - Maintain session counters & trigger completion when core targets are exhausted.
  *  - Provide lightweight visual feedback elements (bonus/hazard overlays) with auto cleanup.
+ *  - Mark collections / hazard hits on the session recording (DSG.recorder) for the playback timeline and report
+ *    them to the progress tracker (DSG.achievements: targetCollected by type, hazardHit).
  *
  * Performance:
  *  - O(n) per frame over active targets. Adequate for modest counts; spatial partitioning unnecessary now.
  *
+ * Dwell design notes:
+ *  - Progress lives per game (game.dwellState: target id -> { progress, awayMs }) and only advances on simulation
+ *    steps (dt > 0), so it tracks real elapsed time on any refresh rate and replays identically.
+ *  - Leaving a target starts a grace window (sessionConfig.dwellGrace ms) during which progress is kept, so a tremor
+ *    that briefly slips off the target does not throw the dwell away. After grace the progress either drains at
+ *    the fill rate (sessionConfig.dwellDecay) or resets outright.
+ *  - Required time is per target type (sessionConfig.dwellTimes.{stationary,moving,bonus}); null falls back to
+ *    sessionConfig.dwellTime. Flee targets and hazards never require dwell.
+ *
+ * Sequence design notes:
+ *  - Ordered sessions label core targets with sequenceIndex (DSG.targets.assignSequence). Only the remaining target
+ *    with the lowest index can be collected; touching another counts a wrong target (currentSession.wrongTargetHits)
+ *    once per contact and, with sessionConfig.sequenceFeedback, shows a hint and announces the target to find.
+ *
  * Exports (window.DSG.collision):
- *  checkCollisions(game)
+ *  checkCollisions(game, dt) - dt (seconds) advances dwell timing; 0 = overlap check only
  *  collectTarget(game, targetIndex)
  *  handleHazardCollision(game, target, index)
- *  updateDwellProgress(game, dt) - for dwell mode rendering
+ *  resetDwellProgress(game)
+ *  nextInSequence(game) -> target | null
  */
 (function(){
   
-  // Track dwell progress per target - use global Map for debugging
-  // Store on window to ensure single instance across any re-runs
-  if (!window._dwellProgressMap) {
-    window._dwellProgressMap = new Map();
-    console.log('🎯 Created NEW dwellProgress Map on window');
+  // Target type -> key in sessionConfig.dwellTimes
+  const DWELL_TIME_KEYS = { static: 'stationary', moving: 'moving', bonus: 'bonus' };
+  
+  function dwellState(game){
+    if(!game.dwellState) game.dwellState = new Map();
+    return game.dwellState;
+  }
+  function dwellKey(target, index){ return target.id || target.createdAt || index; }
+  
+  function requiredDwellMs(config, type){
+    const key = DWELL_TIME_KEYS[type];
+    const perType = key && config.dwellTimes ? config.dwellTimes[key] : null;
+    return perType || config.dwellTime || 1000;
   }
-  let dwellProgress = window._dwellProgressMap;
   
-  function checkCollisions(game){
-    const isDwellMode = game.sessionConfig.dwellMode;
-    const dwellTime = game.sessionConfig.dwellTime || 1000;
+  function checkCollisions(game, dt){
+    const stepMs = (dt || 0) * 1000; // fixed simulation step, so dwell time is refresh-rate independent
+    const config = game.sessionConfig;
+    const isDwellMode = config.dwellMode;
+    const state = dwellState(game);
     
     for(let i=game.targets.length-1;i>=0;i--){
       const t=game.targets[i];
       const closestX=Math.max(game.player.x-game.player.size, Math.min(t.x, game.player.x+game.player.size));
       const closestY=Math.max(game.player.y-game.player.size, Math.min(t.y, game.player.y+game.player.size));
       const dx=t.x-closestX, dy=t.y-closestY;
-      const dist = Math.hypot(dx,dy);
-      const isColliding = dist < t.size;
-      
-      // Debug: log when actually colliding
-      if (isColliding) {
-        console.log('🎯 COLLISION with', t.type, 'dist:', dist.toFixed(1), '< size:', t.size, 'dwellMode:', isDwellMode);
-      }
+      const isColliding = Math.hypot(dx,dy) < t.size;
       
       if(isColliding) {
         // Hazards always trigger immediately
@@ -51,53 +71,94 @@
           continue;
         }
         
+        // Sequence mode: anything but the next target in order is a wrong target, never collected
+        if(outOfSequence(game,t)) {
+          if(!t.sequenceContact) handleWrongTarget(game,t);
+          t.sequenceContact = true;
+          continue;
+        }
+        
         // Flee targets don't require dwell (too hard otherwise)
         if(t.type==='flee') {
           collectTarget(game,i);
           continue;
         }
         
-        // Check if dwell mode applies
-        if(isDwellMode) {
-          // Initialize or update dwell progress
-          const targetId = t.id || t.createdAt || i; // Use unique ID (prefer t.id)
-          const currentProgress = dwellProgress.get(targetId) || 0;
-          const newProgress = currentProgress + 16; // Approximate frame time in ms
-          
-          // Debug: log Map state
-          console.log('🎯 Dwell:', t.type, 'id:', targetId, '(t.id:', t.id, ') current:', currentProgress, 'new:', newProgress, 'mapSize:', dwellProgress.size);
-          
-          if(newProgress >= dwellTime) {
-            // Dwell complete - collect target
-            console.log('🎯 Dwell complete! Collecting target:', t.type);
-            dwellProgress.delete(targetId);
-            t.dwellProgress = 0;
-            collectTarget(game,i);
-          } else {
-            // Update progress
-            dwellProgress.set(targetId, newProgress);
-            console.log('🎯 SET dwellProgress for', targetId, 'to', newProgress, 'mapSize now:', dwellProgress.size);
-            t.dwellProgress = newProgress / dwellTime; // 0-1 for rendering
-            
-            // Play tick sound at intervals
-            if(game.sessionConfig.feedback.audio && Math.floor(newProgress / 200) > Math.floor(currentProgress / 200)) {
-              if(game.sounds.move) game.sounds.move();
-            }
-          }
-        } else {
+        if(!isDwellMode) {
           // Instant collection
           collectTarget(game,i);
+          continue;
         }
-      } else {
-        // Not colliding - reset dwell progress for this target
-        const targetId = t.id || t.createdAt || i;
-        if(dwellProgress.has(targetId)) {
-          console.log('🎯 DELETING progress for', targetId, 'because NOT colliding. targets.length:', game.targets.length);
-          dwellProgress.delete(targetId);
+        if(!stepMs) continue; // overlap-only check; dwell advances on simulation steps
+        
+        const required = requiredDwellMs(config, t.type);
+        const entry = state.get(dwellKey(t,i)) || { progress: 0, awayMs: 0 };
+        const before = entry.progress;
+        entry.progress += stepMs;
+        entry.awayMs = 0;
+        
+        if(entry.progress >= required) {
+          // Dwell complete - collect target (collectTarget clears the entry)
           t.dwellProgress = 0;
+          collectTarget(game,i);
+        } else {
+          state.set(dwellKey(t,i), entry);
+          t.dwellProgress = entry.progress / required; // 0-1 for rendering
+          
+          // Play tick sound at intervals
+          if(config.feedback.audio && Math.floor(entry.progress / 200) > Math.floor(before / 200)) {
+            if(game.sounds.move) game.sounds.move();
+          }
         }
+      } else {
+        if(t.sequenceContact) t.sequenceContact = false;
+        if(stepMs) releaseDwell(game, t, i, stepMs);
+      }
+    }
+  }
+  
+  // Player is off the target: hold progress through the grace window, then decay or reset it
+  function releaseDwell(game, t, index, stepMs){
+    const state = dwellState(game);
+    const key = dwellKey(t,index);
+    const entry = state.get(key);
+    if(!entry) return;
+    const config = game.sessionConfig;
+    entry.awayMs += stepMs;
+    if(entry.awayMs <= (config.dwellGrace || 0)) return;
+    if(config.dwellDecay) {
+      entry.progress -= stepMs;
+      if(entry.progress > 0) {
+        t.dwellProgress = entry.progress / requiredDwellMs(config, t.type);
+        return;
       }
     }
+    state.delete(key);
+    t.dwellProgress = 0;
+  }
+  
+  // Remaining target with the lowest sequence index (null when the session is unordered or the order is done)
+  function nextInSequence(game){
+    let next = null;
+    for(const t of game.targets){
+      if(typeof t.sequenceIndex === 'number' && (!next || t.sequenceIndex < next.sequenceIndex)) next = t;
+    }
+    return next;
+  }
+  function outOfSequence(game, target){
+    if(typeof target.sequenceIndex !== 'number') return false;
+    return nextInSequence(game) !== target;
+  }
+  
+  // Touching a target out of order: counted, and (unless feedback is off) shown, sounded and announced
+  function handleWrongTarget(game, target){
+    game.currentSession.wrongTargetHits = (game.currentSession.wrongTargetHits || 0) + 1;
+    if(window.DSG.recorder) window.DSG.recorder.mark(game,'seq',target.label);
+    if(game.sessionConfig.sequenceFeedback === false) return;
+    const next = nextInSequence(game);
+    showSequenceHint(game, next ? next.label : '');
+    if(game.sounds.move) game.sounds.move();
+    game.announceToScreenReader && game.announceToScreenReader(`That is ${target.label}. Find ${next ? next.label : 'the next target'} first.`);
   }
   
   function collectTarget(game,index){
@@ -105,8 +166,10 @@
     game.targets.splice(index,1);
     
     // Clear dwell progress
-    const targetId = target.id || target.createdAt || index;
-    dwellProgress.delete(targetId);
+    dwellState(game).delete(dwellKey(target,index));
+    if(window.DSG.recorder) window.DSG.recorder.mark(game,'col',target.type);
+    if(window.DSG.pathAnalytics) window.DSG.pathAnalytics.collected(game,target);
+    if(window.DSG.achievements) window.DSG.achievements.emit(game,'targetCollected',{ type: target.type, label: target.label || null });
     
     if(target.type==='bonus'){
       const timeReduction = target.timeBonus || 5;
@@ -120,7 +183,12 @@
       game.currentSession.coreTargetsCollected++;
       game.currentSession.targetsCollected++;
       if(game.sounds.collect) game.sounds.collect();
-      game.announceToScreenReader && game.announceToScreenReader('Target collected! Progress toward completion.');
+      if(target.label){
+        const next = nextInSequence(game);
+        game.announceToScreenReader && game.announceToScreenReader(next ? `${target.label} collected! Next: ${next.label}.` : `${target.label} collected!`);
+      } else {
+        game.announceToScreenReader && game.announceToScreenReader('Target collected! Progress toward completion.');
+      }
     }
     game.updateUI();
     const coreLeft = game.targets.filter(t=>['static','moving','flee'].includes(t.type));
@@ -134,8 +202,9 @@
     game.targets.splice(index,1);
     
     // Clear any dwell progress
-    const targetId = target.createdAt || index;
-    dwellProgress.delete(targetId);
+    dwellState(game).delete(dwellKey(target,index));
+    if(window.DSG.recorder) window.DSG.recorder.mark(game,'haz');
+    if(window.DSG.achievements) window.DSG.achievements.emit(game,'hazardHit',{ penalty });
     
     showHazardWarning(game,penalty);
     if(game.sounds.warning) game.sounds.warning();
@@ -145,19 +214,30 @@
     if(coreLeft.length===0) game.completeSession();
   }
   
+  // Overlays are skipped while a playback re-simulates silently (seek) and when there is no document (headless runs)
+  function overlaysHidden(game){ return typeof document === 'undefined' || !!(game.playback && game.playback.seeking); }
+  
   function showHazardWarning(game,penalty){
+    if(overlaysHidden(game)) return;
     const warning=document.createElement('div'); warning.className='hazard-warning'; warning.innerHTML=`<div class="hazard-warning-content"><div class="hazard-icon">⚠️</div><div class="hazard-text">Time Penalty</div><div class="hazard-penalty">+${penalty} seconds</div></div>`; document.body.appendChild(warning); setTimeout(()=>warning.parentNode&&warning.parentNode.removeChild(warning),2000);
   }
   
   function showBonusEffect(game,timeReduction){
+    if(overlaysHidden(game)) return;
     const bonus=document.createElement('div'); bonus.className='bonus-effect'; bonus.innerHTML=`<div class="bonus-effect-content"><div class="bonus-icon">⭐</div><div class="bonus-text">Time Bonus!</div><div class="bonus-reduction">-${timeReduction} seconds</div></div>`; document.body.appendChild(bonus); setTimeout(()=>bonus.parentNode&&bonus.parentNode.removeChild(bonus),2000);
   }
   
-  // Clear all dwell progress (call on session reset)
-  function resetDwellProgress() {
-    dwellProgress.clear();
+  function showSequenceHint(game,nextLabel){
+    if(overlaysHidden(game)) return;
+    const hint=document.createElement('div'); hint.className='sequence-hint'; hint.innerHTML=`<div class="sequence-hint-content"><div class="sequence-hint-text">Not yet!</div><div class="sequence-hint-next">Find ${nextLabel} first</div></div>`; document.body.appendChild(hint); setTimeout(()=>hint.parentNode&&hint.parentNode.removeChild(hint),1500);
+  }
+  
+  // Clear all dwell progress (call on session start / reset)
+  function resetDwellProgress(game) {
+    dwellState(game).clear();
+    (game.targets || []).forEach(t => { t.dwellProgress = 0; if(t.sequenceContact) t.sequenceContact = false; });
   }
   
   window.DSG = window.DSG || {}; 
-  window.DSG.collision = { checkCollisions, collectTarget, handleHazardCollision, resetDwellProgress };
+  window.DSG.collision = { checkCollisions, collectTarget, handleHazardCollision, resetDwellProgress, nextInSequence };
 })();
@@ -0,0 +1,179 @@
+/**
+ * Hand-made target layouts for directional practice.
+ *
+ * Responsibilities:
+ *  - Keep the layouts a therapist designed in the layout editor for the active profile (load / save / upsert / remove)
+ *  - Pack a layout into a shareable layout code and read one back (encode / decode)
+ *  - Turn a layout code into the setup it implies (configFor): the target counts follow the layout, everything else
+ *    (size, speed, input method, dwell, order...) stays as the session setup has it
+ *  - Describe a layout for lists and labels (counts, describe, positionText)
+ *
+ * Layout value:
+ *  { id, name, player: { nx, ny }, targets: [{ type: 'static' | 'moving' | 'flee' | 'bonus' | 'hazard', nx, ny }] }
+ *  Positions are DSG.layout unit coordinates (0..1 inside the canvas margins), so a layout fits any screen size.
+ *
+ * Storage format:
+ *  giocoLayouts = { version: 1, layouts: [layout] }
+ *
+ * Layout code:
+ *  'LAYOUT-' + 'P' + player + one block per target (type letter S / M / F / B / H + position) + a check character.
+ *  A position is two base-36 pairs (x then y, 0..1295 across the unit range); codes are upper case and
+ *  can be typed in any case.
+ *
+ * Design notes:
+ *  - A layout code is used as the session's replay code: DSG.targets places the targets from it instead of
+ *    drawing random positions, and its hash seeds the rest (moving target drift, sequence order), so the same code
+ *    always gives the same session.
+ *  - sessionConfig.customLayout holds the code chosen in the session setup; new sessions then use it in place of a
+ *    generated replay code.
+ *  - Positions are rounded to the code's precision when a layout is cleaned, so a saved layout and its code match.
+ *
+ * Exports (window.DSG.customLayouts):
+ *  PREFIX, TYPES, MAX_PER_TYPE
+ *  isCode(code) -> boolean
+ *  clean(layout) -> layout
+ *  counts(layout) -> targetCounts
+ *  validate(layout) -> error message | null
+ *  encode(layout) -> string
+ *  decode(code) -> { layout, error }
+ *  configFor(code) -> { targetCounts, customLayout } | null
+ *  describe(layout) -> string
+ *  positionText(nx, ny) -> string
+ *  load(game) -> layout[]
+ *  upsert(game, layout) -> layout
+ *  remove(game, id)
+ */
+(function(){
+  const STORE_BASE = 'giocoLayouts';
+  const VERSION = 1;
+  const PREFIX = 'LAYOUT-';
+  const MAX_PER_TYPE = 10; // same as the session setup sliders
+  const MAX_NAME = 60;
+  const STEPS = 1295;      // largest two-character base-36 number
+  // Same colours as the targets DSG.targets creates
+  const TYPES = [
+    { id: 'static', countKey: 'stationary', letter: 'S', label: 'Static', color: '#27ae60', core: true },
+    { id: 'moving', countKey: 'moving', letter: 'M', label: 'Moving', color: '#3498db', core: true },
+    { id: 'flee', countKey: 'flee', letter: 'F', label: 'Fleeing', color: '#9b59b6', core: true },
+    { id: 'bonus', countKey: 'bonus', letter: 'B', label: 'Bonus', color: '#f39c12', core: false },
+    { id: 'hazard', countKey: 'hazard', letter: 'H', label: 'Hazard', color: '#e74c3c', core: false }
+  ];
+
+  function typeById(id){ return TYPES.find(t => t.id === id) || null; }
+  function typeByLetter(letter){ return TYPES.find(t => t.letter === letter) || null; }
+  function clampUnit(n){ n = Number(n); return isFinite(n) ? Math.max(0, Math.min(1, n)) : 0.5; }
+  function quantize(n){ return Math.round(clampUnit(n) * STEPS) / STEPS; }
+  function plural(n, word){ return `${n} ${word}${n === 1 ? '' : 's'}`; }
+
+  function isCode(code){ return typeof code === 'string' && code.trim().toUpperCase().indexOf(PREFIX) === 0; }
+
+  function clean(layout){
+    const l = layout || {};
+    const player = l.player || {};
+    const perType = {};
+    const targets = (Array.isArray(l.targets) ? l.targets : []).filter(t => {
+      if(!t || !typeById(t.type)) return false;
+      perType[t.type] = (perType[t.type] || 0) + 1;
+      return perType[t.type] <= MAX_PER_TYPE;
+    }).map(t => ({ type: t.type, nx: quantize(t.nx), ny: quantize(t.ny) }));
+    return {
+      id: l.id || null,
+      name: String(l.name || '').trim().slice(0, MAX_NAME) || 'Untitled layout',
+      player: { nx: quantize(player.nx != null ? player.nx : 0.5), ny: quantize(player.ny != null ? player.ny : 0.5) },
+      targets
+    };
+  }
+
+  function counts(layout){
+    const result = { stationary: 0, moving: 0, flee: 0, bonus: 0, hazard: 0 };
+    (layout && layout.targets || []).forEach(t => { const type = typeById(t.type); if(type) result[type.countKey]++; });
+    return result;
+  }
+
+  function validate(layout){
+    const c = counts(layout);
+    if(c.stationary + c.moving + c.flee === 0) return 'Place at least one static, moving or fleeing target.';
+    return null;
+  }
+
+  // --- layout code ---
+  function pair(n){ return Math.round(clampUnit(n) * STEPS).toString(36).toUpperCase().padStart(2, '0'); }
+  function unpair(text){ return parseInt(text, 36) / STEPS; }
+
+  function checkChar(body){
+    let sum = 0;
+    for(let i = 0; i < body.length; i++) sum = (sum + body.charCodeAt(i) * (i % 7 + 1)) % 36;
+    return sum.toString(36).toUpperCase();
+  }
+
+  function encode(layout){
+    const l = clean(layout);
+    const body = 'P' + pair(l.player.nx) + pair(l.player.ny) + l.targets.map(t => typeById(t.type).letter + pair(t.nx) + pair(t.ny)).join('');
+    return PREFIX + body + checkChar(body);
+  }
+
+  function decode(code){
+    const s = String(code || '').replace(/\s+/g, '').toUpperCase();
+    if(s.indexOf(PREFIX) !== 0) return { layout: null, error: 'Layout codes start with LAYOUT-.' };
+    const match = /^P[0-9A-Z]{4}(?:[SMFBH][0-9A-Z]{4})*$/.exec(s.slice(PREFIX.length, -1));
+    if(!match || checkChar(match[0]) !== s.slice(-1)) return { layout: null, error: 'This layout code is incomplete or has a typing mistake.' };
+    const body = match[0];
+    const targets = [];
+    for(let i = 5; i < body.length; i += 5){
+      targets.push({ type: typeByLetter(body[i]).id, nx: unpair(body.substr(i + 1, 2)), ny: unpair(body.substr(i + 3, 2)) });
+    }
+    const layout = clean({ name: 'Shared layout', player: { nx: unpair(body.substr(1, 2)), ny: unpair(body.substr(3, 2)) }, targets });
+    if(layout.targets.length !== targets.length) return { layout: null, error: `A layout holds up to ${MAX_PER_TYPE} targets of each type.` };
+    const error = validate(layout);
+    return error ? { layout: null, error } : { layout, error: null };
+  }
+
+  function configFor(code){
+    const result = decode(code);
+    return result.layout ? { targetCounts: counts(result.layout), customLayout: encode(result.layout) } : null;
+  }
+
+  function describe(layout){
+    const c = counts(layout);
+    const parts = [plural(c.stationary + c.moving + c.flee, 'target')];
+    if(c.moving) parts.push(`${c.moving} moving`);
+    if(c.flee) parts.push(`${c.flee} fleeing`);
+    if(c.bonus) parts.push(plural(c.bonus, 'bonus target'));
+    if(c.hazard) parts.push(plural(c.hazard, 'hazard'));
+    return parts.join(' · ');
+  }
+
+  function positionText(nx, ny){
+    return `${Math.round(clampUnit(nx) * 100)}% across, ${Math.round(clampUnit(ny) * 100)}% down`;
+  }
+
+  // --- persistence ---
+  function storageKey(game){ return game.storageKey(STORE_BASE); }
+
+  function load(game){
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(game)));
+      return saved && saved.version === VERSION && Array.isArray(saved.layouts) ? saved.layouts : [];
+    } catch(e){ return []; }
+  }
+
+  function save(game, layouts){
+    try { localStorage.setItem(storageKey(game), JSON.stringify({ version: VERSION, layouts })); }
+    catch(e){ console.warn('Failed to save layouts:', e); }
+  }
+
+  function upsert(game, layout){
+    const layouts = load(game);
+    const l = clean(layout);
+    if(!l.id) l.id = 'ly_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const index = layouts.findIndex(existing => existing.id === l.id);
+    if(index >= 0) layouts[index] = l; else layouts.push(l);
+    save(game, layouts);
+    return l;
+  }
+
+  function remove(game, id){ save(game, load(game).filter(l => l.id !== id)); }
+
+  window.DSG = window.DSG || {};
+  window.DSG.customLayouts = { PREFIX, TYPES, MAX_PER_TYPE, isCode, clean, counts, validate, encode, decode, configFor, describe, positionText, load, upsert, remove };
+})();
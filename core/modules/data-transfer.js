@@ -0,0 +1,233 @@
+/**
+ * Progress export / import.
+ *
+ * Responsibilities:
+ *  - Build a versioned JSON bundle of the active profile's data: session history, achievements, settings and the
+ *    replay codes played (buildBundle)
+ *  - Flatten the session history into CSV for spreadsheets (sessionsToCsv)
+ *  - Parse and validate an imported bundle, reporting every problem found (parseBundle)
+ *  - Work out what an import would add before anything is written (previewImport) and merge it (applyImport)
+ *  - Offer a file download for either format (download)
+ *
+ * Bundle format (FORMAT 'gioco-progress', VERSION 1):
+ *  { format, version, exportedAt, profile: { name },
+ *    history: [session entry without recording],
+ *    achievements: [{ id, name, unlockedAt, ... }],
+ *    settings: { game, session, input },
+ *    replayCodes: [{ code, gameId, plays }] }
+ *
+ * Design notes:
+ *  - Input recordings are left out: they are large and device-specific; imported sessions show no Watch button.
+ *  - A session is identified by activity + replay code + start/end time + total time (sessionKey), so importing
+ *    the same file twice, or a file exported from this device, adds nothing.
+ *  - Settings are only applied when the teacher ticks the option in the preview; history and achievements merge.
+ *  - Imported sessions end up in Progress & History, so their fields are checked for type as well as presence: the
+ *    replay code has to be one this game can play (isKnownCode), activity id a string, config and path objects.
+ *  - Achievements are read from / merged into the stored progress data (studentProgressData) so they follow the
+ *    profile whether or not a progress tracker is running.
+ *
+ * Exports (window.DSG.dataTransfer):
+ *  FORMAT: string
+ *  VERSION: number
+ *  buildBundle(game) -> bundle
+ *  sessionsToCsv(sessions) -> string
+ *  parseBundle(text) -> { bundle, errors: string[] }
+ *  sessionKey(entry) -> string
+ *  previewImport(game, bundle) -> preview
+ *  applyImport(game, preview, options) -> Promise<{ sessions, achievements, settings }>
+ *  download(filename, text, mimeType)
+ *  exportFilename(game, extension) -> string
+ */
+(function(){
+  const FORMAT = 'gioco-progress';
+  const VERSION = 1;
+  const DEFAULT_GAME = 'directional-practice';
+  const CSV_COLUMNS = [
+    ['Date', s => new Date(s.endTime || s.startTime).toISOString()],
+    ['Activity', s => s.gameId || DEFAULT_GAME],
+    ['Replay code', s => s.seed || ''],
+    ['Completed', s => s.completed ? 'yes' : 'no'],
+    ['Time (s)', s => typeof s.totalTime === 'number' ? (s.totalTime / 1000).toFixed(1) : ''],
+    ['Targets collected', s => s.targetsCollected != null ? s.targetsCollected : ''],
+    ['Total targets', s => s.totalTargets != null ? s.totalTargets : ''],
+    ['Bonus collected', s => s.bonusTargetsCollected || 0],
+    ['Hazards hit', s => s.hazardTargetsHit || 0],
+    ['Out-of-order touches', s => s.wrongTargetHits || 0],
+    ['Input method', s => (s.config && s.config.inputMethod) || ''],
+    ['Target size', s => (s.config && s.config.targetSize) || ''],
+    ['Path efficiency (%)', s => s.path && s.path.efficiency != null ? s.path.efficiency : ''],
+    ['Direction changes', s => s.path ? s.path.directionChanges : ''],
+    ['Idle time (s)', s => s.path ? (s.path.idleMs / 1000).toFixed(1) : ''],
+    ['Overshoots', s => s.path ? s.path.overshoots : ''],
+    ['Time to first move (s)', s => s.path ? (s.path.firstMoveMs / 1000).toFixed(1) : '']
+  ];
+
+  function readJson(key){
+    try { return JSON.parse(localStorage.getItem(key)); } catch(e){ return null; }
+  }
+
+  function storedAchievements(game){
+    const progress = readJson(game.storageKey('studentProgressData'));
+    return progress && Array.isArray(progress.achievements) ? progress.achievements : [];
+  }
+
+  function sessionKey(entry){
+    return [entry.gameId || DEFAULT_GAME, entry.seed || '', entry.startTime || '', entry.endTime || '', entry.totalTime || 0].join('|');
+  }
+
+  function replayCodes(history){
+    const codes = new Map();
+    history.forEach(s => {
+      if(!s.seed) return;
+      const k = (s.gameId || DEFAULT_GAME) + '|' + s.seed;
+      if(!codes.has(k)) codes.set(k, { code: s.seed, gameId: s.gameId || DEFAULT_GAME, plays: 0 });
+      codes.get(k).plays++;
+    });
+    return Array.from(codes.values());
+  }
+
+  function buildBundle(game){
+    const profile = window.DSG.profiles ? window.DSG.profiles.active() : null;
+    const history = game.sessionHistory.map(entry => {
+      const { recording, hasRecording, id, ...rest } = entry;
+      return rest;
+    });
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { name: profile ? profile.name : 'Default' },
+      history,
+      achievements: storedAchievements(game),
+      settings: {
+        game: { ...game.settings },
+        session: readJson(game.storageKey('giocoSessionConfig')),
+        input: readJson(game.storageKey('inputConfig'))
+      },
+      replayCodes: replayCodes(history)
+    };
+  }
+
+  function csvCell(value){
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function sessionsToCsv(sessions){
+    const rows = [CSV_COLUMNS.map(c => c[0])];
+    sessions.forEach(s => rows.push(CSV_COLUMNS.map(c => c[1](s))));
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function isObject(value){ return value !== null && typeof value === 'object' && !Array.isArray(value); }
+
+  // Session replay codes, activity codes (MAZE-, PATH-), layout codes and playlist codes, in their stored form
+  function isKnownCode(code){
+    if(typeof code !== 'string' || !/^[A-Za-z0-9_-]{1,2000}$/.test(code)) return false;
+    const layouts = window.DSG.customLayouts;
+    const playlists = window.DSG.playlists;
+    if(window.ReplayCode && window.ReplayCode.decode(code)) return true;
+    if(window.MiniGames && window.MiniGames.ownerOf(code)) return true;
+    if(layouts && layouts.isCode(code)) return !!layouts.decode(code).layout;
+    return !!(playlists && /^PLAY-/i.test(code) && playlists.decode(code).playlist);
+  }
+
+  function parseBundle(text){
+    const errors = [];
+    let bundle = null;
+    try { bundle = JSON.parse(text); }
+    catch(e){ return { bundle: null, errors: ['The file is not valid JSON.'] }; }
+    if(!isObject(bundle) || bundle.format !== FORMAT) return { bundle: null, errors: ['This is not a progress export from this game.'] };
+    if(!Number.isInteger(bundle.version) || bundle.version < 1) errors.push('The export has no valid version number.');
+    else if(bundle.version > VERSION) errors.push(`The export was made by a newer version of the game (format ${bundle.version}); update this copy first.`);
+    if(!Array.isArray(bundle.history)) errors.push('The export has no session history list.');
+    else bundle.history.forEach((s, i) => {
+      if(!isObject(s)) { errors.push(`Session ${i + 1} is not an object.`); return; }
+      if(typeof s.totalTime !== 'number' || !isFinite(s.totalTime)) errors.push(`Session ${i + 1} has no valid time.`);
+      if(typeof (s.endTime || s.startTime) !== 'number') errors.push(`Session ${i + 1} has no valid date.`);
+      if(s.seed != null && s.seed !== '' && !isKnownCode(s.seed)) errors.push(`Session ${i + 1} has an invalid replay code.`);
+      if(s.gameId != null && typeof s.gameId !== 'string') errors.push(`Session ${i + 1} has an invalid activity.`);
+      if(s.config != null && !isObject(s.config)) errors.push(`Session ${i + 1} has an invalid setup.`);
+      if(s.path != null && !isObject(s.path)) errors.push(`Session ${i + 1} has invalid path measurements.`);
+    });
+    if(bundle.achievements != null && !Array.isArray(bundle.achievements)) errors.push('Achievements must be a list.');
+    else (bundle.achievements || []).forEach((a, i) => { if(!isObject(a) || !a.id) errors.push(`Achievement ${i + 1} has no id.`); });
+    if(bundle.settings != null && !isObject(bundle.settings)) errors.push('Settings must be an object.');
+    // A broken file can fail every session; list the first few problems only
+    return { bundle: errors.length ? null : bundle, errors: errors.slice(0, 10).concat(errors.length > 10 ? [`…and ${errors.length - 10} more problems.`] : []) };
+  }
+
+  function previewImport(game, bundle){
+    const known = new Set(game.sessionHistory.map(sessionKey));
+    const newSessions = [];
+    let duplicates = 0;
+    bundle.history.forEach(s => {
+      const k = sessionKey(s);
+      if(known.has(k)) { duplicates++; return; }
+      known.add(k);
+      newSessions.push(s);
+    });
+    newSessions.sort((a, b) => (a.endTime || a.startTime) - (b.endTime || b.startTime));
+    const haveAchievements = new Set(storedAchievements(game).map(a => a.id));
+    const newAchievements = (bundle.achievements || []).filter(a => !haveAchievements.has(a.id));
+    const settings = isObject(bundle.settings) && (bundle.settings.game || bundle.settings.session || bundle.settings.input) ? bundle.settings : null;
+    return {
+      profileName: bundle.profile && bundle.profile.name ? String(bundle.profile.name) : '',
+      exportedAt: bundle.exportedAt || null,
+      newSessions,
+      duplicates,
+      newAchievements,
+      settings
+    };
+  }
+
+  async function applyImport(game, preview, options = {}){
+    const store = window.DSG.historyStore;
+    const key = game.storageKey('giocoSessionHistory');
+    for(const s of preview.newSessions){
+      const { recording, hasRecording, id, ...entry } = s;
+      if(store) await store.add(key, entry);
+      else game.sessionHistory.push(entry);
+    }
+    const tracker = window.progressTracker;
+    if(preview.newAchievements.length && tracker && tracker.progressData){
+      // The tracker holds the profile's progress data in memory; merge there so its next save keeps them
+      tracker.progressData.achievements = tracker.progressData.achievements.concat(preview.newAchievements);
+      tracker.saveProgressData();
+    } else if(preview.newAchievements.length){
+      const progressKey = game.storageKey('studentProgressData');
+      const progress = readJson(progressKey) || { version: '1.0', created: Date.now(), sessions: [], achievements: [] };
+      progress.achievements = (progress.achievements || []).concat(preview.newAchievements);
+      progress.lastUpdated = Date.now();
+      localStorage.setItem(progressKey, JSON.stringify(progress));
+    }
+    const applySettings = !!(options.includeSettings && preview.settings);
+    if(applySettings){
+      const { game: gameSettings, session, input } = preview.settings;
+      if(isObject(gameSettings)) localStorage.setItem(game.storageKey('directionalSkillsSettings'), JSON.stringify(gameSettings));
+      if(isObject(session)) localStorage.setItem(game.storageKey('giocoSessionConfig'), JSON.stringify(session));
+      if(isObject(input)) localStorage.setItem(game.storageKey('inputConfig'), JSON.stringify(input));
+    }
+    return { sessions: preview.newSessions.length, achievements: preview.newAchievements.length, settings: applySettings };
+  }
+
+  function download(filename, text, mimeType){
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportFilename(game, extension){
+    const profile = window.DSG.profiles ? window.DSG.profiles.active() : null;
+    const slug = (profile ? profile.name : 'default').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    return `gioco-progress-${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.dataTransfer = { FORMAT, VERSION, buildBundle, sessionsToCsv, parseBundle, sessionKey, previewImport, applyImport, download, exportFilename };
+})();
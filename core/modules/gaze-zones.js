@@ -0,0 +1,118 @@
+/**
+ * Gaze zones: the dwell-activation zones around the edge of the game canvas for eye-gaze / head-pointer play.
+ *
+ * Responsibilities:
+ *  - Lay out one zone per direction along the canvas edges: top, bottom, left and right bands, diagonals in the
+ *    corners, the middle left free for looking at the game (zonesFor, zoneAt)
+ *  - Smooth raw pointer positions into a steadier gaze point (smooth)
+ *  - Draw the zones on the game canvas, with the one being dwelt on filling up and the active one highlighted, plus
+ *    the gaze point and its dwell radius (drawOverlay)
+ *
+ * Design notes:
+ *  - The dwelling itself (timer, dwell radius, hold-to-move) lives in EyeGazeInput (input-manager.js); this module is
+ *    geometry and drawing only, like DSG.switchScan is for switch scanning.
+ *  - Zone ids are DSG.switchScan item ids, so the movement updater turns game.gazeDirection into a heading with
+ *    DSG.switchScan.vectorFor, and the recorder stores it ('g') like the held switch item.
+ *  - Zones are sized from the canvas (ZONE_FRACTION of its shorter side, within ZONE_MIN..ZONE_MAX px) so they stay
+ *    big enough to dwell on after a resize without covering the play area.
+ *
+ * Exports (window.DSG.gazeZones):
+ *  ZONE_FRACTION, ZONE_MIN, ZONE_MAX
+ *  zonesFor(width, height) -> zone[]   { id, x, y, w, h }
+ *  zoneAt(width, height, x, y) -> zone id | null
+ *  smooth(previous, raw, smoothing) -> { x, y }
+ *  drawOverlay(game, ctx, gaze)
+ */
+(function(){
+  const ZONE_FRACTION = 0.18;
+  const ZONE_MIN = 60;
+  const ZONE_MAX = 160;
+
+  function depthFor(width, height){
+    return Math.max(ZONE_MIN, Math.min(ZONE_MAX, Math.round(Math.min(width, height) * ZONE_FRACTION)));
+  }
+
+  function zonesFor(width, height){
+    const d = Math.min(depthFor(width, height), Math.floor(width / 3), Math.floor(height / 3));
+    const midW = width - d * 2, midH = height - d * 2;
+    return [
+      { id: 'up-left', x: 0, y: 0, w: d, h: d },
+      { id: 'up', x: d, y: 0, w: midW, h: d },
+      { id: 'up-right', x: width - d, y: 0, w: d, h: d },
+      { id: 'left', x: 0, y: d, w: d, h: midH },
+      { id: 'right', x: width - d, y: d, w: d, h: midH },
+      { id: 'down-left', x: 0, y: height - d, w: d, h: d },
+      { id: 'down', x: d, y: height - d, w: midW, h: d },
+      { id: 'down-right', x: width - d, y: height - d, w: d, h: d }
+    ];
+  }
+
+  function zoneAt(width, height, x, y){
+    if(x < 0 || y < 0 || x >= width || y >= height) return null;
+    const zone = zonesFor(width, height).find(z => x >= z.x && x < z.x + z.w && y >= z.y && y < z.y + z.h);
+    return zone ? zone.id : null;
+  }
+
+  // Exponential smoothing: smoothing is the share of the previous point kept (0 = raw pointer, 0.9 = very steady)
+  function smooth(previous, raw, smoothing){
+    const s = Math.max(0, Math.min(0.95, Number(smoothing) || 0));
+    if(!previous) return { x: raw.x, y: raw.y };
+    return { x: previous.x * s + raw.x * (1 - s), y: previous.y * s + raw.y * (1 - s) };
+  }
+
+  function symbolFor(id){
+    const items = window.DSG && window.DSG.switchScan ? window.DSG.switchScan.ITEMS : null;
+    return items && items[id] ? items[id].symbol : '';
+  }
+
+  // gaze: EyeGazeInput.gazeState() while playing live; null during playback (only the active zone is shown)
+  function drawOverlay(game, ctx, gaze){
+    const canvas = game.canvas;
+    const active = gaze ? gaze.active : game.gazeDirection;
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 28px Arial';
+    zonesFor(canvas.width, canvas.height).forEach(z => {
+      const isActive = z.id === active;
+      const dwelling = gaze && !isActive && z.id === gaze.zone ? gaze.progress : 0;
+      ctx.fillStyle = isActive ? 'rgba(0, 161, 82, 0.35)' : 'rgba(52, 152, 219, 0.08)';
+      ctx.fillRect(z.x, z.y, z.w, z.h);
+      if(dwelling > 0){
+        // Fills from the outer edge inwards as the dwell time runs
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.3)';
+        const horizontal = z.id === 'left' || z.id === 'right';
+        const fromEnd = horizontal ? z.id === 'right' : z.id.indexOf('down') === 0;
+        if(horizontal){
+          const w = z.w * dwelling;
+          ctx.fillRect(fromEnd ? z.x + z.w - w : z.x, z.y, w, z.h);
+        } else {
+          const h = z.h * dwelling;
+          ctx.fillRect(z.x, fromEnd ? z.y + z.h - h : z.y, z.w, h);
+        }
+      }
+      ctx.strokeStyle = isActive ? '#00a152' : 'rgba(44, 62, 80, 0.25)';
+      ctx.lineWidth = isActive ? 3 : 1;
+      ctx.strokeRect(z.x + 0.5, z.y + 0.5, z.w - 1, z.h - 1);
+      ctx.fillStyle = isActive ? '#00a152' : 'rgba(44, 62, 80, 0.45)';
+      ctx.fillText(symbolFor(z.id), z.x + z.w / 2, z.y + z.h / 2);
+    });
+    if(gaze && gaze.x !== null && gaze.cursorVisible){
+      ctx.strokeStyle = 'rgba(44, 62, 80, 0.35)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.arc(gaze.x, gaze.y, gaze.radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#8e44ad';
+      ctx.beginPath();
+      ctx.arc(gaze.x, gaze.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.gazeZones = { ZONE_FRACTION, ZONE_MIN, ZONE_MAX, zonesFor, zoneAt, smooth, drawOverlay };
+})();
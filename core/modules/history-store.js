@@ -0,0 +1,177 @@
+/**
+ * Session history store.
+ *
+ * Responsibilities:
+ *  - Persist every finished session (no count cap) in IndexedDB, one partition per history key (load / add / clear)
+ *  - Keep input recordings in their own object store so loading a long history does not load every recording
+ *    (getRecording fetches one on demand for Watch)
+ *  - Move entries saved by older versions from the localStorage history key into IndexedDB on first load (migration)
+ *  - Fall back to the localStorage list when IndexedDB is unavailable (private browsing, file:// in some browsers)
+ *
+ * Storage format:
+ *  IndexedDB 'gioco' v1
+ *   sessions   { id (auto), profile, hasRecording, ...history entry }  index 'profile'
+ *   recordings { id (= session id), recording }
+ *  The partition ('profile') is the history key from DSG.profiles.key('giocoSessionHistory'), so each student
+ *  profile has its own history and the fallback can use the very same string as its localStorage key.
+ *
+ * Design notes:
+ *  - All calls return promises; the game keeps the loaded summaries in memory (game.sessionHistory) so stats,
+ *    personal bests and paging stay synchronous.
+ *  - Ids increase with insertion and migration inserts oldest-first, so id order is chronological order.
+ *  - Migration removes the localStorage list only after the IndexedDB transaction has committed.
+ *  - The fallback has no count cap either; when the quota is hit it drops recordings, then the oldest entries.
+ *
+ * Exports (window.DSG.historyStore):
+ *  backend() -> Promise<'indexeddb' | 'localStorage'>
+ *  load(key) -> Promise<entry[]>           oldest first, recordings left out (entry.hasRecording)
+ *  add(key, entry) -> Promise<entry>       the stored summary (with id) to keep in memory
+ *  getRecording(key, entry) -> Promise<recording | null>
+ *  clear(key) -> Promise
+ */
+(function(){
+  const DB_NAME = 'gioco';
+  const DB_VERSION = 1;
+  let backendPromise = null;
+
+  function request(req){
+    return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+  }
+  function complete(tx){
+    return new Promise((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = tx.onabort = () => reject(tx.error); });
+  }
+
+  function openDatabase(){
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true }).createIndex('profile', 'profile');
+        db.createObjectStore('recordings', { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+  }
+
+  function open(){
+    if(!backendPromise){
+      backendPromise = new Promise((resolve, reject) => {
+        if(typeof indexedDB === 'undefined' || !indexedDB) { reject(new Error('IndexedDB not supported')); return; }
+        openDatabase().then(resolve, reject);
+      }).then(db => ({ type: 'indexeddb', db }), error => {
+        console.warn('Session history: IndexedDB unavailable, using localStorage', error);
+        return { type: 'localStorage', db: null };
+      });
+    }
+    return backendPromise;
+  }
+
+  function backend(){ return open().then(b => b.type); }
+
+  // --- localStorage list (fallback backend and migration source) ---
+  function readLocal(key){
+    try {
+      const list = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(list) ? list : [];
+    } catch(e){
+      console.warn('Failed to read session history:', e);
+      return [];
+    }
+  }
+
+  function writeLocal(key, list){
+    try { localStorage.setItem(key, JSON.stringify(list)); return; }
+    catch(quotaError){
+      // Recordings are the bulk of the payload; drop them oldest-first, then the oldest entries, until the list fits
+      const trimmed = list.map(entry => ({ ...entry }));
+      for(const entry of trimmed){
+        if(!entry.recording) continue;
+        delete entry.recording;
+        entry.hasRecording = false;
+        try { localStorage.setItem(key, JSON.stringify(trimmed)); return; } catch(e){ /* keep trimming */ }
+      }
+      while(trimmed.length > 1){
+        trimmed.shift();
+        try { localStorage.setItem(key, JSON.stringify(trimmed)); return; } catch(e){ /* keep trimming */ }
+      }
+      throw quotaError;
+    }
+  }
+
+  // --- IndexedDB ---
+  function putEntry(tx, key, entry){
+    const { recording, id, hasRecording, ...summary } = entry;
+    const req = tx.objectStore('sessions').add({ ...summary, hasRecording: !!recording, profile: key });
+    if(recording) req.onsuccess = () => tx.objectStore('recordings').put({ id: req.result, recording });
+    return req;
+  }
+
+  async function migrate(db, key){
+    const legacy = readLocal(key);
+    if(!legacy.length) return;
+    const tx = db.transaction(['sessions', 'recordings'], 'readwrite');
+    legacy.forEach(entry => putEntry(tx, key, entry));
+    await complete(tx);
+    localStorage.removeItem(key);
+  }
+
+  function withoutPartition({ profile, ...entry }){ return entry; }
+
+  async function load(key){
+    const b = await open();
+    if(b.type !== 'indexeddb') return readLocal(key).map(entry => ({ ...entry, hasRecording: !!entry.recording }));
+    try { await migrate(b.db, key); }
+    catch(e){ console.warn('Session history migration failed; the localStorage copy is kept for the next attempt', e); }
+    const rows = await request(b.db.transaction('sessions', 'readonly').objectStore('sessions').index('profile').getAll(key));
+    return rows.map(withoutPartition);
+  }
+
+  async function add(key, entry){
+    const b = await open();
+    if(b.type !== 'indexeddb'){
+      const list = readLocal(key);
+      const last = list.length ? list[list.length - 1].id : 0;
+      const stored = { ...entry, id: (typeof last === 'number' ? last : list.length) + 1, hasRecording: !!entry.recording };
+      list.push(stored);
+      writeLocal(key, list);
+      return stored;
+    }
+    const tx = b.db.transaction(['sessions', 'recordings'], 'readwrite');
+    const req = putEntry(tx, key, entry);
+    await complete(tx);
+    const { recording, ...summary } = entry;
+    return { ...summary, id: req.result, hasRecording: !!recording };
+  }
+
+  async function getRecording(key, entry){
+    if(!entry) return null;
+    if(entry.recording) return entry.recording;
+    if(!entry.hasRecording) return null;
+    const b = await open();
+    if(b.type !== 'indexeddb'){
+      const stored = readLocal(key).find(e => e.id === entry.id);
+      return (stored && stored.recording) || null;
+    }
+    const row = await request(b.db.transaction('recordings', 'readonly').objectStore('recordings').get(entry.id));
+    return row ? row.recording : null;
+  }
+
+  async function clear(key){
+    const b = await open();
+    try { localStorage.removeItem(key); } catch(e){}
+    if(b.type !== 'indexeddb') return;
+    const tx = b.db.transaction(['sessions', 'recordings'], 'readwrite');
+    // Delete from the success callback (not after an await) so the transaction is still active
+    const keysReq = tx.objectStore('sessions').index('profile').getAllKeys(key);
+    keysReq.onsuccess = () => keysReq.result.forEach(id => {
+      tx.objectStore('sessions').delete(id);
+      tx.objectStore('recordings').delete(id);
+    });
+    await complete(tx);
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.historyStore = { backend, load, add, getRecording, clear };
+})();
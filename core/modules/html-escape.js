@@ -0,0 +1,24 @@
+/**
+ * HTML escaping for markup built from strings (innerHTML templates).
+ *
+ * Responsibilities:
+ *  - Escape text before it goes into element content or a quoted attribute value (escapeHtml)
+ *
+ * Design notes:
+ *  - One helper for every module and scene that renders lists from stored or imported data (names, replay codes,
+ *    labels), so a change to what is escaped happens in one place. Loaded before the other modules.
+ *  - null / undefined become an empty string; anything else goes through String().
+ *
+ * Exports (window.DSG):
+ *  escapeHtml(text) -> string
+ */
+(function(){
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  function escapeHtml(text){
+    return String(text == null ? '' : text).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.escapeHtml = escapeHtml;
+})();
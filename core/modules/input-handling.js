@@ -2,7 +2,8 @@
  * Input handling abstraction.
  *
  * Responsibilities:
- *  - Normalize keyboard & mouse input into high level movement / control intents.
+ *  - Normalize keyboard & mouse input into high level movement / control intents, using the profile's key bindings
+ *    (DSG.keyBindings).
  *  - Start session timing upon first movement while in 'ready' state.
  *  - Manage pause / resume / help / fullscreen shortcuts.
  *  - Provide thin wrapper to wire global document listeners (wireDocumentKeyboard).
@@ -10,49 +11,82 @@
  * Design notes:
  *  - All handlers receive the game instance (no hidden globals) for testability.
  *  - Movement abstraction supports configurable inputMethod (continuous vs mouse).
+ *  - Bound movement keys set the arrow codes in game.keys (DSG.keyBindings.press), whatever the physical key; the
+ *    command shortcuts ignore Ctrl / Alt / Meta so browser and emergency shortcuts pass through.
+ *  - With filter keys or sticky movement on (KeyboardInput), raw presses of bound keys are ignored here
+ *    (ownedByBridge): the input bridge calls these handlers again with the presses the filter accepted, marked
+ *    `filtered`. A released sticky direction (`latchReleased`) also stops continuous movement.
+ *  - While switch scanning is active the switch keys (Space / F1, Enter / F2) belong to SwitchInput, so they do not
+ *    pause or open help as well (ownedByBridge).
  *  - Defers actual timed session start to sessionTiming module (beginTimedSession).
+ *  - Movement intents are marked on the session recording (DSG.recorder); during playback all live input is
+ *    routed to DSG.playback instead.
  *
  * Exports (window.DSG.input):
  *  handleKeyDown(game, event)
  *  handleKeyUp(game, event)
+ *  ownedByBridge(game, event) -> boolean
  *  handleMovementInput(game, keyCode)
  *  handleMouseClick(game, mouseEvent)
  *  wireDocumentKeyboard(game)
  */
 (function(){
   function handleKeyDown(game,e){
-    game.keys[e.code] = true;
-    switch(e.code){
-      case 'Space':
+    // Playback owns the keyboard (play/pause, skip, exit) and replays recorded key state itself
+    if(game.playback){ if(window.DSG.playback) window.DSG.playback.handleKey(game,e); return; }
+    const bindings = keyBindings();
+    if(!bindings || bindings.belongsToControl(e)) return;
+    if(ownedByBridge(game,e)){ e.preventDefault(); return; }
+    const dir = bindings.press(game, game.keys, e.code, true);
+    const command = dir || e.ctrlKey || e.altKey || e.metaKey ? null : bindings.actionFor(game, e.code);
+    switch(command){
+      case 'pause':
         e.preventDefault();
         const pauseModal = document.getElementById('pause-modal');
         if(pauseModal && pauseModal.open){ game.hidePauseModal(); game.resumeGame(); }
         else { game.togglePlayPause(); }
         break;
-      case 'Escape':
+      case 'menu':
         e.preventDefault();
         const pm = document.getElementById('pause-modal');
         if(pm && pm.open){ game.hidePauseModal(); game.returnToMainMenu(); }
         else if(game.gameState==='playing'){ game.pauseGame(); setTimeout(()=>game.showPauseModal(),100); }
         else if(game.gameState==='paused'){ game.showPauseModal(); }
         break;
-      case 'F1': e.preventDefault(); game.openHelp(); break;
-      case 'F11': e.preventDefault(); game.toggleFullscreen(); break;
+      case 'help': e.preventDefault(); game.openHelp(); break;
+      case 'fullscreen': e.preventDefault(); game.toggleFullscreen(); break;
     }
-    if(game.gameState==='playing' || game.gameState==='ready'){
+    if(dir && (game.gameState==='playing' || game.gameState==='ready')){
       handleMovementInput(game,e.code);
     }
   }
-  function handleKeyUp(game,e){ game.keys[e.code] = false; }
+  function handleKeyUp(game,e){
+    if(game.playback || !keyBindings() || ownedByBridge(game,e)) return;
+    const dir = keyBindings().press(game, game.keys, e.code, false);
+    // Continuous movement carries on after a key is let go, except when sticky movement releases its direction
+    if(dir && e.latchReleased && game.sessionConfig.inputMethod==='continuous' && game.player.continuousDirection===dir){
+      game.player.continuousDirection = null;
+      game.player.isMoving = false;
+    }
+  }
+  // A raw key event the input bridge handles instead: a switch press while scanning, or a bound key KeyboardInput's
+  // filter keys / sticky movement will decide on (and hand back)
+  function ownedByBridge(game,e){
+    const bindings = keyBindings();
+    const bridge = game.inputBridge;
+    if(!e || e.filtered || !bindings || !bridge || typeof bridge.isKeyboardFiltered !== 'function' || bindings.belongsToControl(e)) return false;
+    if(typeof bridge.isSwitchKey === 'function' && bridge.isSwitchKey(e.code)) return true;
+    return bridge.isKeyboardFiltered() && !!bindings.actionFor(game, e.code);
+  }
   function handleMovementInput(game,keyCode){
-    const map={ArrowUp:'up',ArrowDown:'down',ArrowLeft:'left',ArrowRight:'right',KeyW:'up',KeyS:'down',KeyA:'left',KeyD:'right'};
-    const dir = map[keyCode];
+    const dir = keyBindings() ? keyBindings().directionFor(game, keyCode) : null;
     if(!dir) return;
     if(game.gameState==='ready') beginTimedSession(game); // start timer
+    if(window.DSG.recorder) window.DSG.recorder.mark(game,'mv',dir);
     if(game.sessionConfig.inputMethod==='continuous') game.setContinuousDirection(dir);
   }
   function handleMouseClick(game,e){
-    if(game.sessionConfig.inputMethod!=='mouse' || (game.gameState!=='playing' && game.gameState!=='ready')) return;
+    if(game.playback || game.sessionConfig.inputMethod!=='mouse' || (game.gameState!=='playing' && game.gameState!=='ready')) return;
     if(game.gameState==='ready') beginTimedSession(game);
     const rect = game.canvas.getBoundingClientRect();
     game.player.targetX = e.clientX - rect.left;
@@ -64,7 +98,8 @@
     document.addEventListener('keydown', e=>handleKeyDown(game,e));
     document.addEventListener('keyup', e=>handleKeyUp(game,e));
   }
-  window.DSG = window.DSG || {}; window.DSG.input = { handleKeyDown, handleKeyUp, handleMovementInput, handleMouseClick, wireDocumentKeyboard };
+  window.DSG = window.DSG || {}; window.DSG.input = { handleKeyDown, handleKeyUp, ownedByBridge, handleMovementInput, handleMouseClick, wireDocumentKeyboard };
   // dependencies across modules
+  function keyBindings(){ return window.DSG && window.DSG.keyBindings; }
   function beginTimedSession(game){ if(window.DSG && window.DSG.sessionTiming) window.DSG.sessionTiming.beginTimedSession(game); }
 })();
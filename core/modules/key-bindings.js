@@ -0,0 +1,194 @@
+/**
+ * Keyboard bindings: which keys move the player and control the game.
+ *
+ * Responsibilities:
+ *  - Hold the one mapping table both keyboard paths read: the document keyboard handler (DSG.input) and the
+ *    Universal Input Manager's KeyboardInput (bridgeMappings)
+ *  - Keep the active profile's bindings (load / save) and the defaults they reset to
+ *  - Resolve a key press to its action or direction (actionFor, directionFor, press), leaving alone the keys a focused
+ *    control uses itself (belongsToControl)
+ *  - Check a table before it is saved: shared keys (conflictFor) and directions left without a key (validate)
+ *  - Name keys for people (keyLabel)
+ *
+ * Bindings value:
+ *  { [action id]: [KeyboardEvent.code, ...] } with up to SLOTS keys per action; a key belongs to one action only.
+ *
+ * Storage format:
+ *  inputConfig.keyboard.bindings (the Universal Input Manager's per-profile config); missing or null means defaults.
+ *
+ * Design notes:
+ *  - Movement keys drive both paths, as before: DSG.input keeps game.keys, the recording and the first-move timer,
+ *    KeyboardInput feeds the bridge's movement events. Every other action is handled by one path only: pause, pause
+ *    menu, help and full screen by DSG.input, start session and sound by KeyboardInput (actions with an `input`).
+ *  - game.keys only ever holds the four arrow codes (DIRECTION_KEYS), whichever keys are bound, so player movement and
+ *    the recorded key mask stay as they were and old recordings play back unchanged. press() keeps a direction held
+ *    while any of its keys is down.
+ *  - Tab stays with focus navigation and is never bound; the Alt+M / Ctrl+H emergency shortcuts are fixed.
+ *
+ * Exports (window.DSG.keyBindings):
+ *  ACTIONS, SLOTS, DIRECTION_KEYS
+ *  defaults() -> bindings
+ *  clean(bindings) -> bindings
+ *  canBind(code) -> boolean
+ *  conflictFor(bindings, code, actionId) -> action | null
+ *  validate(bindings) -> error message | null
+ *  keyLabel(code) -> string
+ *  load(game) -> bindings
+ *  save(game, bindings) -> bindings
+ *  refresh()
+ *  actionFor(game, code) -> action id | null
+ *  directionFor(game, code) -> 'up' | 'down' | 'left' | 'right' | null
+ *  press(game, keys, code, isDown) -> direction | null
+ *  belongsToControl(event) -> boolean
+ *  bridgeMappings(bindings) -> { [code]: KeyboardInput mapping }
+ */
+(function(){
+  const STORE_BASE = 'inputConfig';
+  const SLOTS = 2;
+  const ACTIONS = [
+    { id: 'up', label: 'Move up', group: 'Movement', defaults: ['ArrowUp', 'KeyW'], input: { type: 'movement', direction: 'up' } },
+    { id: 'down', label: 'Move down', group: 'Movement', defaults: ['ArrowDown', 'KeyS'], input: { type: 'movement', direction: 'down' } },
+    { id: 'left', label: 'Move left', group: 'Movement', defaults: ['ArrowLeft', 'KeyA'], input: { type: 'movement', direction: 'left' } },
+    { id: 'right', label: 'Move right', group: 'Movement', defaults: ['ArrowRight', 'KeyD'], input: { type: 'movement', direction: 'right' } },
+    { id: 'pause', label: 'Pause / resume', group: 'Game controls', defaults: ['Space'] },
+    { id: 'menu', label: 'Pause menu', group: 'Game controls', defaults: ['Escape'] },
+    { id: 'confirm', label: 'Start session', group: 'Game controls', defaults: ['Enter'], input: { type: 'action', action: 'confirm' } },
+    { id: 'help', label: 'Help', group: 'Game controls', defaults: ['F1', 'KeyH'] },
+    { id: 'mute', label: 'Sound on / off', group: 'Game controls', defaults: ['KeyM'], input: { type: 'interface', command: 'mute' } },
+    { id: 'fullscreen', label: 'Full screen', group: 'Game controls', defaults: ['F11'] }
+  ];
+  const DIRECTION_KEYS = { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+  // Focus navigation, the remapping screen's own keys and modifiers (which the shortcuts above rely on)
+  const UNBINDABLE = ['Tab', 'Escape', 'Backspace', 'Delete', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+    'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'OSLeft', 'OSRight', 'ContextMenu', 'CapsLock'];
+  const CODE_PATTERN = /^[A-Za-z0-9]{1,30}$/;
+  const KEY_NAMES = {
+    ArrowUp: 'Arrow Up', ArrowDown: 'Arrow Down', ArrowLeft: 'Arrow Left', ArrowRight: 'Arrow Right',
+    Space: 'Space', Enter: 'Enter', Escape: 'Escape', NumpadEnter: 'Numpad Enter', PageUp: 'Page Up', PageDown: 'Page Down',
+    BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+    Backslash: '\\', Backquote: '`', Minus: '-', Equal: '=', NumpadAdd: 'Numpad +', NumpadSubtract: 'Numpad -',
+    NumpadMultiply: 'Numpad *', NumpadDivide: 'Numpad /', NumpadDecimal: 'Numpad .'
+  };
+
+  let cache = null; // { key, bindings, byCode } for the profile last read
+  const held = new WeakMap(); // keys map -> Set of bound movement codes currently down
+
+  function defaults(){
+    const result = {};
+    ACTIONS.forEach(a => { result[a.id] = a.defaults.slice(); });
+    return result;
+  }
+
+  function clean(bindings){
+    const used = new Set();
+    const result = {};
+    ACTIONS.forEach(a => {
+      const saved = bindings && Array.isArray(bindings[a.id]) ? bindings[a.id] : a.defaults;
+      result[a.id] = [];
+      saved.forEach(code => {
+        if(result[a.id].length >= SLOTS || typeof code !== 'string' || !CODE_PATTERN.test(code) || code === 'Tab' || used.has(code)) return;
+        used.add(code);
+        result[a.id].push(code);
+      });
+    });
+    return result;
+  }
+
+  function canBind(code){ return typeof code === 'string' && CODE_PATTERN.test(code) && UNBINDABLE.indexOf(code) === -1; }
+
+  function conflictFor(bindings, code, actionId){
+    return ACTIONS.find(a => a.id !== actionId && (bindings[a.id] || []).indexOf(code) !== -1) || null;
+  }
+
+  function validate(bindings){
+    const missing = ACTIONS.find(a => a.input && a.input.type === 'movement' && !(bindings[a.id] || []).length);
+    return missing ? `Give "${missing.label}" at least one key.` : null;
+  }
+
+  function keyLabel(code){
+    if(!code) return 'Not set';
+    if(KEY_NAMES[code]) return KEY_NAMES[code];
+    let m = /^Key([A-Z])$/.exec(code);
+    if(m) return m[1];
+    m = /^(?:Digit|Numpad)(\d)$/.exec(code);
+    if(m) return code.indexOf('Numpad') === 0 ? 'Numpad ' + m[1] : m[1];
+    return code.replace(/([a-z])([A-Z0-9])/g, '$1 $2');
+  }
+
+  // --- persistence ---
+  function storageKey(game){ return game && game.storageKey ? game.storageKey(STORE_BASE) : STORE_BASE; }
+
+  function load(game){
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(game)));
+      return clean(saved && saved.keyboard ? saved.keyboard.bindings : null);
+    } catch(e){ return defaults(); }
+  }
+
+  function save(game, bindings){
+    const result = clean(bindings);
+    const bridge = game.inputBridge;
+    if(bridge && bridge.config && bridge.config.keyboard){
+      // The manager owns inputConfig; updating through it also rebuilds KeyboardInput's mappings
+      bridge.updateConfig('keyboard', { bindings: result });
+    } else {
+      try {
+        const saved = JSON.parse(localStorage.getItem(storageKey(game))) || {};
+        saved.keyboard = { ...(saved.keyboard || {}), bindings: result };
+        localStorage.setItem(storageKey(game), JSON.stringify(saved));
+      } catch(e){ console.warn('Failed to save key bindings:', e); }
+    }
+    refresh();
+    return result;
+  }
+
+  function refresh(){ cache = null; }
+
+  // --- lookups ---
+  function current(game){
+    const key = storageKey(game);
+    if(!cache || cache.key !== key){
+      const bindings = load(game);
+      const byCode = {};
+      ACTIONS.forEach(a => bindings[a.id].forEach(code => { byCode[code] = a.id; }));
+      cache = { key, bindings, byCode };
+    }
+    return cache;
+  }
+
+  function actionFor(game, code){ return current(game).byCode[code] || null; }
+
+  function directionFor(game, code){
+    const id = actionFor(game, code);
+    return DIRECTION_KEYS[id] ? id : null;
+  }
+
+  function press(game, keys, code, isDown){
+    const dir = directionFor(game, code);
+    if(!dir) return null;
+    let down = held.get(keys);
+    if(!down){ down = new Set(); held.set(keys, down); }
+    if(isDown) down.add(code); else down.delete(code);
+    keys[DIRECTION_KEYS[dir]] = current(game).bindings[dir].some(c => down.has(c));
+    return dir;
+  }
+
+  // Typing into text fields and selects, Space / Enter on buttons, links and checkboxes: bound letters must still type
+  function belongsToControl(e){
+    const el = e && e.target;
+    if(!el || !el.tagName) return false;
+    if(el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    if(el.tagName === 'INPUT' && !/^(checkbox|radio|range|button|submit|reset)$/i.test(el.type)) return true;
+    return /^(BUTTON|A|INPUT)$/.test(el.tagName) && /^(Space|Enter|NumpadEnter)$/.test(e.code);
+  }
+
+  function bridgeMappings(bindings){
+    const table = clean(bindings);
+    const mappings = {};
+    ACTIONS.forEach(a => { if(a.input) table[a.id].forEach(code => { mappings[code] = { ...a.input }; }); });
+    return mappings;
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.keyBindings = { ACTIONS, SLOTS, DIRECTION_KEYS, defaults, clean, canBind, conflictFor, validate, keyLabel, load, save, refresh, actionFor, directionFor, press, belongsToControl, bridgeMappings };
+})();
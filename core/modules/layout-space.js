@@ -0,0 +1,51 @@
+/**
+ * Normalized layout space (resolution-independent positioning).
+ *
+ * Responsibilities:
+ *  - Define the unit space (0..1 on each axis) that layouts are generated in.
+ *  - Project unit coordinates onto a canvas with aspect-aware pixel margins (fromUnit) and back (toUnit).
+ *  - Re-project pixel positions between two canvas sizes (reproject) so resize strategies keep relative placement.
+ *  - Provide a fixed reference frame so spacing / overlay checks during generation give identical
+ *    accept / reject decisions on every screen size.
+ *
+ * Design notes:
+ *  - Margins stay in pixels (object size + padding) and are applied per axis at projection time, so a target is
+ *    never clipped regardless of aspect ratio; the unit coordinate only decides where inside the safe area it sits.
+ *  - Pure functions; callers pass plain { width, height } dimensions (a canvas works as-is).
+ *
+ * Exports (window.DSG.layout):
+ *  REFERENCE: { width, height }
+ *  fromUnit(nx, ny, marginPx, dims): { x, y }
+ *  toUnit(x, y, marginPx, dims): { nx, ny }
+ *  reproject(x, y, marginPx, oldDims, newDims): { x, y }
+ *  toReference(nx, ny, marginPx): { x, y }
+ */
+(function(){
+  // Generation decisions (spacing, player distance, overlay avoidance) are made in this frame
+  const REFERENCE = { width: 1200, height: 800 };
+
+  function clampUnit(n){ return n < 0 ? 0 : (n > 1 ? 1 : n); }
+  function span(length, marginPx){ return Math.max(0, length - 2 * marginPx); }
+
+  function fromUnit(nx, ny, marginPx, dims){
+    return {
+      x: marginPx + clampUnit(nx) * span(dims.width, marginPx),
+      y: marginPx + clampUnit(ny) * span(dims.height, marginPx)
+    };
+  }
+  function toUnit(x, y, marginPx, dims){
+    const sw = span(dims.width, marginPx), sh = span(dims.height, marginPx);
+    return {
+      nx: sw > 0 ? clampUnit((x - marginPx) / sw) : 0.5,
+      ny: sh > 0 ? clampUnit((y - marginPx) / sh) : 0.5
+    };
+  }
+  function reproject(x, y, marginPx, oldDims, newDims){
+    const u = toUnit(x, y, marginPx, oldDims);
+    return fromUnit(u.nx, u.ny, marginPx, newDims);
+  }
+  function toReference(nx, ny, marginPx){ return fromUnit(nx, ny, marginPx, REFERENCE); }
+
+  window.DSG = window.DSG || {};
+  window.DSG.layout = { REFERENCE, fromUnit, toUnit, reproject, toReference };
+})();
@@ -0,0 +1,182 @@
+/**
+ * Movement efficiency / path analytics for a directional session.
+ *
+ * Responsibilities:
+ *  - Note when the session becomes ready (ready) and when the first movement starts the timer (begin), giving the
+ *    time to first move
+ *  - Follow the player every simulation step (step): distance moved, direction changes, idle stretches and
+ *    overshoots (getting close to a collectable target, then moving away from it without collecting it)
+ *  - Close a path segment at every collection (collected): the distance moved since the previous collection against
+ *    the straight line between the two points
+ *  - Hand back the metrics for the history entry (finish) and turn them into results / history text (describe,
+ *    summary)
+ *
+ * Metrics (stored as session.path):
+ *  { pathLength, optimalLength, efficiency, directionChanges, idleMs, overshoots, firstMoveMs, segments }
+ *  Lengths are canvas pixels; efficiency is optimal / moved over the collection segments (0-100, null when nothing
+ *  was collected).
+ *
+ * Design notes:
+ *  - Driven from DSG.simulation.step (after movement, before collisions) and DSG.collision, so the live loop and
+ *    the headless runner measure the same way; inert while a playback re-runs a session (game.playback).
+ *  - A canvas resize re-projects the player; the jump is not counted as movement.
+ *  - Direction changes compare the heading of successive stretches of travel one player width long, turning by
+ *    more than TURN_ANGLE; alternating two keys (a staircase) or stick jitter is not a string of turns.
+ *  - Idle only counts stretches of at least IDLE_MIN_MS without movement.
+ *
+ * Exports (window.DSG.pathAnalytics):
+ *  ready(game)
+ *  begin(game)
+ *  step(game, dt)
+ *  collected(game, target)
+ *  finish(game) -> metrics | null
+ *  describe(metrics) -> [{ icon, text }]
+ *  summary(metrics) -> string
+ */
+(function(){
+  const MOVE_EPSILON = 0.01;   // px per step below which the player counts as still
+  const TURN_ANGLE = Math.PI / 4;
+  const IDLE_MIN_MS = 500;
+
+  function clock(game){ return window.DSG.sessionTiming ? window.DSG.sessionTiming.now(game) : Date.now(); }
+  function tracking(game){ return !!(game && game._path && game._path.started && !game.playback); }
+
+  function ready(game){
+    if(game.playback) return;
+    game._path = { readyAt: clock(game), started: false };
+  }
+
+  function begin(game){
+    if(game.playback) return;
+    const now = clock(game);
+    const readyAt = game._path && game._path.readyAt != null ? game._path.readyAt : now;
+    game._path = {
+      readyAt, started: true, firstMoveMs: Math.max(0, now - readyAt),
+      x: game.player.x, y: game.player.y, w: game.canvas.width, h: game.canvas.height,
+      segmentX: game.player.x, segmentY: game.player.y, segmentLength: 0,
+      pathLength: 0, segmentPath: 0, optimalLength: 0, segments: 0,
+      heading: null, legX: 0, legY: 0, directionChanges: 0,
+      stillMs: 0, idleMs: 0, movedThisStep: false,
+      near: new Set(), overshoots: 0
+    };
+  }
+
+  // Distance moved since the last sample (idempotent within a step)
+  function sample(game){
+    const p = game._path;
+    if(game.canvas.width !== p.w || game.canvas.height !== p.h){
+      p.w = game.canvas.width; p.h = game.canvas.height;
+      p.x = game.player.x; p.y = game.player.y;
+      p.segmentX = p.x; p.segmentY = p.y;
+      return;
+    }
+    const dx = game.player.x - p.x, dy = game.player.y - p.y;
+    const dist = Math.hypot(dx, dy);
+    if(dist < MOVE_EPSILON) return;
+    p.pathLength += dist;
+    p.segmentLength += dist;
+    p.movedThisStep = true;
+    p.x = game.player.x; p.y = game.player.y;
+    // Heading of the last stretch of travel (one player width), not of single steps
+    p.legX += dx; p.legY += dy;
+    if(Math.hypot(p.legX, p.legY) < game.player.size) return;
+    const heading = Math.atan2(p.legY, p.legX);
+    p.legX = 0; p.legY = 0;
+    if(p.heading !== null && Math.abs(Math.atan2(Math.sin(heading - p.heading), Math.cos(heading - p.heading))) > TURN_ANGLE) p.directionChanges++;
+    p.heading = heading;
+  }
+
+  // Targets the player should be heading for: anything but hazards, and in ordered sessions only the next one
+  function collectable(game){
+    const next = window.DSG.collision ? window.DSG.collision.nextInSequence(game) : null;
+    return game.targets.filter(t => t.type !== 'hazard' && (typeof t.sequenceIndex !== 'number' || t === next));
+  }
+
+  function trackOvershoots(game, prevX, prevY){
+    const p = game._path;
+    const targets = collectable(game);
+    p.near.forEach(t => { if(!game.targets.includes(t)) p.near.delete(t); });
+    targets.forEach(t => {
+      const radius = t.size + game.player.size * 2;
+      const dist = Math.hypot(t.x - game.player.x, t.y - game.player.y);
+      if(dist < radius) { p.near.add(t); return; }
+      // Left the approach zone: an overshoot only if the player's own movement took it away
+      if(p.near.has(t)){
+        p.near.delete(t);
+        if(dist > Math.hypot(t.x - prevX, t.y - prevY)) p.overshoots++;
+      }
+    });
+  }
+
+  function step(game, dt){
+    if(!tracking(game) || game.gameState !== 'playing') return;
+    const p = game._path;
+    const prevX = p.x, prevY = p.y;
+    sample(game);
+    if(p.movedThisStep){
+      if(p.stillMs >= IDLE_MIN_MS) p.idleMs += p.stillMs;
+      p.stillMs = 0;
+    } else {
+      p.stillMs += dt * 1000;
+    }
+    p.movedThisStep = false;
+    trackOvershoots(game, prevX, prevY);
+  }
+
+  function collected(game, target){
+    if(!tracking(game) || target.type === 'hazard') return;
+    const p = game._path;
+    sample(game);
+    p.near.delete(target);
+    p.optimalLength += Math.hypot(game.player.x - p.segmentX, game.player.y - p.segmentY);
+    p.segmentPath += p.segmentLength;
+    p.segments++;
+    p.segmentLength = 0;
+    p.segmentX = game.player.x; p.segmentY = game.player.y;
+  }
+
+  function finish(game){
+    if(!tracking(game)) return null;
+    const p = game._path;
+    game._path = null;
+    const idleMs = p.idleMs + (p.stillMs >= IDLE_MIN_MS ? p.stillMs : 0);
+    return {
+      pathLength: Math.round(p.pathLength),
+      optimalLength: Math.round(p.optimalLength),
+      efficiency: p.segmentPath > 0 ? Math.min(100, Math.round(p.optimalLength / p.segmentPath * 100)) : null,
+      directionChanges: p.directionChanges,
+      idleMs: Math.round(idleMs),
+      overshoots: p.overshoots,
+      firstMoveMs: Math.round(p.firstMoveMs),
+      segments: p.segments
+    };
+  }
+
+  function seconds(ms){ return `${(ms / 1000).toFixed(1)}s`; }
+  function plural(n, word, many){ return `${n} ${n === 1 ? word : (many || word + 's')}`; }
+
+  function describe(m){
+    if(!m) return [];
+    const lines = [];
+    if(m.efficiency !== null) lines.push({ icon: '📐', text: `Path efficiency ${m.efficiency}% (straight-line distance ÷ distance moved)` });
+    lines.push({ icon: '↪️', text: plural(m.directionChanges, 'direction change') });
+    if(m.overshoots > 0) lines.push({ icon: '🎯', text: `${plural(m.overshoots, 'overshoot')} near targets` });
+    if(m.idleMs > 0) lines.push({ icon: '⏸️', text: `Idle for ${seconds(m.idleMs)}` });
+    lines.push({ icon: '🚦', text: `First move after ${seconds(m.firstMoveMs)}` });
+    return lines;
+  }
+
+  function summary(m){
+    if(!m) return '';
+    const parts = [];
+    if(m.efficiency !== null) parts.push(`Path ${m.efficiency}%`);
+    parts.push(plural(m.directionChanges, 'turn'));
+    if(m.overshoots > 0) parts.push(plural(m.overshoots, 'overshoot'));
+    if(m.idleMs > 0) parts.push(`idle ${seconds(m.idleMs)}`);
+    parts.push(`first move ${seconds(m.firstMoveMs)}`);
+    return parts.join(' · ');
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.pathAnalytics = { ready, begin, step, collected, finish, describe, summary };
+})();
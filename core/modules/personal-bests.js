@@ -0,0 +1,184 @@
+/**
+ * Personal bests per configuration.
+ *
+ * Responsibilities:
+ *  - Reduce a session's setup to the options that change how hard it is (normalizeConfig) and key sessions by it
+ *    (configKey): target mix, target size, player speed, input method (with the scan setup for switch scanning),
+ *    dwell, boundaries, sequence order and any hand-made layout for directional practice; the replay code for other activities (their codes encode the whole
+ *    setup)
+ *  - Keep a persistent record per configuration (best time, runs, total time for the average) for the active
+ *    profile (giocoPersonalBests) and update it as sessions finish (record)
+ *  - Turn a finished session's comparison into the results-banner message (describe)
+ *  - Render the per-configuration leaderboard in the Progress & History modal (render)
+ *
+ * Storage format:
+ *  giocoPersonalBests = { version: 1, records: { [configKey]: { key, gameId, label, bestTime, bestAt, bestSeed,
+ *                                                                runs, totalTime, lastAt } } }
+ *
+ * Design notes:
+ *  - The records are derived from the session history; sync rebuilds them whenever the number of completed
+ *    sessions they cover does not match the loaded history (first run, import, clear, another tab).
+ *  - record() returns the record as it was before the session, so a run is never compared with itself.
+ *  - Cosmetic options (trail, feedback, calm mode) are left out of the key: they do not change the challenge.
+ *
+ * Exports (window.DSG.personalBests):
+ *  normalizeConfig(config) -> object
+ *  configKey(session) -> string
+ *  configLabel(session) -> string
+ *  load(game) -> { [key]: record }
+ *  sync(game) -> boolean                   true when the records were rebuilt
+ *  record(game, entry) -> { key, previous, current, firstForActivity } | null
+ *  describe(result, time) -> { isRecord, message }
+ *  leaderboard(game) -> record[]           most recently played first
+ *  render(game)
+ */
+(function(){
+  const STORE_BASE = 'giocoPersonalBests';
+  const VERSION = 1;
+  const DEFAULT_GAME = 'directional-practice';
+  const GOOD_RUN_RATIO = 1.1; // within 10% of the average counts as a good run
+  const INPUT_LABELS = { discrete: 'Discrete (step)', continuous: 'Continuous', mouse: 'Mouse / touch', joystick: 'Joystick', cursor: 'Cursor follow', switch: 'Switch', gaze: 'Eye gaze / head pointer' };
+
+  function completed(s){ return !!(s && s.completed && typeof s.totalTime === 'number'); }
+  function gameOf(s){ return s.gameId || DEFAULT_GAME; }
+  function keyedByConfig(s){ return gameOf(s) === DEFAULT_GAME && !!(s.config && s.config.targetCounts); }
+
+  function normalizeConfig(config){
+    const c = config || {}, counts = c.targetCounts || {}, types = c.dwellTimes || {};
+    const normalized = {
+      targetCounts: { stationary: counts.stationary || 0, moving: counts.moving || 0, flee: counts.flee || 0, bonus: counts.bonus || 0, hazard: counts.hazard || 0 },
+      targetSize: c.targetSize || 'medium',
+      playerSpeed: Number(c.playerSpeed) || 3,
+      inputMethod: c.inputMethod || 'discrete',
+      dwell: c.dwellMode ? {
+        time: c.dwellTime || 1000,
+        grace: c.dwellGrace || 0,
+        decay: !!c.dwellDecay,
+        types: { stationary: types.stationary || null, moving: types.moving || null, bonus: types.bonus || null }
+      } : null,
+      boundaries: c.boundaries || 'none',
+      sequenceMode: c.sequenceMode || 'off'
+    };
+    // Only present for hand-made layouts, so keys of generated layouts stay as they were
+    if(c.customLayout) normalized.layout = c.customLayout;
+    // Likewise only for switch scanning: what is scanned and how fast changes the challenge
+    if(normalized.inputMethod === 'switch' && window.DSG && window.DSG.switchScan){
+      const scan = window.DSG.switchScan.optionsFrom(c);
+      normalized.switchScan = { set: scan.set, pattern: scan.pattern, mode: scan.mode, speed: scan.mode !== 'step' ? scan.speed : null };
+    }
+    return normalized;
+  }
+
+  function configKey(s){
+    if(!keyedByConfig(s)) return gameOf(s) + '|' + (s.seed || '');
+    return DEFAULT_GAME + '|' + JSON.stringify(normalizeConfig(s.config));
+  }
+
+  function configLabel(s){
+    if(!keyedByConfig(s)){
+      const game = window.MiniGames && window.MiniGames.get(gameOf(s));
+      return `${game ? game.name : gameOf(s)} · ${s.seed || 'no code'}`;
+    }
+    const c = normalizeConfig(s.config), counts = c.targetCounts;
+    const core = counts.stationary + counts.moving + counts.flee;
+    const parts = [`${core} targets`, c.targetSize, INPUT_LABELS[c.inputMethod] || c.inputMethod, `speed ${c.playerSpeed}`];
+    if(counts.bonus) parts.push(`${counts.bonus} bonus`);
+    if(counts.hazard) parts.push(`${counts.hazard} hazard`);
+    if(c.dwell) parts.push(`dwell ${(c.dwell.time / 1000).toFixed(1)}s`);
+    if(c.boundaries !== 'none') parts.push(`${c.boundaries} walls`);
+    if(c.sequenceMode !== 'off') parts.push(c.sequenceMode === 'letters' ? 'A-B-C order' : '1-2-3 order');
+    if(c.layout) parts.push('custom layout');
+    if(c.switchScan) parts.push(window.DSG.switchScan.describe(c.switchScan));
+    return parts.join(' · ');
+  }
+
+  // --- persistence ---
+  function storageKey(game){ return game.storageKey(STORE_BASE); }
+
+  function load(game){
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(game)));
+      return saved && saved.version === VERSION && saved.records ? saved.records : {};
+    } catch(e){ return {}; }
+  }
+
+  function save(game, records){
+    try { localStorage.setItem(storageKey(game), JSON.stringify({ version: VERSION, records })); }
+    catch(e){ console.warn('Failed to save personal bests:', e); }
+  }
+
+  function addSession(records, s){
+    const key = configKey(s);
+    const at = s.endTime || s.startTime || 0;
+    const r = records[key] || { key, gameId: gameOf(s), label: configLabel(s), bestTime: Infinity, bestAt: 0, bestSeed: null, runs: 0, totalTime: 0, lastAt: 0 };
+    if(s.totalTime < r.bestTime) { r.bestTime = s.totalTime; r.bestAt = at; r.bestSeed = s.seed || null; }
+    r.runs++;
+    r.totalTime += s.totalTime;
+    r.lastAt = Math.max(r.lastAt, at);
+    records[key] = r;
+    return r;
+  }
+
+  function sync(game){
+    const sessions = (game.sessionHistory || []).filter(completed);
+    const records = load(game);
+    const covered = Object.keys(records).reduce((sum, k) => sum + (records[k].runs || 0), 0);
+    if(covered === sessions.length) return false;
+    const rebuilt = {};
+    sessions.forEach(s => addSession(rebuilt, s));
+    save(game, rebuilt);
+    return true;
+  }
+
+  function record(game, entry){
+    if(!completed(entry)) return null;
+    const records = load(game);
+    const key = configKey(entry);
+    const previous = records[key] ? { ...records[key] } : null;
+    const firstForActivity = !Object.keys(records).some(k => records[k].gameId === gameOf(entry));
+    const current = addSession(records, entry);
+    save(game, records);
+    return { key, previous, current: { ...current }, firstForActivity };
+  }
+
+  function describe(result, time){
+    if(!result) return { isRecord: false, message: '' };
+    if(result.firstForActivity) return { isRecord: true, message: '🎉 First completion!' };
+    const previous = result.previous;
+    if(!previous) return { isRecord: true, message: '🆕 New challenge completed!' };
+    if(time < previous.bestTime) return { isRecord: true, message: '🏆 New Personal Best!' };
+    if(time < previous.totalTime / previous.runs * GOOD_RUN_RATIO) return { isRecord: true, message: '📈 Great performance!' };
+    return { isRecord: false, message: '' };
+  }
+
+  function leaderboard(game){
+    const records = load(game);
+    return Object.keys(records).map(k => records[k]).sort((a, b) => b.lastAt - a.lastAt);
+  }
+
+  // --- stats modal ---
+  const escapeHtml = window.DSG.escapeHtml;
+
+  function render(game){
+    const container = document.getElementById('personal-bests-table');
+    if(!container) return;
+    const rows = leaderboard(game);
+    const currentKey = configKey({ gameId: DEFAULT_GAME, config: game.sessionConfig });
+    const summary = document.getElementById('personal-bests-summary');
+    if(summary) summary.textContent = rows.length
+      ? `${rows.length} setup${rows.length === 1 ? '' : 's'} played. Times are only compared between runs with the same setup.`
+      : 'Complete a session to record a personal best.';
+    if(!rows.length) { container.innerHTML = ''; return; }
+    const format = ms => game.formatTime(ms);
+    container.innerHTML = '<table class="chart-table personal-bests-table"><thead><tr>' +
+      ['Setup', 'Best', 'Average', 'Runs', 'Last played'].map(h => `<th scope="col">${h}</th>`).join('') + '</tr></thead><tbody>' +
+      rows.map(r => {
+        const current = r.key === currentKey;
+        return `<tr${current ? ' class="current"' : ''}><th scope="row">${escapeHtml(r.label)}${current ? ' <span class="personal-best-current">(current setup)</span>' : ''}</th>` +
+          `<td>${format(r.bestTime)}</td><td>${format(r.totalTime / r.runs)}</td><td>${r.runs}</td><td>${new Date(r.lastAt).toLocaleDateString()}</td></tr>`;
+      }).join('') + '</tbody></table>';
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.personalBests = { normalizeConfig, configKey, configLabel, load, sync, record, describe, leaderboard, render };
+})();
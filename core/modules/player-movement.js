@@ -0,0 +1,197 @@
+/**
+ * Player movement updaters (one per input method).
+ *
+ * Responsibilities:
+ *  - Advance the player by one simulation step from the current input state (updatePlayerMovement)
+ *  - Per-method updaters: held keys (discrete), latched direction (continuous), click-to-move, analog joystick,
+ *    cursor follow, held switch scanning item (switch), gaze zone being looked at (gaze)
+ *  - Keep the player inside the canvas and extend the trail when it moves (addToTrail); draw the trail (drawTrail),
+ *    also for activities that move their own player with these updaters (path tracing)
+ *
+ * Design notes:
+ *  - Reads only plain game state (keys, player, cursorX / cursorY, joystickState, switchDirection, gazeDirection,
+ *    canvas size) so the same code runs in the browser, during playback and in the headless runner (tools/headless).
+ *  - Speeds are px/s scaled by dt; PLAYER_SPEED_SCALE px/s per playerSpeed unit.
+ *  - Movement updaters call DSG.collision.checkCollisions with dt = 0 (overlap only); dwell advances once per step
+ *    from the simulation step itself.
+ *
+ * Exports (window.DSG.movement):
+ *  PLAYER_SPEED_SCALE: number
+ *  playerStep(game, dt) -> number (px)
+ *  updatePlayerMovement(game, dt)
+ *  updateDiscreteMovement(game, dt)
+ *  updateContinuousMovement(game, dt)
+ *  updateClickToMove(game, dt)
+ *  updateJoystickMovement(game, dt)
+ *  updateCursorFollowMovement(game)
+ *  updateSwitchMovement(game, dt)
+ *  updateGazeMovement(game, dt)
+ *  addToTrail(game, x, y)
+ *  drawTrail(game, ctx, player?)
+ */
+(function(){
+  const PLAYER_SPEED_SCALE = 120; // 2px per 60Hz frame per playerSpeed unit, as before the fixed-step loop
+  const MAX_TRAIL_LENGTH = 15;
+
+  function playerStep(game, dt){
+    return game.sessionConfig.playerSpeed * (game.playerSpeedScale || PLAYER_SPEED_SCALE) * dt;
+  }
+
+  function clampToCanvas(game){
+    const p = game.player;
+    p.x = Math.max(p.size, Math.min(game.canvas.width - p.size, p.x));
+    p.y = Math.max(p.size, Math.min(game.canvas.height - p.size, p.y));
+  }
+
+  function checkOverlap(game){
+    if(window.DSG.collision) window.DSG.collision.checkCollisions(game, 0);
+  }
+
+  // Timestamps come from the session clock (DSG.sessionTiming.now), so headless runs fade the trail in simulated time
+  function addToTrail(game, x, y){
+    const timestamp = window.DSG.sessionTiming ? window.DSG.sessionTiming.now(game) : Date.now();
+    game.player.trail.push({ x, y, timestamp });
+    if(game.player.trail.length > MAX_TRAIL_LENGTH) game.player.trail.shift();
+  }
+
+  // player: { trail } to draw (default game.player); game.settings.reducedMotion hides trails
+  function drawTrail(game, ctx, player){
+    const trail = (player || game.player).trail;
+    if((game.settings && game.settings.reducedMotion) || trail.length < 2) return;
+    ctx.strokeStyle = 'rgba(52, 152, 219, 0.3)';
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    trail.forEach((point, i) => { if(i === 0) ctx.moveTo(point.x, point.y); else ctx.lineTo(point.x, point.y); });
+    ctx.stroke();
+  }
+
+  // Handle traditional press-and-hold movement
+  function updateDiscreteMovement(game, dt){
+    const speed = playerStep(game, dt);
+    const keys = game.keys, p = game.player;
+    const oldX = p.x, oldY = p.y;
+    let moved = false;
+    if(keys['ArrowUp'] || keys['KeyW']){ p.y -= speed; moved = true; }
+    if(keys['ArrowDown'] || keys['KeyS']){ p.y += speed; moved = true; }
+    if(keys['ArrowLeft'] || keys['KeyA']){ p.x -= speed; moved = true; }
+    if(keys['ArrowRight'] || keys['KeyD']){ p.x += speed; moved = true; }
+    if(!moved) return;
+    clampToCanvas(game);
+    if(oldX !== p.x || oldY !== p.y) addToTrail(game, oldX, oldY);
+    checkOverlap(game);
+  }
+
+  function updateContinuousMovement(game, dt){
+    const p = game.player;
+    if(!p.isMoving || !p.continuousDirection) return;
+    const speed = playerStep(game, dt);
+    const oldX = p.x, oldY = p.y;
+    switch(p.continuousDirection){
+      case 'up': p.y -= speed; break;
+      case 'down': p.y += speed; break;
+      case 'left': p.x -= speed; break;
+      case 'right': p.x += speed; break;
+    }
+    clampToCanvas(game);
+    if(oldX !== p.x || oldY !== p.y) addToTrail(game, oldX, oldY);
+    checkOverlap(game);
+  }
+
+  function updateClickToMove(game, dt){
+    const p = game.player;
+    if(p.targetX === null || p.targetY === null) return;
+    const speed = playerStep(game, dt);
+    const dx = p.targetX - p.x, dy = p.targetY - p.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const oldX = p.x, oldY = p.y;
+    if(distance < speed){
+      // Close enough, snap to target
+      p.x = p.targetX; p.y = p.targetY;
+      p.targetX = null; p.targetY = null;
+    } else {
+      p.x += (dx / distance) * speed;
+      p.y += (dy / distance) * speed;
+      clampToCanvas(game);
+    }
+    addToTrail(game, oldX, oldY);
+    checkOverlap(game);
+  }
+
+  // Analog stick: speed proportional to deflection, same playerSpeed scale as the other methods
+  function updateJoystickMovement(game, dt){
+    if(!game.joystickState) return;
+    const { directionVector, intensity } = game.joystickState;
+    if(!directionVector || intensity === 0) return;
+    const p = game.player;
+    const speed = playerStep(game, dt) * intensity;
+    const oldX = p.x, oldY = p.y;
+    p.x += directionVector.x * speed;
+    p.y += directionVector.y * speed;
+    clampToCanvas(game);
+    // Direction indicator follows the primary axis
+    if(Math.abs(directionVector.x) > Math.abs(directionVector.y)) game.lastDirection = directionVector.x > 0 ? 'right' : 'left';
+    else game.lastDirection = directionVector.y > 0 ? 'down' : 'up';
+    if(oldX !== p.x || oldY !== p.y) addToTrail(game, oldX, oldY);
+  }
+
+  // Cursor follow (Optima joystick, head trackers, eye gaze): player sits on the cursor 1:1
+  function updateCursorFollowMovement(game){
+    if(game.cursorX === null || game.cursorY === null) return;
+    const p = game.player;
+    const oldX = p.x, oldY = p.y;
+    p.x = game.cursorX; p.y = game.cursorY;
+    clampToCanvas(game);
+    const dx = p.x - oldX, dy = p.y - oldY;
+    const moved = Math.abs(dx) > 0.5 || Math.abs(dy) > 0.5;
+    // Start timing on the first cursor position, not the first movement (dwell users may hold still)
+    if(game.gameState === 'ready' && window.DSG.sessionTiming) window.DSG.sessionTiming.beginTimedSession(game);
+    if(moved){
+      if(Math.abs(dx) > Math.abs(dy)) game.lastDirection = dx > 0 ? 'right' : 'left';
+      else game.lastDirection = dy > 0 ? 'down' : 'up';
+      addToTrail(game, oldX, oldY);
+    }
+    checkOverlap(game);
+  }
+
+  // Full speed along a direction item's heading (DSG.switchScan); "nearest" stops on its target
+  function moveAlongItem(game, dt, id){
+    const scan = window.DSG.switchScan;
+    const heading = id && scan ? scan.vectorFor(game, id) : null;
+    if(!heading) return;
+    const p = game.player;
+    const speed = heading.distance !== undefined ? Math.min(playerStep(game, dt), heading.distance) : playerStep(game, dt);
+    const oldX = p.x, oldY = p.y;
+    p.x += heading.x * speed;
+    p.y += heading.y * speed;
+    clampToCanvas(game);
+    if(Math.abs(heading.x) > Math.abs(heading.y)) game.lastDirection = heading.x > 0 ? 'right' : 'left';
+    else game.lastDirection = heading.y > 0 ? 'down' : 'up';
+    if(oldX !== p.x || oldY !== p.y) addToTrail(game, oldX, oldY);
+    checkOverlap(game);
+  }
+
+  function updateSwitchMovement(game, dt){ moveAlongItem(game, dt, game.switchDirection); }
+
+  // Eye gaze / head pointer: the edge zone being dwelt on (DSG.gazeZones) names the direction
+  function updateGazeMovement(game, dt){ moveAlongItem(game, dt, game.gazeDirection); }
+
+  function updatePlayerMovement(game, dt){
+    switch(game.sessionConfig.inputMethod){
+      case 'continuous': updateContinuousMovement(game, dt); break;
+      case 'discrete': updateDiscreteMovement(game, dt); break;
+      case 'mouse': updateClickToMove(game, dt); break;
+      case 'joystick': updateJoystickMovement(game, dt); break;
+      case 'cursor': updateCursorFollowMovement(game); break;
+      case 'switch': updateSwitchMovement(game, dt); break;
+      case 'gaze': updateGazeMovement(game, dt); break;
+    }
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.movement = {
+    PLAYER_SPEED_SCALE, playerStep, updatePlayerMovement,
+    updateDiscreteMovement, updateContinuousMovement, updateClickToMove, updateJoystickMovement, updateCursorFollowMovement,
+    updateSwitchMovement, updateGazeMovement, addToTrail, drawTrail
+  };
+})();
@@ -0,0 +1,362 @@
+/**
+ * Teacher-authored session playlists.
+ *
+ * Responsibilities:
+ *  - Keep the active profile's saved playlists (giocoPlaylists): an ordered list of replay codes, each with an
+ *    optional rest break and instructions shown before it (load, save, upsert, remove)
+ *  - Pack a playlist into one shareable playlist code and read it back, checking every replay code (encode, decode)
+ *  - Run a playlist back to back (start): a break screen with the instructions and rest countdown before each
+ *    session, the sessions themselves through game.playReplayCode, then a combined results summary
+ *  - Claim the sessions it started as they finish (owns, sessionFinished) so the regular results modal is skipped
+ *
+ * Storage format:
+ *  giocoPlaylists = { version: 1, playlists: [{ id, name, items: [{ code, rest, note }] }] }
+ *  rest is in seconds (0 = no break); note is free text shown before the session.
+ *
+ * Playlist code:
+ *  'PLAY-' + base64url(UTF-8 JSON { v: 1, n: name, i: [[code, rest, note]] }) + one base-36 checksum character.
+ *
+ * Design notes:
+ *  - Replay codes already carry a whole setup (and the layout), so a playlist only stores codes; "add the current
+ *    setup" turns the session form into a code with a fresh layout.
+ *  - Layout codes (DSG.customLayouts) are accepted as sessions too; they take the rest of their setup from the
+ *    device that plays them.
+ *  - Playing a code replaces game.sessionConfig (as Play Replay Code does); the teacher's setup is put back when
+ *    the playlist ends or is stopped.
+ *  - A run only claims the session it launched (same replay code); finishing anything else ends the run, so
+ *    leaving a playlist half way never hijacks a later session's results.
+ *
+ * Accessibility:
+ *  - The break screen and summary are a modal dialog (#playlist-run-modal); Escape stops the playlist.
+ *  - The rest countdown is not a live region; the end of a break and the summary are announced once.
+ *
+ * Exports (window.DSG.playlists):
+ *  PREFIX: string
+ *  MAX_ITEMS: number
+ *  isReplayCode(code) -> boolean
+ *  describeCode(code) -> string
+ *  encode(playlist) -> string
+ *  decode(code) -> { playlist, error }
+ *  load(game) -> playlist[]
+ *  save(game, playlists)
+ *  upsert(game, playlist) -> playlist
+ *  remove(game, id)
+ *  currentSetupCode(game) -> string
+ *  start(game, playlist)
+ *  next(game)                              start the session the break screen is waiting for
+ *  skipRest(game)
+ *  stop(game, quiet?)                      quiet: end the run without returning to the menu
+ *  again(game) / close(game)               summary buttons
+ *  cancel(game)                            Escape on the run modal
+ *  owns(game, entry) -> boolean
+ *  sessionFinished(game, entry)
+ */
+(function(){
+  const STORE_BASE = 'giocoPlaylists';
+  const VERSION = 1;
+  const PREFIX = 'PLAY-';
+  const MAX_ITEMS = 20;
+  const MAX_NOTE = 300;
+  const MAX_NAME = 60;
+  const MAX_REST = 600;
+  const DEFAULT_GAME = 'directional-practice';
+
+  // --- replay codes ---
+  function ownerOf(code){
+    return window.MiniGames ? window.MiniGames.ownerOf(code) : null;
+  }
+
+  function isReplayCode(code){
+    if(typeof code !== 'string' || !code.trim()) return false;
+    const layouts = window.DSG.customLayouts;
+    if(layouts && layouts.isCode(code)) return !!layouts.configFor(code);
+    return !!(ownerOf(code.trim()) || (window.ReplayCode && window.ReplayCode.decode(code.trim())));
+  }
+
+  function describeCode(code){
+    const owner = ownerOf(code);
+    const bests = window.DSG.personalBests;
+    const layouts = window.DSG.customLayouts;
+    const layout = layouts && layouts.isCode(code) ? layouts.decode(code).layout : null;
+    if(layout) return `Custom layout · ${layouts.describe(layout)}`;
+    if(owner && owner.id !== DEFAULT_GAME) return bests ? bests.configLabel({ gameId: owner.id, seed: code }) : `${owner.name} · ${code}`;
+    const config = window.ReplayCode ? window.ReplayCode.decode(code) : null;
+    if(!config) return code;
+    return bests ? bests.configLabel({ gameId: DEFAULT_GAME, config }) : 'Directional practice';
+  }
+
+  // --- playlist values ---
+  function clean(playlist){
+    const items = (Array.isArray(playlist.items) ? playlist.items : []).slice(0, MAX_ITEMS).map(item => ({
+      code: String(item.code || '').trim(),
+      rest: Math.max(0, Math.min(MAX_REST, Math.round(Number(item.rest) || 0))),
+      note: String(item.note || '').slice(0, MAX_NOTE)
+    }));
+    return { id: playlist.id || null, name: String(playlist.name || '').trim().slice(0, MAX_NAME) || 'Untitled playlist', items };
+  }
+
+  // --- playlist code ---
+  function toBase64Url(text){
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text){
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+  }
+
+  function checkChar(body){
+    let sum = 0;
+    for(let i = 0; i < body.length; i++) sum = (sum + body.charCodeAt(i) * (i % 7 + 1)) % 36;
+    return sum.toString(36).toUpperCase();
+  }
+
+  function encode(playlist){
+    const p = clean(playlist);
+    const body = toBase64Url(JSON.stringify({ v: VERSION, n: p.name, i: p.items.map(item => [item.code, item.rest, item.note]) }));
+    return PREFIX + body + checkChar(body);
+  }
+
+  function decode(code){
+    const s = String(code || '').trim();
+    if(s.toUpperCase().indexOf(PREFIX) !== 0 || s.length < PREFIX.length + 2) return { playlist: null, error: 'Playlist codes start with PLAY-.' };
+    const body = s.slice(PREFIX.length, -1);
+    if(checkChar(body) !== s.slice(-1).toUpperCase()) return { playlist: null, error: 'This playlist code is incomplete or has a typing mistake.' };
+    let data;
+    try { data = JSON.parse(fromBase64Url(body)); } catch(e){ return { playlist: null, error: 'This playlist code could not be read.' }; }
+    if(!data || !Array.isArray(data.i)) return { playlist: null, error: 'This playlist code could not be read.' };
+    if(data.v > VERSION) return { playlist: null, error: 'This playlist was made by a newer version of the game.' };
+    const playlist = clean({ name: data.n, items: data.i.map(row => Array.isArray(row) ? { code: row[0], rest: row[1], note: row[2] } : {}) });
+    const bad = playlist.items.findIndex(item => !isReplayCode(item.code));
+    if(!playlist.items.length) return { playlist: null, error: 'This playlist has no sessions.' };
+    if(bad >= 0) return { playlist: null, error: `Session ${bad + 1} in this playlist has an invalid replay code.` };
+    return { playlist, error: null };
+  }
+
+  // --- persistence ---
+  function storageKey(game){ return game.storageKey(STORE_BASE); }
+
+  function load(game){
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(game)));
+      return saved && saved.version === VERSION && Array.isArray(saved.playlists) ? saved.playlists : [];
+    } catch(e){ return []; }
+  }
+
+  function save(game, playlists){
+    try { localStorage.setItem(storageKey(game), JSON.stringify({ version: VERSION, playlists })); }
+    catch(e){ console.warn('Failed to save playlists:', e); }
+  }
+
+  function upsert(game, playlist){
+    const playlists = load(game);
+    const p = clean(playlist);
+    if(!p.id) p.id = 'pl_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const index = playlists.findIndex(existing => existing.id === p.id);
+    if(index >= 0) playlists[index] = p; else playlists.push(p);
+    save(game, playlists);
+    return p;
+  }
+
+  function remove(game, id){ save(game, load(game).filter(p => p.id !== id)); }
+
+  function currentSetupCode(game){
+    return game.generateReplayCodeFromConfig({ ...game.sessionConfig, layoutSeed: window.ReplayCode.generateLayoutSeed() });
+  }
+
+  // --- running ---
+  function run(game){ return game.playlistRun || null; }
+
+  function element(id){ return document.getElementById(id); }
+
+  function clearRest(r){
+    if(r && r.restTimer) { clearInterval(r.restTimer); r.restTimer = null; }
+  }
+
+  function openRunModal(){
+    const modal = element('playlist-run-modal');
+    if(modal && !modal.open && typeof modal.showModal === 'function') modal.showModal();
+    return modal;
+  }
+
+  function closeRunModal(){
+    const modal = element('playlist-run-modal');
+    if(modal && modal.open) modal.close();
+  }
+
+  function start(game, playlist){
+    stop(game, true);
+    const p = clean(playlist);
+    if(!p.items.length) return;
+    game.playlistRun = { playlist: p, index: 0, results: [], expected: null, savedConfig: JSON.parse(JSON.stringify(game.sessionConfig)), restTimer: null };
+    showBreak(game);
+  }
+
+  function finishRun(game){
+    const r = run(game);
+    if(!r) return;
+    clearRest(r);
+    game.sessionConfig = r.savedConfig;
+    game.playlistRun = null;
+  }
+
+  function stop(game, quiet){
+    const r = run(game);
+    if(!r) return;
+    finishRun(game);
+    if(quiet) { closeRunModal(); return; }
+    toMenu(game);
+    game.announceToScreenReader(`Playlist ${r.playlist.name} stopped`);
+  }
+
+  function next(game){
+    const r = run(game);
+    if(!r) return;
+    clearRest(r);
+    closeRunModal();
+    const item = r.playlist.items[r.index];
+    r.expected = item.code;
+    game.playReplayCode(item.code);
+  }
+
+  function setButtons(mode){
+    const show = (id, visible) => { const el = element(id); if(el) el.hidden = !visible; };
+    show('playlist-start-next', mode === 'break');
+    show('playlist-skip-rest', mode === 'break');
+    show('playlist-stop', mode === 'break');
+    show('playlist-replay', mode === 'summary');
+    show('playlist-done', mode === 'summary');
+  }
+
+  function lastResultText(game, result){
+    if(!result) return '';
+    const targets = result.totalTargets ? ` · ${result.targetsCollected}/${result.totalTargets} targets` : '';
+    return `Last session: ${game.formatTime(result.totalTime)}${targets}`;
+  }
+
+  function showBreak(game){
+    const r = run(game);
+    const item = r.playlist.items[r.index];
+    // Nothing to show before the first session: start straight away
+    if(r.index === 0 && !item.note && !item.rest) { next(game); return; }
+    const modal = openRunModal();
+    if(!modal) { next(game); return; }
+    setButtons('break');
+    element('playlist-run-title').textContent = `${r.playlist.name}: session ${r.index + 1} of ${r.playlist.items.length}`;
+    element('playlist-run-last').textContent = lastResultText(game, r.results[r.results.length - 1]);
+    element('playlist-run-next').textContent = `Up next: ${describeCode(item.code)}`;
+    const note = element('playlist-run-note');
+    note.textContent = item.note;
+    note.hidden = !item.note;
+    element('playlist-run-summary').innerHTML = '';
+    const rest = element('playlist-run-rest');
+    const startBtn = element('playlist-start-next');
+    const skipBtn = element('playlist-skip-rest');
+    let remaining = item.rest;
+    const endRest = () => {
+      clearRest(r);
+      rest.hidden = true;
+      startBtn.disabled = false;
+      skipBtn.hidden = true;
+    };
+    if(remaining > 0){
+      rest.hidden = false;
+      rest.textContent = `Rest break: ${remaining}s`;
+      startBtn.disabled = true;
+      r.restTimer = setInterval(() => {
+        remaining--;
+        if(remaining > 0) { rest.textContent = `Rest break: ${remaining}s`; return; }
+        endRest();
+        game.announceToScreenReader('Break over. Start the next session when ready.');
+        startBtn.focus();
+      }, 1000);
+      r.endRest = endRest;
+    } else {
+      endRest();
+    }
+    game.announceToScreenReader(`Session ${r.index + 1} of ${r.playlist.items.length}. ${item.note || ''}${item.rest ? ` Rest for ${item.rest} seconds.` : ''}`);
+    (startBtn.disabled ? skipBtn : startBtn).focus();
+  }
+
+  const escapeHtml = window.DSG.escapeHtml;
+
+  function showSummary(game){
+    const r = run(game);
+    const playlist = r.playlist, results = r.results;
+    finishRun(game);
+    game.lastPlaylist = playlist;
+    const modal = openRunModal();
+    if(!modal) return;
+    setButtons('summary');
+    const total = results.reduce((sum, s) => sum + s.totalTime, 0);
+    const bonus = results.reduce((sum, s) => sum + s.bonusTargetsCollected, 0);
+    const hazards = results.reduce((sum, s) => sum + s.hazardTargetsHit, 0);
+    element('playlist-run-title').textContent = `${playlist.name}: complete`;
+    element('playlist-run-last').textContent = `${results.length} session${results.length === 1 ? '' : 's'} · total time ${game.formatTime(total)}` +
+      (bonus ? ` · ${bonus} bonus` : '') + (hazards ? ` · ${hazards} hazard${hazards === 1 ? '' : 's'} hit` : '');
+    element('playlist-run-next').textContent = '';
+    element('playlist-run-note').hidden = true;
+    element('playlist-run-rest').hidden = true;
+    element('playlist-run-summary').innerHTML = '<table class="chart-table playlist-summary-table"><caption class="sr-only">Results for each session in the playlist</caption><thead><tr>' +
+      ['#', 'Session', 'Time', 'Targets', 'Bonus', 'Hazards'].map(h => `<th scope="col">${h}</th>`).join('') + '</tr></thead><tbody>' +
+      results.map((s, i) => `<tr><td>${i + 1}</td><th scope="row">${escapeHtml(s.label)}</th><td>${game.formatTime(s.totalTime)}</td>` +
+        `<td>${s.totalTargets ? `${s.targetsCollected}/${s.totalTargets}` : s.targetsCollected}</td><td>${s.bonusTargetsCollected}</td><td>${s.hazardTargetsHit}</td></tr>`).join('') +
+      `</tbody><tfoot><tr><th scope="row" colspan="2">Total</th><td>${game.formatTime(total)}</td><td></td><td>${bonus}</td><td>${hazards}</td></tr></tfoot></table>`;
+    game.announceToScreenReader(`Playlist ${playlist.name} complete. ${results.length} sessions, total time ${game.formatTime(total)}.`);
+    const done = element('playlist-done');
+    if(done) done.focus();
+  }
+
+  function owns(game, entry){
+    const r = run(game);
+    // Activities report their code re-encoded from their setup, so compare case-insensitively
+    return !!(r && r.expected && entry && typeof entry.seed === 'string' && entry.seed.trim().toUpperCase() === r.expected.toUpperCase());
+  }
+
+  function sessionFinished(game, entry){
+    const r = run(game);
+    if(!r) return;
+    // A session the playlist did not start: the teacher has left the playlist
+    if(!owns(game, entry)) { finishRun(game); return; }
+    r.results.push({
+      code: entry.seed,
+      gameId: entry.gameId || DEFAULT_GAME,
+      label: describeCode(entry.seed),
+      totalTime: entry.totalTime,
+      targetsCollected: entry.targetsCollected || 0,
+      totalTargets: entry.totalTargets || 0,
+      bonusTargetsCollected: entry.bonusTargetsCollected || 0,
+      hazardTargetsHit: entry.hazardTargetsHit || 0
+    });
+    r.expected = null;
+    r.index++;
+    if(r.index < r.playlist.items.length) showBreak(game);
+    else showSummary(game);
+  }
+
+  function skipRest(game){
+    const r = run(game);
+    if(r && r.endRest) r.endRest();
+    const startBtn = element('playlist-start-next');
+    if(startBtn) startBtn.focus();
+  }
+
+  function toMenu(game){
+    closeRunModal();
+    game.showMainMenu();
+    try { if(window.sceneManager) window.sceneManager.switch('menu'); } catch(e) {}
+  }
+
+  // Summary buttons: play the finished playlist again, or close it
+  function again(game){ if(game.lastPlaylist) start(game, game.lastPlaylist); }
+  function close(game){ toMenu(game); }
+
+  // Escape on the run modal: stops a running playlist; after the summary it just closes
+  function cancel(game){ if(run(game)) stop(game); else close(game); }
+
+  window.DSG = window.DSG || {};
+  window.DSG.playlists = { PREFIX, MAX_ITEMS, isReplayCode, describeCode, encode, decode, load, save, upsert, remove, currentSetupCode, start, next, skipRest, stop, again, close, cancel, owns, sessionFinished };
+})();
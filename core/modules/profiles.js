@@ -0,0 +1,142 @@
+/**
+ * Student profiles.
+ *
+ * Responsibilities:
+ *  - Keep the list of profiles on this device and which one is active (giocoProfiles in localStorage)
+ *  - Map each stored preference / history key to the active profile's copy of it (key)
+ *  - Create (named or pseudonymous), rename and remove profiles; removing one deletes its stored data (including its
+ *    session history in DSG.historyStore)
+ *  - Tell listeners when the active profile changes so they reload everything from the new profile's keys
+ *
+ * Storage format:
+ *  giocoProfiles = { activeId, profiles: [{ id, name, createdAt }] }
+ *  Per-profile data lives under '<base key>::<profile id>' (e.g. giocoSessionHistory::p1x2y3). The built-in
+ *  'default' profile keeps the original unsuffixed keys, so history and settings saved before profiles existed
+ *  belong to it and nothing needs migrating.
+ *
+ * Design notes:
+ *  - Callers never hard-code a profile: every localStorage read/write of per-student data goes through key(base).
+ *  - Switching is synchronous; onChange listeners (game, progress tracker) re-read their keys in the same turn, so
+ *    nothing can save into the new profile with data loaded from the old one.
+ *  - The default profile cannot be removed (it owns the legacy data); it can be renamed.
+ *
+ * Exports (window.DSG.profiles):
+ *  DEFAULT_ID: string
+ *  SCOPED_KEYS: string[]
+ *  key(base) -> string
+ *  list() -> profile[]
+ *  active() -> profile
+ *  get(id) -> profile | null
+ *  create(name?) -> profile
+ *  rename(id, name) -> boolean
+ *  remove(id) -> boolean
+ *  switchTo(id) -> boolean
+ *  onChange(fn) -> unsubscribe()
+ */
+(function(){
+  const STORE_KEY = 'giocoProfiles';
+  const DEFAULT_ID = 'default';
+  const MAX_NAME_LENGTH = 40;
+  // Everything stored per student; remove() clears these for the deleted profile
+  const SCOPED_KEYS = [
+    'giocoSessionHistory', 'giocoSessionConfig', 'directionalSkillsSettings', 'inputConfig',
+    'studentProgressData', 'progressTrackerSettings', 'giocoPersonalBests',
+    'giocoPlaylists', 'giocoLayouts'
+  ];
+  const PSEUDONYM_ADJECTIVES = ['Blue', 'Bright', 'Calm', 'Gentle', 'Happy', 'Quick', 'Steady', 'Sunny'];
+  const PSEUDONYM_ANIMALS = ['Otter', 'Fox', 'Owl', 'Panda', 'Robin', 'Turtle', 'Koala', 'Dolphin'];
+
+  const listeners = new Set();
+  let state = null;
+
+  function defaultState(){
+    return { activeId: DEFAULT_ID, profiles: [{ id: DEFAULT_ID, name: 'Default', createdAt: 0 }] };
+  }
+
+  function load(){
+    if(state) return state;
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORE_KEY));
+      if(saved && Array.isArray(saved.profiles) && saved.profiles.length) state = saved;
+    } catch(e){ console.warn('Failed to load profiles:', e); }
+    if(!state) state = defaultState();
+    if(!state.profiles.some(p => p.id === DEFAULT_ID)) state.profiles.unshift(defaultState().profiles[0]);
+    if(!state.profiles.some(p => p.id === state.activeId)) state.activeId = DEFAULT_ID;
+    return state;
+  }
+
+  function save(){
+    try { localStorage.setItem(STORE_KEY, JSON.stringify(state)); }
+    catch(e){ console.warn('Failed to save profiles:', e); }
+  }
+
+  function keyFor(base, id){ return id === DEFAULT_ID ? base : base + '::' + id; }
+  function key(base){ return keyFor(base, load().activeId); }
+
+  function list(){ return load().profiles.slice(); }
+  function get(id){ return load().profiles.find(p => p.id === id) || null; }
+  function active(){ return get(load().activeId); }
+
+  function cleanName(name){ return String(name == null ? '' : name).replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH); }
+
+  // "Sunny Otter"-style names for students who should not be identified on a shared device
+  function pseudonym(){
+    const taken = new Set(load().profiles.map(p => p.name));
+    for(let i = 0; i < 20; i++){
+      const name = PSEUDONYM_ADJECTIVES[Math.floor(Math.random() * PSEUDONYM_ADJECTIVES.length)] + ' ' +
+        PSEUDONYM_ANIMALS[Math.floor(Math.random() * PSEUDONYM_ANIMALS.length)];
+      if(!taken.has(name)) return name;
+    }
+    return 'Student ' + load().profiles.length;
+  }
+
+  function create(name){
+    load();
+    const profile = {
+      id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: cleanName(name) || pseudonym(),
+      createdAt: Date.now()
+    };
+    state.profiles.push(profile);
+    save();
+    return profile;
+  }
+
+  function rename(id, name){
+    const profile = get(id);
+    const clean = cleanName(name);
+    if(!profile || !clean) return false;
+    profile.name = clean;
+    save();
+    return true;
+  }
+
+  function remove(id){
+    if(id === DEFAULT_ID || !get(id)) return false;
+    if(state.activeId === id) switchTo(DEFAULT_ID);
+    SCOPED_KEYS.forEach(base => { try { localStorage.removeItem(keyFor(base, id)); } catch(e){} });
+    // Session history lives in IndexedDB (DSG.historyStore) under the same key
+    if(window.DSG.historyStore) window.DSG.historyStore.clear(keyFor('giocoSessionHistory', id)).catch(e => console.warn('Failed to remove profile history:', e));
+    state.profiles = state.profiles.filter(p => p.id !== id);
+    save();
+    return true;
+  }
+
+  function switchTo(id){
+    const profile = get(id);
+    if(!profile) return false;
+    if(state.activeId === id) return true;
+    state.activeId = id;
+    save();
+    listeners.forEach(fn => { try { fn(profile); } catch(e){ console.warn('Profile listener error', e); } });
+    return true;
+  }
+
+  function onChange(fn){
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.profiles = { DEFAULT_ID, SCOPED_KEYS, key, list, active, get, create, rename, remove, switchTo, onChange };
+})();
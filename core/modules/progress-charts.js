@@ -0,0 +1,249 @@
+/**
+ * Progress charts for the Progress & History modal.
+ *
+ * Responsibilities:
+ *  - Group completed sessions into comparable challenges, keyed like the personal bests (DSG.personalBests.configKey):
+ *    one per directional-practice setup and one per replay code for other activities (seriesOptions / seriesSessions)
+ *  - Summarise the data the charts show: completion times, bonus / hazard counts, times per input method
+ *  - Draw the three charts on their canvases (render) with a data table and a plain-language summary beside each,
+ *    e.g. "Times improved 18% over the last 5 sessions." (trendSummary)
+ *
+ * Accessibility:
+ *  - Canvases are role="img" and described by the summary paragraph; the <details> data table carries the numbers.
+ *  - Colours come from the page's CSS variables, so high-contrast themes apply to the charts too.
+ *
+ * Design notes:
+ *  - Only drawn while the stats modal is open (canvas size comes from layout); updateStatsModal calls render.
+ *  - The trend compares the mean of the latest sessions (up to TREND_WINDOW) with the same number before them,
+ *    so one unusually fast or slow run does not flip the message.
+ *
+ * Exports (window.DSG.progressCharts):
+ *  TREND_WINDOW: number
+ *  seriesKey(session) -> string
+ *  seriesOptions(history) -> [{ key, label, count }]
+ *  seriesSessions(history, key) -> session[]
+ *  trendSummary(values, noun, lowerIsBetter) -> string
+ *  inputComparison(sessions) -> [{ method, sessions, meanTime, bestTime }]   fastest average first
+ *  targetTrends(history, limit) -> [{ endTime, bonus, hazard }]
+ *  render(game)
+ */
+(function(){
+  const TREND_WINDOW = 5;
+  const STEADY_PERCENT = 2;
+  const TARGET_TREND_LIMIT = 20;
+  const DEFAULT_GAME = 'directional-practice';
+  const INPUT_LABELS = { discrete: 'Discrete (step)', continuous: 'Continuous', mouse: 'Mouse / touch', joystick: 'Joystick', cursor: 'Cursor follow', switch: 'Switch', gaze: 'Eye gaze / head pointer' };
+
+  function completed(history){ return history.filter(s => s.completed && typeof s.totalTime === 'number'); }
+  function when(s){ return s.endTime || s.startTime || 0; }
+  function mean(values){ return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0; }
+  function inputLabel(method){ return INPUT_LABELS[method] || method || 'Unknown'; }
+
+  // Same grouping as the personal bests, so a chart line and a leaderboard row describe the same setup
+  function seriesKey(s){ return window.DSG.personalBests.configKey(s); }
+  function seriesLabel(s){ return window.DSG.personalBests.configLabel(s); }
+
+  // Most recently played challenge first
+  function seriesOptions(history){
+    const groups = new Map();
+    completed(history).forEach(s => {
+      const key = seriesKey(s);
+      const g = groups.get(key) || { key, label: seriesLabel(s), count: 0, last: 0 };
+      g.count++;
+      g.last = Math.max(g.last, when(s));
+      groups.set(key, g);
+    });
+    return Array.from(groups.values()).sort((a, b) => b.last - a.last).map(({ key, label, count }) => ({ key, label, count }));
+  }
+
+  function seriesSessions(history, key){ return completed(history).filter(s => seriesKey(s) === key).sort((a, b) => when(a) - when(b)); }
+
+  function trendSummary(values, noun, lowerIsBetter = true){
+    if(values.length < 2) return 'Play at least two sessions to see a trend.';
+    const w = Math.min(TREND_WINDOW, Math.floor(values.length / 2));
+    const recent = mean(values.slice(-w)), before = mean(values.slice(-2 * w, -w));
+    const span = `over the last ${w} session${w === 1 ? '' : 's'}`;
+    if(before === 0) return recent === 0 ? `No ${noun} ${span}.` : `${noun[0].toUpperCase() + noun.slice(1)} went up from none ${span}.`;
+    const change = (recent - before) / before * 100;
+    const capital = noun[0].toUpperCase() + noun.slice(1);
+    if(Math.abs(change) < STEADY_PERCENT) return `${capital} held steady ${span}.`;
+    const better = lowerIsBetter ? change < 0 : change > 0;
+    return `${capital} ${better ? 'improved' : 'got worse'} ${Math.round(Math.abs(change))}% ${span}.`;
+  }
+
+  function inputComparison(sessions){
+    const groups = new Map();
+    sessions.forEach(s => {
+      const method = (s.config && s.config.inputMethod) || 'unknown';
+      if(!groups.has(method)) groups.set(method, []);
+      groups.get(method).push(s.totalTime);
+    });
+    return Array.from(groups.entries()).map(([method, times]) => ({ method, sessions: times.length, meanTime: mean(times), bestTime: Math.min(...times) }))
+      .sort((a, b) => a.meanTime - b.meanTime);
+  }
+
+  // Directional-practice sessions that had bonus or hazard targets to collect / avoid
+  function targetTrends(history, limit = TARGET_TREND_LIMIT){
+    return completed(history)
+      .filter(s => (s.gameId || DEFAULT_GAME) === DEFAULT_GAME && s.config && s.config.targetCounts && (s.config.targetCounts.bonus || s.config.targetCounts.hazard))
+      .sort((a, b) => when(a) - when(b))
+      .slice(-limit)
+      .map(s => ({ endTime: when(s), bonus: s.bonusTargetsCollected || 0, hazard: s.hazardTargetsHit || 0 }));
+  }
+
+  // --- drawing ---
+  function palette(canvas){
+    const style = getComputedStyle(canvas);
+    const v = (name, fallback) => (style.getPropertyValue(name) || '').trim() || fallback;
+    return { line: v('--primary-color', '#3498db'), bonus: v('--success-color', '#27ae60'), hazard: v('--accent-color', '#e74c3c'), text: v('--text-color', '#2c3e50'), grid: v('--border-color', '#bdc3c7') };
+  }
+
+  // Size the backing store to the laid-out size; returns null while the modal is hidden
+  function prepare(canvas){
+    const width = canvas.clientWidth, height = canvas.clientHeight;
+    if(!width || !height) return null;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px sans-serif';
+    return { ctx, width, height, plot: { left: 48, right: width - 12, top: 12, bottom: height - 28 } };
+  }
+
+  function drawAxes(c, colors, maxValue, formatValue){
+    const { ctx, plot } = c;
+    ctx.strokeStyle = colors.grid;
+    ctx.fillStyle = colors.text;
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for(let i = 0; i <= 4; i++){
+      const y = plot.bottom - (plot.bottom - plot.top) * i / 4;
+      ctx.beginPath(); ctx.moveTo(plot.left, y); ctx.lineTo(plot.right, y); ctx.stroke();
+      ctx.fillText(formatValue(maxValue * i / 4), plot.left - 6, y);
+    }
+  }
+
+  function drawEmpty(c, colors, message){
+    c.ctx.fillStyle = colors.text;
+    c.ctx.textAlign = 'center';
+    c.ctx.textBaseline = 'middle';
+    c.ctx.fillText(message, c.width / 2, c.height / 2);
+  }
+
+  function drawLineChart(canvas, values, formatValue){
+    const c = prepare(canvas); if(!c) return;
+    const colors = palette(canvas);
+    if(!values.length) { drawEmpty(c, colors, 'No completed sessions yet'); return; }
+    const max = Math.max(...values) * 1.1 || 1;
+    drawAxes(c, colors, max, formatValue);
+    const { ctx, plot } = c;
+    const x = i => values.length === 1 ? (plot.left + plot.right) / 2 : plot.left + (plot.right - plot.left) * i / (values.length - 1);
+    const y = v => plot.bottom - (plot.bottom - plot.top) * v / max;
+    ctx.strokeStyle = colors.line;
+    ctx.fillStyle = colors.line;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((v, i) => { if(i) ctx.lineTo(x(i), y(v)); else ctx.moveTo(x(i), y(v)); });
+    ctx.stroke();
+    values.forEach((v, i) => { ctx.beginPath(); ctx.arc(x(i), y(v), 3, 0, Math.PI * 2); ctx.fill(); });
+    ctx.fillStyle = colors.text;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = values.length > 1 ? 'left' : 'center';
+    ctx.fillText('Session 1', x(0), plot.bottom + 8);
+    ctx.textAlign = 'right';
+    if(values.length > 1) ctx.fillText(`Session ${values.length}`, x(values.length - 1), plot.bottom + 8);
+  }
+
+  // groups: [{ label, values: [number per series] }], series: [{ label, color }]
+  function drawBarChart(canvas, groups, series, formatValue, emptyMessage){
+    const c = prepare(canvas); if(!c) return;
+    const colors = palette(canvas);
+    if(!groups.length) { drawEmpty(c, colors, emptyMessage); return; }
+    const max = Math.max(1e-9, ...groups.map(g => Math.max(...g.values))) * 1.1;
+    drawAxes(c, colors, max, formatValue);
+    const { ctx, plot } = c;
+    const slot = (plot.right - plot.left) / groups.length;
+    const barWidth = Math.max(2, Math.min(28, slot * 0.8 / series.length));
+    groups.forEach((g, gi) => {
+      const start = plot.left + slot * gi + (slot - barWidth * series.length) / 2;
+      g.values.forEach((v, si) => {
+        const h = (plot.bottom - plot.top) * v / max;
+        ctx.fillStyle = colors[series[si].color] || colors.line;
+        ctx.fillRect(start + barWidth * si, plot.bottom - h, barWidth - 1, h);
+      });
+      if(g.label && (groups.length <= 8 || gi % Math.ceil(groups.length / 8) === 0)){
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(g.label, plot.left + slot * (gi + 0.5), plot.bottom + 8);
+      }
+    });
+  }
+
+  const escapeHtml = window.DSG.escapeHtml;
+
+  function renderTable(id, headers, rows){
+    const el = document.getElementById(id); if(!el) return;
+    if(!rows.length) { el.innerHTML = '<p>No data yet.</p>'; return; }
+    el.innerHTML = `<table class="chart-table"><thead><tr>${headers.map(h => `<th scope="col">${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+
+  function setText(id, text){ const el = document.getElementById(id); if(el) el.textContent = text; }
+  function dateLabel(ms){ return new Date(ms).toLocaleDateString(); }
+
+  function renderSeriesSelect(game, options){
+    const select = document.getElementById('chart-time-series'); if(!select) return null;
+    if(!options.some(o => o.key === game.chartSeries)) game.chartSeries = options.length ? options[0].key : null;
+    select.innerHTML = options.map(o => `<option value="${escapeHtml(o.key)}">${escapeHtml(o.label)} (${o.count})</option>`).join('');
+    select.disabled = !options.length;
+    if(game.chartSeries) select.value = game.chartSeries;
+    select.onchange = () => { game.chartSeries = select.value; render(game); };
+    return game.chartSeries;
+  }
+
+  function render(game){
+    const modal = document.getElementById('stats-modal');
+    if(!modal || !modal.open) return;
+    const history = game.sessionHistory || [];
+    const format = ms => game.formatTime(ms);
+
+    // Completion time for the selected challenge
+    const key = renderSeriesSelect(game, seriesOptions(history));
+    const sessions = key ? seriesSessions(history, key) : [];
+    const times = sessions.map(s => s.totalTime);
+    const timeCanvas = document.getElementById('chart-time');
+    if(timeCanvas) drawLineChart(timeCanvas, times, format);
+    setText('chart-time-summary', times.length
+      ? `${times.length} completed session${times.length === 1 ? '' : 's'}, best ${format(Math.min(...times))}. ${trendSummary(times, 'times')}`
+      : 'Complete a session to see your times here.');
+    renderTable('chart-time-table', ['Session', 'Date', 'Time'], sessions.map((s, i) => [i + 1, dateLabel(when(s)), format(s.totalTime)]));
+
+    // Bonus collected / hazards hit per session
+    const trends = targetTrends(history);
+    const targetCanvas = document.getElementById('chart-targets');
+    if(targetCanvas) drawBarChart(targetCanvas, trends.map((t, i) => ({ label: String(i + 1), values: [t.bonus, t.hazard] })),
+      [{ label: 'Bonus', color: 'bonus' }, { label: 'Hazard', color: 'hazard' }], v => v.toFixed(v < 10 && v % 1 ? 1 : 0), 'No sessions with bonus or hazard targets yet');
+    setText('chart-targets-summary', trends.length
+      ? `Last ${trends.length} session${trends.length === 1 ? '' : 's'} with bonus or hazard targets: ${trends.reduce((a, t) => a + t.bonus, 0)} bonus collected, ${trends.reduce((a, t) => a + t.hazard, 0)} hazards hit. ` +
+        `${trendSummary(trends.map(t => t.hazard), 'hazard hits')} ${trendSummary(trends.map(t => t.bonus), 'bonus collection', false)}`
+      : 'Add bonus or hazard targets to a session to track them here.');
+    renderTable('chart-targets-table', ['Session', 'Date', 'Bonus collected', 'Hazards hit'], trends.map((t, i) => [i + 1, dateLabel(t.endTime), t.bonus, t.hazard]));
+
+    // Input methods compared across all directional-practice sessions
+    const methods = inputComparison(completed(history).filter(s => (s.gameId || DEFAULT_GAME) === DEFAULT_GAME && s.config && s.config.inputMethod));
+    const inputCanvas = document.getElementById('chart-input');
+    if(inputCanvas) drawBarChart(inputCanvas, methods.map(m => ({ label: inputLabel(m.method), values: [m.meanTime] })),
+      [{ label: 'Average time', color: 'line' }], format, 'No sessions to compare yet');
+    setText('chart-input-summary', methods.length > 1
+      ? `Fastest on average: ${inputLabel(methods[0].method)} (${format(methods[0].meanTime)} over ${methods[0].sessions} session${methods[0].sessions === 1 ? '' : 's'}); slowest: ${inputLabel(methods[methods.length - 1].method)} (${format(methods[methods.length - 1].meanTime)}).`
+      : methods.length ? `Only ${inputLabel(methods[0].method)} has been used so far; try another input method to compare.` : 'Complete a session to compare input methods.');
+    renderTable('chart-input-table', ['Input method', 'Sessions', 'Average time', 'Best time'], methods.map(m => [inputLabel(m.method), m.sessions, format(m.meanTime), format(m.bestTime)]));
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.progressCharts = { TREND_WINDOW, seriesKey, seriesOptions, seriesSessions, trendSummary, inputComparison, targetTrends, render };
+})();
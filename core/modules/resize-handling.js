@@ -7,29 +7,37 @@
  *  - Maintain player visibility & optionally clear trail when deterministic replay context changes.
  *
  * Notes:
- *  - regenerateTargetsAfterResize currently references legacy helpers (getLevelConfig / createTargetWithSpacing) which
- *    are pruned; path retained for potential future restoration but effectively inert without those functions.
- *  - Future enhancement: integrate with deterministic generator to re-seed targets for regenerate strategy.
+ *  - All strategies work through DSG.layout: positions are re-projected from the old canvas into the new one
+ *    (margin-aware) instead of being clamped, so relative placement survives any size / aspect change.
+ *  - regenerate restores every target to its deterministic home position (nx / ny recorded at generation).
  *
  * Export (window.DSG.resize):
  *  handleResize(game)
+ *  applyResizeStrategy(game, oldWidth, oldHeight, strategy)
  */
 (function(){
   function handleResize(game){
     setTimeout(()=>{
       const oldWidth=game.canvas.width, oldHeight=game.canvas.height;
+      // A playback keeps the recorded canvas size; only its on-screen fit changes
+      if(game.playback){ window.DSG.playback && window.DSG.playback.fitCanvas(game); return; }
       game.setupCanvas();
-      switch(game.settings.resizeHandling){
-        case 'reposition': repositionTargetsAfterResize(game,oldWidth,oldHeight); break;
-        case 'scale': scaleTargetsAfterResize(game,oldWidth,oldHeight); break;
-        case 'regenerate': regenerateTargetsAfterResize(game); break;
-        case 'pause': if(game.gameState==='playing'){ game.pauseGame(); game.announceToScreenReader && game.announceToScreenReader('Game paused due to window resize. Press Space to resume.'); } break; }
-      repositionPlayerAfterResize(game);
+      applyResizeStrategy(game,oldWidth,oldHeight,game.settings.resizeHandling);
     },100);
   }
-  function repositionTargetsAfterResize(game,oldWidth,oldHeight){ let repositioned=0; game.targets.forEach(t=>{ const ox=t.x, oy=t.y; const margin=t.size+10; t.x=Math.max(margin,Math.min(game.canvas.width-margin,t.x)); t.y=Math.max(margin,Math.min(game.canvas.height-margin,t.y)); if(game.canvas.width < oldWidth*0.7 || game.canvas.height < oldHeight*0.7){ const scaleX=(game.canvas.width-2*margin)/(oldWidth-2*margin); const scaleY=(game.canvas.height-2*margin)/(oldHeight-2*margin); t.x = margin + (t.x-margin)*scaleX; t.y = margin + (t.y-margin)*scaleY; } if(ox!==t.x || oy!==t.y) repositioned++; }); if(repositioned>0) game.announceToScreenReader && game.announceToScreenReader(`Window resized. ${repositioned} target${repositioned>1?'s':''} repositioned to stay visible.`); }
-  function repositionPlayerAfterResize(game){ const margin=game.player.size; game.player.x=Math.max(margin,Math.min(game.canvas.width-margin,game.player.x)); game.player.y=Math.max(margin,Math.min(game.canvas.height-margin,game.player.y)); if(!(game.currentSession && game.currentSession.seed && game.gameState==='playing')) game.player.trail=[]; }
-  function scaleTargetsAfterResize(game,oldWidth,oldHeight){ if(oldWidth===0||oldHeight===0) return; const scaleX=game.canvas.width/oldWidth, scaleY=game.canvas.height/oldHeight; game.targets.forEach(t=>{ t.x*=scaleX; t.y*=scaleY; const margin=t.size+10; t.x=Math.max(margin,Math.min(game.canvas.width-margin,t.x)); t.y=Math.max(margin,Math.min(game.canvas.height-margin,t.y)); }); game.announceToScreenReader && game.announceToScreenReader('Window resized. All targets scaled to maintain relative positions.'); }
-  function regenerateTargetsAfterResize(game){ const count=game.targets.length; game.targets=[]; const cfg = game.getLevelConfig ? game.getLevelConfig(game.currentLevel) : null; for(let i=0;i<count;i++){ const t = game.createTargetWithSpacing ? game.createTargetWithSpacing(cfg) : null; if(t) game.targets.push(t); } game.announceToScreenReader && game.announceToScreenReader(`Window resized. ${count} new targets generated with proper spacing.`); }
-  window.DSG = window.DSG || {}; window.DSG.resize = { handleResize };
+  // Adjust targets + player after the canvas has changed size (also used by playback to re-apply recorded resizes)
+  function applyResizeStrategy(game,oldWidth,oldHeight,strategy){
+    switch(strategy){
+      case 'reposition': repositionTargetsAfterResize(game,oldWidth,oldHeight); break;
+      case 'scale': scaleTargetsAfterResize(game,oldWidth,oldHeight); break;
+      case 'regenerate': regenerateTargetsAfterResize(game); break;
+      case 'pause': game.targets.forEach(t=>reprojectObject(t,t.size+20,{ width:oldWidth, height:oldHeight },game.canvas)); if(game.gameState==='playing' && !game.playback){ game.pauseGame(); game.announceToScreenReader && game.announceToScreenReader('Game paused due to window resize. Press Space to resume.'); } break; }
+    repositionPlayerAfterResize(game,oldWidth,oldHeight);
+  }
+  function reprojectObject(obj,margin,oldDims,newDims){ const p=window.DSG.layout.reproject(obj.x,obj.y,margin,oldDims,newDims); const moved=(p.x!==obj.x || p.y!==obj.y); obj.x=p.x; obj.y=p.y; return moved; }
+  function repositionTargetsAfterResize(game,oldWidth,oldHeight){ if(oldWidth===0||oldHeight===0) return; const oldDims={ width:oldWidth, height:oldHeight }; let repositioned=0; game.targets.forEach(t=>{ if(reprojectObject(t,t.size+20,oldDims,game.canvas)) repositioned++; }); if(repositioned>0) game.announceToScreenReader && game.announceToScreenReader(`Window resized. ${repositioned} target${repositioned>1?'s':''} repositioned to stay visible.`); }
+  function repositionPlayerAfterResize(game,oldWidth,oldHeight){ const margin=game.player.size+20; if(oldWidth>0 && oldHeight>0){ reprojectObject(game.player,margin,{ width:oldWidth, height:oldHeight },game.canvas); } game.player.x=Math.max(game.player.size,Math.min(game.canvas.width-game.player.size,game.player.x)); game.player.y=Math.max(game.player.size,Math.min(game.canvas.height-game.player.size,game.player.y)); if(!(game.currentSession && game.currentSession.seed && game.gameState==='playing')) game.player.trail=[]; }
+  function scaleTargetsAfterResize(game,oldWidth,oldHeight){ if(oldWidth===0||oldHeight===0) return; const oldDims={ width:oldWidth, height:oldHeight }; game.targets.forEach(t=>{ reprojectObject(t,t.size+20,oldDims,game.canvas); }); game.announceToScreenReader && game.announceToScreenReader('Window resized. All targets scaled to maintain relative positions.'); }
+  function regenerateTargetsAfterResize(game){ const count=game.targets.length; game.targets.forEach(t=>{ if(typeof t.nx==='number' && typeof t.ny==='number'){ const p=window.DSG.layout.fromUnit(t.nx,t.ny,t.size+20,game.canvas); t.x=p.x; t.y=p.y; } }); game.announceToScreenReader && game.announceToScreenReader(`Window resized. ${count} target${count===1?'':'s'} returned to their layout positions.`); }
+  window.DSG = window.DSG || {}; window.DSG.resize = { handleResize, applyResizeStrategy };
 })();
@@ -0,0 +1,279 @@
+/**
+ * Deterministic session playback.
+ *
+ * Responsibilities:
+ *  - Re-run a recorded session (DSG.recorder format) frame-by-frame through the real game update path
+ *  - Play / pause, scrub (seek) and speed controls wired to the #playback-controls bar
+ *  - Keep the recorded canvas size (letterboxed to fit) so bounds, motion and collisions match the original run
+ *  - Park the live game state on entry and restore it on exit
+ *
+ * Design notes:
+ *  - The live input paths check game.playback and stand down, so nothing but recorded input reaches the simulation.
+ *  - Seeking backwards resets to the snapshot and silently re-simulates; sounds, effect overlays and screen reader
+ *    announcements are suppressed while game.playback.seeking is set.
+ *  - Playback speed follows the recording's 't' samples, so a session captured on a high refresh display still
+ *    plays back in real time.
+ *
+ * Exports (window.DSG.playback):
+ *  start(game, session) -> boolean
+ *  exit(game)
+ *  update(game, dt)
+ *  render(game)
+ *  togglePlay(game)
+ *  seek(game, frame)
+ *  setSpeed(game, speed)
+ *  handleKey(game, event)
+ *  handleComplete(game)
+ *  fitCanvas(game)
+ *  isActive(game) -> boolean
+ */
+(function(){
+  const SKIP_MS = 1000;
+  const MAX_STEPS_PER_UPDATE = 240;
+  let controlsBound = false;
+
+  function isActive(game){ return !!(game && game.playback); }
+
+  function buildTimes(rec){
+    const times = rec.events.filter(e => e[1] === 't').map(e => [e[0], e[2]]);
+    if(!times.length) times.push([0, 0]);
+    return times;
+  }
+  // Active session time (ms) at the start of a frame, interpolated between 't' samples
+  function msAtFrame(pb, frame){
+    const t = pb.times;
+    if(frame <= t[0][0]) return t[0][1];
+    for(let i = 1; i < t.length; i++){
+      if(frame <= t[i][0]){
+        const span = t[i][0] - t[i-1][0] || 1;
+        return t[i-1][1] + (t[i][1] - t[i-1][1]) * (frame - t[i-1][0]) / span;
+      }
+    }
+    const last = t[t.length - 1];
+    return last[1] + (frame - last[0]) * 1000 / 60;
+  }
+  function frameAtMs(pb, ms){
+    let lo = 0, hi = pb.rec.frames;
+    while(lo < hi){ const mid = (lo + hi) >> 1; if(msAtFrame(pb, mid) < ms) lo = mid + 1; else hi = mid; }
+    return lo;
+  }
+
+  function start(game, session){
+    const rec = session && session.recording;
+    if(!game || !rec || !rec.snapshot || !Array.isArray(rec.events)) return false;
+    if(game.playback) exit(game);
+    game.playback = {
+      session, rec, times: buildTimes(rec),
+      frame: 0, cursor: 0, clock: 0, speed: 1, playing: true, seeking: false, ended: false,
+      saved: {
+        gameState: game.gameState, currentSession: game.currentSession, sessionConfig: game.sessionConfig,
+        targets: game.targets, player: game.player, keys: game.keys, joystickState: game.joystickState,
+        cursorX: game.cursorX, cursorY: game.cursorY, switchDirection: game.switchDirection,
+        gazeDirection: game.gazeDirection
+      }
+    };
+    const menu = document.getElementById('main-menu'); if(menu) menu.style.display = 'none';
+    const ui = document.getElementById('game-interface'); if(ui) ui.style.display = 'flex';
+    resetToStart(game);
+    showControls(game, true);
+    fitCanvas(game);
+    game.announceToScreenReader && game.announceToScreenReader('Watching recorded session. Space plays or pauses, left and right arrows skip one second, Escape exits.');
+    return true;
+  }
+
+  function exit(game){
+    const pb = game && game.playback; if(!pb) return;
+    const s = pb.saved;
+    game.playback = null;
+    game.gameState = s.gameState; game.currentSession = s.currentSession; game.sessionConfig = s.sessionConfig;
+    game.targets = s.targets; game.player = s.player; game.keys = s.keys; game.joystickState = s.joystickState;
+    game.cursorX = s.cursorX; game.cursorY = s.cursorY; game.switchDirection = s.switchDirection; game.gazeDirection = s.gazeDirection;
+    if(window.DSG.collision) window.DSG.collision.resetDwellProgress(game);
+    showControls(game, false);
+    game.setupCanvas();
+    game.returnToMainMenu();
+  }
+
+  function resetToStart(game){
+    const pb = game.playback, rec = pb.rec, session = pb.session;
+    game.sessionConfig = JSON.parse(JSON.stringify(session.config || pb.saved.sessionConfig));
+    game.canvas.width = rec.w; game.canvas.height = rec.h;
+    game.targets = JSON.parse(JSON.stringify(rec.snapshot.targets));
+    game.player = Object.assign({}, pb.saved.player, {
+      x: rec.snapshot.player.x, y: rec.snapshot.player.y, size: rec.snapshot.player.size,
+      trail: [], targetX: null, targetY: null, continuousDirection: null, isMoving: false
+    });
+    game.keys = {}; game.joystickState = null; game.cursorX = null; game.cursorY = null; game.lastDirection = null; game.switchDirection = null; game.gazeDirection = null;
+    game.currentSession = {
+      seed: session.seed, startTime: Date.now(), endTime: null, totalTime: 0, pausedTime: 0, pauseStartTime: null,
+      targetsCollected: 0, totalTargets: session.totalTargets, totalCoreTargets: session.totalCoreTargets,
+      coreTargetsCollected: 0, bonusTargetsCollected: 0, hazardTargetsHit: 0, completed: false, timeAdjustments: 0
+    };
+    if(window.DSG.collision) window.DSG.collision.resetDwellProgress(game);
+    game.gameState = 'playing';
+    pb.frame = 0; pb.cursor = 0; pb.clock = 0; pb.ended = false;
+    game.updateUI();
+  }
+
+  function applyEvent(game, e){
+    window.DSG.recorder.applyInputEvent(game, e);
+    if(e[1] === 'rs') fitCanvas(game);
+  }
+
+  function step(game){
+    const pb = game.playback, events = pb.rec.events;
+    while(pb.cursor < events.length && events[pb.cursor][0] <= pb.frame){ applyEvent(game, events[pb.cursor]); pb.cursor++; }
+    game.update();
+    pb.frame++;
+    if(pb.frame >= pb.rec.frames) finish(game);
+  }
+
+  function finish(game){
+    const pb = game.playback;
+    if(pb.ended) return;
+    pb.ended = true; pb.playing = false;
+    updateControls(game);
+    if(!pb.seeking) game.announceToScreenReader && game.announceToScreenReader('Playback finished.');
+  }
+
+  function update(game, dt){
+    const pb = game.playback; if(!pb) return;
+    if(pb.playing && !pb.ended){
+      pb.clock += Math.min(dt || 0, 0.25) * 1000 * pb.speed;
+      let steps = 0;
+      while(!pb.ended && steps < MAX_STEPS_PER_UPDATE && msAtFrame(pb, pb.frame) <= pb.clock){ step(game); steps++; }
+    }
+    updateClock(game);
+  }
+
+  function seek(game, frame){
+    const pb = game.playback; if(!pb) return;
+    const target = Math.max(0, Math.min(pb.rec.frames, Math.round(frame)));
+    const sounds = game.sounds;
+    game.sounds = {};
+    pb.seeking = true;
+    try {
+      if(target < pb.frame) resetToStart(game);
+      while(!pb.ended && pb.frame < target) step(game);
+    } finally {
+      pb.seeking = false;
+      game.sounds = sounds;
+    }
+    if(pb.frame < pb.rec.frames) pb.ended = false;
+    pb.clock = msAtFrame(pb, pb.frame);
+    updateClock(game);
+    updateControls(game);
+  }
+
+  function togglePlay(game){
+    const pb = game.playback; if(!pb) return;
+    if(pb.ended){ seek(game, 0); pb.playing = true; }
+    else pb.playing = !pb.playing;
+    updateControls(game);
+    game.announceToScreenReader && game.announceToScreenReader(pb.playing ? 'Playback playing' : 'Playback paused');
+  }
+
+  function setSpeed(game, speed){
+    const pb = game.playback; if(!pb) return;
+    const n = parseFloat(speed);
+    if(n > 0) pb.speed = n;
+  }
+
+  function handleKey(game, e){
+    const pb = game.playback; if(!pb) return false;
+    const controls = document.getElementById('playback-controls');
+    const fromControl = controls && e.target && controls.contains(e.target);
+    if(e.code === 'Escape'){ e.preventDefault(); exit(game); return true; }
+    if(fromControl) return true; // native button / slider / select behaviour handles it
+    switch(e.code){
+      case 'Space': e.preventDefault(); togglePlay(game); break;
+      case 'ArrowLeft': e.preventDefault(); seek(game, frameAtMs(pb, msAtFrame(pb, pb.frame) - SKIP_MS)); break;
+      case 'ArrowRight': e.preventDefault(); seek(game, frameAtMs(pb, msAtFrame(pb, pb.frame) + SKIP_MS)); break;
+      case 'Home': e.preventDefault(); seek(game, 0); break;
+      case 'End': e.preventDefault(); seek(game, pb.rec.frames); break;
+    }
+    return true;
+  }
+
+  // Called instead of completeSession while a playback is running
+  function handleComplete(game){
+    const pb = game.playback; if(!pb) return;
+    game.currentSession.completed = true;
+    finish(game);
+  }
+
+  function fitCanvas(game){
+    const container = game.canvas.parentElement; if(!container) return;
+    const availW = Math.max(1, container.clientWidth - 20), availH = Math.max(1, container.clientHeight - 20);
+    const scale = Math.min(availW / game.canvas.width, availH / game.canvas.height) || 1;
+    game.canvas.style.width = Math.floor(game.canvas.width * scale) + 'px';
+    game.canvas.style.height = Math.floor(game.canvas.height * scale) + 'px';
+  }
+
+  function render(game){
+    const pb = game.playback; if(!pb) return;
+    const c = game.ctx;
+    const label = pb.ended ? 'Replay finished' : (pb.playing ? `Replay ${pb.speed}×` : 'Replay paused');
+    c.save();
+    c.font = 'bold 14px sans-serif';
+    const w = c.measureText(label).width + 24;
+    c.fillStyle = 'rgba(44, 62, 80, 0.85)';
+    game.drawRoundedRect(game.canvas.width - w - 16, 16, w, 30, 8, true, false);
+    c.fillStyle = '#ffffff';
+    c.textAlign = 'left'; c.textBaseline = 'middle';
+    c.fillText(label, game.canvas.width - w - 4, 31);
+    c.restore();
+  }
+
+  function updateClock(game){
+    const pb = game.playback; if(!pb) return;
+    const ms = msAtFrame(pb, pb.frame);
+    const timeEl = document.getElementById('current-session-time');
+    if(timeEl) timeEl.textContent = game.formatTime(ms + game.currentSession.timeAdjustments * 1000);
+    const label = document.getElementById('playback-time');
+    const text = `${game.formatTime(ms)} / ${game.formatTime(pb.rec.duration || msAtFrame(pb, pb.rec.frames))}`;
+    if(label) label.textContent = text;
+    const scrub = document.getElementById('playback-scrub');
+    if(scrub && document.activeElement !== scrub){ scrub.value = pb.frame; }
+    if(scrub) scrub.setAttribute('aria-valuetext', text);
+  }
+
+  function updateControls(game){
+    const pb = game.playback; if(!pb) return;
+    const btn = document.getElementById('playback-toggle');
+    if(btn){
+      const icon = btn.querySelector('.material-icons');
+      const state = pb.ended ? 'replay' : (pb.playing ? 'pause' : 'play_arrow');
+      if(icon) icon.textContent = state;
+      btn.setAttribute('aria-label', pb.ended ? 'Restart playback' : (pb.playing ? 'Pause playback' : 'Play'));
+    }
+  }
+
+  function showControls(game, visible){
+    const bar = document.getElementById('playback-controls'); if(!bar) return;
+    bar.hidden = !visible;
+    if(!visible) return;
+    const pb = game.playback;
+    bindControls(game);
+    const scrub = document.getElementById('playback-scrub');
+    if(scrub){ scrub.max = pb.rec.frames; scrub.value = 0; }
+    const speed = document.getElementById('playback-speed'); if(speed) speed.value = String(pb.speed);
+    const marks = document.getElementById('playback-marks');
+    if(marks) marks.innerHTML = pb.rec.events.filter(e => e[1] === 'col' || e[1] === 'haz').map(e => `<option value="${e[0]}"></option>`).join('');
+    updateControls(game);
+    updateClock(game);
+  }
+
+  function bindControls(game){
+    if(controlsBound) return;
+    controlsBound = true;
+    const on = (id, evt, fn) => { const el = document.getElementById(id); if(el) el.addEventListener(evt, fn); };
+    on('playback-toggle', 'click', () => togglePlay(game));
+    on('playback-exit', 'click', () => exit(game));
+    on('playback-speed', 'change', e => setSpeed(game, e.target.value));
+    on('playback-scrub', 'input', e => seek(game, Number(e.target.value)));
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.playback = { start, exit, update, render, togglePlay, seek, setSpeed, handleKey, handleComplete, fitCanvas, isActive };
+})();
@@ -0,0 +1,166 @@
+/**
+ * Session input recorder.
+ *
+ * Responsibilities:
+ *  - Snapshot the starting state (canvas size, player, targets) when the timed session begins (begin)
+ *  - Capture per-frame changes to the input state the movement updaters consume (captureFrame)
+ *  - Log intent / outcome markers from the input, joystick bridge, pause and collision hooks (mark)
+ *  - Hand back a compact recording for the session history entry on completion (finish)
+ *
+ * Recording format (stored as session.recording):
+ *  { v, w, h, frames, duration, truncated, snapshot:{ player:{x,y,size}, targets:[...] }, events:[[frame, type, ...data]] }
+ *  Input state (drives playback):
+ *   'k' mask           held movement keys (bit per MOVE_KEYS entry)
+ *   'c' dir|null       continuous direction
+ *   'm' x,y | null     click-to-move destination
+ *   'u' x,y            cursor-follow position
+ *   'j' x,y,i | null   joystick direction vector + intensity
+ *   's' item | null    switch scanning item held (DSG.switchScan item id)
+ *   'g' item | null    gaze zone moving the player (DSG.gazeZones, same ids)
+ *   'rs' w,h,strategy  canvas resized mid-session
+ *   't' ms             active (unpaused) time sample
+ *  Markers (timeline / summaries only):
+ *   'mv' dir, 'jd' dir, 'p', 'r', 'col' type, 'haz', 'seq' label (wrong target in an ordered session)
+ *
+ * Design notes:
+ *  - Frames are fixed simulation steps (one update() call while playing), so re-running the same steps with the same input
+ *    state reproduces the session exactly; the 't' samples map frames back to real time for playback speed.
+ *  - Only changes are stored; long cursor sessions are the worst case, hence the MAX_EVENTS cap.
+ *  - Analog values are quantized on the live state before they are stored, so the recording holds exactly
+ *    the numbers the simulation used (sub-pixel / 1e-4 steps are imperceptible to the player).
+ *  - Inert while a playback is running (game.playback) so watching a session never records over it.
+ *  - Time comes from DSG.sessionTiming.now(game), so a headless run records simulated rather than wall-clock time.
+ *  - applyInputEvent is the single place that turns input-state events back into game state; playback and the
+ *    headless runner (tools/headless) both feed events through it.
+ *
+ * Exports (window.DSG.recorder):
+ *  MOVE_KEYS: string[]
+ *  begin(game)
+ *  captureFrame(game)
+ *  mark(game, type, ...data)
+ *  finish(game) -> recording | null
+ *  isRecording(game) -> boolean
+ *  applyInputEvent(game, event) -> boolean (false for markers / unknown types)
+ */
+(function(){
+  const MOVE_KEYS = ['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','KeyW','KeyS','KeyA','KeyD'];
+  const MAX_EVENTS = 15000;
+  const TIME_SAMPLE_INTERVAL = 30; // frames between 't' samples
+
+  function round2(n){ return Math.round(n * 100) / 100; }
+  function round4(n){ return Math.round(n * 10000) / 10000; }
+
+  function clock(game){ return window.DSG.sessionTiming ? window.DSG.sessionTiming.now(game) : Date.now(); }
+  function active(game){ return !!(game && game._recording && !game._recording.stopped && !game.playback); }
+  function activeMs(game, rec){
+    const now = clock(game);
+    const pausedNow = rec.pauseStart ? now - rec.pauseStart : 0;
+    return now - rec.startWall - rec.pausedMs - pausedNow;
+  }
+  function push(rec, event){
+    if(rec.events.length >= MAX_EVENTS){ rec.stopped = true; rec.truncated = true; return; }
+    rec.events.push(event);
+  }
+
+  function begin(game){
+    if(!game || game.playback) return;
+    game._recording = {
+      startWall: clock(game), pausedMs: 0, pauseStart: null,
+      frame: 0, stopped: false, truncated: false,
+      w: game.canvas.width, h: game.canvas.height,
+      cw: game.canvas.width, ch: game.canvas.height,
+      snapshot: {
+        player: { x: game.player.x, y: game.player.y, size: game.player.size },
+        targets: JSON.parse(JSON.stringify(game.targets || []))
+      },
+      last: {}, events: []
+    };
+  }
+
+  function keyMask(game){
+    let mask = 0;
+    MOVE_KEYS.forEach((code, i) => { if(game.keys[code]) mask |= (1 << i); });
+    return mask;
+  }
+
+  function quantize(game){
+    if(game.player.targetX !== null && game.player.targetY !== null){ game.player.targetX = round2(game.player.targetX); game.player.targetY = round2(game.player.targetY); }
+    if(game.cursorX !== null && game.cursorY !== null){ game.cursorX = round2(game.cursorX); game.cursorY = round2(game.cursorY); }
+    const js = game.joystickState;
+    if(js && js.directionVector){ js.directionVector = { x: round4(js.directionVector.x), y: round4(js.directionVector.y) }; js.intensity = round4(js.intensity || 0); }
+  }
+
+  function captureFrame(game){
+    if(!active(game)) return;
+    const rec = game._recording, f = rec.frame, last = rec.last;
+    quantize(game);
+    if(game.canvas.width !== rec.cw || game.canvas.height !== rec.ch){
+      push(rec, [f, 'rs', game.canvas.width, game.canvas.height, game.settings.resizeHandling]);
+      rec.cw = game.canvas.width; rec.ch = game.canvas.height;
+    }
+    const mask = keyMask(game);
+    if(mask !== last.k){ push(rec, [f, 'k', mask]); last.k = mask; }
+    const dir = game.player.isMoving ? game.player.continuousDirection : null;
+    if(dir !== last.c){ push(rec, [f, 'c', dir]); last.c = dir; }
+    const tx = game.player.targetX, ty = game.player.targetY;
+    if(tx !== last.mx || ty !== last.my){ push(rec, tx === null || ty === null ? [f, 'm', null] : [f, 'm', tx, ty]); last.mx = tx; last.my = ty; }
+    if(game.cursorX !== null && game.cursorY !== null && (game.cursorX !== last.ux || game.cursorY !== last.uy)){
+      push(rec, [f, 'u', game.cursorX, game.cursorY]); last.ux = game.cursorX; last.uy = game.cursorY;
+    }
+    const js = game.joystickState;
+    const jx = js ? js.directionVector.x : null, jy = js ? js.directionVector.y : null, ji = js ? js.intensity : null;
+    if(jx !== last.jx || jy !== last.jy || ji !== last.ji){ push(rec, js ? [f, 'j', jx, jy, ji] : [f, 'j', null]); last.jx = jx; last.jy = jy; last.ji = ji; }
+    const sw = game.switchDirection || null;
+    if(sw !== (last.s || null)){ push(rec, [f, 's', sw]); last.s = sw; }
+    const gz = game.gazeDirection || null;
+    if(gz !== (last.g || null)){ push(rec, [f, 'g', gz]); last.g = gz; }
+    if(f % TIME_SAMPLE_INTERVAL === 0) push(rec, [f, 't', Math.round(activeMs(game, rec))]);
+    rec.frame++;
+  }
+
+  function mark(game, type, ...data){
+    if(!active(game)) return;
+    const rec = game._recording;
+    if(type === 'p' && !rec.pauseStart) rec.pauseStart = clock(game);
+    if(type === 'r' && rec.pauseStart){ rec.pausedMs += clock(game) - rec.pauseStart; rec.pauseStart = null; }
+    push(rec, [rec.frame, type, ...data]);
+  }
+
+  function finish(game){
+    if(!game || !game._recording || game.playback) return null;
+    const rec = game._recording;
+    game._recording = null;
+    if(!rec.frame) return null;
+    const duration = Math.round(activeMs(game, rec));
+    if(!rec.truncated) rec.events.push([rec.frame, 't', duration]);
+    return { v: 1, w: rec.w, h: rec.h, frames: rec.frame, duration, truncated: rec.truncated, snapshot: rec.snapshot, events: rec.events };
+  }
+
+  function isRecording(game){ return active(game); }
+
+  // Restore the input state an event describes; 'rs' resizes game.canvas and re-applies the recorded resize strategy
+  function applyInputEvent(game, e){
+    switch(e[1]){
+      case 'k':
+        game.keys = {};
+        MOVE_KEYS.forEach((code, i) => { if(e[2] & (1 << i)) game.keys[code] = true; });
+        return true;
+      case 'c': game.player.continuousDirection = e[2]; game.player.isMoving = !!e[2]; return true;
+      case 'm': game.player.targetX = e[2] === null ? null : e[2]; game.player.targetY = e[2] === null ? null : e[3]; return true;
+      case 'u': game.cursorX = e[2]; game.cursorY = e[3]; return true;
+      case 's': game.switchDirection = e[2]; return true;
+      case 'g': game.gazeDirection = e[2]; return true;
+      case 'j': game.joystickState = e[2] === null ? null : { direction: 'recorded', directionVector: { x: e[2], y: e[3] }, intensity: e[4], angle: 0 }; return true;
+      case 'rs': {
+        const oldWidth = game.canvas.width, oldHeight = game.canvas.height;
+        game.canvas.width = e[2]; game.canvas.height = e[3];
+        if(window.DSG.resize) window.DSG.resize.applyResizeStrategy(game, oldWidth, oldHeight, e[4]);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.recorder = { MOVE_KEYS, begin, captureFrame, mark, finish, isRecording, applyInputEvent };
+})();
@@ -2,7 +2,10 @@
  * Session timing utilities.
  *
  * Responsibilities:
- *  - Transition game state from ready -> playing (startSession / beginTimedSession)
+ *  - Transition game state from ready -> playing (startSession / beginTimedSession); the latter also starts
+ *    the input recording (DSG.recorder) and the path analytics (DSG.pathAnalytics) and reports the start to
+ *    the progress tracker (DSG.achievements)
+ *  - Track pauses of the timed session so they are left out of its time (pauseSession / resumeSession)
  *  - Compute elapsed session time including pause offsets & bonus/penalty adjustments (calculateSessionTime)
  *  - Human friendly formatting of elapsed milliseconds (formatTime)
  *
@@ -13,12 +16,20 @@
  * Exports (window.DSG.sessionTiming):
  *  startSession(game)
  *  beginTimedSession(game)
+ *  pauseSession(game)
+ *  resumeSession(game)
  *  calculateSessionTime(game) -> number (ms)
  *  formatTime(ms) -> string (e.g. 1:05.23 or 12.34s)
+ *  now(game) -> number (ms) - game.now() when the game supplies its own clock (headless runs), else Date.now()
  */
 (function(){
+  function now(game){ return (game && typeof game.now === 'function') ? game.now() : Date.now(); }
   function startSession(game){
     game.gameState = 'ready';
+    game.switchDirection = null;
+    game.gazeDirection = null;
+    // Time to first move is measured from here (DSG.pathAnalytics)
+    if(window.DSG && window.DSG.pathAnalytics) window.DSG.pathAnalytics.ready(game);
     game.canvas.focus();
     game.updatePlayPauseButton();
     
@@ -29,26 +40,60 @@
         'continuous': 'keyboard',
         'mouse': 'keyboard',  // Mouse uses keyboard input with click handler
         'joystick': 'joystick',
-        'cursor': 'keyboard'  // Cursor mode uses mouse tracking, but keyboard for other controls
+        'cursor': 'keyboard',  // Cursor mode uses mouse tracking, but keyboard for other controls
+        'switch': 'switch',
+        'gaze': 'eyeGaze'
       };
       const inputMethod = methodMap[game.sessionConfig.inputMethod] || 'keyboard';
+      // Scan set, pattern and timing come with the session (and its replay code); the profile's own stay saved
+      if (inputMethod === 'switch' && window.DSG.switchScan) {
+        const scan = window.DSG.switchScan.optionsFrom(game.sessionConfig);
+        game.inputBridge.setSessionOverrides('switch', { scanSet: scan.set, scanPattern: scan.pattern, scanMode: scan.mode, scanSpeed: scan.speed });
+      }
       console.log('🎮 Switching input method to:', inputMethod, 'for session mode:', game.sessionConfig.inputMethod);
       game.inputBridge.switchInputMethod(inputMethod);
     }
     
-    game.announceToScreenReader && game.announceToScreenReader('Session ready. Press any movement key or click to start the timer and begin.');
+    // Ordered sessions always start from the first label (1 or A); the layout may not be generated yet
+    const mode = game.sessionConfig.sequenceMode;
+    const order = mode && mode !== 'off' && window.DSG.targets ? ` Collect the targets in order, starting with ${window.DSG.targets.sequenceLabel(mode, 0)}.` : '';
+    const begins = { switch: 'Select a direction with your switch', gaze: 'Look at an edge of the game area until it fills' };
+    const begin = begins[game.sessionConfig.inputMethod] || 'Press any movement key or click';
+    game.announceToScreenReader && game.announceToScreenReader(`Session ready.${order} ${begin} to start the timer and begin.`);
   }
   function beginTimedSession(game){
     if(game.gameState !== 'ready') return;
-    game.currentSession.startTime = Date.now();
+    game.currentSession.startTime = now(game);
     game.gameState = 'playing';
+    // Dwell progress is per session; nothing carries over from a previous run or a watched replay
+    if(window.DSG && window.DSG.collision) window.DSG.collision.resetDwellProgress(game);
+    // Snapshot the starting layout so the session can be watched back later
+    if(window.DSG && window.DSG.recorder) window.DSG.recorder.begin(game);
+    if(window.DSG && window.DSG.pathAnalytics) window.DSG.pathAnalytics.begin(game);
+    if(window.DSG && window.DSG.achievements){
+      const config = game.sessionConfig;
+      window.DSG.achievements.emit(game, 'sessionStarted', { gameId: 'directional-practice', inputMethod: config.inputMethod, targets: game.currentSession.totalTargets, assists: window.DSG.achievements.assistsOf(config) });
+    }
     game.updatePlayPauseButton();
     game.announceToScreenReader && game.announceToScreenReader('Timer started! Collect all targets as quickly as possible.');
   }
+  // Pauses only count once the timer runs; a second pause before resuming keeps the first start
+  function pauseSession(game){
+    const s = game.currentSession;
+    if(s && s.startTime && !s.endTime && !s.pauseStartTime) s.pauseStartTime = now(game);
+  }
+  function resumeSession(game){
+    const s = game.currentSession;
+    if(!s || !s.pauseStartTime) return;
+    s.pausedTime += now(game) - s.pauseStartTime;
+    s.pauseStartTime = null;
+  }
   function calculateSessionTime(game){
     if(!game.currentSession.startTime) return 0;
-    const endTime = game.currentSession.endTime || Date.now();
-    const totalTime = endTime - game.currentSession.startTime;
+    const endTime = game.currentSession.endTime || now(game);
+    // An unfinished pause is already left out of the time shown on the pause screen
+    const pausedNow = game.currentSession.pauseStartTime && !game.currentSession.endTime ? endTime - game.currentSession.pauseStartTime : 0;
+    const totalTime = endTime - game.currentSession.startTime - pausedNow;
     return totalTime - game.currentSession.pausedTime + (game.currentSession.timeAdjustments * 1000);
   }
   function formatTime(milliseconds){
@@ -61,5 +106,5 @@
     const build = minutes>0 ? `${minutes}:${remainingSeconds.toString().padStart(2,'0')}.${ms.toString().padStart(2,'0')}` : `${remainingSeconds}.${ms.toString().padStart(2,'0')}s`;
     return negative ? `-${build}` : build;
   }
-  window.DSG = window.DSG || {}; window.DSG.sessionTiming = { startSession, beginTimedSession, calculateSessionTime, formatTime };
+  window.DSG = window.DSG || {}; window.DSG.sessionTiming = { startSession, beginTimedSession, pauseSession, resumeSession, calculateSessionTime, formatTime, now };
 })();
@@ -0,0 +1,48 @@
+/**
+ * One fixed simulation step of a directional session.
+ *
+ * Responsibilities:
+ *  - Apply the per-step rules in their fixed order: record input state (DSG.recorder), fade the trail,
+ *    move the player (DSG.movement), move targets (DSG.targetMotion), measure the path (DSG.pathAnalytics),
+ *    resolve collisions / dwell (DSG.collision)
+ *
+ * Design notes:
+ *  - Shared by the live loop (game.update), playback (which drives game.update) and the headless runner
+ *    (tools/headless), so all three simulate a session identically.
+ *  - No DOM or canvas access; the caller owns snapshots for interpolation and any on-screen timer.
+ *  - Targets only move and dwell only advances while 'playing'; in 'ready' the player can be positioned freely.
+ *
+ * Exports (window.DSG.simulation):
+ *  step(game, dt)
+ *  fadeTrail(game)
+ */
+(function(){
+  const TRAIL_FADE_MS = 2000;
+
+  // Drop trail points older than TRAIL_FADE_MS (also used by mini-games that move a player with DSG.movement)
+  function fadeTrail(game){
+    const now = window.DSG.sessionTiming ? window.DSG.sessionTiming.now(game) : Date.now();
+    game.player.trail = game.player.trail.filter(point => now - point.timestamp < TRAIL_FADE_MS);
+  }
+
+  function step(game, dt){
+    if(game.gameState !== 'playing' && game.gameState !== 'ready') return;
+    const playing = game.gameState === 'playing';
+    const DSG = window.DSG;
+
+    // Record this step's input state (no-op unless a timed session is being recorded)
+    if(playing && DSG.recorder) DSG.recorder.captureFrame(game);
+
+    fadeTrail(game);
+
+    if(DSG.movement) DSG.movement.updatePlayerMovement(game, dt);
+    if(DSG.targetMotion) DSG.targetMotion.updateTargetMotion(game, playing ? dt : 0);
+    if(playing && DSG.pathAnalytics) DSG.pathAnalytics.step(game, dt);
+
+    // The one collision check per step that advances dwell timing (state may have changed during movement)
+    if(game.gameState === 'playing' && DSG.collision) DSG.collision.checkCollisions(game, dt);
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.simulation = { step, fadeTrail };
+})();
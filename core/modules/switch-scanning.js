@@ -0,0 +1,222 @@
+/**
+ * Switch scanning: what a switch user scans through and how a selection moves the player.
+ *
+ * Responsibilities:
+ *  - Define the scan sets (SETS): four directions, eight directions, or "toward the nearest target" on its own,
+ *    each ending with Pause. A set is one list for directional scanning and rows for row / column scanning
+ *    (itemsFor, rowsFor).
+ *  - Read the session's switch options from a session config and put them in range (optionsFrom, clean, describe)
+ *  - Turn the item being held into a heading for the movement updater (vectorFor); "nearest" heads for the closest
+ *    target the player should collect (nearestTarget)
+ *  - Draw the scan overlay on the game canvas: the scan panel with the highlighted item or row, and the highlighted /
+ *    held direction next to the player (drawOverlay)
+ *
+ * Session config fields:
+ *  switchScanSet '4way' | '8way' | 'nearest', switchScanPattern 'linear' | 'rowColumn', switchScanMode 'auto' |
+ *  'inverse' | 'step', switchScanSpeed ms per item (auto and inverse scanning). Replay codes v6 carry them (core/replay-code.js).
+ *
+ * Design notes:
+ *  - The scanning itself (timer, switch presses, hold-to-move) lives in SwitchInput (input-manager.js). This module is
+ *    data and geometry only, so the movement updater, playback and the headless runner use it without the bridge.
+ *  - game.switchDirection is the item id held down (null when none): it is the input state the recorder stores ('s')
+ *    and the 'switch' movement updater reads. "nearest" is resolved every step, so a recording replays it exactly.
+ *  - Diagonals move at the same speed as straight moves (unit vectors).
+ *
+ * Exports (window.DSG.switchScan):
+ *  ITEMS, SETS, PATTERNS, MODES, DEFAULTS, SPEED_RANGE
+ *  clean(options) -> options
+ *  optionsFrom(config) -> options
+ *  itemsFor(options) -> item[]
+ *  rowsFor(options) -> item[][]
+ *  describe(options) -> string
+ *  nearestTarget(game) -> target | null
+ *  vectorFor(game, id) -> { x, y } | null
+ *  drawOverlay(game, ctx, scan, player?)
+ */
+(function(){
+  const D = Math.SQRT1_2;
+  const ITEMS = {
+    up: { id: 'up', label: 'Up', symbol: '↑', x: 0, y: -1 },
+    'up-right': { id: 'up-right', label: 'Up right', symbol: '↗', x: D, y: -D },
+    right: { id: 'right', label: 'Right', symbol: '→', x: 1, y: 0 },
+    'down-right': { id: 'down-right', label: 'Down right', symbol: '↘', x: D, y: D },
+    down: { id: 'down', label: 'Down', symbol: '↓', x: 0, y: 1 },
+    'down-left': { id: 'down-left', label: 'Down left', symbol: '↙', x: -D, y: D },
+    left: { id: 'left', label: 'Left', symbol: '←', x: -1, y: 0 },
+    'up-left': { id: 'up-left', label: 'Up left', symbol: '↖', x: -D, y: -D },
+    nearest: { id: 'nearest', label: 'Toward the nearest target', symbol: '◎', x: 0, y: 0 },
+    pause: { id: 'pause', label: 'Pause', symbol: 'II', x: 0, y: 0 }
+  };
+  // order: directional scanning (clockwise from up); rows: row / column scanning, laid out like the panel
+  const SETS = {
+    '4way': { label: '4 directions', order: ['up', 'right', 'down', 'left', 'pause'], rows: [['up'], ['left', 'right'], ['down'], ['pause']] },
+    '8way': {
+      label: '8 directions',
+      order: ['up', 'up-right', 'right', 'down-right', 'down', 'down-left', 'left', 'up-left', 'pause'],
+      rows: [['up-left', 'up', 'up-right'], ['left', 'right'], ['down-left', 'down', 'down-right'], ['pause']]
+    },
+    nearest: { label: 'Toward the nearest target', order: ['nearest', 'pause'], rows: [['nearest'], ['pause']] }
+  };
+  const PATTERNS = { linear: 'One item at a time', rowColumn: 'Row, then item' };
+  const MODES = { auto: 'Auto scan', inverse: 'Inverse scan', step: 'Step scan' };
+  const DEFAULTS = { set: '4way', pattern: 'linear', mode: 'auto', speed: 1500 };
+  const SPEED_RANGE = { min: 500, max: 5000, step: 500 };
+  const CELL = 44; // panel cell, the minimum touch / pointer target size used across the app
+  const CORE_TYPES = ['static', 'moving', 'flee'];
+
+  function clean(options){
+    const o = options || {};
+    const speed = Math.round((Number(o.speed) || DEFAULTS.speed) / SPEED_RANGE.step) * SPEED_RANGE.step;
+    return {
+      set: SETS[o.set] ? o.set : DEFAULTS.set,
+      pattern: PATTERNS[o.pattern] ? o.pattern : DEFAULTS.pattern,
+      mode: MODES[o.mode] ? o.mode : DEFAULTS.mode,
+      speed: Math.max(SPEED_RANGE.min, Math.min(SPEED_RANGE.max, speed))
+    };
+  }
+
+  function optionsFrom(config){
+    const c = config || {};
+    return clean({ set: c.switchScanSet, pattern: c.switchScanPattern, mode: c.switchScanMode, speed: c.switchScanSpeed });
+  }
+
+  function itemsFor(options){ return SETS[clean(options).set].order.map(id => ITEMS[id]); }
+  function rowsFor(options){ return SETS[clean(options).set].rows.map(row => row.map(id => ITEMS[id])); }
+
+  function describe(options){
+    const o = clean(options);
+    const speed = o.mode !== 'step' ? `, ${(o.speed / 1000).toFixed(1)}s per item` : '';
+    return `${SETS[o.set].label} · ${PATTERNS[o.pattern]} · ${MODES[o.mode]}${speed}`;
+  }
+
+  // Closest target the player should be heading for: no hazards, and in ordered sessions only the next one
+  function nearestTarget(game){
+    const next = window.DSG.collision ? window.DSG.collision.nextInSequence(game) : null;
+    const p = game.player;
+    let best = null, bestDist = Infinity;
+    (game.targets || []).forEach(t => {
+      if(t.type === 'hazard' || (next && typeof t.sequenceIndex === 'number' && t !== next)) return;
+      const d = Math.hypot(t.x - p.x, t.y - p.y);
+      // Prefer core targets over bonus ones at the same distance
+      if(d < bestDist || (d === bestDist && best && !CORE_TYPES.includes(best.type))){ best = t; bestDist = d; }
+    });
+    return best;
+  }
+
+  function vectorFor(game, id){
+    const item = ITEMS[id];
+    if(!item || id === 'pause') return null;
+    if(id !== 'nearest') return { x: item.x, y: item.y };
+    const target = nearestTarget(game);
+    if(!target) return null;
+    const dx = target.x - game.player.x, dy = target.y - game.player.y;
+    const len = Math.hypot(dx, dy);
+    return len > 0 ? { x: dx / len, y: dy / len, distance: len } : null;
+  }
+
+  // --- overlay ---
+  // Panel cell of an item: directions by their heading on a 3 x 3 grid, nearest in the middle, Pause underneath
+  function cellOf(item){
+    if(item.id === 'pause') return { col: 0, row: 3, span: 3 };
+    return { col: Math.round(item.x) + 1, row: Math.round(item.y) + 1, span: 1 };
+  }
+
+  function roundedRect(ctx, x, y, w, h, r){
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  function drawArrow(ctx, x, y, vx, vy, length, filled){
+    const ex = x + vx * length, ey = y + vy * length;
+    const head = Math.min(14, length * 0.6), px = -vy, py = vx;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(ex - vx * head * 0.5, ey - vy * head * 0.5);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(ex, ey);
+    ctx.lineTo(ex - vx * head + px * head * 0.6, ey - vy * head + py * head * 0.6);
+    ctx.lineTo(ex - vx * head - px * head * 0.6, ey - vy * head - py * head * 0.6);
+    ctx.closePath();
+    if(filled) ctx.fill(); else ctx.stroke();
+  }
+
+  // Highlighted item (outline) and held item (solid) next to the player, where the student is looking
+  function drawPlayerCue(game, ctx, p, id, held){
+    const item = ITEMS[id];
+    if(!item || id === 'pause') return;
+    ctx.save();
+    ctx.strokeStyle = held ? '#00a152' : '#2c3e50';
+    ctx.fillStyle = '#00a152';
+    ctx.lineWidth = held ? 4 : 3;
+    ctx.lineCap = 'round';
+    if(id === 'nearest'){
+      const target = nearestTarget(game);
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.size * 1.6, 0, Math.PI * 2);
+      ctx.stroke();
+      if(target){
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(target.x, target.y);
+        ctx.stroke();
+      }
+    } else {
+      const start = p.size * 1.3;
+      drawArrow(ctx, p.x + item.x * start, p.y + item.y * start, item.x, item.y, p.size * 1.4, held);
+    }
+    ctx.restore();
+  }
+
+  function drawPanel(game, ctx, scan){
+    const rows = scan.rows;
+    const left = 12, top = game.canvas.height - 12 - CELL * 4;
+    const rowItems = scan.pattern === 'rowColumn' ? rows[scan.row] || [] : [];
+    const current = scan.phase === 'items' ? scan.items[scan.index] : null;
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(left - 6, top - 6, CELL * 3 + 12, CELL * 4 + 12);
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    scan.itemsAll.forEach(item => {
+      const cell = cellOf(item);
+      const x = left + cell.col * CELL, y = top + cell.row * CELL, w = CELL * cell.span - 4, h = CELL - 4;
+      const held = scan.holding === item.id;
+      const highlighted = held || item === current;
+      const inRow = rowItems.indexOf(item) !== -1;
+      ctx.fillStyle = held ? '#00a152' : highlighted ? '#ffeb3b' : inRow ? '#fff59d' : '#ecf0f1';
+      ctx.strokeStyle = highlighted || inRow ? '#2c3e50' : '#95a5a6';
+      ctx.lineWidth = highlighted ? 4 : 2;
+      roundedRect(ctx, x, y, w, h, 6);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = held ? '#ffffff' : '#2c3e50';
+      ctx.fillText(item.id === 'pause' ? (game.gameState === 'paused' ? 'Resume' : 'Pause') : item.symbol, x + w / 2, y + h / 2);
+    });
+    ctx.restore();
+  }
+
+  // scan: SwitchInput.scanState() while scanning live; null during playback (only the held direction is shown).
+  // player: { x, y, size } the cue is drawn around, for activities with their own player (default game.player)
+  function drawOverlay(game, ctx, scan, player){
+    const p = player || game.player;
+    if(!scan){
+      if(game.switchDirection) drawPlayerCue(game, ctx, p, game.switchDirection, true);
+      return;
+    }
+    const current = scan.phase === 'items' ? scan.items[scan.index] : null;
+    if(scan.holding) drawPlayerCue(game, ctx, p, scan.holding, true);
+    else if(current) drawPlayerCue(game, ctx, p, current.id, false);
+    drawPanel(game, ctx, scan);
+  }
+
+  window.DSG = window.DSG || {};
+  window.DSG.switchScan = { ITEMS, SETS, PATTERNS, MODES, DEFAULTS, SPEED_RANGE, clean, optionsFrom, itemsFor, rowsFor, describe, nearestTarget, vectorFor, drawOverlay };
+})();
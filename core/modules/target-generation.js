@@ -3,25 +3,38 @@
  *
  * Responsibilities:
  *  - Convert human friendly / replay code strings into numeric seeds (hashCodeToSeed)
+ *  - Resolve the layout seed for a session (layoutSeedForCode): v3 codes carry one explicitly,
+ *    older codes fall back to hashing the code text so their layouts stay unchanged.
  *  - Maintain a simple linear congruential generator (seedRandom / seededRandom)
  *  - Deterministically place the player (setSeededPlayerPosition)
  *  - Deterministically generate spaced targets of requested types (createDeterministicTarget / generateSessionTargets)
+ *  - Generate in normalized unit space (DSG.layout) and project onto the canvas; targets and player keep their
+ *    unit "home" coordinates (nx / ny) so resize strategies can re-project them.
  *  - Local factory for all target type variants (createTargetByType) isolated here after pruning legacy code.
+ *  - Sequence mode: number or letter the core targets in a seeded order (assignSequence); the shuffle draws from the
+ *    RNG after placement, so a code gives the same layout with or without an order.
+ *  - Hand-made layouts: when the session code is a layout code (DSG.customLayouts) the player and targets go exactly
+ *    where the layout puts them (placeCustomLayout); the code's hash still seeds moving target drift and the order.
  *
  * Design notes:
  *  - Pure functions operating on a provided game instance to keep coupling low.
  *  - No direct DOM access except via game update hooks.
- *  - Reproducibility: given identical session seed + canvas size + config, target order & player start are stable.
+ *  - Reproducibility: given identical session seed + config, target order & player start are stable and produce an
+ *    equivalent layout on any canvas size (spacing / overlay checks run in the DSG.layout reference frame).
  *  - Safety: generation enforces spacing & overlay avoidance with capped attempts then graceful fallback.
  *
  * Exports (window.DSG.targets):
  *  hashCodeToSeed(seedCode): number
+ *  layoutSeedForCode(seedCode): number
  *  seedRandom(game, numericSeed): void
  *  seededRandom(game): number in [0,1)
  *  setSeededPlayerPosition(game): void
  *  createDeterministicTarget(game, type, size): TargetObject
  *  createTargetByType(game, type, x, y, size): TargetObject
  *  generateSessionTargets(game): void
+ *  placeCustomLayout(game, layout, size): void
+ *  assignSequence(game): void
+ *  sequenceLabel(mode, index): string
  */
 (function(){
   // Unique ID counter for targets
@@ -62,6 +75,24 @@
     }
     return Math.abs(hash);
   }
+  // Scramble the small (0-99999) v3 layout seed across 32 bits; adjacent seeds would otherwise
+  // produce near-identical first LCG outputs and therefore near-identical layouts.
+  function mixLayoutSeed(n){
+    let h = n >>> 0;
+    h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+  function layoutSeedForCode(code){
+    const text = typeof code === 'string' ? code.trim() : code;
+    // Layout codes may be typed in any case; hash the canonical form so they always seed the same way
+    const custom = window.DSG.customLayouts && window.DSG.customLayouts.configFor(text);
+    if(custom) return hashCodeToSeed(custom.customLayout);
+    const decoded = (text && window.ReplayCode) ? window.ReplayCode.decode(text) : null;
+    if(decoded && typeof decoded.layoutSeed === 'number') return mixLayoutSeed(decoded.layoutSeed);
+    return hashCodeToSeed(text);
+  }
   function seedRandom(game, seed){
     game.seedValue = seed;
     if(game.debug) console.log('🌱 Initialized seed value:', game.seedValue);
@@ -73,53 +104,94 @@
   function setSeededPlayerPosition(game){
     if(game.currentSession && game.currentSession.seed){
       if(!game.seedValue){
-        seedRandom(game, hashCodeToSeed(game.currentSession.seed));
+        seedRandom(game, layoutSeedForCode(game.currentSession.seed));
       }
       const margin = game.player.size + 20;
-      game.player.x = margin + seededRandom(game) * (game.canvas.width - 2 * margin);
-      game.player.y = margin + seededRandom(game) * (game.canvas.height - 2 * margin);
+      game.player.nx = seededRandom(game);
+      game.player.ny = seededRandom(game);
+      const p = window.DSG.layout.fromUnit(game.player.nx, game.player.ny, margin, game.canvas);
+      game.player.x = p.x;
+      game.player.y = p.y;
       if(game.debug) console.log('🎯 Set seeded player position:', Math.round(game.player.x), ',', Math.round(game.player.y), 'with seed:', game.currentSession.seed);
     } else {
+      game.player.nx = game.player.ny = 0.5;
       game.player.x = game.canvas.width / 2;
       game.player.y = game.canvas.height / 2;
       if(game.debug) console.log('🎯 Set default player position (center):', Math.round(game.player.x), ',', Math.round(game.player.y));
     }
     game.player.trail = [];
   }
+  // Position of an already placed object inside the reference frame (falls back to pixels for legacy objects)
+  function referencePosition(obj, margin){
+    if(typeof obj.nx === 'number' && typeof obj.ny === 'number') return window.DSG.layout.toReference(obj.nx, obj.ny, margin);
+    return { x: obj.x, y: obj.y };
+  }
+  function placeTarget(game, type, size, nx, ny){
+    const p = window.DSG.layout.fromUnit(nx, ny, size + 20, game.canvas);
+    const t = createTargetByType(game, type, p.x, p.y, size);
+    t.nx = nx; t.ny = ny;
+    return t;
+  }
   function createDeterministicTarget(game, type, size){
     const margin = size + 20;
     const overlayWidth = 160, overlayHeight = 60;
     const maxAttempts = 50;
+    const player = referencePosition(game.player, game.player.size + 20);
     for(let attempt=0; attempt<maxAttempts; attempt++){
-      const x = margin + seededRandom(game) * (game.canvas.width - 2 * margin);
-      const y = margin + seededRandom(game) * (game.canvas.height - 2 * margin);
+      const nx = seededRandom(game);
+      const ny = seededRandom(game);
+      const { x, y } = window.DSG.layout.toReference(nx, ny, margin);
       const isUnderOverlay = (x < overlayWidth + margin && y < overlayHeight + margin);
-      const playerDistance = Math.hypot(x - game.player.x, y - game.player.y);
+      const playerDistance = Math.hypot(x - player.x, y - player.y);
       if(playerDistance < size * 3 || isUnderOverlay) continue;
       let tooClose = false;
       for(const existing of game.targets){
-        const d = Math.hypot(x - existing.x, y - existing.y);
+        const e = referencePosition(existing, existing.size + 20);
+        const d = Math.hypot(x - e.x, y - e.y);
         if(d < size * 2.5){ tooClose = true; break; }
       }
       if(!tooClose){
-    return createTargetByType(game, type, x, y, size);
+        return placeTarget(game, type, size, nx, ny);
       }
     }
     // fallback
-    const x = margin + seededRandom(game) * (game.canvas.width - 2 * margin);
-    const y = margin + seededRandom(game) * (game.canvas.height - 2 * margin);
-  return createTargetByType(game, type, x, y, size);
+    const nx = seededRandom(game);
+    const ny = seededRandom(game);
+    return placeTarget(game, type, size, nx, ny);
+  }
+  // Player and targets where a hand-made layout puts them (no spacing checks: the therapist decided)
+  function placeCustomLayout(game, layout, size){
+    const margin = game.player.size + 20;
+    game.player.nx = layout.player.nx;
+    game.player.ny = layout.player.ny;
+    const p = window.DSG.layout.fromUnit(game.player.nx, game.player.ny, margin, game.canvas);
+    game.player.x = p.x;
+    game.player.y = p.y;
+    game.player.trail = [];
+    layout.targets.forEach(t => game.targets.push(placeTarget(game, t.type, size, t.nx, t.ny)));
+    const c = window.DSG.customLayouts.counts(layout);
+    game.currentSession.totalTargets = layout.targets.length;
+    game.currentSession.totalCoreTargets = c.stationary + c.moving + c.flee;
   }
   function generateSessionTargets(game){
     game.targets = [];
-    const numericSeed = hashCodeToSeed(game.currentSession.seed);
+    const numericSeed = layoutSeedForCode(game.currentSession.seed);
     if(game.debug) console.log('🌱 Setting seed for target generation:', game.currentSession.seed,'→', numericSeed);
     seedRandom(game, numericSeed);
     if(game.debug) console.log('🌱 Seed value after initialization:', game.seedValue);
-    setSeededPlayerPosition(game);
-    if(game.debug) console.log('🎯 Generating targets with configuration:', { targetCounts: game.sessionConfig.targetCounts, targetSize: game.sessionConfig.targetSize });
     const targetSizes = { 'small':20, 'medium':30, 'large':40, 'extra-large':50 };
     const targetSize = targetSizes[game.sessionConfig.targetSize] || 30;
+    // Player size is 3/4 of target size (set before placement so the player margin is identical every run)
+    game.player.size = targetSize * 0.75;
+    const custom = window.DSG.customLayouts ? window.DSG.customLayouts.decode(game.currentSession.seed).layout : null;
+    if(custom){
+      placeCustomLayout(game, custom, targetSize);
+      assignSequence(game);
+      game.updateUI();
+      return;
+    }
+    setSeededPlayerPosition(game);
+    if(game.debug) console.log('🎯 Generating targets with configuration:', { targetCounts: game.sessionConfig.targetCounts, targetSize: game.sessionConfig.targetSize });
     const targetTypes = ['stationary','moving','flee','bonus','hazard'];
     let totalTargets = 0;
     for(const type of targetTypes){
@@ -136,16 +208,33 @@
       if(t){ game.targets.push(t); totalTargets = 1; }
     }
     game.currentSession.totalTargets = totalTargets;
-    // Player size is 3/4 of target size
-    game.player.size = targetSize * 0.75;
     game.currentSession.totalCoreTargets = (game.sessionConfig.targetCounts.stationary||0)+(game.sessionConfig.targetCounts.moving||0)+(game.sessionConfig.targetCounts.flee||0);
     if(game.currentSession.totalCoreTargets===0 && totalTargets>0){
       const t = createDeterministicTarget(game,'static',targetSize);
       if(t){ game.targets.push(t); game.currentSession.totalCoreTargets = 1; totalTargets++; }
     }
     game.currentSession.totalTargets = totalTargets;
+    assignSequence(game);
     game.updateUI();
   }
+  const CORE_TYPES = ['static','moving','flee'];
+  // 1, 2, 3... or A..Z, then AA, AB... (at most 27 core targets)
+  function sequenceLabel(mode, index){
+    if(mode !== 'letters') return String(index + 1);
+    const letter = n => String.fromCharCode(65 + n);
+    return index < 26 ? letter(index) : letter(Math.floor(index / 26) - 1) + letter(index % 26);
+  }
+  function assignSequence(game){
+    const mode = game.sessionConfig.sequenceMode;
+    if(!mode || mode === 'off') return;
+    const core = game.targets.filter(t => CORE_TYPES.includes(t.type));
+    // Seeded Fisher-Yates so the order is part of the replay code, not of the generation order
+    for(let i = core.length - 1; i > 0; i--){
+      const j = Math.floor(seededRandom(game) * (i + 1));
+      const tmp = core[i]; core[i] = core[j]; core[j] = tmp;
+    }
+    core.forEach((t, i) => { t.sequenceIndex = i; t.label = sequenceLabel(mode, i); });
+  }
   window.DSG = window.DSG || {}; 
-  window.DSG.targets = { hashCodeToSeed, seedRandom, seededRandom, setSeededPlayerPosition, createDeterministicTarget, createTargetByType, generateSessionTargets };
+  window.DSG.targets = { hashCodeToSeed, layoutSeedForCode, seedRandom, seededRandom, setSeededPlayerPosition, createDeterministicTarget, createTargetByType, generateSessionTargets, placeCustomLayout, assignSequence, sequenceLabel };
 })();
@@ -3,21 +3,31 @@
  *
  * Responsibilities:
  *  - Update live timer & progress bar (updateTimerDisplay / updateUI)
- *  - Aggregate and render stats & recent session history (updateStatsModal / updateSessionHistory)
- *  - Populate & reveal end-of-session results modal (showSessionResults)
+ *  - Aggregate and render stats & the session history, one page at a time (updateStatsModal / updateSessionHistory)
+ *  - Redraw the achievements gallery, the personal-bests table and the progress charts with the stats
+ *    (DSG.progressCharts draws only while the modal is open)
+ *  - Populate & reveal end-of-session results modal (showSessionResults), including the adaptive difficulty
+ *    proposal for the next session (showAdaptiveProposal)
+ *  - Show what a progress import would add, or why the file was rejected, in the stats modal (showImportPreview)
  *
  * Accessibility:
  *  - Leaves announcement responsibility to game.announceToScreenReader invoked elsewhere.
- *  - Generates copy buttons with accessible labels via title attribute.
+ *  - Generates copy (and, for recorded sessions, watch) buttons with accessible labels via title attribute.
+ *  - Pager buttons are disabled (not hidden) at either end; the page summary is a polite live region.
  *
  * Exports (window.DSG.uiSession):
  *  updateUI(game)
  *  updateTimerDisplay(game)
  *  updateStatsModal(game)
  *  updateSessionHistory(game)
+ *  HISTORY_PAGE_SIZE: number
  *  showSessionResults(game)
+ *  showAdaptiveProposal(game)
+ *  showImportPreview(preview, errors?)
+ *  hideImportPreview()
  */
 (function(){
+  const HISTORY_PAGE_SIZE = 10;
   function updateTimerDisplay(game){
     const timeEl=document.getElementById('current-session-time');
     if(game.currentSession && game.currentSession.startTime){
@@ -40,13 +50,37 @@
     const sEl=document.getElementById('stats-sessions'); if(sEl) sEl.textContent=totalSessions;
     const tEl=document.getElementById('stats-targets'); if(tEl) tEl.textContent=totalTargets;
     updateSessionHistory(game);
+    if(window.DSG.achievements) window.DSG.achievements.render(game);
+    if(window.DSG.personalBests) window.DSG.personalBests.render(game);
+    if(window.DSG.progressCharts) window.DSG.progressCharts.render(game);
+  }
+  function updateHistoryPager(game, total, pages){
+    const pager=document.getElementById('session-history-pager'); if(!pager) return;
+    pager.style.display = pages>1 ? 'flex' : 'none';
+    const first=game.historyPage*HISTORY_PAGE_SIZE;
+    const info=document.getElementById('history-page-info'); if(info) info.textContent=`Sessions ${first+1}–${Math.min(total, first+HISTORY_PAGE_SIZE)} of ${total}`;
+    const newer=document.getElementById('history-newer'); const older=document.getElementById('history-older');
+    if(newer){ newer.disabled=game.historyPage<=0; newer.onclick=()=>{ game.historyPage--; updateSessionHistory(game); }; }
+    if(older){ older.disabled=game.historyPage>=pages-1; older.onclick=()=>{ game.historyPage++; updateSessionHistory(game); }; }
+  }
+  function pathLine(session){
+    if(!session.path || !window.DSG.pathAnalytics) return '';
+    return `<div class="session-path">${window.DSG.escapeHtml(window.DSG.pathAnalytics.summary(session.path))}</div>`;
   }
   function updateSessionHistory(game){
     const container=document.getElementById('session-history'); if(!container) return;
-    if(game.sessionHistory.length===0){ container.innerHTML='<div class="no-sessions"><p>No sessions completed yet.</p><p>Complete your first session to see your progress history!</p></div>'; return; }
-    const recent=[...game.sessionHistory].reverse();
-    container.innerHTML = recent.map((session,index)=>{ const date=new Date(session.endTime||session.startTime); const timeStr=game.formatTime(session.totalTime); const replayCode=session.seed||'N/A'; const dateStr=`${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'})}`; return `<div class="session-item" data-session-index="${index}"><div class="session-time">${timeStr}</div><div class="session-details"><div class="session-replay-info"><div class="replay-code">${replayCode}</div><div class="session-date">${dateStr}</div><button class="copy-replay-btn" data-replay-code="${replayCode}" title="Copy replay code">Copy</button></div></div></div>`; }).join('');
-    container.querySelectorAll('.copy-replay-btn').forEach(btn=>btn.addEventListener('click',e=>{ e.preventDefault(); const code=btn.getAttribute('data-replay-code'); game.copyReplayCode(code); }));
+    const total=game.sessionHistory.length;
+    const pages=Math.max(1, Math.ceil(total/HISTORY_PAGE_SIZE));
+    game.historyPage=Math.min(Math.max(0, game.historyPage||0), pages-1);
+    updateHistoryPager(game, total, pages);
+    if(total===0){ container.innerHTML='<div class="no-sessions"><p>No sessions completed yet.</p><p>Complete your first session to see your progress history!</p></div>'; return; }
+    // Newest first; index maps back to game.sessionHistory for Watch
+    const first=game.historyPage*HISTORY_PAGE_SIZE;
+    const page=[...game.sessionHistory].reverse().slice(first, first+HISTORY_PAGE_SIZE);
+    container.innerHTML = page.map((session,i)=>{ const index=first+i; const date=new Date(session.endTime||session.startTime); const timeStr=game.formatTime(session.totalTime); const replayCode=window.DSG.escapeHtml(session.seed||'N/A'); const dateStr=`${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'})}`; return `<div class="session-item" data-session-index="${index}"><div class="session-time">${timeStr}</div><div class="session-details"><div class="session-replay-info"><div class="replay-code">${replayCode}</div><div class="session-date">${dateStr}</div><button class="copy-replay-btn" data-replay-code="${replayCode}" title="Copy replay code">Copy</button>${(session.recording || session.hasRecording) ? `<button class="copy-replay-btn watch-replay-btn" data-history-index="${total-1-index}" title="Watch a playback of this session">Watch</button>` : ''}</div>${pathLine(session)}</div></div>`; }).join('');
+    container.scrollTop=0;
+    container.querySelectorAll('.copy-replay-btn[data-replay-code]').forEach(btn=>btn.addEventListener('click',e=>{ e.preventDefault(); const code=btn.getAttribute('data-replay-code'); game.copyReplayCode(code); }));
+    container.querySelectorAll('.watch-replay-btn').forEach(btn=>btn.addEventListener('click',e=>{ e.preventDefault(); game.watchSessionRecording(parseInt(btn.getAttribute('data-history-index'),10)); }));
   }
   function showSessionResults(game){
     const modal=document.getElementById('results-modal'); if(!modal) return;
@@ -55,9 +89,61 @@
     const bonusStat=document.getElementById('bonus-stat'); const hazardStat=document.getElementById('hazard-stat');
     if(game.currentSession.bonusTargetsCollected>0){ document.getElementById('results-bonus-targets').textContent=game.currentSession.bonusTargetsCollected; bonusStat.style.display='flex'; } else bonusStat.style.display='none';
     if(game.currentSession.hazardTargetsHit>0){ document.getElementById('results-hazard-targets').textContent=game.currentSession.hazardTargetsHit; hazardStat.style.display='flex'; } else hazardStat.style.display='none';
+    // Activity-specific lines (e.g. maze wall bumps) from the mini-game's results.stats, plus sequence mistakes, path
+    // metrics and the achievements this session unlocked
+    const optional=document.getElementById('optional-stats');
+    if(optional){
+      optional.querySelectorAll('.activity-stat').forEach(el=>el.remove());
+      let stats=(game.currentSession.results && game.currentSession.results.stats) || [];
+      if(game.currentSession.wrongTargetHits>0) stats=stats.concat([{ icon:'🔢', text:`${game.currentSession.wrongTargetHits} out-of-order ${game.currentSession.wrongTargetHits===1?'touch':'touches'}` }]);
+      if(game.currentSession.path && window.DSG.pathAnalytics) stats=stats.concat(window.DSG.pathAnalytics.describe(game.currentSession.path));
+      if(window.DSG.achievements) stats=stats.concat(window.DSG.achievements.describe(game.sessionAchievements));
+      stats.forEach(st=>{ const item=document.createElement('div'); item.className='stat-item activity-stat'; const icon=document.createElement('span'); icon.className='stat-icon'; icon.textContent=st.icon||''; const text=document.createElement('span'); text.className='stat-text'; text.textContent=st.text||''; item.append(icon,text); optional.appendChild(item); });
+    }
+    showAdaptiveProposal(game);
     document.getElementById('results-seed').textContent=game.currentSession.seed;
     const copyBtn=document.getElementById('copy-replay-code'); copyBtn.onclick=()=>game.copyCurrentSessionReplayCode();
     modal.showModal();
   }
-  window.DSG = window.DSG || {}; window.DSG.uiSession = { updateUI, updateTimerDisplay, updateStatsModal, updateSessionHistory, showSessionResults };
+  // Adaptive difficulty: why the next session changes (or not), what changes, and apply / undo / start buttons
+  function showAdaptiveProposal(game){
+    const panel=document.getElementById('adaptive-panel'); if(!panel) return;
+    const proposal=game.adaptiveProposal;
+    panel.hidden=!proposal; if(!proposal) return;
+    const hasChanges=proposal.changes.length>0;
+    document.getElementById('adaptive-title').textContent = !hasChanges ? 'Next session: same setup' : proposal.applied ? 'Next session: setup adjusted' : 'Suggested for the next session';
+    document.getElementById('adaptive-reason').textContent=proposal.reason;
+    const list=document.getElementById('adaptive-changes');
+    list.innerHTML='';
+    proposal.changes.forEach(c=>{ const li=document.createElement('li'); li.textContent=`${c.label}: ${c.from} → ${c.to}`; list.appendChild(li); });
+    list.hidden=!hasChanges;
+    document.getElementById('adaptive-apply-btn').hidden=!hasChanges || proposal.applied;
+    document.getElementById('adaptive-undo-btn').hidden=!proposal.applied;
+  }
+  function plural(n, word){ return `${n} ${word}${n===1?'':'s'}`; }
+  function showImportPreview(preview, errors){
+    const panel=document.getElementById('import-preview'); if(!panel) return;
+    const title=document.getElementById('import-preview-title'); const list=document.getElementById('import-preview-list');
+    const confirmBtn=document.getElementById('confirm-import-btn'); const settingsOption=document.getElementById('import-settings-option'); const settingsBox=document.getElementById('import-settings');
+    const rejected=!!(errors && errors.length);
+    let lines;
+    if(rejected){ title.textContent='This file cannot be imported'; lines=errors; }
+    else {
+      title.textContent=preview.profileName ? `Import preview: ${preview.profileName}` : 'Import preview';
+      lines=[`${plural(preview.newSessions.length,'new session')} will be added`];
+      if(preview.duplicates>0) lines.push(`${plural(preview.duplicates,'session')} already on this device will be skipped`);
+      if(preview.newAchievements.length>0) lines.push(`${plural(preview.newAchievements.length,'achievement')} will be added`);
+      if(preview.exportedAt) lines.push(`Exported ${new Date(preview.exportedAt).toLocaleString()}`);
+    }
+    list.innerHTML=''; lines.forEach(text=>{ const li=document.createElement('li'); li.textContent=text; list.appendChild(li); });
+    const nothingNew=!rejected && !preview.newSessions.length && !preview.newAchievements.length && !preview.settings;
+    if(confirmBtn){ confirmBtn.style.display=rejected?'none':''; confirmBtn.disabled=nothingNew; }
+    if(settingsOption) settingsOption.style.display=!rejected && preview.settings ? '' : 'none';
+    if(settingsBox) settingsBox.checked=false;
+    panel.style.display='block';
+  }
+  function hideImportPreview(){
+    const panel=document.getElementById('import-preview'); if(panel) panel.style.display='none';
+  }
+  window.DSG = window.DSG || {}; window.DSG.uiSession = { HISTORY_PAGE_SIZE, updateUI, updateTimerDisplay, updateStatsModal, updateSessionHistory, showSessionResults, showAdaptiveProposal, showImportPreview, hideImportPreview };
 })();
@@ -0,0 +1,283 @@
+/* PlaylistScene is the teacher's playlist manager in the Playlists modal (DSG.playlists): list the saved playlists,
+   build or edit one (replay codes in order, each with an optional rest break and instructions), share it as a
+   playlist code or open one, and play it back to back. Playing hands off to DSG.playlists.start. */
+(function () {
+  function PlaylistScene() {
+    if (typeof BaseModalScene === 'function') BaseModalScene.call(this);
+    this._listenersBound = false;
+    this._cleanup = null;
+    this._draft = null;
+  }
+  if (typeof BaseModalScene === 'function') {
+    PlaylistScene.prototype = Object.create(BaseModalScene.prototype);
+    PlaylistScene.prototype.constructor = PlaylistScene;
+  }
+  var escapeHtml = window.DSG.escapeHtml;
+  function playlists() { return window.DSG && window.DSG.playlists; }
+  function announce(message) {
+    if (window.game && typeof window.game.announceToScreenReader === 'function') window.game.announceToScreenReader(message);
+  }
+  function plural(n, word) { return n + ' ' + word + (n === 1 ? '' : 's'); }
+  function copyText(text, message) {
+    var g = window.game;
+    var done = function () { if (g) { g.showToast(message); g.announceToScreenReader(message); } };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(done).catch(function () { if (g) g.fallbackCopyToClipboard(text); });
+    } else if (g) {
+      g.fallbackCopyToClipboard(text);
+    }
+  }
+
+  PlaylistScene.prototype._setStatus = function (message, isError) {
+    var status = document.getElementById('playlist-status');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('playlist-status-error', !!isError);
+  };
+
+  PlaylistScene.prototype._renderList = function () {
+    var list = document.getElementById('playlist-list');
+    var store = playlists();
+    if (!list || !store || !window.game) return;
+    var saved = store.load(window.game);
+    if (!saved.length) {
+      list.innerHTML = '<li class="no-sessions">No playlists yet. Create one or open a playlist code.</li>';
+      return;
+    }
+    list.innerHTML = saved.map(function (p) {
+      var name = escapeHtml(p.name);
+      var id = escapeHtml(p.id);
+      return '<li class="profile-item">' +
+        '<button class="activity-option" data-playlist-action="play" data-playlist-id="' + id + '">' +
+        '<span class="material-icons" aria-hidden="true">playlist_play</span>' +
+        '<span class="activity-option-text"><span class="activity-option-name">' + name + '</span>' +
+        '<span class="activity-option-description">' + plural(p.items.length, 'session') + ' · Play</span></span>' +
+        '</button>' +
+        '<button class="profile-action" data-playlist-action="edit" data-playlist-id="' + id + '" aria-label="Edit ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">edit</span></button>' +
+        '<button class="profile-action" data-playlist-action="share" data-playlist-id="' + id + '" aria-label="Copy the playlist code for ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">share</span></button>' +
+        '<button class="profile-action" data-playlist-action="remove" data-playlist-id="' + id + '" aria-label="Remove ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">delete</span></button>' +
+        '</li>';
+    }).join('');
+  };
+
+  PlaylistScene.prototype._renderItems = function () {
+    var list = document.getElementById('playlist-items');
+    var store = playlists();
+    if (!list || !store || !this._draft) return;
+    var items = this._draft.items;
+    if (!items.length) {
+      list.innerHTML = '<li class="no-sessions">Add a replay code or the current session setup.</li>';
+    } else {
+      list.innerHTML = items.map(function (item, i) {
+        var n = i + 1;
+        return '<li class="playlist-item">' +
+          '<div class="playlist-item-header"><span class="playlist-item-title"><strong>' + n + '. ' + escapeHtml(store.describeCode(item.code)) + '</strong>' +
+          '<span class="playlist-item-code">' + escapeHtml(item.code) + '</span></span>' +
+          '<span class="playlist-item-actions">' +
+          '<button class="profile-action" data-item-action="up" data-item-index="' + i + '" aria-label="Move session ' + n + ' up"' + (i === 0 ? ' disabled' : '') + '><span class="material-icons" aria-hidden="true">arrow_upward</span></button>' +
+          '<button class="profile-action" data-item-action="down" data-item-index="' + i + '" aria-label="Move session ' + n + ' down"' + (i === items.length - 1 ? ' disabled' : '') + '><span class="material-icons" aria-hidden="true">arrow_downward</span></button>' +
+          '<button class="profile-action" data-item-action="remove" data-item-index="' + i + '" aria-label="Remove session ' + n + '"><span class="material-icons" aria-hidden="true">delete</span></button>' +
+          '</span></div>' +
+          '<div class="playlist-item-fields">' +
+          '<label for="playlist-rest-' + i + '">Rest before (seconds)</label>' +
+          '<input type="number" id="playlist-rest-' + i + '" min="0" max="600" step="5" value="' + item.rest + '" data-item-field="rest" data-item-index="' + i + '">' +
+          '<label for="playlist-note-' + i + '">Instructions before this session</label>' +
+          '<textarea id="playlist-note-' + i + '" rows="2" maxlength="300" data-item-field="note" data-item-index="' + i + '">' + escapeHtml(item.note) + '</textarea>' +
+          '</div></li>';
+      }).join('');
+    }
+    var addRow = document.getElementById('playlist-add-row');
+    if (addRow) addRow.hidden = items.length >= store.MAX_ITEMS;
+  };
+
+  PlaylistScene.prototype._openEditor = function (playlist) {
+    this._draft = { id: playlist.id || null, name: playlist.name || '', items: playlist.items.map(function (item) { return { code: item.code, rest: item.rest || 0, note: item.note || '' }; }) };
+    var editor = document.getElementById('playlist-editor');
+    var manager = document.getElementById('playlist-manager');
+    var nameInput = document.getElementById('playlist-name-input');
+    if (nameInput) nameInput.value = this._draft.name;
+    this._renderItems();
+    if (manager) manager.hidden = true;
+    if (editor) editor.hidden = false;
+    this._setStatus('');
+    if (nameInput) nameInput.focus();
+  };
+
+  PlaylistScene.prototype._closeEditor = function () {
+    this._draft = null;
+    var editor = document.getElementById('playlist-editor');
+    var manager = document.getElementById('playlist-manager');
+    if (editor) editor.hidden = true;
+    if (manager) manager.hidden = false;
+    this._renderList();
+    var newBtn = document.getElementById('new-playlist-btn');
+    if (newBtn) newBtn.focus();
+  };
+
+  PlaylistScene.prototype._addCode = function (code) {
+    var store = playlists();
+    code = String(code || '').trim();
+    if (!store.isReplayCode(code)) { this._setStatus('That is not a valid replay code.', true); return false; }
+    if (this._draft.items.length >= store.MAX_ITEMS) { this._setStatus('A playlist holds up to ' + store.MAX_ITEMS + ' sessions.', true); return false; }
+    this._draft.items.push({ code: code, rest: 0, note: '' });
+    this._renderItems();
+    this._setStatus('Added session ' + this._draft.items.length + ': ' + store.describeCode(code));
+    return true;
+  };
+
+  PlaylistScene.prototype._play = function (playlist) {
+    if (!playlist || !playlist.items.length) { this._setStatus('Add at least one session first.', true); return; }
+    if (typeof this.closeModal === 'function') this.closeModal();
+    try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+    playlists().start(window.game, playlist);
+  };
+
+  PlaylistScene.prototype.onEnter = function () {
+    var self = this;
+    if (!playlists()) return;
+    this._draft = null;
+    document.getElementById('playlist-editor').hidden = true;
+    document.getElementById('playlist-manager').hidden = false;
+    this._setStatus('');
+    this._renderList();
+    var modal = (typeof this.openModal === 'function') ? this.openModal('playlist-modal', { focusSelector: '#new-playlist-btn' }) : document.getElementById('playlist-modal');
+    if (!modal) return;
+    this.onEscClose = function () {
+      try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+    };
+    if (!this._listenersBound) {
+      var game = window.game;
+      var list = document.getElementById('playlist-list');
+      var items = document.getElementById('playlist-items');
+      var newBtn = document.getElementById('new-playlist-btn');
+      var openForm = document.getElementById('open-playlist-form');
+      var openInput = document.getElementById('playlist-code-input');
+      var addForm = document.getElementById('playlist-add-form');
+      var addInput = document.getElementById('playlist-add-code');
+      var addCurrent = document.getElementById('playlist-add-current');
+      var nameInput = document.getElementById('playlist-name-input');
+      var saveBtn = document.getElementById('save-playlist-btn');
+      var playBtn = document.getElementById('play-playlist-btn');
+      var shareBtn = document.getElementById('share-playlist-btn');
+      var cancelBtn = document.getElementById('cancel-playlist-btn');
+      var modalClose = modal.querySelector('.modal-close');
+      var closeBtn = document.getElementById('close-playlists');
+      var handleClose = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        self.onEscClose();
+      };
+      var handleList = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-playlist-action]') : null;
+        if (!btn) return;
+        var id = btn.getAttribute('data-playlist-id');
+        var playlist = playlists().load(game).filter(function (p) { return p.id === id; })[0];
+        if (!playlist) return;
+        var action = btn.getAttribute('data-playlist-action');
+        if (action === 'play') self._play(playlist);
+        else if (action === 'edit') self._openEditor(playlist);
+        else if (action === 'share') copyText(playlists().encode(playlist), 'Playlist code for ' + playlist.name + ' copied');
+        else if (action === 'remove' && confirm('Remove the playlist "' + playlist.name + '"? This action cannot be undone.')) {
+          playlists().remove(game, id);
+          self._renderList();
+          announce('Playlist ' + playlist.name + ' removed');
+        }
+      };
+      var handleNew = function () { self._openEditor({ name: '', items: [] }); };
+      var handleOpen = function (e) {
+        e.preventDefault();
+        var result = playlists().decode(openInput ? openInput.value : '');
+        if (!result.playlist) { self._setStatus(result.error, true); return; }
+        if (openInput) openInput.value = '';
+        self._openEditor(result.playlist);
+        self._setStatus('Opened ' + result.playlist.name + ' (' + plural(result.playlist.items.length, 'session') + '). Save it to keep it on this profile, or play it now.');
+      };
+      var handleItemClick = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-item-action]') : null;
+        if (!btn || !self._draft) return;
+        var i = parseInt(btn.getAttribute('data-item-index'), 10);
+        var list = self._draft.items;
+        var action = btn.getAttribute('data-item-action');
+        var target = action === 'up' ? i - 1 : action === 'down' ? i + 1 : null;
+        if (action === 'remove') {
+          list.splice(i, 1);
+          self._setStatus('Session ' + (i + 1) + ' removed');
+        } else if (target !== null && target >= 0 && target < list.length) {
+          var moved = list.splice(i, 1)[0];
+          list.splice(target, 0, moved);
+          self._setStatus('Moved to position ' + (target + 1));
+        } else return;
+        self._renderItems();
+        var focus = items.querySelector('[data-item-action="' + action + '"][data-item-index="' + (target !== null ? target : Math.min(i, list.length - 1)) + '"]:not([disabled])');
+        if (focus) focus.focus(); else if (addInput) addInput.focus();
+      };
+      var handleItemInput = function (e) {
+        var field = e.target && e.target.getAttribute ? e.target.getAttribute('data-item-field') : null;
+        if (!field || !self._draft) return;
+        var item = self._draft.items[parseInt(e.target.getAttribute('data-item-index'), 10)];
+        if (item) item[field] = field === 'rest' ? Math.max(0, parseInt(e.target.value, 10) || 0) : e.target.value;
+      };
+      var handleAdd = function (e) {
+        e.preventDefault();
+        if (self._addCode(addInput ? addInput.value : '') && addInput) addInput.value = '';
+      };
+      var handleAddCurrent = function () { self._addCode(playlists().currentSetupCode(game)); };
+      var handleName = function () { if (self._draft) self._draft.name = nameInput.value; };
+      var handleSave = function () {
+        if (!self._draft) return;
+        if (!self._draft.items.length) { self._setStatus('Add at least one session first.', true); return; }
+        var saved = playlists().upsert(game, self._draft);
+        announce('Playlist ' + saved.name + ' saved');
+        self._closeEditor();
+      };
+      var handlePlay = function () { self._play(self._draft); };
+      var handleShare = function () {
+        if (!self._draft || !self._draft.items.length) { self._setStatus('Add at least one session first.', true); return; }
+        copyText(playlists().encode(self._draft), 'Playlist code copied');
+      };
+      var handleCancel = function () { self._closeEditor(); };
+      if (list) list.addEventListener('click', handleList);
+      if (newBtn) newBtn.addEventListener('click', handleNew);
+      if (openForm) openForm.addEventListener('submit', handleOpen);
+      if (items) items.addEventListener('click', handleItemClick);
+      if (items) items.addEventListener('input', handleItemInput);
+      if (addForm) addForm.addEventListener('submit', handleAdd);
+      if (addCurrent) addCurrent.addEventListener('click', handleAddCurrent);
+      if (nameInput) nameInput.addEventListener('input', handleName);
+      if (saveBtn) saveBtn.addEventListener('click', handleSave);
+      if (playBtn) playBtn.addEventListener('click', handlePlay);
+      if (shareBtn) shareBtn.addEventListener('click', handleShare);
+      if (cancelBtn) cancelBtn.addEventListener('click', handleCancel);
+      if (modalClose) modalClose.addEventListener('click', handleClose);
+      if (closeBtn) closeBtn.addEventListener('click', handleClose);
+      this._cleanup = function () {
+        if (list) list.removeEventListener('click', handleList);
+        if (newBtn) newBtn.removeEventListener('click', handleNew);
+        if (openForm) openForm.removeEventListener('submit', handleOpen);
+        if (items) items.removeEventListener('click', handleItemClick);
+        if (items) items.removeEventListener('input', handleItemInput);
+        if (addForm) addForm.removeEventListener('submit', handleAdd);
+        if (addCurrent) addCurrent.removeEventListener('click', handleAddCurrent);
+        if (nameInput) nameInput.removeEventListener('input', handleName);
+        if (saveBtn) saveBtn.removeEventListener('click', handleSave);
+        if (playBtn) playBtn.removeEventListener('click', handlePlay);
+        if (shareBtn) shareBtn.removeEventListener('click', handleShare);
+        if (cancelBtn) cancelBtn.removeEventListener('click', handleCancel);
+        if (modalClose) modalClose.removeEventListener('click', handleClose);
+        if (closeBtn) closeBtn.removeEventListener('click', handleClose);
+      };
+      this._listenersBound = true;
+    }
+  };
+  PlaylistScene.prototype.onExit = function () {
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (this._cleanup) this._cleanup();
+    this._listenersBound = false;
+  };
+  PlaylistScene.prototype.update = function () {};
+  PlaylistScene.prototype.render = function () {};
+  PlaylistScene.prototype.handleInput = function () {};
+  window.PlaylistScene = PlaylistScene;
+})();
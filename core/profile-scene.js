@@ -0,0 +1,119 @@
+/* ProfileScene lists the student profiles (DSG.profiles) in the Profiles modal: pick one to switch, add a named or
+   pseudonymous profile, rename or remove one. Switching reloads the game's per-student data through profiles.onChange. */
+(function () {
+  function ProfileScene() {
+    if (typeof BaseModalScene === 'function') BaseModalScene.call(this);
+    this._listenersBound = false;
+    this._cleanup = null;
+  }
+  if (typeof BaseModalScene === 'function') {
+    ProfileScene.prototype = Object.create(BaseModalScene.prototype);
+    ProfileScene.prototype.constructor = ProfileScene;
+  }
+  var escapeHtml = window.DSG.escapeHtml;
+  function profiles() { return window.DSG && window.DSG.profiles; }
+  function announce(message) {
+    if (window.game && typeof window.game.announceToScreenReader === 'function') window.game.announceToScreenReader(message);
+  }
+  ProfileScene.prototype._renderList = function () {
+    var list = document.getElementById('profile-list');
+    var store = profiles();
+    if (!list || !store) return;
+    var activeId = store.active().id;
+    list.innerHTML = store.list().map(function (p) {
+      var current = p.id === activeId;
+      var name = escapeHtml(p.name);
+      var html = '<li class="profile-item' + (current ? ' current' : '') + '">' +
+        '<button class="activity-option profile-option" data-profile-id="' + escapeHtml(p.id) + '"' + (current ? ' aria-current="true"' : '') + '>' +
+        '<span class="material-icons" aria-hidden="true">' + (current ? 'check_circle' : 'account_circle') + '</span>' +
+        '<span class="activity-option-text"><span class="activity-option-name">' + name + '</span>' +
+        '<span class="activity-option-description">' + (current ? 'Current profile' : 'Switch to this profile') + '</span></span>' +
+        '</button>' +
+        '<button class="profile-action" data-profile-action="rename" data-profile-id="' + escapeHtml(p.id) + '" aria-label="Rename ' + name + '">' +
+        '<span class="material-icons" aria-hidden="true">edit</span></button>';
+      if (p.id !== store.DEFAULT_ID) {
+        html += '<button class="profile-action" data-profile-action="remove" data-profile-id="' + escapeHtml(p.id) + '" aria-label="Remove ' + name + '">' +
+          '<span class="material-icons" aria-hidden="true">delete</span></button>';
+      }
+      return html + '</li>';
+    }).join('');
+  };
+  ProfileScene.prototype.onEnter = function () {
+    var self = this;
+    if (!profiles()) return;
+    this._renderList();
+    var modal = (typeof this.openModal === 'function') ? this.openModal('profile-modal', { focusSelector: '.profile-option[aria-current]' }) : document.getElementById('profile-modal');
+    if (!modal) return;
+    this.onEscClose = function () {
+      try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+    };
+    if (!this._listenersBound) {
+      var list = document.getElementById('profile-list');
+      var nameInput = document.getElementById('profile-name-input');
+      var addForm = document.getElementById('add-profile-form');
+      var modalClose = modal.querySelector('.modal-close');
+      var closeBtn = document.getElementById('close-profiles');
+      var handleClose = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        self.onEscClose();
+      };
+      var handleList = function (e) {
+        var btn = e.target && e.target.closest ? e.target.closest('[data-profile-id]') : null;
+        if (!btn) return;
+        var store = profiles();
+        var profile = store.get(btn.getAttribute('data-profile-id'));
+        if (!profile) return;
+        var action = btn.getAttribute('data-profile-action');
+        if (action === 'rename') {
+          var name = prompt('New name for ' + profile.name + ':', profile.name);
+          if (name !== null && store.rename(profile.id, name)) {
+            self._renderList();
+            if (window.game && typeof window.game.updateProfileButton === 'function') window.game.updateProfileButton();
+            announce('Profile renamed to ' + store.get(profile.id).name);
+          }
+          return;
+        }
+        if (action === 'remove') {
+          if (confirm('Remove the profile "' + profile.name + '" and all of its history and settings? This action cannot be undone.')) {
+            store.remove(profile.id);
+            self._renderList();
+            announce('Profile ' + profile.name + ' removed. Current profile: ' + store.active().name);
+          }
+          return;
+        }
+        store.switchTo(profile.id);
+        announce('Switched to ' + profile.name);
+        handleClose();
+      };
+      var handleAdd = function (e) {
+        e.preventDefault();
+        var store = profiles();
+        var profile = store.create(nameInput ? nameInput.value : '');
+        if (nameInput) nameInput.value = '';
+        store.switchTo(profile.id);
+        announce('Created and switched to ' + profile.name);
+        handleClose();
+      };
+      if (list) list.addEventListener('click', handleList);
+      if (addForm) addForm.addEventListener('submit', handleAdd);
+      if (modalClose) modalClose.addEventListener('click', handleClose);
+      if (closeBtn) closeBtn.addEventListener('click', handleClose);
+      this._cleanup = function () {
+        if (list) list.removeEventListener('click', handleList);
+        if (addForm) addForm.removeEventListener('submit', handleAdd);
+        if (modalClose) modalClose.removeEventListener('click', handleClose);
+        if (closeBtn) closeBtn.removeEventListener('click', handleClose);
+      };
+      this._listenersBound = true;
+    }
+  };
+  ProfileScene.prototype.onExit = function () {
+    if (typeof this.closeModal === 'function') this.closeModal();
+    if (this._cleanup) this._cleanup();
+    this._listenersBound = false;
+  };
+  ProfileScene.prototype.update = function () {};
+  ProfileScene.prototype.render = function () {};
+  ProfileScene.prototype.handleInput = function () {};
+  window.ProfileScene = ProfileScene;
+})();
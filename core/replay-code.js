@@ -1,9 +1,18 @@
 /* Replay code utilities extracted for reuse across mini-games.
-   Version 2: Extended format with calm mode, dwell settings, and joystick config. */
+   Version 2: Extended format with calm mode, dwell settings, and joystick config.
+   Version 3: Adds a 5-digit layout seed so a shared code reproduces the exact target layout.
+   Version 4: Appends 5 dwell digits (grace, decay, per-type dwell times); only emitted when any of them is non-default.
+   Version 5: Appends 2 sequence digits (collection order, wrong-target feedback) to the v4 payload; only emitted when
+   targets must be collected in order.
+   Version 6: Appends 4 switch scanning digits (scan set, pattern, mode, speed) to the v5 payload; only emitted for
+   switch scanning sessions. */
 (function () {
+  const LAYOUT_SEED_DIGITS = 5;
+  const LAYOUT_SEED_RANGE = 100000; // 00000-99999
+
   function encodeSize(size) { const m = { 'small': 0, 'medium': 1, 'large': 2, 'extra-large': 3 }; return m.hasOwnProperty(size) ? m[size] : 1; }
   function encodeTrail(trail) { const m = { 'short': 0, 'long': 1, 'off': 2 }; return m.hasOwnProperty(trail) ? m[trail] : 0; }
-  function encodeInputMethod(method) { const m = { 'discrete': 0, 'continuous': 1, 'mouse': 2, 'joystick': 3, 'cursor': 4 }; return m.hasOwnProperty(method) ? m[method] : 0; }
+  function encodeInputMethod(method) { const m = { 'discrete': 0, 'continuous': 1, 'mouse': 2, 'joystick': 3, 'cursor': 4, 'switch': 5, 'gaze': 6 }; return m.hasOwnProperty(method) ? m[method] : 0; }
   function encodeBoundaries(boundaries) { const m = { 'none': 0, 'visual': 1, 'hard': 2 }; return m.hasOwnProperty(boundaries) ? m[boundaries] : 0; }
   function encodeJoystickSensitivity(sens) { const m = { 'low': 0, 'medium': 1, 'high': 2 }; return m.hasOwnProperty(sens) ? m[sens] : 1; }
   function encodeDwellTime(ms) { 
@@ -11,6 +20,17 @@
     const step = Math.round((ms - 500) / 500);
     return Math.max(0, Math.min(5, step));
   }
+  function encodeDwellGrace(ms) { return Math.max(0, Math.min(4, Math.round((ms || 0) / 250))); } // 0-1000ms, 250ms steps
+  function encodeDwellTypeTime(ms) { return ms ? Math.max(1, Math.min(6, Math.round(ms / 500))) : 0; } // 0 = use dwellTime
+  function encodeSequenceMode(mode) { const m = { 'off': 0, 'numbers': 1, 'letters': 2 }; return m.hasOwnProperty(mode) ? m[mode] : 0; }
+  // Scan set, pattern, mode and speed (500-5000ms in 500ms steps) as 4 digits
+  function encodeSwitchScan(config) {
+    const set = { '4way': 0, '8way': 1, 'nearest': 2 }[config.switchScanSet] || 0;
+    const pattern = config.switchScanPattern === 'rowColumn' ? 1 : 0;
+    const mode = { 'auto': 0, 'step': 1, 'inverse': 2 }[config.switchScanMode] || 0;
+    const speed = Math.max(0, Math.min(9, Math.round((config.switchScanSpeed || 1500) / 500) - 1));
+    return `${set}${pattern}${mode}${speed}`;
+  }
   function encodeDeadzone(pct) {
     // Map 5-30% to 0-5 (5% steps)
     const step = Math.round((pct - 5) / 5);
@@ -19,12 +39,40 @@
 
   function decodeSize(n) { const m = { 0: 'small', 1: 'medium', 2: 'large', 3: 'extra-large' }; return m[n] || 'medium'; }
   function decodeTrail(n) { const m = { 0: 'short', 1: 'long', 2: 'off' }; return m[n] || 'short'; }
-  function decodeInputMethod(n) { const m = { 0: 'discrete', 1: 'continuous', 2: 'mouse', 3: 'joystick', 4: 'cursor' }; return m[n] || 'discrete'; }
+  function decodeInputMethod(n) { const m = { 0: 'discrete', 1: 'continuous', 2: 'mouse', 3: 'joystick', 4: 'cursor', 5: 'switch', 6: 'gaze' }; return m[n] || 'discrete'; }
   function decodeBoundaries(n) { const m = { 0: 'none', 1: 'visual', 2: 'hard' }; return m[n] || 'none'; }
   function decodeJoystickSensitivity(n) { const m = { 0: 'low', 1: 'medium', 2: 'high' }; return m[n] || 'medium'; }
   function decodeDwellTime(n) { return 500 + (n * 500); } // 0->500, 1->1000, etc.
+  function decodeDwellGrace(n) { return n * 250; }
+  function decodeDwellTypeTime(n) { return n ? n * 500 : null; }
+  function decodeSequenceMode(n) { const m = { 0: 'off', 1: 'numbers', 2: 'letters' }; return m[n] || 'off'; }
+  function decodeSwitchScan(digits) {
+    return {
+      switchScanSet: { 0: '4way', 1: '8way', 2: 'nearest' }[digits[0]] || '4way',
+      switchScanPattern: digits[1] === '1' ? 'rowColumn' : 'linear',
+      switchScanMode: { 1: 'step', 2: 'inverse' }[digits[2]] || 'auto',
+      switchScanSpeed: ((parseInt(digits[3], 10) || 0) + 1) * 500
+    };
+  }
   function decodeDeadzone(n) { return 5 + (n * 5); } // 0->5%, 1->10%, etc.
 
+  function encodeLayoutSeed(seed) {
+    const n = Math.abs(Math.floor(seed)) % LAYOUT_SEED_RANGE;
+    return String(n).padStart(LAYOUT_SEED_DIGITS, '0');
+  }
+  function decodeLayoutSeed(digits) { return parseInt(digits, 10) || 0; }
+
+  // Fresh random layout seed for a new session (callers store it on the session config)
+  function generateLayoutSeed() { return Math.floor(Math.random() * LAYOUT_SEED_RANGE); }
+
+  // Stable fallback seed when a config carries none: derived from the payload so the
+  // same settings always yield the same code (matches pre-v3 behaviour of one layout per config).
+  function deriveLayoutSeed(payload) {
+    let hash = 0;
+    for (let i = 0; i < payload.length; i++) hash = ((hash * 31) + payload.charCodeAt(i)) % LAYOUT_SEED_RANGE;
+    return hash;
+  }
+
   function checksum(s) {
     // Simple mod-10 checksum
     let sum = 0;
@@ -55,11 +103,27 @@
       jd: encodeDeadzone(config.joystickDeadzone || 15),
       js: encodeJoystickSensitivity(config.joystickSensitivity || 'medium')
     };
-    // v2 payload: 14 original digits + 5 new = 19 digits
-    const payload = `${d.st}${d.mv}${d.fl}${d.bn}${d.hz}${d.sz}${d.sp}${d.tr}${d.im}${d.ib}${d.bd}${d.fa}${d.fv}${d.fh}${d.cm}${d.dm}${d.dt}${d.jd}${d.js}`;
-    const ver = '2'; // version 2
+    // v2 settings: 14 original digits + 5 new = 19 digits
+    const settings = `${d.st}${d.mv}${d.fl}${d.bn}${d.hz}${d.sz}${d.sp}${d.tr}${d.im}${d.ib}${d.bd}${d.fa}${d.fv}${d.fh}${d.cm}${d.dm}${d.dt}${d.jd}${d.js}`;
+    // v3 payload: settings + 5-digit layout seed = 24 digits
+    const hasSeed = typeof config.layoutSeed === 'number' && isFinite(config.layoutSeed);
+    const ls = encodeLayoutSeed(hasSeed ? config.layoutSeed : deriveLayoutSeed(settings));
+    // v4 payload: v3 payload + 5 dwell digits = 29 digits (grace, decay, stationary / moving / bonus dwell time)
+    const times = config.dwellTimes || {};
+    const dwell = `${encodeDwellGrace(config.dwellGrace)}${config.dwellDecay ? 1 : 0}${encodeDwellTypeTime(times.stationary)}${encodeDwellTypeTime(times.moving)}${encodeDwellTypeTime(times.bonus)}`;
+    // v5 payload: v4 payload + 2 sequence digits = 31 digits (collection order, wrong-target feedback)
+    const sequence = encodeSequenceMode(config.sequenceMode);
+    // v6 payload: v5 payload + 4 switch scanning digits = 35 digits
+    const switched = config.inputMethod === 'switch';
+    const ordered = switched || sequence !== 0;
+    const extended = ordered || dwell !== '00000';
+    let payload = `${settings}${ls}`;
+    if (extended) payload += dwell;
+    if (ordered) payload += `${sequence}${config.sequenceFeedback === false ? 0 : 1}`;
+    if (switched) payload += encodeSwitchScan(config);
+    const ver = switched ? '6' : (ordered ? '5' : (extended ? '4' : '3'));
     const chk = checksum(payload);
-    return `${payload}${ver}${chk}`; // 21 digits total
+    return `${payload}${ver}${chk}`; // 37 digits (v6), 33 digits (v5), 31 digits (v4) or 26 digits (v3)
   }
 
   function decode(code) {
@@ -72,8 +136,40 @@
     let payload = null;
     let version = '1';
     
+    // Version 6 format: 37 digits (19 settings + 5 layout seed + 5 dwell + 2 sequence + 4 switch + 1 version + 1 checksum)
+    if (/^\d{37}$/.test(s)) {
+      const body = s.slice(0, 35);
+      version = s[35];
+      const chk = s[36];
+      if (version !== '6' || checksum(body) !== chk) return null;
+      payload = body;
+    }
+    // Version 5 format: 33 digits (19 settings + 5 layout seed + 5 dwell + 2 sequence + 1 version + 1 checksum)
+    else if (/^\d{33}$/.test(s)) {
+      const body = s.slice(0, 31);
+      version = s[31];
+      const chk = s[32];
+      if (version !== '5' || checksum(body) !== chk) return null;
+      payload = body;
+    }
+    // Version 4 format: 31 digits (19 settings + 5 layout seed + 5 dwell + 1 version + 1 checksum)
+    else if (/^\d{31}$/.test(s)) {
+      const body = s.slice(0, 29);
+      version = s[29];
+      const chk = s[30];
+      if (version !== '4' || checksum(body) !== chk) return null;
+      payload = body;
+    }
+    // Version 3 format: 26 digits (19 settings + 5 layout seed + 1 version + 1 checksum)
+    else if (/^\d{26}$/.test(s)) {
+      const body = s.slice(0, 24);
+      version = s[24];
+      const chk = s[25];
+      if (version !== '3' || checksum(body) !== chk) return null;
+      payload = body;
+    }
     // Version 2 format: 21 digits (19 payload + 1 version + 1 checksum)
-    if (/^\d{21}$/.test(s)) {
+    else if (/^\d{21}$/.test(s)) {
       const body = s.slice(0, 19);
       version = s[19];
       const chk = s[20];
@@ -127,11 +223,22 @@
       dwellMode: false,
       dwellTime: 1000,
       joystickDeadzone: 15,
-      joystickSensitivity: 'medium'
+      joystickSensitivity: 'medium',
+      dwellGrace: 0,
+      dwellDecay: false,
+      dwellTimes: { stationary: null, moving: null, bonus: null },
+      sequenceMode: 'off',
+      sequenceFeedback: true,
+      switchScanSet: '4way',
+      switchScanPattern: 'linear',
+      switchScanMode: 'auto',
+      switchScanSpeed: 1500,
+      // Pre-v3 codes carry no layout seed; generation falls back to hashing the code text
+      layoutSeed: null
     };
     
-    // Parse v2 extended fields
-    if (version === '2' && payload.length >= 19) {
+    // Parse v2 extended fields (also present in v3 - v6)
+    if ((version === '2' || version === '3' || version === '4' || version === '5' || version === '6') && payload.length >= 19) {
       config.calmMode = payload[14] === '1';
       config.dwellMode = payload[15] === '1';
       config.dwellTime = decodeDwellTime(parseInt(payload[16]) || 0);
@@ -139,15 +246,53 @@
       config.joystickSensitivity = decodeJoystickSensitivity(parseInt(payload[18]) || 1);
     }
     
+    // Parse v3 layout seed
+    if ((version === '3' || version === '4' || version === '5' || version === '6') && payload.length >= 24) {
+      config.layoutSeed = decodeLayoutSeed(payload.slice(19, 24));
+    }
+    
+    // Parse v4 dwell fields (also present in v5 and v6)
+    if ((version === '4' || version === '5' || version === '6') && payload.length >= 29) {
+      config.dwellGrace = decodeDwellGrace(parseInt(payload[24]) || 0);
+      config.dwellDecay = payload[25] === '1';
+      config.dwellTimes = {
+        stationary: decodeDwellTypeTime(parseInt(payload[26]) || 0),
+        moving: decodeDwellTypeTime(parseInt(payload[27]) || 0),
+        bonus: decodeDwellTypeTime(parseInt(payload[28]) || 0)
+      };
+    }
+    
+    // Parse v5 sequence fields (also present in v6)
+    if ((version === '5' || version === '6') && payload.length >= 31) {
+      config.sequenceMode = decodeSequenceMode(parseInt(payload[29]) || 0);
+      config.sequenceFeedback = payload[30] === '1';
+    }
+    
+    // Parse v6 switch scanning fields
+    if (version === '6' && payload.length >= 35) {
+      Object.assign(config, decodeSwitchScan(payload.slice(31, 35)));
+    }
+    
     return config;
   }
 
+  // Format version of a code (0 = legacy 14-digit), or null when the code is not recognised
+  function getVersion(code) {
+    if (!decode(code)) return null;
+    const s = code.trim().split('-').pop();
+    return s.length === 14 ? 0 : parseInt(s[s.length - 2], 10);
+  }
+
   window.ReplayCode = {
     encodeSize, encodeTrail, encodeInputMethod, encodeBoundaries,
     decodeSize, decodeTrail, decodeInputMethod, decodeBoundaries,
     encodeJoystickSensitivity, decodeJoystickSensitivity,
     encodeDwellTime, decodeDwellTime,
+    encodeDwellGrace, decodeDwellGrace, encodeDwellTypeTime, decodeDwellTypeTime,
+    encodeSequenceMode, decodeSequenceMode,
+    encodeSwitchScan, decodeSwitchScan,
     encodeDeadzone, decodeDeadzone,
-    generateFromConfig, decode
+    encodeLayoutSeed, decodeLayoutSeed, generateLayoutSeed,
+    checksum, generateFromConfig, decode, getVersion
   };
 })();
@@ -18,7 +18,13 @@
       var replayBtn = document.getElementById('replay-game');
       var newBtn = document.getElementById('new-session');
       var closeBtn = document.getElementById('close-results');
-      var handleReplay = function () { if (typeof self.closeModal === 'function') self.closeModal(); try { if (window.sceneManager) window.sceneManager.switch('main'); } catch (e) {} };
+      var handleReplay = function () {
+        if (typeof self.closeModal === 'function') self.closeModal();
+        // Re-run the same activity from the finished run's replay code
+        var g = window.game, s = g && g.currentSession;
+        if (s && s.seed && typeof g.launchMiniGame === 'function') { g.launchMiniGame(s.gameId || g.activeMiniGame || 'directional-practice', s.seed); return; }
+        try { if (window.sceneManager) window.sceneManager.switch('main'); } catch (e) {}
+      };
       var handleNew = function () { if (typeof self.closeModal === 'function') self.closeModal(); try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {} };
       var handleClose = handleNew;
       if (replayBtn) replayBtn.addEventListener('click', handleReplay);
@@ -4,7 +4,7 @@
    const sm = new window.SceneManager();
    sm.register('menu', new MenuScene());
    sm.switch('menu');
-   // in loop: sm.update(dt); sm.render(ctx);
+   // in loop: sm.update(dt); sm.render(ctx, alpha);
 */
 (function () {
   function SceneManager() {
@@ -42,9 +42,10 @@
     }
   };
 
-  SceneManager.prototype.render = function (ctx) {
+  // alpha: fraction (0..1) of the next fixed step already elapsed, for render interpolation
+  SceneManager.prototype.render = function (ctx, alpha) {
     if (this.current && typeof this.current.render === 'function') {
-      this.current.render(ctx);
+      this.current.render(ctx, alpha);
     }
   };
 
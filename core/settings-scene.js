@@ -18,6 +18,7 @@
       var settingsClose = modal.querySelector('.modal-close');
       var saveSettings = document.getElementById('save-settings');
       var cancelSettings = document.getElementById('cancel-settings');
+      var keyboardControls = document.getElementById('keyboard-controls-btn');
       var handleClose = function () { if (typeof self.closeModal === 'function') self.closeModal(); self.onEscClose(); };
       if (settingsClose) settingsClose.addEventListener('click', handleClose);
       if (cancelSettings) cancelSettings.addEventListener('click', handleClose);
@@ -25,7 +26,19 @@
         if (window.game) window.game.saveSettings();
         handleClose();
       });
+      var handleKeyboardControls = function () { if (window.game) window.game.openKeyBindings(); };
+      if (keyboardControls) keyboardControls.addEventListener('click', handleKeyboardControls);
+      // Filter keys, switch timing and eye gaze sliders show their value next to them
+      var filterSliders = ['filter-acceptance-delay', 'filter-debounce', 'switch-acceptance-time', 'switch-post-acceptance-delay', 'switch-long-press',
+        'gaze-dwell-time', 'gaze-dwell-radius', 'gaze-smoothing'].map(function (id) { return document.getElementById(id); }).filter(Boolean);
+      var handleFilterSlider = function (e) {
+        var label = document.getElementById(e.target.id + '-value');
+        if (label) label.textContent = e.target.value;
+      };
+      filterSliders.forEach(function (slider) { slider.addEventListener('input', handleFilterSlider); });
       this._cleanup = function () {
+        filterSliders.forEach(function (slider) { slider.removeEventListener('input', handleFilterSlider); });
+        if (keyboardControls) keyboardControls.removeEventListener('click', handleKeyboardControls);
         if (settingsClose) settingsClose.removeEventListener('click', handleClose);
         if (cancelSettings) cancelSettings.removeEventListener('click', handleClose);
         if (saveSettings) saveSettings.removeEventListener('click', handleClose);
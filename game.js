@@ -12,6 +12,11 @@ class DirectionalSkillsGame {
         this.gameState = 'menu'; // menu, playing, paused, completed
         this.isFullscreen = false;
         
+        // Fixed simulation step (seconds); movement, target motion and dwell all advance by this amount per update
+        this.fixedStep = (window.Engine && window.Engine.FIXED_STEP) || 1 / 60;
+        // Player speed in px/s per playerSpeed unit (2px per 60Hz frame, as before the fixed-step loop)
+        this.playerSpeedScale = (window.DSG && window.DSG.movement && window.DSG.movement.PLAYER_SPEED_SCALE) || 120;
+        
         // Game settings
         this.settings = {
             movementSpeed: 3,
@@ -33,7 +38,7 @@ class DirectionalSkillsGame {
             targetSize: 'medium', // 'small', 'medium', 'large', 'extra-large'
             playerSpeed: 3,
             playerTrail: 'short', // 'off', 'short', 'long'
-            inputMethod: 'discrete', // 'discrete', 'continuous', 'mouse', 'joystick', 'cursor'
+            inputMethod: 'discrete', // 'discrete', 'continuous', 'mouse', 'joystick', 'cursor', 'switch', 'gaze'
             inputBuffer: 300,
             boundaries: 'none', // 'none', 'visual', 'hard'
             feedback: {
@@ -46,11 +51,30 @@ class DirectionalSkillsGame {
             calmMode: false, // Hide timer and progress bar during play
             dwellMode: false, // Require dwelling on targets to collect
             dwellTime: 1000, // Dwell duration in milliseconds (500-3000)
+            dwellGrace: 0, // Ms the player may leave a target without losing dwell progress (0-1000)
+            dwellDecay: false, // After the grace period, drain progress gradually instead of resetting it
+            dwellTimes: { stationary: null, moving: null, bonus: null }, // Per-type dwell ms (null = dwellTime)
+            sequenceMode: 'off', // 'off', 'numbers', 'letters' - core targets must be collected in order
+            sequenceFeedback: true, // Hint + announcement when an out-of-order target is touched
+            customLayout: null, // Layout code from the Layout Editor (DSG.customLayouts); null = generated layout
             // Joystick settings
             joystickDeadzone: 15, // Percentage (5-30)
-            joystickSensitivity: 'medium' // 'low', 'medium', 'high'
+            joystickSensitivity: 'medium', // 'low', 'medium', 'high'
+            // Switch scanning settings (DSG.switchScan)
+            switchScanSet: '4way', // '4way', '8way', 'nearest'
+            switchScanPattern: 'linear', // 'linear', 'rowColumn'
+            switchScanMode: 'auto', // 'auto' (one switch), 'inverse' (scan while held, select on release), 'step' (two switches)
+            switchScanSpeed: 1500, // Ms per highlighted item in auto and inverse scan (500-5000)
+            // Adaptive difficulty (DSG.adaptive): mode 'off' / 'suggest' / 'auto' plus the teacher's limits for its changes
+            adaptive: (window.DSG && window.DSG.adaptive) ? { ...window.DSG.adaptive.DEFAULTS } : { mode: 'off' }
         };
         
+        // Defaults kept so switching student profile starts from a clean slate before applying saved values
+        this.defaultSettings = { ...this.settings };
+        this.defaultSessionConfig = JSON.parse(JSON.stringify(this.sessionConfig));
+        // Last session setup of the active profile (input method, speed, target mix...)
+        this.sessionConfig = this.loadSessionConfig();
+        
         // Session data
         this.currentSession = {
             seed: null,
@@ -68,8 +92,14 @@ class DirectionalSkillsGame {
             timeAdjustments: 0 // Track bonus/penalty time adjustments
         };
         
-        // Session history (last 10 attempts)
-        this.sessionHistory = this.loadSessionHistory();
+        // Session history (every attempt of the active profile; filled in by loadSessionHistory)
+        this.sessionHistory = [];
+        this.historyPage = 0;
+        this.loadSessionHistory();
+        
+        // Learning analytics and achievements for the active profile, fed by DSG.achievements.emit
+        if (!window.progressTracker && window.ProgressTracker) window.progressTracker = new window.ProgressTracker();
+        this.sessionAchievements = [];
         
         // Player object
         this.player = {
@@ -90,6 +120,10 @@ class DirectionalSkillsGame {
         // Input system
         this.keys = {};
         this.lastDirection = null;
+        // Direction held with a switch (switch scanning sessions) or by looking at an edge zone (gaze sessions);
+        // recorded like the keys
+        this.switchDirection = null;
+        this.gazeDirection = null;
         
         // Cursor position (for cursor-follow input mode)
         this.cursorX = null;
@@ -118,7 +152,12 @@ class DirectionalSkillsGame {
             if (window.ReplayScene) window.sceneManager.register('replay', new window.ReplayScene());
             if (window.PauseScene) window.sceneManager.register('pause', new window.PauseScene());
             if (window.ResultsScene) window.sceneManager.register('results', new window.ResultsScene());
+            if (window.ActivityScene) window.sceneManager.register('activity', new window.ActivityScene());
+            if (window.ProfileScene) window.sceneManager.register('profiles', new window.ProfileScene());
         }
+        
+        // Student profiles: switching reloads settings, session setup, history and input configuration
+        if (window.DSG && window.DSG.profiles) window.DSG.profiles.onChange(() => this.reloadProfile());
 
         // Optional: Universal Input Manager (off by default for safety)
         this.useUniversalInput = true;
@@ -129,6 +168,7 @@ class DirectionalSkillsGame {
                 // Default to keyboard on load; settings panel can change this later
                 this.inputBridge.switchInputMethod('keyboard');
             }
+            this.loadInputOptionsToForm();
             // Reflect current method in UI
             const updateInputLabel = () => {
                 const el = document.getElementById('current-input-method');
@@ -176,6 +216,7 @@ class DirectionalSkillsGame {
         // Update UI
         this.updateUI();
         this.updateSoundButton();
+        this.updateProfileButton();
         
         // Make testing available globally for easy debugging
         window.testReplaySystem = () => this.testReplayCodeAccuracy();
@@ -183,55 +224,17 @@ class DirectionalSkillsGame {
     }
 
     enableUniversalInputBridge() {
-        if (!this.inputBridge) return;
+        // Saving settings calls this again; the listeners must only be attached once
+        if (!this.inputBridge || this._inputBridgeWired) return;
+        this._inputBridgeWired = true;
         // Feed events into existing input handlers
         this.inputBridge.on('movement', (evt) => {
-            // Debug joystick event data
-            if (this.sessionConfig.inputMethod === 'joystick' && evt.data) {
-                if (!this._lastJoyLog || Date.now() - this._lastJoyLog > 500) {
-                    console.log('🎮 Game received joystick event:', {
-                        direction: evt.data.direction,
-                        directionVector: evt.data.directionVector,
-                        intensity: evt.data.intensity
-                    });
-                    this._lastJoyLog = Date.now();
-                }
-            }
-            
-            const dir = evt.data.direction;
-            if (!dir) return;
-            // Start timed session on first input
-            if (this.gameState === 'ready') this.beginTimedSession();
-            
-            // Handle joystick analog input
-            if (this.sessionConfig.inputMethod === 'joystick') {
-                if (dir === 'stop') {
-                    this.joystickState = null;
-                } else {
-                    // Store joystick state for the update loop
-                    this.joystickState = {
-                        direction: dir,
-                        directionVector: evt.data.directionVector || { x: 0, y: 0 },
-                        intensity: evt.data.intensity || 0,
-                        angle: evt.data.angle || 0
-                    };
-                }
-                return;
-            }
-            
-            if (dir === 'stop') {
-                // In continuous/snake mode, we DON'T stop when keys are released
-                // The player keeps moving in the last direction until a new direction is pressed
-                // Only discrete and other modes might need stop handling
-                return;
-            }
-            if (this.sessionConfig.inputMethod === 'continuous') {
-                this.setContinuousDirection(dir);
-            }
-            // Note: discrete mode is handled by updateDiscreteMovement() in the update loop
-            // which checks this.keys[] state - no need to call movePlayer here
+            // Once GameScene is running it hands bridge movement to the active activity (directional practice passes
+            // it back to handleBridgeMovement); without the scene engine (?engine=off) it comes straight here
+            if (!this.inputRoutedByScene) this.handleBridgeMovement(evt.data);
         });
         this.inputBridge.on('action', (evt) => {
+            if (this.playback) return;
             const action = evt.data.action;
             if (action === 'pause') this.togglePlayPause();
             if (action === 'confirm') this.startSession();
@@ -252,14 +255,98 @@ class DirectionalSkillsGame {
             if (cmd === 'help') this.openHelp();
             if (cmd === 'mute') this.toggleSound();
         });
+        // Key presses accepted by filter keys / sticky movement: the document keyboard handler ignored the raw ones
+        this.inputBridge.on('key', (evt) => {
+            if (this.playback || !window.DSG || !window.DSG.input) return;
+            const { code, pressed, latchReleased } = evt.data;
+            const key = { code, filtered: true, latchReleased, target: null, preventDefault() {} };
+            if (pressed) window.DSG.input.handleKeyDown(this, key);
+            else window.DSG.input.handleKeyUp(this, key);
+        });
         this._log('Universal Input Bridge enabled');
     }
 
+    // Input bridge movement (joystick, switch scanning, eye gaze) for a directional practice session:
+    // { direction, directionVector, intensity, angle }
+    handleBridgeMovement(data) {
+        // Recorded input drives the game while a playback is running
+        if (this.playback) return;
+        // Debug joystick event data
+        if (this.sessionConfig.inputMethod === 'joystick' && data) {
+            if (!this._lastJoyLog || Date.now() - this._lastJoyLog > 500) {
+                console.log('🎮 Game received joystick event:', {
+                    direction: data.direction,
+                    directionVector: data.directionVector,
+                    intensity: data.intensity
+                });
+                this._lastJoyLog = Date.now();
+            }
+        }
+        
+        const dir = data.direction;
+        if (!dir) return;
+        
+        // Switch scanning / eye gaze: the selected direction is held until the switch is released or the gaze
+        // leaves its zone
+        const held = { switch: 'switchDirection', gaze: 'gazeDirection' }[this.sessionConfig.inputMethod];
+        if (held) {
+            if (dir === 'stop') {
+                this[held] = null;
+                return;
+            }
+            if (this.gameState !== 'ready' && this.gameState !== 'playing') return;
+            if (this.gameState === 'ready') this.beginTimedSession();
+            if (window.DSG && window.DSG.recorder && this[held] !== dir) window.DSG.recorder.mark(this, 'mv', dir);
+            this[held] = dir;
+            return;
+        }
+        
+        // Start timed session on first input
+        if (this.gameState === 'ready') this.beginTimedSession();
+        
+        // Handle joystick analog input
+        if (this.sessionConfig.inputMethod === 'joystick') {
+            if (window.DSG && window.DSG.recorder && (!this.joystickState || this.joystickState.direction !== dir)) {
+                window.DSG.recorder.mark(this, 'jd', dir);
+            }
+            if (dir === 'stop') {
+                this.joystickState = null;
+            } else {
+                // Store joystick state for the update loop
+                this.joystickState = {
+                    direction: dir,
+                    directionVector: data.directionVector || { x: 0, y: 0 },
+                    intensity: data.intensity || 0,
+                    angle: data.angle || 0
+                };
+            }
+            return;
+        }
+        
+        if (dir === 'stop') {
+            // In continuous/snake mode, we DON'T stop when keys are released
+            // The player keeps moving in the last direction until a new direction is pressed
+            // Only discrete and other modes might need stop handling
+            return;
+        }
+        if (this.sessionConfig.inputMethod === 'continuous') {
+            this.setContinuousDirection(dir);
+        }
+        // Note: discrete mode is handled by updateDiscreteMovement() in the update loop
+        // which checks this.keys[] state - no need to call movePlayer here
+    }
+
     // Guarded logger
     _log(...args) {
         if (this.debug) console.log(...args);
     }
     
+    // localStorage key for the active student profile (DSG.profiles); plain key when profiles are unavailable
+    storageKey(base) {
+        const profiles = window.DSG && window.DSG.profiles;
+        return profiles ? profiles.key(base) : base;
+    }
+    
     showMainMenu() {
         // Show main menu and hide game interface
         document.getElementById('main-menu').style.display = 'flex';
@@ -268,26 +355,95 @@ class DirectionalSkillsGame {
     }
     
     // Session Management Methods
+    // Every finished session of the active profile, oldest first (summaries; recordings load on demand for Watch).
+    // Loading is asynchronous (DSG.historyStore); the stats modal refreshes when it arrives.
     loadSessionHistory() {
+        const store = window.DSG && window.DSG.historyStore;
+        if (!store) return;
+        const key = this.storageKey('giocoSessionHistory');
+        store.load(key).then(entries => {
+            // Ignore a load that finished after the profile was switched again
+            if (this.storageKey('giocoSessionHistory') !== key) return;
+            // Store order is insertion order; imported sessions can be older than local ones
+            entries.sort((a, b) => (a.endTime || a.startTime || 0) - (b.endTime || b.startTime || 0));
+            // Keep sessions finished while the history was loading
+            const ids = new Set(entries.map(entry => entry.id));
+            this.sessionHistory = entries.concat(this.sessionHistory.filter(entry => entry.id == null || !ids.has(entry.id)));
+            // Rebuild the per-setup personal bests if they no longer cover this history (first run, import, clear)
+            if (window.DSG.personalBests) window.DSG.personalBests.sync(this);
+            this.updateStatsModal();
+        }).catch(error => console.warn('Failed to load session history:', error));
+    }
+    
+    addToSessionHistory(entry) {
+        this.sessionHistory.push(entry);
+        // Compared with earlier runs of the same setup before this one is counted (read by checkPersonalBest)
+        const bests = window.DSG && window.DSG.personalBests;
+        this.personalBestResult = bests ? bests.record(this, entry) : null;
+        const store = window.DSG && window.DSG.historyStore;
+        if (!store) return;
+        store.add(this.storageKey('giocoSessionHistory'), entry).then(stored => {
+            // Swap in the stored summary (id, no inline recording) once it is saved
+            const index = this.sessionHistory.indexOf(entry);
+            if (index >= 0) this.sessionHistory[index] = stored;
+        }).catch(error => console.warn('Failed to save session history:', error));
+    }
+    
+    loadSessionConfig() {
+        const defaults = JSON.parse(JSON.stringify(this.defaultSessionConfig));
         try {
-            const saved = localStorage.getItem('giocoSessionHistory');
-            return saved ? JSON.parse(saved) : [];
+            const saved = JSON.parse(localStorage.getItem(this.storageKey('giocoSessionConfig')));
+            if (!saved) return defaults;
+            return {
+                ...defaults,
+                ...saved,
+                targetCounts: { ...defaults.targetCounts, ...saved.targetCounts },
+                feedback: { ...defaults.feedback, ...saved.feedback },
+                dwellTimes: { ...defaults.dwellTimes, ...saved.dwellTimes },
+                adaptive: { ...defaults.adaptive, ...saved.adaptive }
+            };
         } catch (error) {
-            console.warn('Failed to load session history:', error);
-            return [];
+            console.warn('Failed to load session setup:', error);
+            return defaults;
         }
     }
     
-    saveSessionHistory() {
+    saveSessionConfig() {
         try {
-            // Keep only last 10 sessions
-            const historyToSave = this.sessionHistory.slice(-10);
-            localStorage.setItem('giocoSessionHistory', JSON.stringify(historyToSave));
+            // The replay code and layout seed are per session, not a preference
+            const { seed, layoutSeed, ...setup } = this.sessionConfig;
+            localStorage.setItem(this.storageKey('giocoSessionConfig'), JSON.stringify(setup));
         } catch (error) {
-            console.warn('Failed to save session history:', error);
+            console.warn('Failed to save session setup:', error);
         }
     }
     
+    // Re-read everything stored per student after DSG.profiles switches the active profile
+    reloadProfile() {
+        this.settings = { ...this.defaultSettings };
+        this.loadSettings();
+        this.applySettings();
+        this.updateSoundButton();
+        this.sessionConfig = this.loadSessionConfig();
+        this.sessionHistory = [];
+        this.historyPage = 0;
+        this.loadSessionHistory();
+        if (this.inputBridge) this.inputBridge.reloadConfig();
+        this.loadInputOptionsToForm();
+        if (window.DSG && window.DSG.keyBindings) window.DSG.keyBindings.refresh();
+        this.initializeNewSession();
+        this.updateProfileButton();
+    }
+    
+    updateProfileButton() {
+        const profile = window.DSG && window.DSG.profiles && window.DSG.profiles.active();
+        const btn = document.getElementById('profile-btn');
+        if (!btn || !profile) return;
+        const label = document.getElementById('profile-btn-label');
+        if (label) label.textContent = profile.name;
+        btn.setAttribute('aria-label', `Student profile: ${profile.name}. Switch profile`);
+    }
+    
     generateSessionSeed() {
         // Generate a random memorable text seed
         const adjectives = ['blue', 'red', 'bright', 'calm', 'quick', 'gentle', 'happy', 'smooth'];
@@ -334,6 +490,9 @@ class DirectionalSkillsGame {
             console.log('🎮 Using form configuration with pre-generated seed:', finalSeed);
         } else {
             // Auto-generate a new replay code from current session config (FALLBACK)
+            if (typeof this.sessionConfig.layoutSeed !== 'number' && window.ReplayCode && window.ReplayCode.generateLayoutSeed) {
+                this.sessionConfig.layoutSeed = window.ReplayCode.generateLayoutSeed();
+            }
             finalSeed = this.generateReplayCodeFromConfig(this.sessionConfig);
             console.log('🎮 Auto-generated new replay code from session config:', finalSeed);
         }
@@ -395,21 +554,42 @@ class DirectionalSkillsGame {
     }
     
     completeSession() {
+        // Playback re-runs a finished session; it must not save or announce a new result
+        if (this.playback && window.DSG && window.DSG.playback) { window.DSG.playback.handleComplete(this); return; }
         this.currentSession.endTime = Date.now();
         this.currentSession.completed = true;
         this.currentSession.totalTime = this.calculateSessionTime();
         
-        // Add to session history
+        // Movement efficiency metrics (path length vs straight line, turns, idle time, overshoots, first move)
+        const path = (window.DSG && window.DSG.pathAnalytics) ? window.DSG.pathAnalytics.finish(this) : null;
+        if (path) this.currentSession.path = path;
+        
+        // Add to session history (with the input recording for playback when available)
+        const recording = (window.DSG && window.DSG.recorder) ? window.DSG.recorder.finish(this) : null;
         const sessionToSave = {
             ...this.currentSession,
-            config: { ...this.sessionConfig }
+            gameId: 'directional-practice',
+            config: { ...this.sessionConfig },
+            ...(recording ? { recording } : {})
         };
         console.log('💾 Saving session with seed:', sessionToSave.seed);
-        this.sessionHistory.push(sessionToSave);
-        this.saveSessionHistory();
+        this.addToSessionHistory(sessionToSave);
+        // Personal best, practice streak and completion events; achievements unlocked are listed in the results
+        this.sessionAchievements = (window.DSG && window.DSG.achievements) ? window.DSG.achievements.sessionCompleted(this, sessionToSave) : [];
+        
+        // A playlist session goes on to the playlist's break screen / summary instead of the results modal
+        const playlists = window.DSG && window.DSG.playlists;
+        const inPlaylist = !!(playlists && playlists.owns(this, sessionToSave));
+        
+        // Adaptive difficulty: propose (or, in automatic mode, apply) the next session's setup from recent runs
+        const adaptive = window.DSG && window.DSG.adaptive;
+        this.adaptiveProposal = adaptive && !inPlaylist ? adaptive.propose(this) : null;
+        if (this.adaptiveProposal && this.adaptiveProposal.mode === 'auto') adaptive.apply(this, this.adaptiveProposal);
         
         this.gameState = 'completed';
-    this.showSessionResults();
+        this.stopAssistiveInput();
+        if (playlists) playlists.sessionFinished(this, sessionToSave);
+        if (!inPlaylist) this.showSessionResults();
         
         // Play completion sound
         if (this.sounds.levelComplete) this.sounds.levelComplete();
@@ -417,6 +597,18 @@ class DirectionalSkillsGame {
         this.announceToScreenReader(`Session completed! Time: ${this.formatTime(this.currentSession.totalTime)}. All targets collected!`);
     }
     
+    // Switch scanning and eye gaze belong to the session: once it is over the switch keys and the pointer go back
+    // to their usual use, and the scan setup back to the profile's own
+    stopAssistiveInput() {
+        this.switchDirection = null;
+        this.gazeDirection = null;
+        if (this.inputBridge) this.inputBridge.setSessionOverrides('switch', null);
+        const method = { switch: 'switch', gaze: 'eyeGaze' }[this.sessionConfig.inputMethod];
+        if (method && this.inputBridge && this.inputBridge.activeMethod === method) {
+            this.inputBridge.switchInputMethod('keyboard');
+        }
+    }
+    
     calculateSessionTime() {
     /**
      * Compute elapsed session time including adjustments (bonus/hazard).
@@ -512,7 +704,8 @@ class DirectionalSkillsGame {
         this.sounds = {
             move: () => this.playBeep(220, 0.1),
             collect: () => this.playBeep(440, 0.2),
-            levelComplete: () => this.playBeep(660, 0.5)
+            levelComplete: () => this.playBeep(660, 0.5),
+            scan: () => this.playBeep(330, 0.05)
         };
     }
     
@@ -572,6 +765,10 @@ class DirectionalSkillsGame {
         document.getElementById('play-replay-btn').addEventListener('click', () => this.openReplayEntry());
         document.getElementById('progress-history-btn').addEventListener('click', () => this.openStats());
         document.getElementById('help-support-btn').addEventListener('click', () => this.openHelp());
+        document.getElementById('activities-btn')?.addEventListener('click', () => this.openActivities());
+        document.getElementById('profile-btn')?.addEventListener('click', () => this.openProfiles());
+        document.getElementById('playlists-btn')?.addEventListener('click', () => this.openPlaylists());
+        document.getElementById('layout-editor-btn')?.addEventListener('click', () => this.openLayoutEditor());
         
         // Secondary menu events
         document.getElementById('sound-toggle-btn').addEventListener('click', () => this.toggleSound());
@@ -603,6 +800,34 @@ class DirectionalSkillsGame {
         // Clear history button (not scene managed)
         const clearHistoryBtn = document.getElementById('clear-history-btn');
         if (clearHistoryBtn) clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        
+        // Progress export / import (stats modal)
+        document.getElementById('export-json-btn')?.addEventListener('click', () => this.exportProgress('json'));
+        document.getElementById('export-csv-btn')?.addEventListener('click', () => this.exportProgress('csv'));
+        const importFile = document.getElementById('import-progress-file');
+        document.getElementById('import-progress-btn')?.addEventListener('click', () => importFile && importFile.click());
+        if (importFile) importFile.addEventListener('change', () => {
+            if (importFile.files && importFile.files[0]) this.previewProgressImport(importFile.files[0]);
+            importFile.value = '';
+        });
+        document.getElementById('confirm-import-btn')?.addEventListener('click', () => this.confirmProgressImport());
+        document.getElementById('cancel-import-btn')?.addEventListener('click', () => this.cancelProgressImport());
+        
+        // Adaptive difficulty panel (results modal)
+        document.getElementById('adaptive-apply-btn')?.addEventListener('click', () => this.applyAdaptiveChanges());
+        document.getElementById('adaptive-undo-btn')?.addEventListener('click', () => this.undoAdaptiveChanges());
+        document.getElementById('adaptive-next-btn')?.addEventListener('click', () => this.startNextAdaptiveSession());
+        
+        // Playlist break screen / combined summary (DSG.playlists)
+        const playlists = window.DSG && window.DSG.playlists;
+        if (playlists) {
+            document.getElementById('playlist-start-next')?.addEventListener('click', () => playlists.next(this));
+            document.getElementById('playlist-skip-rest')?.addEventListener('click', () => playlists.skipRest(this));
+            document.getElementById('playlist-stop')?.addEventListener('click', () => playlists.stop(this));
+            document.getElementById('playlist-replay')?.addEventListener('click', () => playlists.again(this));
+            document.getElementById('playlist-done')?.addEventListener('click', () => playlists.close(this));
+            document.getElementById('playlist-run-modal')?.addEventListener('cancel', e => { e.preventDefault(); playlists.cancel(this); });
+        }
 
         attachIfNoScene(window.SettingsScene, 'settings-modal', () => {
             const modal = document.getElementById('settings-modal');
@@ -742,6 +967,7 @@ class DirectionalSkillsGame {
     }
     
     handleMouseMove(e) {
+        if (this.playback) return;
         // Update cursor position for cursor-follow mode
         const rect = this.canvas.getBoundingClientRect();
         this.cursorX = e.clientX - rect.left;
@@ -812,13 +1038,8 @@ class DirectionalSkillsGame {
     }
     
     addToTrail(x, y) {
-        this.player.trail.push({ x, y, timestamp: Date.now() });
-        
-        // Limit trail length
-        const maxTrailLength = 15;
-        if (this.player.trail.length > maxTrailLength) {
-            this.player.trail.shift();
-        }
+    // Delegate trail bookkeeping (shared with the per-step movement updaters)
+    if(window.DSG && window.DSG.movement){ window.DSG.movement.addToTrail(this, x, y); }
     }
 
     // Mouse Input Handlers
@@ -827,9 +1048,9 @@ class DirectionalSkillsGame {
     if(window.DSG && window.DSG.input){ window.DSG.input.handleMouseClick(this,e); }
     }
     
-    checkCollisions() {
-    // Delegate collision detection & resolution
-    if(window.DSG && window.DSG.collision){ window.DSG.collision.checkCollisions(this); }
+    checkCollisions(dt = 0) {
+    // Delegate collision detection & resolution (dt > 0 only from the per-step update; advances dwell timing)
+    if(window.DSG && window.DSG.collision){ window.DSG.collision.checkCollisions(this, dt); }
     }
     
     collectTarget(index) {
@@ -843,299 +1064,123 @@ class DirectionalSkillsGame {
     }
     // Legacy target generation helpers removed (replaced by DSG.targets module)
     
-    gameLoop() {
+    gameLoop(now) {
         // Keep existing loop unless an external Engine is driving updates
         if (!window.__SCENE_ENGINE_ACTIVE__) {
-            this.update();
-            this.render();
-            requestAnimationFrame(() => this.gameLoop());
+            // Same fixed-step accumulator as core/engine.js so the legacy loop simulates identically
+            const timestamp = (typeof now === 'number') ? now : performance.now();
+            const frameTime = this._lastLoopTime === undefined ? 0 : Math.min(Math.max((timestamp - this._lastLoopTime) / 1000, 0), 0.25);
+            this._lastLoopTime = timestamp;
+            this._loopAccumulator = (this._loopAccumulator || 0) + frameTime;
+            const playback = this.playback && window.DSG && window.DSG.playback;
+            while (this._loopAccumulator >= this.fixedStep) {
+                if (playback) window.DSG.playback.update(this, this.fixedStep);
+                else this.update(this.fixedStep);
+                this._loopAccumulator -= this.fixedStep;
+            }
+            this.render(this.ctx, this._loopAccumulator / this.fixedStep);
+            if (playback) window.DSG.playback.render(this);
+            requestAnimationFrame((t) => this.gameLoop(t));
         }
     }
     
-    update() {
+    update(dt = this.fixedStep) {
+        // Remember where everything was at the start of this step (render interpolates from here)
+        this.snapshotPositions();
+        
         if (this.gameState !== 'playing' && this.gameState !== 'ready') return;
         
-        // Update timer display in real-time (only when playing, and not in calm mode)
-        if (this.gameState === 'playing' && !this.sessionConfig.calmMode) {
+        // Update timer display in real-time (only when playing, and not in calm mode; playback shows its own clock)
+        if (this.gameState === 'playing' && !this.sessionConfig.calmMode && !this.playback) {
             this.updateTimerDisplay();
         }
         
-        // Update trail fade
-        const currentTime = Date.now();
-        this.player.trail = this.player.trail.filter(point => 
-            currentTime - point.timestamp < 2000
-        );
-        
-        // Handle different input methods
-        if (this.sessionConfig.inputMethod === 'continuous') {
-            this.updateContinuousMovement();
-        } else if (this.sessionConfig.inputMethod === 'discrete') {
-            this.updateDiscreteMovement();
-        } else if (this.sessionConfig.inputMethod === 'mouse') {
-            this.updateClickToMove();
-        } else if (this.sessionConfig.inputMethod === 'joystick') {
-            this.updateJoystickMovement();
-        } else if (this.sessionConfig.inputMethod === 'cursor') {
-            this.updateCursorFollowMovement();
-        }
-        
-        // Target motion (moving + flee)
-        if(window.DSG && window.DSG.targetMotion){
-            window.DSG.targetMotion.updateTargetMotion(this, (this.gameState==='playing') ? 1/60 : 0); // approximate dt; legacy loop lacked dt
-        }
-
-        // Collision checks (legacy discrete step) remain delegated
-        if(this.gameState === 'playing') this.checkCollisions();
+        // Input recording, player movement, target motion and collisions / dwell (shared with playback and headless runs)
+        if (window.DSG && window.DSG.simulation) window.DSG.simulation.step(this, dt);
     }
     
-    // Handle joystick/gamepad analog movement
-    updateJoystickMovement() {
-        // Joystick movement is handled via the input bridge events
-        // This method processes the last received joystick state
-        if (!this.joystickState) return;
-        
-        const { directionVector, intensity } = this.joystickState;
-        if (!directionVector || intensity === 0) return;
-        
-        // Calculate movement based on analog input
-        // Uses the same playerSpeed setting as other input methods for consistency
-        const baseSpeed = this.sessionConfig.playerSpeed * 2;
-        const speed = baseSpeed * intensity; // Proportional speed based on stick deflection
-        
-        const oldX = this.player.x;
-        const oldY = this.player.y;
-        
-        // Move in the direction of the stick
-        this.player.x += directionVector.x * speed;
-        this.player.y += directionVector.y * speed;
-        
-        // Keep within bounds
-        this.player.x = Math.max(this.player.size, Math.min(this.canvas.width - this.player.size, this.player.x));
-        this.player.y = Math.max(this.player.size, Math.min(this.canvas.height - this.player.size, this.player.y));
-        
-        // Update direction indicator based on primary axis
-        if (Math.abs(directionVector.x) > Math.abs(directionVector.y)) {
-            this.lastDirection = directionVector.x > 0 ? 'right' : 'left';
-        } else {
-            this.lastDirection = directionVector.y > 0 ? 'down' : 'up';
-        }
-        
-        // Add to trail if player moved
-        if (oldX !== this.player.x || oldY !== this.player.y) {
-            this.addToTrail(oldX, oldY);
-        }
-    }
-
-    // Handle cursor-follow movement (for Optima joystick, head trackers, eye gaze)
-    updateCursorFollowMovement() {
-        // Only move if we have a valid cursor position
-        if (this.cursorX === null || this.cursorY === null) {
-            return;
-        }
-        
-        const oldX = this.player.x;
-        const oldY = this.player.y;
-        
-        // Direct 1:1 mapping - player position matches cursor exactly
-        // This gives immediate feedback for joystick/assistive device practice
-        this.player.x = this.cursorX;
-        this.player.y = this.cursorY;
-        
-        // Keep within bounds
-        this.player.x = Math.max(this.player.size, Math.min(this.canvas.width - this.player.size, this.player.x));
-        this.player.y = Math.max(this.player.size, Math.min(this.canvas.height - this.player.size, this.player.y));
-        
-        // Check if player actually moved
-        const dx = this.player.x - oldX;
-        const dy = this.player.y - oldY;
-        const moved = Math.abs(dx) > 0.5 || Math.abs(dy) > 0.5;
-        
-        // Start timed session on first cursor position (not just movement)
-        // This is important for dwell mode where user may position cursor and hold still
-        if (this.gameState === 'ready') {
-            this.beginTimedSession();
-        }
-        
-        // Update direction indicator based on movement direction
-        if (moved) {
-            if (Math.abs(dx) > Math.abs(dy)) {
-                this.lastDirection = dx > 0 ? 'right' : 'left';
-            } else {
-                this.lastDirection = dy > 0 ? 'down' : 'up';
-            }
-            
-            // Add to trail
-            this.addToTrail(oldX, oldY);
-        }
-        
-        this.checkCollisions();
-    }
-
-    updateClickToMove() {
-        // Only move if we have a valid target
-        if (this.player.targetX === null || this.player.targetY === null) {
-            return;
-        }
-        
-        const speed = this.sessionConfig.playerSpeed * 2; // Consistent with other movement methods
-        const dx = this.player.targetX - this.player.x;
-        const dy = this.player.targetY - this.player.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance < speed) {
-            // Close enough, snap to target
-            const oldX = this.player.x;
-            const oldY = this.player.y;
-            this.player.x = this.player.targetX;
-            this.player.y = this.player.targetY;
-            this.player.targetX = null;
-            this.player.targetY = null;
-            
-            // Add to trail
-            this.addToTrail(oldX, oldY);
-            this.checkCollisions();
-        } else {
-            // Move towards target
-            const oldX = this.player.x;
-            const oldY = this.player.y;
-            this.player.x += (dx / distance) * speed;
-            this.player.y += (dy / distance) * speed;
-            
-            // Keep within bounds
-            this.player.x = Math.max(this.player.size, Math.min(this.canvas.width - this.player.size, this.player.x));
-            this.player.y = Math.max(this.player.size, Math.min(this.canvas.height - this.player.size, this.player.y));
-            
-            // Add to trail
-            this.addToTrail(oldX, oldY);
-            this.checkCollisions();
-        }
+    snapshotPositions() {
+        this.player.prevX = this.player.x;
+        this.player.prevY = this.player.y;
+        for (const t of this.targets) { t.prevX = t.x; t.prevY = t.y; }
     }
     
-    updateContinuousMovement() {
-        if (!this.player.isMoving || !this.player.continuousDirection) return;
-        
-        const speed = this.sessionConfig.playerSpeed * 2;
-        const oldX = this.player.x;
-        const oldY = this.player.y;
-        
-        switch (this.player.continuousDirection) {
-            case 'up':
-                this.player.y -= speed;
-                break;
-            case 'down':
-                this.player.y += speed;
-                break;
-            case 'left':
-                this.player.x -= speed;
-                break;
-            case 'right':
-                this.player.x += speed;
-                break;
-        }
-        
-        // Keep within bounds
-        this.player.x = Math.max(this.player.size, Math.min(this.canvas.width - this.player.size, this.player.x));
-        this.player.y = Math.max(this.player.size, Math.min(this.canvas.height - this.player.size, this.player.y));
-        
-        // Add to trail if player actually moved
-        if (oldX !== this.player.x || oldY !== this.player.y) {
-            this.addToTrail(oldX, oldY);
-        }
-        
-        this.checkCollisions();
+    // Draw positions between the previous and current step; returns a function restoring the simulated positions
+    interpolatePositions(alpha) {
+        if (!(alpha > 0 && alpha < 1)) return () => {};
+        const maxJump = 100; // teleports (new layout, resize) snap instead of sliding
+        const moved = [];
+        const lerp = (obj) => {
+            if (typeof obj.prevX !== 'number' || typeof obj.prevY !== 'number') return;
+            if (Math.abs(obj.x - obj.prevX) > maxJump || Math.abs(obj.y - obj.prevY) > maxJump) return;
+            moved.push([obj, obj.x, obj.y]);
+            obj.x = obj.prevX + (obj.x - obj.prevX) * alpha;
+            obj.y = obj.prevY + (obj.y - obj.prevY) * alpha;
+        };
+        lerp(this.player);
+        this.targets.forEach(lerp);
+        return () => { for (const [obj, x, y] of moved) { obj.x = x; obj.y = y; } };
     }
     
-    updateDiscreteMovement() {
-        // Handle traditional press-and-hold movement
-        const speed = this.sessionConfig.playerSpeed * 2;
-        const oldX = this.player.x;
-        const oldY = this.player.y;
-        let moved = false;
-        
-        if (this.keys['ArrowUp'] || this.keys['KeyW']) {
-            this.player.y -= speed;
-            moved = true;
-        }
-        if (this.keys['ArrowDown'] || this.keys['KeyS']) {
-            this.player.y += speed;
-            moved = true;
-        }
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) {
-            this.player.x -= speed;
-            moved = true;
-        }
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) {
-            this.player.x += speed;
-            moved = true;
-        }
-        
-        if (moved) {
-            // Keep within bounds
-            this.player.x = Math.max(this.player.size, Math.min(this.canvas.width - this.player.size, this.player.x));
-            this.player.y = Math.max(this.player.size, Math.min(this.canvas.height - this.player.size, this.player.y));
-            
-            // Add to trail if player actually moved
-            if (oldX !== this.player.x || oldY !== this.player.y) {
-                this.addToTrail(oldX, oldY);
-            }
-            
-            this.checkCollisions();
-        }
-    }
+    // Per-input-method movement updaters live in DSG.movement (core/modules/player-movement.js)
     
-    render() {
-        // Clear canvas
-        this.ctx.fillStyle = '#f8f9fa';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    render(ctx, alpha = 1) {
+        const restorePositions = this.interpolatePositions(alpha);
+        try {
+            // Clear canvas
+            this.ctx.fillStyle = '#f8f9fa';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        if (this.gameState === 'playing' || this.gameState === 'paused' || this.gameState === 'ready') {
-            // Draw trail
-            this.drawTrail();
+            if (this.gameState === 'playing' || this.gameState === 'paused' || this.gameState === 'ready') {
+                // Draw trail
+                this.drawTrail();
             
-            // Draw targets
-            this.drawTargets();
+                // Draw targets
+                this.drawTargets();
             
-            // Draw player
-            this.drawPlayer();
+                // Draw player
+                this.drawPlayer();
             
-            // Draw cursor indicator for cursor-follow mode
-            if (this.sessionConfig.inputMethod === 'cursor') {
-                this.drawCursorIndicator();
-            }
+                // Draw cursor indicator for cursor-follow mode
+                if (this.sessionConfig.inputMethod === 'cursor') {
+                    this.drawCursorIndicator();
+                }
             
-            // Draw ready instructions if in ready state
-            if (this.gameState === 'ready') {
-                this.drawReadyInstructions();
-            }
+                // Draw the scan panel and the highlighted / held direction for switch scanning
+                if (this.sessionConfig.inputMethod === 'switch' && window.DSG && window.DSG.switchScan) {
+                    const bridge = this.inputBridge;
+                    const live = !this.playback && bridge && bridge.activeMethod === 'switch';
+                    window.DSG.switchScan.drawOverlay(this, this.ctx, live ? bridge.inputMethods.switch.scanState() : null);
+                }
+                
+                // Draw the gaze zones around the edge, the dwell in progress and the gaze point for eye gaze
+                if (this.sessionConfig.inputMethod === 'gaze' && window.DSG && window.DSG.gazeZones) {
+                    const bridge = this.inputBridge;
+                    const live = !this.playback && bridge && bridge.activeMethod === 'eyeGaze';
+                    window.DSG.gazeZones.drawOverlay(this, this.ctx, live ? bridge.inputMethods.eyeGaze.gazeState() : null);
+                }
+            
+                // Draw ready instructions if in ready state
+                if (this.gameState === 'ready') {
+                    this.drawReadyInstructions();
+                }
             
-            // Draw pause overlay if paused
-            if (this.gameState === 'paused') {
-                this.drawPauseOverlay();
+                // Draw pause overlay if paused
+                if (this.gameState === 'paused') {
+                    this.drawPauseOverlay();
+                }
+            } else {
+                // Draw menu screen
+                this.drawMenuScreen();
             }
-        } else {
-            // Draw menu screen
-            this.drawMenuScreen();
+        } finally {
+            restorePositions();
         }
     }
     
     drawTrail() {
-        if (this.settings.reducedMotion || this.player.trail.length < 2) return;
-        
-        this.ctx.strokeStyle = 'rgba(52, 152, 219, 0.3)';
-        this.ctx.lineWidth = 3;
-        this.ctx.lineCap = 'round';
-        this.ctx.beginPath();
-        
-        for (let i = 0; i < this.player.trail.length; i++) {
-            const point = this.player.trail[i];
-            if (i === 0) {
-                this.ctx.moveTo(point.x, point.y);
-            } else {
-                this.ctx.lineTo(point.x, point.y);
-            }
-        }
-        
-        this.ctx.stroke();
+    // Delegate trail drawing (shared with activities that move a player with DSG.movement)
+    if(window.DSG && window.DSG.movement){ window.DSG.movement.drawTrail(this, this.ctx); }
     }
     
     drawPlayer() {
@@ -1218,24 +1263,21 @@ class DirectionalSkillsGame {
         const centerX = this.canvas.width / 2;
         const centerY = this.canvas.height / 2;
         
+        // Simple clear message
+        const messages = { mouse: 'Click to start', cursor: 'Move cursor to start', switch: 'Select a direction to start', gaze: 'Look at an edge to start' };
+        const message = messages[this.sessionConfig.inputMethod] || 'Move to start';
+        this.ctx.font = 'bold 24px Arial';
+        const width = Math.max(240, this.ctx.measureText(message).width + 40);
+        
         // Draw semi-transparent background for text readability
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(centerX - 120, centerY - 25, 240, 50);
+        this.ctx.fillRect(centerX - width / 2, centerY - 25, width, 50);
         
         // Draw white text with large, bold font
         this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 24px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        
-        // Simple clear message
-        if (this.sessionConfig.inputMethod === 'mouse') {
-            this.ctx.fillText('Click to start', centerX, centerY);
-        } else if (this.sessionConfig.inputMethod === 'cursor') {
-            this.ctx.fillText('Move cursor to start', centerX, centerY);
-        } else {
-            this.ctx.fillText('Move to start', centerX, centerY);
-        }
+        this.ctx.fillText(message, centerX, centerY);
     }
     
     drawRoundedRect(x, y, width, height, radius, fill, stroke) {
@@ -1363,10 +1405,26 @@ class DirectionalSkillsGame {
             this.drawDwellProgressRing(target.x, target.y, size, target.dwellProgress);
         }
         
+        // Sequence label (1, 2, 3... or A, B, C...) for ordered sessions
+        if (target.label) {
+            this.drawTargetLabel(target.x, target.y, size, target.label);
+        }
+        
         // Reset shadow effects
         this.ctx.shadowBlur = 0;
     }
     
+    drawTargetLabel(x, y, size, label) {
+        this.ctx.font = `bold ${Math.round(size * (label.length > 1 ? 0.7 : 0.9))}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.strokeText(label, x, y + 1);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(label, x, y + 1);
+    }
+    
     // Draw dwell progress ring around target
     drawDwellProgressRing(x, y, size, progress) {
         const ringRadius = size + 8;
@@ -1649,13 +1707,72 @@ class DirectionalSkillsGame {
         // Confirm before clearing
         if (confirm('Are you sure you want to clear all progress and session history? This action cannot be undone.')) {
             this.sessionHistory = [];
-            this.saveSessionHistory();
+            this.historyPage = 0;
+            if (window.DSG && window.DSG.historyStore) {
+                window.DSG.historyStore.clear(this.storageKey('giocoSessionHistory')).catch(error => console.warn('Failed to clear session history:', error));
+            }
+            if (window.DSG && window.DSG.personalBests) window.DSG.personalBests.sync(this);
+            if (window.progressTracker && window.progressTracker.progressData) window.progressTracker.clearAllData();
             this.updateStatsModal();
             this.showToast('Progress and history cleared');
             this.announceToScreenReader('All progress and session history has been cleared');
         }
     }
     
+    exportProgress(format) {
+        const transfer = window.DSG && window.DSG.dataTransfer;
+        if (!transfer) return;
+        if (format === 'csv') {
+            transfer.download(transfer.exportFilename(this, 'csv'), transfer.sessionsToCsv(this.sessionHistory), 'text/csv');
+        } else {
+            transfer.download(transfer.exportFilename(this, 'json'), JSON.stringify(transfer.buildBundle(this), null, 2), 'application/json');
+        }
+        this.announceToScreenReader(`Exported ${this.sessionHistory.length} sessions`);
+    }
+    
+    previewProgressImport(file) {
+        const transfer = window.DSG && window.DSG.dataTransfer;
+        const ui = window.DSG && window.DSG.uiSession;
+        if (!transfer || !ui) return;
+        file.text().then(text => {
+            const { bundle, errors } = transfer.parseBundle(text);
+            this.pendingImport = bundle ? transfer.previewImport(this, bundle) : null;
+            ui.showImportPreview(this.pendingImport, errors);
+            this.announceToScreenReader(errors.length ? 'This file cannot be imported' : `Import preview: ${this.pendingImport.newSessions.length} new sessions`);
+        }).catch(error => {
+            console.warn('Failed to read import file:', error);
+            ui.showImportPreview(null, ['The file could not be read.']);
+        });
+    }
+    
+    confirmProgressImport() {
+        const transfer = window.DSG && window.DSG.dataTransfer;
+        const preview = this.pendingImport;
+        if (!transfer || !preview) return;
+        const includeSettings = !!document.getElementById('import-settings')?.checked;
+        this.pendingImport = null;
+        transfer.applyImport(this, preview, { includeSettings }).then(result => {
+            if (window.DSG.uiSession) window.DSG.uiSession.hideImportPreview();
+            // Re-read the merged history (and settings, when replaced) from storage
+            if (result.settings) this.reloadProfile();
+            else if (window.DSG.historyStore) { this.sessionHistory = []; this.loadSessionHistory(); }
+            this.updateStatsModal();
+            const message = `Imported ${result.sessions} sessions${result.achievements ? ` and ${result.achievements} achievements` : ''}${result.settings ? ', settings replaced' : ''}`;
+            this.showToast(message);
+            this.announceToScreenReader(message);
+        }).catch(error => {
+            console.warn('Progress import failed:', error);
+            if (window.DSG.historyStore) { this.sessionHistory = []; this.loadSessionHistory(); }
+            // Duplicates are skipped, so importing the same file again only adds what is missing
+            this.showToast('Import stopped part-way; import the file again to finish');
+        });
+    }
+    
+    cancelProgressImport() {
+        this.pendingImport = null;
+        if (window.DSG && window.DSG.uiSession) window.DSG.uiSession.hideImportPreview();
+    }
+    
     // Game Control Methods
     startGame() {
         this.gameState = 'playing';
@@ -1665,20 +1782,19 @@ class DirectionalSkillsGame {
     }
     
     pauseGame() {
+        if (window.DSG && window.DSG.recorder) window.DSG.recorder.mark(this, 'p');
         this.gameState = 'paused';
-        // Record when the pause started
-        this.pauseStartTime = Date.now();
+        // Record when the pause started (left out of the session time on resume)
+        if (window.DSG && window.DSG.sessionTiming) window.DSG.sessionTiming.pauseSession(this);
         this.updatePlayPauseButton();
         this.announceToScreenReader('Game paused');
     }
     
     resumeGame() {
+        if (window.DSG && window.DSG.recorder) window.DSG.recorder.mark(this, 'r');
         this.gameState = 'playing';
-        // Add the paused duration to total paused time
-        if (this.pauseStartTime) {
-            this.totalPausedTime += Date.now() - this.pauseStartTime;
-            this.pauseStartTime = null;
-        }
+        // Add the paused duration to the session's paused time
+        if (window.DSG && window.DSG.sessionTiming) window.DSG.sessionTiming.resumeSession(this);
         this.canvas.focus();
         this.updatePlayPauseButton();
         this.announceToScreenReader('Game resumed');
@@ -1702,7 +1818,11 @@ class DirectionalSkillsGame {
     
     openStats() {
         this.pauseGame();
+        this.historyPage = 0;
+        this.cancelProgressImport();
     if (window.sceneManager && window.StatsScene) window.sceneManager.switch('stats');
+        // Charts need the modal laid out to size their canvases
+        this.updateStatsModal();
     }
     
     openHelp() {
@@ -1710,6 +1830,77 @@ class DirectionalSkillsGame {
     if (window.sceneManager && window.HelpScene) window.sceneManager.switch('help');
     }
     
+    openActivities() {
+    if (window.sceneManager && window.ActivityScene) window.sceneManager.switch('activity');
+    }
+    
+    openProfiles() {
+    if (window.sceneManager && window.ProfileScene) window.sceneManager.switch('profiles');
+    }
+    
+    openPlaylists() {
+    if (window.sceneManager && window.PlaylistScene) window.sceneManager.switch('playlists');
+    }
+    
+    openLayoutEditor() {
+    if (window.sceneManager && window.LayoutEditorScene) window.sceneManager.switch('layouts');
+    }
+    
+    // Keyboard Controls (key remapping) opens from Game Settings and returns there
+    openKeyBindings() {
+    if (window.sceneManager && window.KeyBindingsScene) window.sceneManager.switch('keys');
+    }
+    
+    // Start a registered mini-game (Activities picker / play again); without a replay code, activities with
+    // their own setup screen open it instead
+    launchMiniGame(gameId, replayCode = null) {
+        const miniGame = window.MiniGames && window.MiniGames.get(gameId);
+        if (!miniGame) return;
+        if (!replayCode && typeof miniGame.configure === 'function') { miniGame.configure(this); return; }
+        this.gameState = 'minigame';
+        this.showGameInterface();
+        try { if (window.sceneManager) window.sceneManager.switch('main', { gameId, replayCode, restart: true }); } catch (e) {}
+        // Directional practice reports its start when the timer begins (DSG.sessionTiming)
+        if (gameId !== 'directional-practice' && window.DSG && window.DSG.achievements) window.DSG.achievements.emit(this, 'sessionStarted', { gameId });
+        this.announceToScreenReader(`${miniGame.name} started`);
+    }
+    
+    // Outcome of a non-directional mini-game (GameScene services.complete); saved alongside regular sessions
+    completeMiniGame(gameId, results = {}) {
+        const endTime = Date.now();
+        const totalTime = results.totalTime || 0;
+        this.currentSession = {
+            gameId,
+            seed: results.replayCode || null,
+            startTime: endTime - totalTime,
+            endTime,
+            totalTime,
+            targetsCollected: results.targetsCollected || 0,
+            totalTargets: results.totalTargets || 0,
+            totalCoreTargets: results.totalTargets || 0,
+            coreTargetsCollected: results.targetsCollected || 0,
+            bonusTargetsCollected: 0,
+            hazardTargetsHit: 0,
+            completed: results.completed !== false,
+            timeAdjustments: 0,
+            results
+        };
+        const entry = { ...this.currentSession, config: results.config || null };
+        // Scan options an activity set for its run end with it
+        if (this.inputBridge) this.inputBridge.setSessionOverrides('switch', null);
+        this.addToSessionHistory(entry);
+        this.sessionAchievements = (window.DSG && window.DSG.achievements) ? window.DSG.achievements.sessionCompleted(this, entry) : [];
+        this.adaptiveProposal = null;
+        this.gameState = 'completed';
+        const playlists = window.DSG && window.DSG.playlists;
+        const inPlaylist = !!(playlists && playlists.owns(this, entry));
+        if (playlists) playlists.sessionFinished(this, entry);
+        if (!inPlaylist) this.showSessionResults();
+        if (this.sounds.levelComplete) this.sounds.levelComplete();
+        const miniGame = window.MiniGames && window.MiniGames.get(gameId);
+        this.announceToScreenReader(`${miniGame ? miniGame.name : 'Activity'} completed! Time: ${this.formatTime(totalTime)}.`);
+    }
+    
     openReplayEntry() {
         this.pauseGame();
     if (window.sceneManager && window.ReplayScene) window.sceneManager.switch('replay');
@@ -1723,6 +1914,35 @@ class DirectionalSkillsGame {
         document.getElementById('resize-handling').value = this.settings.resizeHandling;
     }
     
+    // Filter keys / sticky movement, switch timing and eye gaze options live in the input manager's per-profile
+    // config, not in this.settings
+    loadInputOptionsToForm() {
+        if (!this.inputBridge) return;
+        const keyboard = { ...this.inputBridge.getDefaultConfig().keyboard, ...(this.inputBridge.config.keyboard || {}) };
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+            const label = document.getElementById(id + '-value');
+            if (label) label.textContent = value;
+        };
+        const filterEl = document.getElementById('filter-keys-enabled');
+        const stickyEl = document.getElementById('sticky-movement');
+        if (filterEl) filterEl.checked = !!keyboard.filterKeys;
+        if (stickyEl) stickyEl.checked = !!keyboard.stickyKeys;
+        setValue('filter-acceptance-delay', keyboard.acceptanceDelay);
+        setValue('filter-debounce', keyboard.debounceTime);
+        // Switch timing (SwitchInput)
+        const switchConfig = { ...this.inputBridge.getDefaultConfig().switch, ...(this.inputBridge.config.switch || {}) };
+        setValue('switch-acceptance-time', switchConfig.acceptanceTime);
+        setValue('switch-post-acceptance-delay', switchConfig.postAcceptanceDelay);
+        setValue('switch-long-press', switchConfig.longPressThreshold);
+        // Eye gaze / head pointer (EyeGazeInput)
+        const gaze = { ...this.inputBridge.getDefaultConfig().eyeGaze, ...(this.inputBridge.config.eyeGaze || {}) };
+        setValue('gaze-dwell-time', gaze.dwellTime);
+        setValue('gaze-dwell-radius', gaze.dwellRadius);
+        setValue('gaze-smoothing', gaze.smoothing);
+    }
+    
     saveSettings() {
         this.settings.movementSpeed = parseInt(document.getElementById('movement-speed').value);
         this.settings.inputBuffering = document.getElementById('input-buffering').checked;
@@ -1749,11 +1969,42 @@ class DirectionalSkillsGame {
             this.inputBridge.switchInputMethod(assistiveMethodEl.value);
         }
         
+        // Filter keys / sticky movement (KeyboardInput)
+        const filterEl = document.getElementById('filter-keys-enabled');
+        if (filterEl && this.inputBridge) {
+            this.inputBridge.updateConfig('keyboard', {
+                filterKeys: filterEl.checked,
+                acceptanceDelay: parseInt(document.getElementById('filter-acceptance-delay').value, 10) || 0,
+                debounceTime: parseInt(document.getElementById('filter-debounce').value, 10) || 0,
+                stickyKeys: !!document.getElementById('sticky-movement')?.checked
+            });
+        }
+        
+        // Switch timing (SwitchInput)
+        const acceptanceEl = document.getElementById('switch-acceptance-time');
+        if (acceptanceEl && this.inputBridge) {
+            this.inputBridge.updateConfig('switch', {
+                acceptanceTime: parseInt(acceptanceEl.value, 10) || 0,
+                postAcceptanceDelay: parseInt(document.getElementById('switch-post-acceptance-delay').value, 10) || 0,
+                longPressThreshold: parseInt(document.getElementById('switch-long-press').value, 10) || 0
+            });
+        }
+        
+        // Eye gaze / head pointer (EyeGazeInput)
+        const dwellTimeEl = document.getElementById('gaze-dwell-time');
+        if (dwellTimeEl && this.inputBridge) {
+            this.inputBridge.updateConfig('eyeGaze', {
+                dwellTime: parseInt(dwellTimeEl.value, 10) || 1500,
+                dwellRadius: parseInt(document.getElementById('gaze-dwell-radius').value, 10) || 40,
+                smoothing: parseFloat(document.getElementById('gaze-smoothing').value) || 0
+            });
+        }
+        
         // Apply settings
         this.applySettings();
         
         // Save to localStorage
-        localStorage.setItem('directionalSkillsSettings', JSON.stringify(this.settings));
+        localStorage.setItem(this.storageKey('directionalSkillsSettings'), JSON.stringify(this.settings));
         
         // Close modal
         document.getElementById('settings-modal').close();
@@ -1793,6 +2044,7 @@ class DirectionalSkillsGame {
         if (assistiveMethodEl && this.inputBridge) {
             assistiveMethodEl.value = this.inputBridge.activeMethod || 'keyboard';
         }
+        this.loadInputOptionsToForm();
     }
 
     // Session Management Methods
@@ -1829,6 +2081,9 @@ class DirectionalSkillsGame {
         // Update total
         this.updateTotalTargets();
         
+        // Target layout (a hand-made layout fixes the counts above)
+        this.populateLayoutChoices();
+        
         // Target size
         document.querySelector(`input[name="target-size"][value="${this.sessionConfig.targetSize}"]`).checked = true;
         
@@ -1855,6 +2110,24 @@ class DirectionalSkillsGame {
         const sensitivityRadio = document.querySelector(`input[name="joystick-sensitivity"][value="${this.sessionConfig.joystickSensitivity || 'medium'}"]`);
         if (sensitivityRadio) sensitivityRadio.checked = true;
         
+        // Switch scanning settings
+        const switchSettings = document.getElementById('switch-settings');
+        if (switchSettings) {
+            switchSettings.style.display = this.sessionConfig.inputMethod === 'switch' ? 'block' : 'none';
+        }
+        if (window.DSG && window.DSG.switchScan) {
+            const scan = window.DSG.switchScan.optionsFrom(this.sessionConfig);
+            [['switch-scan-set', scan.set], ['switch-scan-pattern', scan.pattern], ['switch-scan-mode', scan.mode]].forEach(([name, value]) => {
+                const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+                if (radio) radio.checked = true;
+            });
+            const scanSpeedSlider = document.getElementById('switch-scan-speed');
+            if (scanSpeedSlider) {
+                scanSpeedSlider.value = scan.speed;
+                document.getElementById('switch-scan-speed-value').textContent = (scan.speed / 1000).toFixed(1) + 's';
+            }
+        }
+        
         // Dwell mode settings
         const dwellModeCheckbox = document.getElementById('dwell-mode');
         if (dwellModeCheckbox) {
@@ -1870,6 +2143,40 @@ class DirectionalSkillsGame {
             const seconds = ((this.sessionConfig.dwellTime || 1000) / 1000).toFixed(1);
             document.getElementById('dwell-time-value').textContent = seconds + 's';
         }
+        const dwellGraceSlider = document.getElementById('dwell-grace');
+        if (dwellGraceSlider) {
+            dwellGraceSlider.value = this.sessionConfig.dwellGrace || 0;
+            document.getElementById('dwell-grace-value').textContent = this.formatDwellGrace(this.sessionConfig.dwellGrace || 0);
+        }
+        const dwellDecayCheckbox = document.getElementById('dwell-decay');
+        if (dwellDecayCheckbox) {
+            dwellDecayCheckbox.checked = this.sessionConfig.dwellDecay || false;
+        }
+        const dwellTimes = this.sessionConfig.dwellTimes || {};
+        ['stationary', 'moving', 'bonus'].forEach(type => {
+            const select = document.getElementById(`dwell-time-${type}`);
+            if (select) select.value = dwellTimes[type] ? String(dwellTimes[type]) : '';
+        });
+        
+        // Adaptive difficulty mode and limits
+        const adaptive = window.DSG && window.DSG.adaptive ? window.DSG.adaptive.settings(this.sessionConfig) : null;
+        if (adaptive) {
+            const adaptiveFields = { 'adaptive-mode': adaptive.mode, 'adaptive-min-size': adaptive.minSize, 'adaptive-max-size': adaptive.maxSize,
+                'adaptive-min-targets': adaptive.minTargets, 'adaptive-max-targets': adaptive.maxTargets, 'adaptive-max-moving': adaptive.maxMoving,
+                'adaptive-max-flee': adaptive.maxFlee, 'adaptive-min-speed': adaptive.minSpeed, 'adaptive-max-speed': adaptive.maxSpeed,
+                'adaptive-min-dwell': adaptive.minDwell, 'adaptive-max-dwell': adaptive.maxDwell };
+            Object.keys(adaptiveFields).forEach(id => { const el = document.getElementById(id); if (el) el.value = String(adaptiveFields[id]); });
+            const adaptiveSettings = document.getElementById('adaptive-settings');
+            if (adaptiveSettings) adaptiveSettings.style.display = adaptive.mode !== 'off' ? 'block' : 'none';
+        }
+        
+        // Collection order (sequence mode)
+        const sequenceModeSelect = document.getElementById('sequence-mode');
+        if (sequenceModeSelect) sequenceModeSelect.value = this.sessionConfig.sequenceMode || 'off';
+        const sequenceFeedbackCheckbox = document.getElementById('sequence-feedback');
+        if (sequenceFeedbackCheckbox) sequenceFeedbackCheckbox.checked = this.sessionConfig.sequenceFeedback !== false;
+        const sequenceSettings = document.getElementById('sequence-settings');
+        if (sequenceSettings) sequenceSettings.style.display = (this.sessionConfig.sequenceMode || 'off') !== 'off' ? 'block' : 'none';
         
         // Calm mode
         const calmModeCheckbox = document.getElementById('calm-mode');
@@ -1916,6 +2223,11 @@ class DirectionalSkillsGame {
             this.updateLiveReplayCode();
         });
         
+        document.getElementById('target-layout')?.addEventListener('change', () => {
+            this.applyLayoutChoice();
+            this.updateLiveReplayCode();
+        });
+        
         // Target size radio buttons
         document.querySelectorAll('input[name="target-size"]').forEach(radio => {
             radio.addEventListener('change', () => this.updateLiveReplayCode());
@@ -1949,6 +2261,10 @@ class DirectionalSkillsGame {
                 if (joystickSettings) {
                     joystickSettings.style.display = e.target.value === 'joystick' ? 'block' : 'none';
                 }
+                const switchSettings = document.getElementById('switch-settings');
+                if (switchSettings) {
+                    switchSettings.style.display = e.target.value === 'switch' ? 'block' : 'none';
+                }
                 this.updateLiveReplayCode();
             });
         });
@@ -1967,6 +2283,18 @@ class DirectionalSkillsGame {
             radio.addEventListener('change', () => this.updateLiveReplayCode());
         });
         
+        // Switch scanning set, pattern, mode and speed
+        document.querySelectorAll('input[name="switch-scan-set"], input[name="switch-scan-pattern"], input[name="switch-scan-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateLiveReplayCode());
+        });
+        const scanSpeedSlider = document.getElementById('switch-scan-speed');
+        if (scanSpeedSlider) {
+            scanSpeedSlider.addEventListener('input', (e) => {
+                document.getElementById('switch-scan-speed-value').textContent = (parseInt(e.target.value) / 1000).toFixed(1) + 's';
+                this.updateLiveReplayCode();
+            });
+        }
+        
         // Dwell mode toggle
         const dwellModeCheckbox = document.getElementById('dwell-mode');
         if (dwellModeCheckbox) {
@@ -1989,6 +2317,36 @@ class DirectionalSkillsGame {
             });
         }
         
+        // Dwell grace slider, decay toggle and per-type dwell times
+        const dwellGraceSlider = document.getElementById('dwell-grace');
+        if (dwellGraceSlider) {
+            dwellGraceSlider.addEventListener('input', (e) => {
+                document.getElementById('dwell-grace-value').textContent = this.formatDwellGrace(parseInt(e.target.value));
+                this.updateLiveReplayCode();
+            });
+        }
+        document.getElementById('dwell-decay')?.addEventListener('change', () => this.updateLiveReplayCode());
+        ['stationary', 'moving', 'bonus'].forEach(type => {
+            document.getElementById(`dwell-time-${type}`)?.addEventListener('change', () => this.updateLiveReplayCode());
+        });
+        
+        // Collection order select and wrong-target feedback toggle
+        const sequenceModeSelect = document.getElementById('sequence-mode');
+        if (sequenceModeSelect) {
+            sequenceModeSelect.addEventListener('change', (e) => {
+                const sequenceSettings = document.getElementById('sequence-settings');
+                if (sequenceSettings) sequenceSettings.style.display = e.target.value !== 'off' ? 'block' : 'none';
+                this.updateLiveReplayCode();
+            });
+        }
+        document.getElementById('sequence-feedback')?.addEventListener('change', () => this.updateLiveReplayCode());
+        
+        // Adaptive difficulty limits only matter once a mode is chosen
+        document.getElementById('adaptive-mode')?.addEventListener('change', (e) => {
+            const adaptiveSettings = document.getElementById('adaptive-settings');
+            if (adaptiveSettings) adaptiveSettings.style.display = e.target.value !== 'off' ? 'block' : 'none';
+        });
+        
         // Calm mode checkbox
         const calmModeCheckbox = document.getElementById('calm-mode');
         if (calmModeCheckbox) {
@@ -2016,6 +2374,44 @@ class DirectionalSkillsGame {
         document.getElementById('total-targets-value').textContent = total;
     }
 
+    // Saved layouts for the active profile, plus the one in use if it came from a shared code
+    populateLayoutChoices() {
+        const select = document.getElementById('target-layout');
+        const layouts = window.DSG && window.DSG.customLayouts;
+        if (!select || !layouts) return;
+        const current = this.sessionConfig.customLayout || '';
+        const choices = layouts.load(this).map(l => ({ value: layouts.encode(l), label: `${l.name} (${layouts.describe(l)})` }));
+        const shared = current && !choices.some(c => c.value === current) ? layouts.decode(current).layout : null;
+        if (shared) choices.unshift({ value: current, label: `Shared layout (${layouts.describe(shared)})` });
+        select.innerHTML = '';
+        [{ value: '', label: 'Random (new layout every session)' }, ...choices].forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            select.appendChild(option);
+        });
+        select.value = current && (shared || choices.some(c => c.value === current)) ? current : '';
+        this.applyLayoutChoice();
+    }
+
+    // A chosen layout shows its own counts on the (disabled) sliders
+    applyLayoutChoice() {
+        const layouts = window.DSG && window.DSG.customLayouts;
+        const code = document.getElementById('target-layout')?.value;
+        const config = code && layouts ? layouts.configFor(code) : null;
+        const sliders = { stationary: 'static', moving: 'moving', flee: 'flee', bonus: 'bonus', hazard: 'hazard' };
+        Object.keys(sliders).forEach(key => {
+            const slider = document.getElementById(`target-${sliders[key]}-count`);
+            if (!slider) return;
+            slider.disabled = !!config;
+            if (config) {
+                slider.value = config.targetCounts[key];
+                document.getElementById(`target-${sliders[key]}-count-value`).textContent = config.targetCounts[key];
+            }
+        });
+        this.updateTotalTargets();
+    }
+
     updatePlayerSpeedLabel(speed) {
         const labels = ['Very Slow', 'Slow', 'Normal', 'Fast', 'Very Fast'];
         document.getElementById('player-speed-value').textContent = labels[speed - 1] || 'Normal';
@@ -2062,15 +2458,39 @@ class DirectionalSkillsGame {
             calmMode: document.getElementById('calm-mode')?.checked || false,
             dwellMode: document.getElementById('dwell-mode')?.checked || false,
             dwellTime: parseInt(document.getElementById('dwell-time')?.value) || 1000,
+            dwellGrace: parseInt(document.getElementById('dwell-grace')?.value) || 0,
+            dwellDecay: document.getElementById('dwell-decay')?.checked || false,
+            dwellTimes: this.getFormDwellTimes(),
+            sequenceMode: document.getElementById('sequence-mode')?.value || 'off',
+            sequenceFeedback: document.getElementById('sequence-feedback')?.checked !== false,
+            customLayout: document.getElementById('target-layout')?.value || null,
             joystickDeadzone: parseInt(document.getElementById('joystick-deadzone')?.value) || 15,
-            joystickSensitivity: document.querySelector('input[name="joystick-sensitivity"]:checked')?.value || 'medium'
+            joystickSensitivity: document.querySelector('input[name="joystick-sensitivity"]:checked')?.value || 'medium',
+            switchScanSet: document.querySelector('input[name="switch-scan-set"]:checked')?.value || '4way',
+            switchScanPattern: document.querySelector('input[name="switch-scan-pattern"]:checked')?.value || 'linear',
+            switchScanMode: document.querySelector('input[name="switch-scan-mode"]:checked')?.value || 'auto',
+            switchScanSpeed: parseInt(document.getElementById('switch-scan-speed')?.value) || 1500
         };
         
         console.log('🔍 getFormConfigForCode returning:', formConfig);
         return formConfig;
     }
 
+    // Per-type dwell overrides from the form; an empty select means "same as dwell time" (null)
+    getFormDwellTimes() {
+        const read = (type) => parseInt(document.getElementById(`dwell-time-${type}`)?.value) || null;
+        return { stationary: read('stationary'), moving: read('moving'), bonus: read('bonus') };
+    }
+
+    formatDwellGrace(ms) {
+        return ms > 0 ? (ms / 1000).toFixed(2) + 's' : 'Off';
+    }
+
     generateReplayCodeFromConfig(config) {
+    // A hand-made layout is the session's code; the rest of the setup is applied from this device
+    const layouts = window.DSG && window.DSG.customLayouts;
+    const layout = config && config.customLayout && layouts ? layouts.configFor(config.customLayout) : null;
+    if(layout) return layout.customLayout;
     const mod = window.DSG && window.DSG.replay;
     const code = mod ? mod.generateFromConfig(config) : (window.ReplayCode ? window.ReplayCode.generateFromConfig(config) : null);
     if(!code) return '00000000000000';
@@ -2083,11 +2503,15 @@ class DirectionalSkillsGame {
 
     decodeReplayCode(replayCode) {
         try {
+            // Layout codes only decide the targets (DSG.customLayouts)
+            const layouts = window.DSG && window.DSG.customLayouts;
+            if(layouts && layouts.isCode(replayCode)) return layouts.configFor(replayCode);
             const mod = window.DSG && window.DSG.replay;
             const decoded = mod ? mod.decode(replayCode) : (window.ReplayCode ? window.ReplayCode.decode(replayCode) : null);
             if(!decoded) return null;
             this._log('🔍 Decoded via replay helpers:', decoded, 'from:', replayCode);
-            return decoded;
+            // A replay code always means a generated layout
+            return { ...decoded, customLayout: null };
         } catch(e){ console.error('Error decoding replay code:', e); return null; }
     }
 
@@ -2156,7 +2580,7 @@ class DirectionalSkillsGame {
         // Show game interface
         this.showGameInterface();
     // Switch scene to main (gameplay) explicitly if scene system active
-    try { if (window.sceneManager) window.sceneManager.switch('main'); } catch (e) {}
+    try { if (window.sceneManager) window.sceneManager.switch('main', { gameId: 'directional-practice' }); } catch (e) {}
         
         // Initialize new session WITHOUT passing seed - let it use the form configuration
         // The seed from the form is the live-generated code, not a code to decode
@@ -2180,13 +2604,22 @@ class DirectionalSkillsGame {
         // Close modal
         document.getElementById('replay-modal').close();
         
+        this.playReplayCode(replayCode);
+    }
+    
+    // Start the session a replay code describes (Play Replay Code, playlists)
+    playReplayCode(replayCode) {
+        // Codes with another activity's registered prefix start that activity instead (GameScene.activityFor)
+        const gameId = window.GameScene ? window.GameScene.activityFor(replayCode) : 'directional-practice';
+        if (gameId !== 'directional-practice') { this.launchMiniGame(gameId, replayCode); return; }
+        
         // Initialize session with the replay code FIRST (before showing interface)
         this.initializeNewSession(replayCode);
         
         // Show game interface (this will generate targets with the correct config)
         this.showGameInterface();
     // Ensure scene switched to main for gameplay
-    try { if (window.sceneManager) window.sceneManager.switch('main'); } catch (e) {}
+    try { if (window.sceneManager) window.sceneManager.switch('main', { gameId: 'directional-practice' }); } catch (e) {}
         
         // Start session
         this.startSession();
@@ -2201,6 +2634,12 @@ class DirectionalSkillsGame {
         this.sessionConfig.targetCounts.flee = parseInt(document.getElementById('target-flee-count').value);
         this.sessionConfig.targetCounts.bonus = parseInt(document.getElementById('target-bonus-count').value);
         this.sessionConfig.targetCounts.hazard = parseInt(document.getElementById('target-hazard-count').value);
+        
+        // Hand-made layout: its targets replace the counts above
+        const layoutChoice = document.getElementById('target-layout')?.value;
+        const layoutConfig = layoutChoice && window.DSG && window.DSG.customLayouts ? window.DSG.customLayouts.configFor(layoutChoice) : null;
+        this.sessionConfig.customLayout = layoutConfig ? layoutConfig.customLayout : null;
+        if (layoutConfig) this.sessionConfig.targetCounts = { ...layoutConfig.targetCounts };
         this.sessionConfig.targetSize = document.querySelector('input[name="target-size"]:checked').value;
         
         // Player settings
@@ -2221,6 +2660,18 @@ class DirectionalSkillsGame {
             this.sessionConfig.joystickSensitivity = joystickSensitivityEl.value;
         }
         
+        // Switch scanning settings (applied to the switch input when the session starts)
+        const scanSetEl = document.querySelector('input[name="switch-scan-set"]:checked');
+        const scanPatternEl = document.querySelector('input[name="switch-scan-pattern"]:checked');
+        const scanModeEl = document.querySelector('input[name="switch-scan-mode"]:checked');
+        if (scanSetEl) this.sessionConfig.switchScanSet = scanSetEl.value;
+        if (scanPatternEl) this.sessionConfig.switchScanPattern = scanPatternEl.value;
+        if (scanModeEl) this.sessionConfig.switchScanMode = scanModeEl.value;
+        const scanSpeedEl = document.getElementById('switch-scan-speed');
+        if (scanSpeedEl) {
+            this.sessionConfig.switchScanSpeed = parseInt(scanSpeedEl.value);
+        }
+        
         // Update joystick input config if using UniversalInputManager
         if (this.inputBridge && this.sessionConfig.inputMethod === 'joystick') {
             this.inputBridge.updateConfig('joystick', {
@@ -2251,6 +2702,27 @@ class DirectionalSkillsGame {
         if (dwellTimeEl) {
             this.sessionConfig.dwellTime = parseInt(dwellTimeEl.value);
         }
+        this.sessionConfig.dwellGrace = parseInt(document.getElementById('dwell-grace')?.value) || 0;
+        this.sessionConfig.dwellDecay = document.getElementById('dwell-decay')?.checked || false;
+        this.sessionConfig.dwellTimes = this.getFormDwellTimes();
+        
+        // Collection order
+        this.sessionConfig.sequenceMode = document.getElementById('sequence-mode')?.value || 'off';
+        this.sessionConfig.sequenceFeedback = document.getElementById('sequence-feedback')?.checked !== false;
+        
+        // Adaptive difficulty (limits are put in order by DSG.adaptive.settings when used)
+        const adaptiveMode = document.getElementById('adaptive-mode');
+        if (adaptiveMode) {
+            const value = id => document.getElementById(id)?.value;
+            this.sessionConfig.adaptive = {
+                mode: adaptiveMode.value,
+                minSize: value('adaptive-min-size'), maxSize: value('adaptive-max-size'),
+                minTargets: parseInt(value('adaptive-min-targets'), 10), maxTargets: parseInt(value('adaptive-max-targets'), 10),
+                maxMoving: parseInt(value('adaptive-max-moving'), 10), maxFlee: parseInt(value('adaptive-max-flee'), 10),
+                minSpeed: parseInt(value('adaptive-min-speed'), 10), maxSpeed: parseInt(value('adaptive-max-speed'), 10),
+                minDwell: parseInt(value('adaptive-min-dwell'), 10), maxDwell: parseInt(value('adaptive-max-dwell'), 10)
+            };
+        }
         
         // Environment
         this.sessionConfig.boundaries = document.querySelector('input[name="game-boundaries"]:checked').value;
@@ -2264,58 +2736,76 @@ class DirectionalSkillsGame {
             this.sessionConfig.calmMode = calmModeEl.checked;
         }
         
+        // Fresh layout for every new session; the seed travels inside the v3 replay code
+        if (window.ReplayCode && window.ReplayCode.generateLayoutSeed) {
+            this.sessionConfig.layoutSeed = window.ReplayCode.generateLayoutSeed();
+        }
+        
         // Generate the final replay code AFTER all configuration is set
         this.sessionConfig.seed = this.generateReplayCodeFromConfig(this.sessionConfig);
         console.log('🎮 Generated FINAL replay code from session config:', this.sessionConfig.seed);
         console.log('🎮 Session config used for code generation:', this.sessionConfig);
+        this.saveSessionConfig();
         
         // Update mouse events based on new configuration
         this.setupMouseEvents();
     }
 
+    applyAdaptiveChanges() {
+        const adaptive = window.DSG && window.DSG.adaptive;
+        if (!adaptive || !this.adaptiveProposal) return;
+        adaptive.apply(this, this.adaptiveProposal);
+        if (window.DSG.uiSession) window.DSG.uiSession.showAdaptiveProposal(this);
+        this.announceToScreenReader('Changes saved for the next session');
+    }
+    
+    undoAdaptiveChanges() {
+        const adaptive = window.DSG && window.DSG.adaptive;
+        if (!adaptive || !this.adaptiveProposal) return;
+        adaptive.undo(this, this.adaptiveProposal);
+        if (window.DSG.uiSession) window.DSG.uiSession.showAdaptiveProposal(this);
+        this.announceToScreenReader('The next session keeps the current setup');
+    }
+    
+    // New layout with the (possibly adapted) session setup, straight from the results screen
+    startNextAdaptiveSession() {
+        document.getElementById('results-modal')?.close();
+        if (window.ReplayCode && window.ReplayCode.generateLayoutSeed) {
+            this.sessionConfig.layoutSeed = window.ReplayCode.generateLayoutSeed();
+        }
+        this.sessionConfig.seed = this.generateReplayCodeFromConfig(this.sessionConfig);
+        this.showGameInterface();
+        try { if (window.sceneManager) window.sceneManager.switch('main', { gameId: 'directional-practice' }); } catch (e) {}
+        this.initializeNewSession();
+        this.startSession();
+        this.announceToScreenReader('Next session started');
+    }
+    
+    watchSessionRecording(historyIndex) {
+        // Re-run a saved session from its input recording
+        const session = this.sessionHistory[historyIndex];
+        const store = window.DSG && window.DSG.historyStore;
+        if (!session || !(session.recording || session.hasRecording) || !(window.DSG && window.DSG.playback)) return;
+        const recording = store ? store.getRecording(this.storageKey('giocoSessionHistory'), session) : Promise.resolve(session.recording);
+        recording.then(rec => {
+            if (!rec) { this.showToast('This recording is no longer available'); return; }
+            const statsModal = document.getElementById('stats-modal');
+            if (statsModal && statsModal.open) statsModal.close();
+            try { if (window.sceneManager) window.sceneManager.switch('main', { gameId: 'directional-practice' }); } catch (e) {}
+            window.DSG.playback.start(this, { ...session, recording: rec });
+        }).catch(error => console.warn('Failed to load session recording:', error));
+    }
+    
     showSessionResults() {
         if(window.DSG && window.DSG.uiSession){ window.DSG.uiSession.showSessionResults(this); }
     }
     
+    // Compares the finished session with earlier runs of the same full setup (DSG.personalBests): target mix, size,
+    // speed, input method, dwell, boundaries and order for directional practice; the replay code for other activities
     checkPersonalBest() {
-        const currentTime = this.currentSession.totalTime;
-        const history = this.sessionHistory.filter(session => session.completed);
-        
-        if (history.length === 0) {
-            return { isRecord: true, message: "🎉 First completion!" };
-        }
-        
-        // Find best time for similar configuration (same target counts)
-        const similarSessions = history.filter(session => {
-            const currentCounts = this.sessionConfig.targetCounts;
-            const sessionCounts = session.config?.targetCounts;
-            if (!sessionCounts) return false;
-            
-            return (
-                sessionCounts.stationary === currentCounts.stationary &&
-                sessionCounts.moving === currentCounts.moving &&
-                sessionCounts.flee === currentCounts.flee &&
-                sessionCounts.bonus === currentCounts.bonus &&
-                sessionCounts.hazard === currentCounts.hazard
-            );
-        });
-        
-        if (similarSessions.length === 0) {
-            return { isRecord: true, message: "🆕 New challenge completed!" };
-        }
-        
-        const bestTime = Math.min(...similarSessions.map(s => s.totalTime));
-        const averageTime = similarSessions.reduce((sum, s) => sum + s.totalTime, 0) / similarSessions.length;
-        
-        // Fix the logic: if current time is better (smaller) than best time, it's a new record
-        if (currentTime < bestTime) {
-            return { isRecord: true, message: "🏆 New Personal Best!" };
-        } else if (currentTime < averageTime * 1.1) { // Within 10% of average is considered good
-            return { isRecord: true, message: "📈 Great performance!" };
-        }
-        
-        // Don't show achievement banner for average or poor performance
-        return { isRecord: false, message: "" };
+        const bests = window.DSG && window.DSG.personalBests;
+        if (!bests) return { isRecord: false, message: '' };
+        return bests.describe(this.personalBestResult, this.currentSession.totalTime);
     }
     
     copyCurrentSessionReplayCode() {
@@ -2405,7 +2895,7 @@ class DirectionalSkillsGame {
         this.settings.audioEnabled = !this.settings.audioEnabled;
         this.applySettings();
         this.updateSoundButton();
-        localStorage.setItem('directionalSkillsSettings', JSON.stringify(this.settings));
+        localStorage.setItem(this.storageKey('directionalSkillsSettings'), JSON.stringify(this.settings));
     }
     
     toggleFullscreen() {
@@ -2438,13 +2928,23 @@ class DirectionalSkillsGame {
         
         // Ensure canvas is properly sized with a small delay to allow layout
         setTimeout(() => {
+            const oldWidth = this.canvas.width, oldHeight = this.canvas.height;
             this.setupCanvas();
             
+            // Other mini-games own the canvas contents; only directional sessions have targets to place
+            if (this.gameState === 'minigame') return;
+            
             // Generate targets if they haven't been generated yet (due to small canvas during init)
             if (this.targets.length === 0) {
                 console.log('🎯 Canvas now properly sized, generating targets');
                 this.generateSessionTargets();
                 // Player position is set inside generateSessionTargets()
+            } else if (window.DSG && window.DSG.layout && (oldWidth !== this.canvas.width || oldHeight !== this.canvas.height)) {
+                // Targets were generated against the pre-layout canvas; project them onto the final size
+                const oldDims = { width: oldWidth, height: oldHeight };
+                this.targets.forEach(t => { const p = window.DSG.layout.reproject(t.x, t.y, t.size + 20, oldDims, this.canvas); t.x = p.x; t.y = p.y; });
+                const p = window.DSG.layout.reproject(this.player.x, this.player.y, this.player.size + 20, oldDims, this.canvas);
+                this.player.x = p.x; this.player.y = p.y;
             }
         }, 50);
         
@@ -2469,6 +2969,9 @@ class DirectionalSkillsGame {
     }
     
     returnToMainMenu() {
+        // Leaving a playback restores the parked live state first (and calls back here)
+        if (this.playback && window.DSG && window.DSG.playback) { window.DSG.playback.exit(this); return; }
+        
         // Pause/stop current session
         if (this.gameState === 'playing') {
             this.pauseGame();
@@ -2486,6 +2989,7 @@ class DirectionalSkillsGame {
         
         // Reset game state
         this.gameState = 'menu';
+        this.stopAssistiveInput();
         
         // Update UI
         this.updateUI();
@@ -2705,10 +3209,10 @@ class DirectionalSkillsGame {
         }
     }
     
-    announceToScreenReader(message){ if(window.DSG && window.DSG.announcer){ window.DSG.announcer.announce(message); } }
+    announceToScreenReader(message){ if(this.playback && this.playback.seeking) return; if(window.DSG && window.DSG.announcer){ window.DSG.announcer.announce(message); } }
     
     loadSettings() {
-        const saved = localStorage.getItem('directionalSkillsSettings');
+        const saved = localStorage.getItem(this.storageKey('directionalSkillsSettings'));
         if (saved) {
             this.settings = { ...this.settings, ...JSON.parse(saved) };
             this.applySettings();
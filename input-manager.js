@@ -26,6 +26,10 @@ class UniversalInputManager {
         this.eventQueue = [];
         this.listeners = new Map();
         this.config = this.loadConfig();
+        this.sessionOverrides = {}; // per input method: options of the running session / activity, never saved
+        this.applyKeyboardConfig();
+        this.applySwitchConfig();
+        this.applyEyeGazeConfig();
         
         // Bind event handlers
         this.bindUniversalEvents();
@@ -33,12 +37,20 @@ class UniversalInputManager {
     if(window.game && window.game._log){ window.game._log('UniversalInputManager initialized'); }
     }
     
+    /**
+     * localStorage key for the active student profile (DSG.profiles); plain key when profiles are unavailable
+     */
+    storageKey(base) {
+        const profiles = window.DSG && window.DSG.profiles;
+        return profiles ? profiles.key(base) : base;
+    }
+    
     /**
      * Load configuration from localStorage or use defaults
      */
     loadConfig() {
         try {
-            const stored = localStorage.getItem('inputConfig');
+            const stored = localStorage.getItem(this.storageKey('inputConfig'));
             return stored ? JSON.parse(stored) : this.getDefaultConfig();
         } catch (error) {
             console.warn('Failed to load input config, using defaults:', error);
@@ -55,20 +67,27 @@ class UniversalInputManager {
                 sensitivity: 1.0,
                 repeatDelay: 500,
                 repeatRate: 100,
-                stickyKeys: false,
-                filterKeys: false
+                stickyKeys: false,      // sticky movement: tap a direction to start moving, tap it again to stop
+                filterKeys: false,
+                acceptanceDelay: 300,   // filter keys: a press counts once held this long (ms)
+                debounceTime: 500,      // filter keys: the same key again within this time of its release is ignored (ms)
+                bindings: null          // DSG.keyBindings table; null = default keys
             },
             switch: {
-                scanSpeed: 2000,
-                scanMode: 'auto',
-                longPressThreshold: 1000,
+                scanSet: '4way',        // DSG.switchScan.SETS
+                scanPattern: 'linear',  // 'linear' | 'rowColumn'
+                scanSpeed: 1500,
+                scanMode: 'auto',       // 'auto' | 'inverse' | 'step'
+                acceptanceTime: 0,      // a press counts once held this long (ms)
+                postAcceptanceDelay: 0, // presses within this time of letting go of a counted one are ignored (ms)
+                longPressThreshold: 1000, // auto / step scan: a selection let go sooner still moves this long (ms; 0 = off)
                 audioFeedback: true,
                 visualFeedback: true
             },
             eyeGaze: {
-                dwellTime: 1500,
-                dwellRadius: 40,
-                smoothing: 0.3,
+                dwellTime: 1500,        // ms of looking at an edge zone before its direction moves the player
+                dwellRadius: 40,        // px the gaze may drift during a dwell before it starts again
+                smoothing: 0.3,         // share of the previous gaze point kept per pointer move (0 = raw pointer)
                 calibrationRequired: false,
                 cursorVisible: true
             },
@@ -162,6 +181,17 @@ class UniversalInputManager {
             });
         }
         
+        // Key presses / releases accepted by KeyboardInput's filter keys / sticky movement
+        if (eventType === 'key') {
+            return new GameEvent('key', {
+                code: data.code,
+                pressed: data.pressed,
+                latchReleased: !!data.latchReleased,
+                inputMethod: inputMethod,
+                timestamp: Date.now()
+            });
+        }
+        
         return null;
     }
     
@@ -259,22 +289,87 @@ class UniversalInputManager {
      */
     saveConfig() {
         try {
-            localStorage.setItem('inputConfig', JSON.stringify(this.config));
+            localStorage.setItem(this.storageKey('inputConfig'), JSON.stringify(this.config));
         } catch (error) {
             console.error('Failed to save input config:', error);
         }
     }
     
+    /**
+     * Re-read the stored configuration (e.g. after switching student profile)
+     */
+    reloadConfig() {
+        this.config = this.loadConfig();
+        this.sessionOverrides = {};
+        this.applyKeyboardConfig();
+        this.applySwitchConfig();
+        this.applyEyeGazeConfig();
+    }
+    
+    /**
+     * Hand the stored keyboard options (key bindings, filter keys, sticky movement) to KeyboardInput; options a
+     * profile never saved fall back to the defaults
+     */
+    applyKeyboardConfig() {
+        this.inputMethods.keyboard.updateConfig({ ...this.getDefaultConfig().keyboard, ...(this.config.keyboard || {}) });
+    }
+    
+    /**
+     * Hand the stored switch options (scan setup, switch timing) to SwitchInput, with defaults for those never saved
+     */
+    applySwitchConfig() {
+        this.inputMethods.switch.updateConfig({ ...this.getDefaultConfig().switch, ...(this.config.switch || {}) });
+    }
+    
+    /**
+     * Hand the stored eye-gaze / head-pointer options (dwell time, dwell radius, smoothing) to EyeGazeInput
+     */
+    applyEyeGazeConfig() {
+        this.inputMethods.eyeGaze.updateConfig({ ...this.getDefaultConfig().eyeGaze, ...(this.config.eyeGaze || {}) });
+    }
+    
+    /**
+     * True while KeyboardInput filters key presses (filter keys / sticky movement): the document keyboard handler
+     * (DSG.input) then waits for its 'key' events instead of acting on the raw presses
+     */
+    isKeyboardFiltered() {
+        const keyboard = this.inputMethods.keyboard;
+        return this.activeMethod === 'keyboard' && keyboard.enabled && keyboard.filtering;
+    }
+    
+    /**
+     * True for the keys SwitchInput reads as switches while switch scanning is active (Space, Enter, F1, F2): the
+     * document keyboard handler leaves them alone
+     */
+    isSwitchKey(code) {
+        const switchInput = this.inputMethods.switch;
+        return this.activeMethod === 'switch' && switchInput.enabled && switchInput.ownsKey(code);
+    }
+    
     /**
      * Update configuration for specific input method
      */
     updateConfig(inputMethod, newConfig) {
         if (this.config[inputMethod]) {
             this.config[inputMethod] = { ...this.config[inputMethod], ...newConfig };
-            this.inputMethods[inputMethod].updateConfig(this.config[inputMethod]);
+            this.inputMethods[inputMethod].updateConfig({ ...this.config[inputMethod], ...(this.sessionOverrides[inputMethod] || {}) });
             this.saveConfig();
         }
     }
+    
+    /**
+     * Options that belong to the running session or activity (a session's switch scan setup, the maze's 4-way scan
+     * set): laid over the stored options without saving them. null puts the profile's own options back.
+     */
+    setSessionOverrides(inputMethod, options) {
+        if (!this.inputMethods[inputMethod]) return;
+        this.sessionOverrides[inputMethod] = options ? { ...options } : null;
+        this.inputMethods[inputMethod].updateConfig({
+            ...(this.getDefaultConfig()[inputMethod] || {}),
+            ...(this.config[inputMethod] || {}),
+            ...(options || {})
+        });
+    }
 }
 
 /**
@@ -368,31 +463,46 @@ class KeyboardInput extends BaseInput {
             repeatDelay: 500,
             repeatRate: 100,
             simultaneousKeys: true,
-            stickyKeys: false
+            stickyKeys: false,
+            filterKeys: false,
+            acceptanceDelay: 300,
+            debounceTime: 500
         };
         
-        // Key mappings
-        this.keyMappings = {
-            // Movement keys
-            'ArrowUp': { type: 'movement', direction: 'up' },
-            'ArrowDown': { type: 'movement', direction: 'down' },
-            'ArrowLeft': { type: 'movement', direction: 'left' },
-            'ArrowRight': { type: 'movement', direction: 'right' },
-            'KeyW': { type: 'movement', direction: 'up' },
-            'KeyA': { type: 'movement', direction: 'left' },
-            'KeyS': { type: 'movement', direction: 'down' },
-            'KeyD': { type: 'movement', direction: 'right' },
-            
-            // Action keys
-            'Space': { type: 'action', action: 'pause' },
-            'Enter': { type: 'action', action: 'confirm' },
-            'Escape': { type: 'interface', command: 'menu' },
-            
-            // Interface keys
-            'Tab': { type: 'interface', command: 'next' },
-            'KeyH': { type: 'interface', command: 'help' },
-            'KeyM': { type: 'interface', command: 'mute' }
-        };
+        // Filter keys / sticky movement state
+        this.pendingKeys = new Map();   // code -> acceptance timer
+        this.acceptedKeys = new Map();  // code -> 'held' | 'tap' (a sticky movement tap)
+        this.latchedKeys = new Map();   // direction -> code that latched it
+        this.releaseTimes = new Map();  // code -> time of its last accepted release
+        
+        // Key mappings, built from the DSG.keyBindings table (movement, start session, sound)
+        this.keyMappings = {};
+        this.setBindings(null);
+    }
+    
+    /**
+     * Rebuild keyMappings from a bindings table (null = defaults). Pause, pause menu, help and full screen keys
+     * are left to the document keyboard handler (DSG.input) so each press is handled once.
+     */
+    setBindings(bindings) {
+        const table = window.DSG && window.DSG.keyBindings;
+        this.clearActiveKeys();
+        this.keyMappings = table ? table.bridgeMappings(bindings) : {};
+    }
+    
+    updateConfig(newConfig) {
+        // Let go of anything the old settings accepted or latched before they change
+        this.resetFilter();
+        super.updateConfig(newConfig);
+        if (newConfig && 'bindings' in newConfig) this.setBindings(newConfig.bindings);
+    }
+    
+    /**
+     * Filter keys or sticky movement is on: bound keys go through filterKeyDown / filterKeyUp, and every accepted
+     * press and release is also sent as a 'key' event for the document keyboard handler
+     */
+    get filtering() {
+        return !!(this.config.filterKeys || this.config.stickyKeys);
     }
     
     bindEvents() {
@@ -406,6 +516,7 @@ class KeyboardInput extends BaseInput {
     unbindEvents() {
         document.removeEventListener('keydown', this.handleKeyDown);
         document.removeEventListener('keyup', this.handleKeyUp);
+        this.resetFilter();
         
         // Clear all timers
         this.keyRepeatTimers.forEach(timer => clearTimeout(timer));
@@ -428,49 +539,64 @@ class KeyboardInput extends BaseInput {
             this.emit('input', { type: 'interface', command: 'help' });
             return;
         }
-        const mapping = this.keyMappings[keyCode];
+        // Typing in fields and Space / Enter on buttons stay with the focused control
+        const table = window.DSG && window.DSG.keyBindings;
+        if (table && table.belongsToControl(event)) return;
+        if (this.filtering) {
+            this.filterKeyDown(event);
+            return;
+        }
         
-        if (mapping) {
+        if (this.keyMappings[keyCode]) {
             event.preventDefault();
-            
-            // Handle modifier keys
-            const modifiers = {
+            this.pressKey(keyCode, {
                 ctrl: event.ctrlKey,
                 alt: event.altKey,
                 shift: event.shiftKey
-            };
-            
-            // Sticky keys support
-            if (this.config.stickyKeys && this.hasActiveKeys() && !modifiers.shift) {
-                this.clearActiveKeys();
-            }
-            
-            // Set key state
-            this.keyStates.set(keyCode, {
-                pressed: true,
-                timestamp: Date.now(),
-                modifiers: modifiers
-            });
-            
-            // Send immediate event
-            this.emit('input', {
-                type: mapping.type,
-                ...mapping,
-                modifiers: modifiers
-            });
-            
-            // Setup repeat timer if it's a movement key
-            if (mapping.type === 'movement') {
-                this.setupKeyRepeat(keyCode, mapping);
-            }
+            }, true);
         }
     }
     
     onKeyUp(event) {
         if (!this.enabled) return;
+        if (this.filtering) {
+            this.filterKeyUp(event);
+            return;
+        }
+        this.releaseKey(event.code);
+    }
+    
+    /**
+     * Emit the mapped event for a key that counts as pressed (with key repeat for held movement keys)
+     */
+    pressKey(keyCode, modifiers, repeat) {
+        const mapping = this.keyMappings[keyCode];
+        if (!mapping) return;
         
-        const keyCode = event.code;
+        // Set key state
+        this.keyStates.set(keyCode, {
+            pressed: true,
+            timestamp: Date.now(),
+            modifiers: modifiers
+        });
+        
+        // Send immediate event
+        this.emit('input', {
+            type: mapping.type,
+            ...mapping,
+            modifiers: modifiers
+        });
         
+        // Setup repeat timer if it's a movement key
+        if (mapping.type === 'movement' && repeat) {
+            this.setupKeyRepeat(keyCode, mapping);
+        }
+    }
+    
+    /**
+     * Counterpart of pressKey; `extra` is added to the movement stop event (latchReleased for sticky movement)
+     */
+    releaseKey(keyCode, extra = {}) {
         if (this.keyStates.has(keyCode)) {
             this.keyStates.delete(keyCode);
             this.clearKeyRepeat(keyCode);
@@ -481,12 +607,109 @@ class KeyboardInput extends BaseInput {
                 this.emit('input', {
                     type: 'movement',
                     direction: 'stop',
-                    previousDirection: mapping.direction
+                    previousDirection: mapping.direction,
+                    ...extra
                 });
             }
         }
     }
     
+    /**
+     * Filter keys: a press only counts once held for acceptanceDelay, and the same key again within debounceTime
+     * of its release (a bounce or tremor) is ignored. Keys without a binding are left alone.
+     */
+    filterKeyDown(event) {
+        const code = event.code;
+        const table = window.DSG && window.DSG.keyBindings;
+        if (!table || !window.game || !table.actionFor(window.game, code)) return;
+        event.preventDefault();
+        if (event.repeat || this.pendingKeys.has(code) || this.acceptedKeys.has(code)) return;
+        if (this.config.filterKeys) {
+            const releasedAt = this.releaseTimes.get(code);
+            if (releasedAt !== undefined && Date.now() - releasedAt < this.config.debounceTime) return;
+            if (this.config.acceptanceDelay > 0) {
+                this.pendingKeys.set(code, setTimeout(() => {
+                    this.pendingKeys.delete(code);
+                    this.acceptKey(code);
+                }, this.config.acceptanceDelay));
+                return;
+            }
+        }
+        this.acceptKey(code);
+    }
+    
+    filterKeyUp(event) {
+        const code = event.code;
+        const pending = this.pendingKeys.get(code);
+        if (pending) {
+            // Let go before the acceptance delay: the press never counted
+            clearTimeout(pending);
+            this.pendingKeys.delete(code);
+            return;
+        }
+        const kind = this.acceptedKeys.get(code);
+        if (!kind) return;
+        this.acceptedKeys.delete(code);
+        this.releaseTimes.set(code, Date.now());
+        // A sticky movement tap stays latched after the key comes up
+        if (kind === 'held') {
+            this.releaseKey(code);
+            this.emitKey(code, false);
+        }
+    }
+    
+    /**
+     * A press that passed the filter. With sticky movement a direction tap latches that direction (letting go of any
+     * other) and a tap on the latched direction lets go of it.
+     */
+    acceptKey(code) {
+        const table = window.DSG && window.DSG.keyBindings;
+        const direction = table && window.game ? table.directionFor(window.game, code) : null;
+        if (this.config.stickyKeys && direction) {
+            this.acceptedKeys.set(code, 'tap');
+            const wasLatched = this.latchedKeys.has(direction);
+            Array.from(this.latchedKeys.keys()).forEach(latched => this.unlatch(latched));
+            if (!wasLatched) {
+                this.latchedKeys.set(direction, code);
+                this.emitKey(code, true);
+                this.pressKey(code, {}, false);
+            }
+            return;
+        }
+        this.acceptedKeys.set(code, 'held');
+        this.emitKey(code, true);
+        this.pressKey(code, {}, true);
+    }
+    
+    unlatch(direction) {
+        const code = this.latchedKeys.get(direction);
+        this.latchedKeys.delete(direction);
+        this.releaseKey(code, { latchReleased: true });
+        this.emitKey(code, false, true);
+    }
+    
+    emitKey(code, pressed, latchReleased = false) {
+        this.emit('input', { type: 'key', code, pressed, latchReleased });
+    }
+    
+    /**
+     * Drop pending presses and release everything accepted or latched (settings changed, keyboard disabled)
+     */
+    resetFilter() {
+        if (!this.pendingKeys) return;
+        this.pendingKeys.forEach(timer => clearTimeout(timer));
+        this.pendingKeys.clear();
+        Array.from(this.latchedKeys.keys()).forEach(direction => this.unlatch(direction));
+        this.acceptedKeys.forEach((kind, code) => {
+            if (kind === 'held') {
+                this.releaseKey(code);
+                this.emitKey(code, false);
+            }
+        });
+        this.acceptedKeys.clear();
+        this.releaseTimes.clear();
+    }
+    
     setupKeyRepeat(keyCode, mapping) {
         // Initial delay
         const initialTimer = setTimeout(() => {
@@ -537,88 +760,192 @@ class KeyboardInput extends BaseInput {
 }
 
 /**
- * Switch Input Handler
+ * Switch Input Handler: scans the items of a scan set (DSG.switchScan) and turns switch presses into game events.
+ * Switch 1 is Space / F1 and switch 2 Enter / F2 (what most switch interfaces send). Row / column scanning first
+ * picks a row, then an item in it. Three ways to scan (scanMode):
+ *  - auto: the highlight moves every scanSpeed ms and either switch selects; a direction moves the player until its
+ *    switch is let go
+ *  - inverse: the highlight moves while a switch is held and letting go selects; a direction keeps moving until the
+ *    next press
+ *  - step: switch 1 moves the highlight, switch 2 selects; a direction moves until switch 2 is let go
+ * Timing (per profile): a press counts once held acceptanceTime ms; presses within postAcceptanceDelay ms of letting
+ * go of a counted one are ignored; in auto and step scan a selection let go before longPressThreshold ms is a tap and
+ * moves the player for that long (0 = exactly as long as the switch is held).
  */
 class SwitchInput extends BaseInput {
     constructor() {
         super('switch');
-        this.scanMode = 'auto';
-        this.scanSpeed = 2000;
-        this.currentIndex = 0;
-        this.scanItems = [];
-        this.isScanning = false;
+        this.config = {
+            scanSet: '4way',
+            scanPattern: 'linear',
+            scanMode: 'auto',
+            scanSpeed: 1500,
+            acceptanceTime: 0,
+            postAcceptanceDelay: 0,
+            longPressThreshold: 1000,
+            audioFeedback: true
+        };
+        this.switchKeys = { Space: 1, F1: 1, Enter: 2, NumpadEnter: 2, F2: 2 };
         this.scanTimer = null;
-        
-        this.initializeScanItems();
+        this.press = null;      // the switch press in progress: { code, switchNumber, at, timer, accepted, ... }
+        this.holding = null;    // { id, code } while a direction moves (code null once a tap is let go)
+        this.latched = null;    // inverse scan: direction moving until the next press
+        this.tapTimer = null;
+        this.ignoreUntil = 0;   // post-acceptance delay
+        this.resetScan();
     }
     
-    initializeScanItems() {
-        this.scanItems = [
-            { type: 'movement', direction: 'up', label: 'Move Up' },
-            { type: 'movement', direction: 'right', label: 'Move Right' },
-            { type: 'movement', direction: 'down', label: 'Move Down' },
-            { type: 'movement', direction: 'left', label: 'Move Left' },
-            { type: 'action', action: 'pause', label: 'Pause Game' },
-            { type: 'interface', command: 'menu', label: 'Main Menu' }
-        ];
-        
-        this.createScanIndicators();
+    scanOptions() {
+        return { set: this.config.scanSet, pattern: this.config.scanPattern, mode: this.config.scanMode, speed: this.config.scanSpeed };
     }
     
-    createScanIndicators() {
-        // Remove existing indicators
-        document.querySelectorAll('.scan-indicator').forEach(el => el.remove());
-        
-        // Create new indicators
-        this.scanItems.forEach((item, index) => {
-            const indicator = document.createElement('div');
-            indicator.className = 'scan-indicator';
-            indicator.setAttribute('data-scan-index', index);
-            indicator.setAttribute('aria-label', item.label);
-            indicator.style.display = 'none';
-            
-            document.body.appendChild(indicator);
-            item.element = indicator;
-        });
+    get rowColumn() {
+        return this.config.scanPattern === 'rowColumn';
+    }
+    
+    get inverse() {
+        return this.config.scanMode === 'inverse';
+    }
+    
+    resetScan() {
+        this.phase = this.rowColumn ? 'rows' : 'items';
+        this.row = 0;
+        this.index = 0;
+    }
+    
+    rows() {
+        const scan = window.DSG && window.DSG.switchScan;
+        return scan ? scan.rowsFor(this.scanOptions()) : [];
+    }
+    
+    // Items the highlight moves through right now (the whole set, or the chosen row)
+    items() {
+        const scan = window.DSG && window.DSG.switchScan;
+        if (!scan) return [];
+        return this.rowColumn ? (this.rows()[this.row] || []) : scan.itemsFor(this.scanOptions());
+    }
+    
+    currentItem() {
+        return this.phase === 'items' ? this.items()[this.index] || null : null;
+    }
+    
+    /**
+     * What the scan overlay draws (DSG.switchScan.drawOverlay)
+     */
+    scanState() {
+        const scan = window.DSG && window.DSG.switchScan;
+        return {
+            pattern: this.config.scanPattern,
+            rows: this.rows(),
+            itemsAll: scan ? scan.itemsFor(this.scanOptions()) : [],
+            items: this.items(),
+            phase: this.phase,
+            row: this.row,
+            index: this.index,
+            holding: this.holding ? this.holding.id : this.latched
+        };
+    }
+    
+    ownsKey(code) {
+        return Object.prototype.hasOwnProperty.call(this.switchKeys, code);
     }
     
     bindEvents() {
         this.handleSwitchPress = (e) => this.onSwitchPress(e);
-        
-        // Bind switch events (this would be customized for actual switch hardware)
+        this.handleSwitchRelease = (e) => this.onSwitchRelease(e);
         document.addEventListener('keydown', this.handleSwitchPress);
+        document.addEventListener('keyup', this.handleSwitchRelease);
     }
     
     unbindEvents() {
         document.removeEventListener('keydown', this.handleSwitchPress);
+        document.removeEventListener('keyup', this.handleSwitchRelease);
         this.stopScanning();
     }
     
     onSwitchPress(event) {
-        if (!this.enabled) return;
-        
-        // Map specific keys to switch inputs for testing
-        if (event.code === 'F1') { // Switch 1
-            event.preventDefault();
-            this.handleSwitchAction(1);
-        } else if (event.code === 'F2') { // Switch 2
-            event.preventDefault();
-            this.handleSwitchAction(2);
+        if (!this.enabled || !this.ownsKey(event.code) || event.ctrlKey || event.altKey || event.metaKey) return;
+        // Space / Enter on a focused button still presses the button
+        const table = window.DSG && window.DSG.keyBindings;
+        if (table && table.belongsToControl(event)) return;
+        event.preventDefault();
+        // One switch at a time; a moving direction ignores the other switch until it stops
+        if (event.repeat || this.press || this.holding || Date.now() < this.ignoreUntil) return;
+        this.press = { code: event.code, switchNumber: this.switchKeys[event.code], at: Date.now(), timer: null, accepted: false };
+        if (this.config.acceptanceTime > 0) {
+            this.press.timer = setTimeout(() => this.acceptPress(), this.config.acceptanceTime);
+        } else {
+            this.acceptPress();
         }
     }
     
-    handleSwitchAction(switchNumber) {
-        if (switchNumber === 1) {
-            if (this.scanMode === 'manual') {
-                this.advanceToNext();
-            } else {
-                this.selectCurrentItem();
+    onSwitchRelease(event) {
+        const press = this.press;
+        if (!press || press.code !== event.code) return;
+        this.press = null;
+        if (press.timer) clearTimeout(press.timer);
+        // Let go before the acceptance time: the press never counted
+        if (!press.accepted) return;
+        if (this.config.postAcceptanceDelay > 0) this.ignoreUntil = Date.now() + this.config.postAcceptanceDelay;
+        if (this.inverse) {
+            // A press that only stopped the player selects nothing unless the highlight moved on meanwhile
+            if (!press.stopped || press.advanced) this.selectCurrentItem(null);
+            else this.restartTimer();
+            return;
+        }
+        if (this.holding && this.holding.code === event.code) this.endHold(press);
+    }
+    
+    acceptPress() {
+        const press = this.press;
+        if (!press) return;
+        press.timer = null;
+        press.accepted = true;
+        if (this.inverse) {
+            if (this.latched) {
+                press.stopped = true;
+                this.stopLatched();
             }
-        } else if (switchNumber === 2) {
-            this.selectCurrentItem();
+            this.scanWhileHeld(press);
+            return;
+        }
+        this.handleSwitchAction(press.switchNumber, press.code);
+    }
+    
+    handleSwitchAction(switchNumber, code) {
+        if (this.config.scanMode === 'step' && switchNumber === 1) {
+            this.advanceToNext();
+        } else {
+            this.selectCurrentItem(code);
         }
     }
     
+    // Inverse scan: the highlight moves on every scanSpeed ms for as long as the switch is held
+    scanWhileHeld(press) {
+        this.scanTimer = setTimeout(() => {
+            this.scanTimer = null;
+            if (this.press !== press) return;
+            press.advanced = true;
+            this.advanceToNext();
+            this.scanWhileHeld(press);
+        }, this.config.scanSpeed);
+    }
+    
+    // Auto / step scan: a selection let go before the long-press threshold still moves the player that long
+    endHold(press) {
+        const heldFor = Date.now() - press.at;
+        const threshold = this.config.longPressThreshold;
+        if (threshold > 0 && heldFor < threshold) {
+            this.holding.code = null;
+            this.tapTimer = setTimeout(() => {
+                this.tapTimer = null;
+                if (this.holding) this.release();
+            }, threshold - heldFor);
+            return;
+        }
+        this.release();
+    }
+    
     enable() {
         super.enable();
         this.startScanning();
@@ -629,133 +956,265 @@ class SwitchInput extends BaseInput {
         this.stopScanning();
     }
     
+    updateConfig(newConfig) {
+        const wasScanning = this.enabled;
+        this.stopScanning();
+        super.updateConfig(newConfig);
+        if (wasScanning) this.startScanning();
+    }
+    
     startScanning() {
-        if (this.isScanning) return;
-        
-        this.isScanning = true;
-        this.currentIndex = 0;
-        this.showScanIndicators();
-        
-        if (this.scanMode === 'auto') {
-            this.autoScan();
-        }
-        
-        this.updateVisualIndicator();
+        this.resetScan();
+        this.restartTimer();
+        this.announceCurrentItem();
     }
     
     stopScanning() {
-        this.isScanning = false;
+        if (this.press && this.press.timer) clearTimeout(this.press.timer);
+        this.press = null;
+        if (this.tapTimer) {
+            clearTimeout(this.tapTimer);
+            this.tapTimer = null;
+        }
+        if (this.holding) this.release(false);
+        if (this.latched) this.stopLatched(false);
         if (this.scanTimer) {
-            clearInterval(this.scanTimer);
+            clearTimeout(this.scanTimer);
             this.scanTimer = null;
         }
-        this.hideScanIndicators();
     }
     
-    autoScan() {
-        this.scanTimer = setInterval(() => {
-            this.currentIndex = (this.currentIndex + 1) % this.scanItems.length;
-            this.updateVisualIndicator();
-            this.announceCurrentItem();
-        }, this.scanSpeed);
+    // Auto scanning: the highlight waits a full scanSpeed after every move, selection and release
+    restartTimer() {
+        if (this.scanTimer) clearTimeout(this.scanTimer);
+        this.scanTimer = null;
+        if (!this.enabled || this.config.scanMode !== 'auto' || this.holding) return;
+        this.scanTimer = setTimeout(() => {
+            this.scanTimer = null;
+            this.advanceToNext();
+        }, this.config.scanSpeed);
     }
     
     advanceToNext() {
-        this.currentIndex = (this.currentIndex + 1) % this.scanItems.length;
-        this.updateVisualIndicator();
+        if (this.phase === 'rows') {
+            this.row = (this.row + 1) % Math.max(1, this.rows().length);
+        } else {
+            this.index++;
+            if (this.index >= this.items().length) {
+                this.index = 0;
+                // A full pass through a row without a choice goes back to choosing a row
+                if (this.rowColumn) this.phase = 'rows';
+            }
+        }
+        if (!this.inverse) this.restartTimer();
         this.announceCurrentItem();
+        this.playScanSound();
+    }
+    
+    // code: the switch held to move (auto / step scan); null in inverse scan, where the direction stays selected
+    selectCurrentItem(code) {
+        if (this.phase === 'rows') {
+            const row = this.rows()[this.row] || [];
+            this.phase = 'items';
+            this.index = 0;
+            // A row of one item is the item itself
+            if (row.length !== 1) {
+                this.restartTimer();
+                this.announceCurrentItem();
+                return;
+            }
+        }
+        const selectedItem = this.currentItem();
+        if (!selectedItem) return;
+        if (selectedItem.id === 'pause') {
+            this.emit('input', { type: 'action', action: 'pause' });
+            this.afterSelection();
+            return;
+        }
+        if (code === null) {
+            this.latched = selectedItem.id;
+        } else {
+            // Hold-to-move: the direction stays selected until its switch is let go
+            this.holding = { id: selectedItem.id, code };
+            this.restartTimer();
+        }
+        this.emit('input', { type: 'movement', direction: selectedItem.id });
+        this.provideFeedback(selectedItem);
     }
     
-    selectCurrentItem() {
-        const selectedItem = this.scanItems[this.currentIndex];
-        
-        this.emit('input', {
-            type: selectedItem.type,
-            ...selectedItem
-        });
-        
-        // Provide feedback
-        this.provideFeedback(selectedItem);
+    release(resume = true) {
+        const held = this.holding;
+        this.holding = null;
+        this.emit('input', { type: 'movement', direction: 'stop', previousDirection: held.id });
+        if (resume) this.afterSelection();
     }
     
-    updateVisualIndicator() {
-        // Clear all highlights
-        this.scanItems.forEach(item => {
-            if (item.element) {
-                item.element.classList.remove('scanning');
-            }
-        });
-        
-        // Highlight current item
-        const currentItem = this.scanItems[this.currentIndex];
-        if (currentItem.element) {
-            currentItem.element.classList.add('scanning');
-        }
+    stopLatched(resume = true) {
+        const moving = this.latched;
+        this.latched = null;
+        this.emit('input', { type: 'movement', direction: 'stop', previousDirection: moving });
+        if (resume) this.afterSelection();
+    }
+    
+    // Directional scanning carries on from the chosen item; row / column scanning starts again from the first row
+    afterSelection() {
+        if (this.rowColumn) this.resetScan();
+        this.restartTimer();
+        this.announceCurrentItem();
     }
     
     announceCurrentItem() {
-        const currentItem = this.scanItems[this.currentIndex];
-        if (window.accessibilityManager) {
-            window.accessibilityManager.announce(`Scanning: ${currentItem.label}`);
+        if (!this.enabled || !window.game || typeof window.game.announceToScreenReader !== 'function') return;
+        if (this.phase === 'rows') {
+            const row = this.rows()[this.row] || [];
+            window.game.announceToScreenReader(`Row: ${row.map(item => item.label).join(', ')}`);
+            return;
         }
+        const currentItem = this.currentItem();
+        if (currentItem) window.game.announceToScreenReader(currentItem.label);
     }
     
     provideFeedback(item) {
-        if (window.accessibilityManager) {
-            window.accessibilityManager.announce(`Selected: ${item.label}`);
+        if (window.game && typeof window.game.announceToScreenReader === 'function') {
+            window.game.announceToScreenReader(this.latched ? `Moving: ${item.label}. Press to stop` : `Moving: ${item.label}`);
         }
     }
     
-    showScanIndicators() {
-        document.getElementById('switch-overlay').style.display = 'block';
-        this.scanItems.forEach(item => {
-            if (item.element) {
-                item.element.style.display = 'block';
-            }
-        });
-    }
-    
-    hideScanIndicators() {
-        document.getElementById('switch-overlay').style.display = 'none';
-        this.scanItems.forEach(item => {
-            if (item.element) {
-                item.element.style.display = 'none';
-            }
-        });
+    playScanSound() {
+        const sounds = window.game && window.game.sounds;
+        if (this.config.audioFeedback && sounds && sounds.scan) sounds.scan();
     }
 }
 
 /**
- * Eye Gaze Input Handler (Placeholder implementation)
+ * Eye Gaze Input Handler: reads an eye tracker or head pointer that presents itself as a mouse pointer. Pointer moves
+ * over the game canvas are smoothed into a gaze point (smoothing); looking at one of the zones around the canvas edge
+ * (DSG.gazeZones) for dwellTime ms, without the gaze drifting more than dwellRadius px, selects its direction, and the
+ * player moves that way until the gaze leaves the zone.
  */
 class EyeGazeInput extends BaseInput {
     constructor() {
         super('eyeGaze');
-        this.dwellTime = 1500;
-        this.currentDwell = null;
-        this.gazeTargets = [];
-        
-        this.initializeGazeTargets();
-    }
-    
-    initializeGazeTargets() {
-        this.gazeTargets = [
-            { id: 'up', x: 400, y: 200, action: { type: 'movement', direction: 'up' } },
-            { id: 'down', x: 400, y: 600, action: { type: 'movement', direction: 'down' } },
-            { id: 'left', x: 200, y: 400, action: { type: 'movement', direction: 'left' } },
-            { id: 'right', x: 600, y: 400, action: { type: 'movement', direction: 'right' } },
-            { id: 'pause', x: 100, y: 100, action: { type: 'action', action: 'pause' } }
-        ];
+        this.config = {
+            dwellTime: 1500,
+            dwellRadius: 40,
+            smoothing: 0.3,
+            cursorVisible: true
+        };
+        this.gaze = null;       // smoothed gaze point in canvas pixels
+        this.zone = null;       // zone the gaze is in
+        this.anchor = null;     // where the current dwell started
+        this.dwellStart = 0;
+        this.dwellTimer = null;
+        this.active = null;     // zone whose direction is moving the player
     }
     
     bindEvents() {
-        // Placeholder for eye gaze integration
-        // In a real implementation, this would interface with eye tracking hardware
-    if(window.game && window.game._log){ window.game._log('Eye gaze input method activated (placeholder)'); }
+        this.handlePointerMove = (e) => this.onPointerMove(e);
+        this.handlePointerOut = (e) => { if (!e.relatedTarget) this.clearGaze(); };
+        this.handleBlur = () => this.clearGaze();
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerout', this.handlePointerOut);
+        window.addEventListener('blur', this.handleBlur);
     }
     
     unbindEvents() {
-    if(window.game && window.game._log){ window.game._log('Eye gaze input method deactivated'); }
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerout', this.handlePointerOut);
+        window.removeEventListener('blur', this.handleBlur);
+        this.clearGaze();
+    }
+    
+    updateConfig(newConfig) {
+        super.updateConfig(newConfig);
+        // A new dwell time or radius applies from the next dwell
+        if (this.zone && !this.active) this.startDwell();
+    }
+    
+    canvas() {
+        return document.getElementById('game-canvas');
+    }
+    
+    onPointerMove(event) {
+        const canvas = this.canvas();
+        const zones = window.DSG && window.DSG.gazeZones;
+        if (!this.enabled || !canvas || !zones) return;
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        // Canvas pixels, whatever size the canvas is shown at
+        const raw = {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+        this.gaze = zones.smooth(this.gaze, raw, this.config.smoothing);
+        this.updateZone(zones.zoneAt(canvas.width, canvas.height, this.gaze.x, this.gaze.y));
+    }
+    
+    updateZone(zone) {
+        if (zone !== this.zone) {
+            if (this.active) this.stopMoving();
+            this.zone = zone;
+            this.startDwell();
+            return;
+        }
+        // Drifting beyond the dwell radius starts the dwell again from here
+        if (zone && !this.active && Math.hypot(this.gaze.x - this.anchor.x, this.gaze.y - this.anchor.y) > this.config.dwellRadius) {
+            this.startDwell();
+        }
+    }
+    
+    startDwell() {
+        if (this.dwellTimer) clearTimeout(this.dwellTimer);
+        this.dwellTimer = null;
+        this.anchor = this.gaze ? { x: this.gaze.x, y: this.gaze.y } : null;
+        this.dwellStart = Date.now();
+        if (!this.zone) return;
+        this.dwellTimer = setTimeout(() => {
+            this.dwellTimer = null;
+            this.activate();
+        }, this.config.dwellTime);
+    }
+    
+    activate() {
+        if (!this.enabled || !this.zone) return;
+        this.active = this.zone;
+        this.emit('input', { type: 'movement', direction: this.active });
+        const items = window.DSG && window.DSG.switchScan ? window.DSG.switchScan.ITEMS : {};
+        if (window.game && typeof window.game.announceToScreenReader === 'function') {
+            window.game.announceToScreenReader(`Moving: ${items[this.active] ? items[this.active].label : this.active}`);
+        }
+    }
+    
+    stopMoving() {
+        const moving = this.active;
+        this.active = null;
+        this.emit('input', { type: 'movement', direction: 'stop', previousDirection: moving });
+    }
+    
+    // The pointer left the window (or the window lost focus): nothing is being looked at
+    clearGaze() {
+        if (this.dwellTimer) clearTimeout(this.dwellTimer);
+        this.dwellTimer = null;
+        if (this.active) this.stopMoving();
+        this.gaze = null;
+        this.zone = null;
+        this.anchor = null;
+    }
+    
+    /**
+     * What the gaze overlay draws (DSG.gazeZones.drawOverlay)
+     */
+    gazeState() {
+        const dwelling = this.zone && !this.active && this.dwellTimer;
+        return {
+            x: this.gaze ? this.gaze.x : null,
+            y: this.gaze ? this.gaze.y : null,
+            radius: this.config.dwellRadius,
+            zone: this.zone,
+            active: this.active,
+            progress: dwelling ? Math.min(1, (Date.now() - this.dwellStart) / this.config.dwellTime) : 0,
+            cursorVisible: this.config.cursorVisible !== false
+        };
     }
 }
 
@@ -1,24 +1,76 @@
-/* Minimal stub that mirrors existing game as a future mini-game.
-   Not wired yet: this is for incremental migration. */
+/* Directional practice: the original target-collection activity, hosted by GameScene through the mini-game
+   interface. The session itself still lives on the host DirectionalSkillsGame (session form, DSG modules,
+   recorder / playback); this adapter drives its update / render and exposes results and replay codes. */
 (function () {
   function DirectionalPractice() {
     this.id = 'directional-practice';
     this.name = 'Directional Practice';
     this.description = 'Collect targets using directional inputs.';
+    this.icon = 'open_with';
     this.defaults = {};
+    this._host = null;
   }
   DirectionalPractice.prototype.init = function (ctx, config, services) {
-    // Later: mount current game state here
     this._ctx = ctx; this._config = config; this._services = services;
+    this._host = services.host;
+  };
+  // The session form is this activity's setup screen
+  DirectionalPractice.prototype.configure = function (host) {
+    host.openSessionSetup();
+  };
+  DirectionalPractice.prototype._playback = function () {
+    var pb = window.DSG && window.DSG.playback;
+    return pb && pb.isActive(this._host) ? pb : null;
+  };
+  DirectionalPractice.prototype.update = function (dt) {
+    if (!this._host) return;
+    // A running playback drives the simulation itself from the recorded input
+    var pb = this._playback();
+    if (pb) { pb.update(this._host, dt); return; }
+    this._host.update(dt);
+  };
+  DirectionalPractice.prototype.render = function (ctx, alpha) {
+    if (!this._host) return;
+    this._host.render(ctx, alpha);
+    var pb = this._playback();
+    if (pb) pb.render(this._host);
+  };
+  // Keyboard / mouse input reaches the host through DSG.input (document listeners); input bridge movement (joystick,
+  // switch scanning, eye gaze) comes from GameScene and drives the host session
+  DirectionalPractice.prototype.handleInput = function (evt) {
+    if (this._host && evt && evt.type === 'movement') this._host.handleBridgeMovement(evt);
+  };
+  DirectionalPractice.prototype.getResults = function () {
+    var s = this._host && this._host.currentSession;
+    if (!s) return {};
+    return {
+      completed: !!s.completed,
+      totalTime: s.totalTime,
+      targetsCollected: s.targetsCollected,
+      totalTargets: s.totalTargets,
+      coreTargetsCollected: s.coreTargetsCollected,
+      bonusTargetsCollected: s.bonusTargetsCollected,
+      hazardTargetsHit: s.hazardTargetsHit,
+      wrongTargetHits: s.wrongTargetHits || 0,
+      replayCode: s.seed
+    };
+  };
+  DirectionalPractice.prototype.getReplayCode = function () {
+    var host = this._host;
+    if (!host) return '';
+    if (host.currentSession && host.currentSession.seed) return host.currentSession.seed;
+    return host.generateReplayCodeFromConfig(host.sessionConfig);
+  };
+  DirectionalPractice.prototype.applyReplayCode = function (code) {
+    var host = this._host;
+    var config = host ? host.decodeReplayCode(code) : null;
+    if (!config) return null;
+    host.initializeNewSession(code);
+    host.showGameInterface();
+    host.startSession();
+    return config;
   };
-  DirectionalPractice.prototype.update = function (dt) {};
-  DirectionalPractice.prototype.render = function (ctx) {};
-  DirectionalPractice.prototype.handleInput = function (evt) {};
-  DirectionalPractice.prototype.getResults = function () { return {}; };
-  DirectionalPractice.prototype.getReplayCode = function () { return ''; };
-  DirectionalPractice.prototype.applyReplayCode = function (code) { return null; };
 
-  // Auto-register stub for discovery (harmless until used)
   if (window.MiniGames) {
     try { window.MiniGames.register(new DirectionalPractice()); } catch (e) { /* ignore */ }
   }
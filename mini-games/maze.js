@@ -0,0 +1,375 @@
+/* Maze navigation: walk from the top-left cell to the flag in the bottom-right corner of a seeded maze.
+   The maze is carved by a depth-first backtracker driven by the same LCG as target layouts
+   (DSG.targets.seedRandom / seededRandom), so a code always rebuilds the same maze. Movement is cell by cell:
+     discrete    arrow keys / WASD, holding a direction keeps walking
+     continuous  one press walks until the next wall (snake-style)
+     joystick    controller direction from the input bridge, held like discrete
+     switch      each switch-scanning selection moves one cell
+   Results report the completion time, wall bumps (moves into a wall) and backtracks (moves onto a cell already
+   visited). Replay codes: MAZE- + size digit + input digit + 5-digit seed + version '1' + mod-10 checksum. */
+(function () {
+  var SIZES = { small: { cols: 7, rows: 5 }, medium: { cols: 11, rows: 7 }, large: { cols: 15, rows: 10 } };
+  var SIZE_CODES = ['small', 'medium', 'large'];
+  var INPUT_CODES = ['discrete', 'continuous', 'joystick', 'switch'];
+  // Input bridge method each control method listens on
+  var BRIDGE_METHODS = { discrete: 'keyboard', continuous: 'keyboard', joystick: 'joystick', switch: 'switch' };
+  // Wall bits per cell; a set bit means the wall is standing
+  var DIRS = {
+    up: { dx: 0, dy: -1, wall: 1, opposite: 4 },
+    right: { dx: 1, dy: 0, wall: 2, opposite: 8 },
+    down: { dx: 0, dy: 1, wall: 4, opposite: 1 },
+    left: { dx: -1, dy: 0, wall: 8, opposite: 2 }
+  };
+  var DIR_ORDER = ['up', 'right', 'down', 'left'];
+  // Default keys, for when the student's key bindings (DSG.keyBindings) are not loaded
+  var KEY_DIRS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', KeyW: 'up', KeyS: 'down', KeyA: 'left', KeyD: 'right' };
+  var REPEAT_MS = { discrete: 220, continuous: 180, joystick: 260 };
+  var MOVE_ANIM_MS = 120;
+  var CODE_PREFIX = 'MAZE-';
+  var CODE_VERSION = '1';
+
+  function encodeReplayCode(config) {
+    var seed = String(Math.max(0, Math.min(99999, config.seed | 0)));
+    while (seed.length < 5) seed = '0' + seed;
+    var body = String(Math.max(0, SIZE_CODES.indexOf(config.size))) + String(Math.max(0, INPUT_CODES.indexOf(config.inputMethod))) + seed + CODE_VERSION;
+    return CODE_PREFIX + body + window.ReplayCode.checksum(body);
+  }
+
+  // { size, inputMethod, seed } or null when the code is not a valid maze code
+  function decodeReplayCode(code) {
+    var s = String(code == null ? '' : code).trim().toUpperCase();
+    if (s.indexOf(CODE_PREFIX) !== 0) return null;
+    var digits = s.slice(CODE_PREFIX.length);
+    if (!/^\d{9}$/.test(digits)) return null;
+    var body = digits.slice(0, 8);
+    if (body[7] !== CODE_VERSION || window.ReplayCode.checksum(body) !== digits[8]) return null;
+    var size = SIZE_CODES[parseInt(body[0], 10)];
+    var inputMethod = INPUT_CODES[parseInt(body[1], 10)];
+    if (!size || !inputMethod) return null;
+    return { size: size, inputMethod: inputMethod, seed: parseInt(body.slice(2, 7), 10) };
+  }
+
+  function keyDirection(host, code) {
+    var bindings = window.DSG && window.DSG.keyBindings;
+    return bindings ? bindings.directionFor(host, code) : (KEY_DIRS[code] || null);
+  }
+  function plural(n, word) { return n + ' ' + word + (n === 1 ? '' : 's'); }
+
+  function newSeed() { return window.ReplayCode.generateLayoutSeed(); }
+
+  // Depth-first backtracker from cell 0; every cell is reachable and there is exactly one path between two cells
+  function generateMaze(cols, rows, seed) {
+    var targets = window.DSG.targets;
+    var rng = {};
+    targets.seedRandom(rng, seed);
+    var walls = [], visited = [];
+    for (var i = 0; i < cols * rows; i++) { walls.push(15); visited.push(false); }
+    var stack = [0];
+    visited[0] = true;
+    while (stack.length) {
+      var cell = stack[stack.length - 1];
+      var col = cell % cols, row = Math.floor(cell / cols);
+      var options = [];
+      DIR_ORDER.forEach(function (name) {
+        var d = DIRS[name], c = col + d.dx, r = row + d.dy;
+        if (c >= 0 && c < cols && r >= 0 && r < rows && !visited[r * cols + c]) options.push(name);
+      });
+      if (!options.length) { stack.pop(); continue; }
+      var dir = DIRS[options[Math.floor(targets.seededRandom(rng) * options.length)]];
+      var next = (row + dir.dy) * cols + (col + dir.dx);
+      walls[cell] &= ~dir.wall;
+      walls[next] &= ~dir.opposite;
+      visited[next] = true;
+      stack.push(next);
+    }
+    return walls;
+  }
+
+  // Fewest moves from start to goal (breadth-first); the yardstick for how direct a run was
+  function shortestPathLength(walls, cols, rows, start, goal) {
+    var dist = {}; dist[start] = 0;
+    var queue = [start];
+    while (queue.length) {
+      var cell = queue.shift();
+      if (cell === goal) return dist[cell];
+      var col = cell % cols, row = Math.floor(cell / cols);
+      for (var i = 0; i < DIR_ORDER.length; i++) {
+        var d = DIRS[DIR_ORDER[i]];
+        if (walls[cell] & d.wall) continue;
+        var next = (row + d.dy) * cols + (col + d.dx);
+        if (dist[next] === undefined) { dist[next] = dist[cell] + 1; queue.push(next); }
+      }
+    }
+    return 0;
+  }
+
+  function Maze() {
+    this.id = 'maze';
+    this.name = 'Maze Navigation';
+    this.description = 'Find the way through a maze to the flag.';
+    this.icon = 'grid_on';
+    this.defaults = { size: 'medium', inputMethod: 'discrete' };
+    this.codePrefix = CODE_PREFIX;
+    this._run = null;
+  }
+
+  Maze.prototype.init = function (ctx, config, services) {
+    this._ctx = ctx; this._services = services;
+    this._start(config || this.defaults);
+  };
+
+  Maze.prototype._start = function (config) {
+    var size = SIZES[config.size] ? config.size : this.defaults.size;
+    var inputMethod = BRIDGE_METHODS[config.inputMethod] ? config.inputMethod : this.defaults.inputMethod;
+    var seed = typeof config.seed === 'number' ? config.seed : newSeed();
+    var dims = SIZES[size];
+    var walls = generateMaze(dims.cols, dims.rows, seed);
+    var goal = dims.cols * dims.rows - 1;
+    var visited = [];
+    for (var i = 0; i < walls.length; i++) visited.push(false);
+    visited[0] = true;
+    this.config = { size: size, inputMethod: inputMethod, seed: seed };
+    this._run = {
+      cols: dims.cols, rows: dims.rows, walls: walls, goal: goal,
+      cell: 0, fromCell: 0, animMs: 0,
+      visited: visited,
+      optimalMoves: shortestPathLength(walls, dims.cols, dims.rows, 0, goal),
+      moves: 0, wallBumps: 0, backtracks: 0,
+      elapsedMs: 0, started: false, finished: false,
+      heldDir: null, latchedDir: null, repeatMs: 0, bumpedDir: null
+    };
+    var host = this._services && this._services.host;
+    if (host && host.inputBridge) {
+      // Maze corridors only run in four directions: scan those for this run (the scan pattern and timing stay the
+      // student's own, and their saved scan set comes back when the maze ends)
+      if (inputMethod === 'switch') host.inputBridge.setSessionOverrides('switch', { scanSet: '4way' });
+      host.inputBridge.switchInputMethod(BRIDGE_METHODS[inputMethod]);
+    }
+  };
+
+  // Offer the maze setup dialog (size + control method) before starting
+  Maze.prototype.configure = function (host) {
+    var self = this;
+    var last = this.config && this.config.inputMethod;
+    var hostMethod = host.sessionConfig && host.sessionConfig.inputMethod;
+    var method = last || (BRIDGE_METHODS[hostMethod] ? hostMethod : this.defaults.inputMethod);
+    var methodEl = document.querySelector('input[name="maze-input-method"][value="' + method + '"]');
+    if (methodEl) methodEl.checked = true;
+    var opened = window.MiniGames.openSetup('maze-setup-modal', function (modal) {
+      var sizeEl = modal.querySelector('input[name="maze-size"]:checked');
+      var inputEl = modal.querySelector('input[name="maze-input-method"]:checked');
+      host.launchMiniGame(self.id, encodeReplayCode({
+        size: sizeEl ? sizeEl.value : self.defaults.size,
+        inputMethod: inputEl ? inputEl.value : self.defaults.inputMethod,
+        seed: newSeed()
+      }));
+    });
+    if (!opened) host.launchMiniGame(this.id, encodeReplayCode({ size: this.defaults.size, inputMethod: this.defaults.inputMethod, seed: newSeed() }));
+  };
+
+  Maze.prototype._cellPos = function (cell) {
+    return { col: cell % this._run.cols, row: Math.floor(cell / this._run.cols) };
+  };
+
+  // One attempted step; returns false when a wall blocks it
+  Maze.prototype._tryMove = function (dir) {
+    var run = this._run;
+    if (!run || run.finished) return false;
+    if (!run.started) run.started = true;
+    var d = DIRS[dir];
+    if (run.walls[run.cell] & d.wall) {
+      // A held or latched direction counts one bump, not one per repeat
+      if (run.bumpedDir !== dir) {
+        run.wallBumps++;
+        run.bumpedDir = dir;
+        this._services.playSound('move');
+      }
+      return false;
+    }
+    var pos = this._cellPos(run.cell);
+    var next = (pos.row + d.dy) * run.cols + (pos.col + d.dx);
+    run.fromCell = run.cell;
+    run.cell = next;
+    run.animMs = MOVE_ANIM_MS;
+    run.moves++;
+    run.bumpedDir = null;
+    if (run.visited[next]) run.backtracks++;
+    run.visited[next] = true;
+    if (next === run.goal) this._finish();
+    return true;
+  };
+
+  Maze.prototype._finish = function () {
+    var run = this._run;
+    run.finished = true;
+    run.heldDir = null; run.latchedDir = null;
+    this._services.complete(this.getResults());
+  };
+
+  Maze.prototype.update = function (dt) {
+    var run = this._run;
+    if (!run || run.finished) return;
+    var stepMs = dt * 1000;
+    if (run.animMs > 0) run.animMs = Math.max(0, run.animMs - stepMs);
+    if (run.started) run.elapsedMs += stepMs;
+    var dir = run.latchedDir || run.heldDir;
+    if (!dir) return;
+    run.repeatMs -= stepMs;
+    if (run.repeatMs > 0) return;
+    run.repeatMs += REPEAT_MS[this.config.inputMethod] || REPEAT_MS.discrete;
+    // A continuous walk ends quietly at the next wall; only pressing into a wall counts as a bump
+    if (run.latchedDir && (run.walls[run.cell] & DIRS[dir].wall)) { run.latchedDir = null; return; }
+    this._tryMove(dir);
+  };
+
+  // Start (or change) a direction: the first step is immediate, a held / latched one repeats every REPEAT_MS
+  Maze.prototype._press = function (dir) {
+    var run = this._run;
+    var continuous = this.config.inputMethod === 'continuous';
+    if ((continuous ? run.latchedDir : run.heldDir) === dir) return;
+    run.bumpedDir = null;
+    run.repeatMs = REPEAT_MS[this.config.inputMethod] || REPEAT_MS.discrete;
+    var moved = this._tryMove(dir);
+    if (continuous) run.latchedDir = moved ? dir : null;
+    else run.heldDir = dir;
+  };
+
+  Maze.prototype.handleInput = function (evt) {
+    var run = this._run, services = this._services;
+    if (!run || !evt || !services || services.host.gameState !== 'minigame') return;
+    if (evt.type === 'keydown' && evt.code === 'Escape') { services.exit(); return; }
+    if (run.finished) return;
+    var method = this.config.inputMethod;
+    if (evt.type === 'keydown' || evt.type === 'keyup') {
+      // Keys only steer the keyboard control methods; joystick / switch runs read the input bridge
+      if (method !== 'discrete' && method !== 'continuous') return;
+      var dir = keyDirection(services.host, evt.code);
+      if (!dir) return;
+      if (evt.preventDefault) evt.preventDefault();
+      if (evt.type === 'keyup') { if (run.heldDir === dir) run.heldDir = null; return; }
+      if (!evt.repeat) this._press(dir);
+      return;
+    }
+    if (evt.type === 'movement') {
+      // Every switch selection is a deliberate single step, so each blocked one counts as a bump
+      if (method === 'switch') { if (DIRS[evt.direction]) { run.bumpedDir = null; this._tryMove(evt.direction); } return; }
+      if (method !== 'joystick') return;
+      if (evt.direction === 'stop' || !DIRS[evt.direction]) { run.heldDir = null; return; }
+      this._press(evt.direction);
+    }
+  };
+
+  Maze.prototype.render = function (ctx) {
+    var run = this._run;
+    var canvas = this._services && this._services.canvas;
+    if (!run || !ctx || !canvas) return;
+    var host = this._services.host;
+    var w = canvas.width, h = canvas.height;
+    var hud = 36, pad = 16;
+    var cellSize = Math.floor(Math.min((w - pad * 2) / run.cols, (h - pad * 2 - hud) / run.rows));
+    if (cellSize <= 0) return;
+    var ox = Math.floor((w - cellSize * run.cols) / 2);
+    var oy = hud + Math.floor((h - hud - cellSize * run.rows) / 2);
+    ctx.clearRect(0, 0, w, h);
+
+    var i, pos;
+    ctx.fillStyle = 'rgba(52, 152, 219, 0.12)';
+    for (i = 0; i < run.visited.length; i++) {
+      if (!run.visited[i]) continue;
+      pos = this._cellPos(i);
+      ctx.fillRect(ox + pos.col * cellSize, oy + pos.row * cellSize, cellSize, cellSize);
+    }
+    pos = this._cellPos(run.goal);
+    ctx.fillStyle = 'rgba(39, 174, 96, 0.35)';
+    ctx.fillRect(ox + pos.col * cellSize, oy + pos.row * cellSize, cellSize, cellSize);
+    ctx.font = Math.floor(cellSize * 0.6) + 'px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('🏁', ox + (pos.col + 0.5) * cellSize, oy + (pos.row + 0.5) * cellSize);
+
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = Math.max(2, Math.round(cellSize * 0.08));
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    for (i = 0; i < run.walls.length; i++) {
+      pos = this._cellPos(i);
+      var x = ox + pos.col * cellSize, y = oy + pos.row * cellSize, wall = run.walls[i];
+      if (wall & DIRS.up.wall) { ctx.moveTo(x, y); ctx.lineTo(x + cellSize, y); }
+      if (wall & DIRS.left.wall) { ctx.moveTo(x, y); ctx.lineTo(x, y + cellSize); }
+      // Right / bottom walls are shared with the neighbour; only the outer edge draws them here
+      if ((wall & DIRS.right.wall) && pos.col === run.cols - 1) { ctx.moveTo(x + cellSize, y); ctx.lineTo(x + cellSize, y + cellSize); }
+      if ((wall & DIRS.down.wall) && pos.row === run.rows - 1) { ctx.moveTo(x, y + cellSize); ctx.lineTo(x + cellSize, y + cellSize); }
+    }
+    ctx.stroke();
+
+    // Ease between the previous and current cell unless reduced motion is on
+    var t = (host.settings && host.settings.reducedMotion) ? 1 : 1 - run.animMs / MOVE_ANIM_MS;
+    var from = this._cellPos(run.fromCell), to = this._cellPos(run.cell);
+    var px = ox + (from.col + (to.col - from.col) * t + 0.5) * cellSize;
+    var py = oy + (from.row + (to.row - from.row) * t + 0.5) * cellSize;
+    ctx.fillStyle = '#3498db';
+    ctx.beginPath();
+    ctx.arc(px, py, cellSize * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Switch scanning: the scan panel and the highlighted / held direction around the player
+    var bridge = host.inputBridge;
+    if (this.config.inputMethod === 'switch' && window.DSG && window.DSG.switchScan && bridge && bridge.activeMethod === 'switch') {
+      window.DSG.switchScan.drawOverlay(host, ctx, bridge.inputMethods.switch.scanState(), { x: px, y: py, size: cellSize * 0.3 });
+    }
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    var status = run.started
+      ? 'Time ' + host.formatTime(run.elapsedMs) + '   Bumps ' + run.wallBumps + '   Backtracks ' + run.backtracks
+      : (this.config.inputMethod === 'switch' ? 'Select a direction to start' : 'Move to start the timer');
+    ctx.fillText(status, pad, hud / 2);
+  };
+
+  Maze.prototype.getResults = function () {
+    var run = this._run;
+    if (!run) return {};
+    var totalTime = Math.round(run.elapsedMs);
+    return {
+      completed: run.finished,
+      totalTime: totalTime,
+      replayCode: this.getReplayCode(),
+      wallBumps: run.wallBumps,
+      backtracks: run.backtracks,
+      moves: run.moves,
+      optimalMoves: run.optimalMoves,
+      config: { size: this.config.size, inputMethod: this.config.inputMethod, seed: this.config.seed },
+      stats: [
+        { icon: '🧱', text: plural(run.wallBumps, 'wall bump') },
+        { icon: '↩️', text: plural(run.backtracks, 'backtrack') },
+        { icon: '👣', text: plural(run.moves, 'move') + ' (shortest ' + run.optimalMoves + ')' }
+      ]
+    };
+  };
+
+  Maze.prototype.getReplayCode = function () {
+    return this.config ? encodeReplayCode(this.config) : '';
+  };
+
+  Maze.prototype.matchesReplayCode = function (code) {
+    return !!decodeReplayCode(code);
+  };
+
+  Maze.prototype.applyReplayCode = function (code) {
+    var config = decodeReplayCode(code);
+    if (!config) return null;
+    this._start(config);
+    this._services.announce('Maze ready. Find the way to the flag in the bottom right corner.');
+    return config;
+  };
+
+  Maze.prototype.dispose = function () {
+    this._run = null;
+  };
+
+  if (window.MiniGames) {
+    try { window.MiniGames.register(new Maze()); } catch (e) { /* ignore */ }
+  }
+})();
@@ -0,0 +1,369 @@
+/* Path tracing: follow a drawn path (line, curve, zigzag, spiral) from the start dot to the finish flag while the
+   game measures how far the player strays from it. Fine motor practice for the analog-style control methods.
+   The player is moved by the shared movement code (DSG.movement.updatePlayerMovement) on a small game-shaped
+   state object, so discrete, continuous, joystick and cursor-follow behave exactly as in directional practice;
+   its trail is drawn by DSG.movement.drawTrail too.
+     - Paths are defined in unit space and projected with DSG.layout, so they scale with the canvas.
+     - Progress only advances along the path near the furthest point reached, so cutting across a zigzag or
+       between spiral rings does not count.
+     - Accuracy = share of the traced time spent inside the path band; time off-path and mean deviation are kept too.
+   Replay codes: PATH- + shape digit + width digit + input digit + speed digit + version '1' + mod-10 checksum. */
+(function () {
+  var SHAPES = ['line', 'curve', 'zigzag', 'spiral'];
+  var WIDTHS = ['narrow', 'medium', 'wide'];
+  var INPUT_METHODS = ['discrete', 'continuous', 'joystick', 'cursor'];
+  // Input bridge method each control method listens on
+  var BRIDGE_METHODS = { discrete: 'keyboard', continuous: 'keyboard', joystick: 'joystick', cursor: 'keyboard' };
+  var HALF_WIDTH_PX = { narrow: 14, medium: 24, wide: 36 };
+  // Default keys, for when the student's key bindings (DSG.keyBindings) are not loaded
+  var KEY_DIRS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', KeyW: 'up', KeyS: 'down', KeyA: 'left', KeyD: 'right' };
+  var SAMPLES = 240;
+  var MARGIN_PX = 48;
+  var PLAYER_SIZE = 10;
+  var CODE_PREFIX = 'PATH-';
+  var CODE_VERSION = '1';
+
+  // Unit-space point at t in [0, 1] along each shape
+  var SHAPE_POINTS = {
+    line: function (t) { return { nx: t, ny: 0.5 }; },
+    curve: function (t) { return { nx: t, ny: 0.5 - 0.4 * Math.sin(t * Math.PI * 2) }; },
+    zigzag: function (t) {
+      var legs = 6, leg = Math.min(legs - 1, Math.floor(t * legs)), f = t * legs - leg;
+      var from = leg % 2 === 0 ? 0.1 : 0.9, to = leg % 2 === 0 ? 0.9 : 0.1;
+      return { nx: t, ny: from + (to - from) * f };
+    },
+    spiral: function (t) {
+      // Two turns inwards; ring spacing stays wider than the widest band
+      var angle = t * Math.PI * 4, r = 0.5 - 0.4 * t;
+      return { nx: 0.5 + r * Math.cos(angle), ny: 0.5 + r * Math.sin(angle) };
+    }
+  };
+
+  function encodeReplayCode(config) {
+    var speed = Math.max(1, Math.min(5, config.playerSpeed | 0));
+    var body = String(Math.max(0, SHAPES.indexOf(config.shape))) + String(Math.max(0, WIDTHS.indexOf(config.width))) +
+      String(Math.max(0, INPUT_METHODS.indexOf(config.inputMethod))) + String(speed) + CODE_VERSION;
+    return CODE_PREFIX + body + window.ReplayCode.checksum(body);
+  }
+
+  // { shape, width, inputMethod, playerSpeed } or null when the code is not a valid path code
+  function decodeReplayCode(code) {
+    var s = String(code == null ? '' : code).trim().toUpperCase();
+    if (s.indexOf(CODE_PREFIX) !== 0) return null;
+    var digits = s.slice(CODE_PREFIX.length);
+    if (!/^\d{6}$/.test(digits)) return null;
+    var body = digits.slice(0, 5);
+    if (body[4] !== CODE_VERSION || window.ReplayCode.checksum(body) !== digits[5]) return null;
+    var shape = SHAPES[parseInt(body[0], 10)];
+    var width = WIDTHS[parseInt(body[1], 10)];
+    var inputMethod = INPUT_METHODS[parseInt(body[2], 10)];
+    var playerSpeed = parseInt(body[3], 10);
+    if (!shape || !width || !inputMethod || playerSpeed < 1 || playerSpeed > 5) return null;
+    return { shape: shape, width: width, inputMethod: inputMethod, playerSpeed: playerSpeed };
+  }
+
+  // Pixel polyline for a shape on the given canvas, with cumulative arc lengths
+  function buildPath(shape, dims) {
+    var points = [], cum = [0];
+    for (var i = 0; i <= SAMPLES; i++) {
+      var u = SHAPE_POINTS[shape](i / SAMPLES);
+      points.push(window.DSG.layout.fromUnit(u.nx, u.ny, MARGIN_PX, dims));
+      if (i > 0) cum.push(cum[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    return { points: points, cum: cum, length: cum[cum.length - 1], width: dims.width, height: dims.height };
+  }
+
+  // Closest point to (x, y) on segments [from, to) of the path: { dist, along } (along = arc length at that point)
+  function nearestOnPath(path, x, y, from, to) {
+    var best = { dist: Infinity, along: 0 };
+    for (var i = Math.max(0, from); i < Math.min(to, path.points.length - 1); i++) {
+      var a = path.points[i], b = path.points[i + 1];
+      var vx = b.x - a.x, vy = b.y - a.y, len2 = vx * vx + vy * vy;
+      var f = len2 ? Math.max(0, Math.min(1, ((x - a.x) * vx + (y - a.y) * vy) / len2)) : 0;
+      var d = Math.hypot(x - (a.x + vx * f), y - (a.y + vy * f));
+      if (d < best.dist) best = { dist: d, along: path.cum[i] + Math.sqrt(len2) * f };
+    }
+    return best;
+  }
+
+  function PathTracing() {
+    this.id = 'path-tracing';
+    this.name = 'Path Tracing';
+    this.description = 'Follow a drawn path from start to finish as closely as you can.';
+    this.icon = 'gesture';
+    this.defaults = { shape: 'curve', width: 'medium', inputMethod: 'continuous', playerSpeed: 2 };
+    this.codePrefix = CODE_PREFIX;
+    this._run = null;
+  }
+
+  PathTracing.prototype.init = function (ctx, config, services) {
+    this._ctx = ctx; this._services = services;
+    this._start(config || this.defaults);
+  };
+
+  PathTracing.prototype._start = function (config) {
+    this._unbindCursor();
+    var d = this.defaults;
+    this.config = {
+      shape: SHAPES.indexOf(config.shape) >= 0 ? config.shape : d.shape,
+      width: WIDTHS.indexOf(config.width) >= 0 ? config.width : d.width,
+      inputMethod: INPUT_METHODS.indexOf(config.inputMethod) >= 0 ? config.inputMethod : d.inputMethod,
+      playerSpeed: config.playerSpeed >= 1 && config.playerSpeed <= 5 ? config.playerSpeed : d.playerSpeed
+    };
+    var canvas = this._services.canvas;
+    var path = buildPath(this.config.shape, canvas);
+    var start = path.points[0];
+    // Game-shaped state for DSG.movement: it only reads player, keys, sessionConfig, canvas, joystickState, cursor
+    this._mover = {
+      player: { x: start.x, y: start.y, size: PLAYER_SIZE, trail: [], isMoving: false, continuousDirection: null, targetX: null, targetY: null },
+      keys: {},
+      sessionConfig: { inputMethod: this.config.inputMethod, playerSpeed: this.config.playerSpeed },
+      canvas: canvas,
+      targets: [],
+      joystickState: null,
+      cursorX: null, cursorY: null,
+      gameState: 'tracing',
+      lastDirection: 'right'
+    };
+    this._run = {
+      path: path, tolerance: HALF_WIDTH_PX[this.config.width],
+      progress: 0, started: false, finished: false,
+      elapsedMs: 0, offPathMs: 0, deviationMs: 0, maxDeviation: 0, offPath: false,
+      prevX: start.x, prevY: start.y
+    };
+    var host = this._services.host;
+    if (host.inputBridge) host.inputBridge.switchInputMethod(BRIDGE_METHODS[this.config.inputMethod]);
+    if (this.config.inputMethod === 'cursor') this._bindCursor();
+  };
+
+  // Cursor follow reads the pointer over the canvas (the host only tracks it during cursor-mode sessions)
+  PathTracing.prototype._bindCursor = function () {
+    var mover = this._mover, canvas = this._services.canvas;
+    if (!canvas.addEventListener) return;
+    this._cursorHandler = function (e) {
+      var rect = canvas.getBoundingClientRect();
+      mover.cursorX = e.clientX - rect.left;
+      mover.cursorY = e.clientY - rect.top;
+    };
+    canvas.addEventListener('mousemove', this._cursorHandler);
+  };
+  PathTracing.prototype._unbindCursor = function () {
+    if (this._cursorHandler && this._services) this._services.canvas.removeEventListener('mousemove', this._cursorHandler);
+    this._cursorHandler = null;
+  };
+
+  PathTracing.prototype.configure = function (host) {
+    var self = this;
+    var hostMethod = host.sessionConfig && host.sessionConfig.inputMethod;
+    var method = (this.config && this.config.inputMethod) || (BRIDGE_METHODS[hostMethod] ? hostMethod : this.defaults.inputMethod);
+    var methodEl = document.querySelector('input[name="path-input-method"][value="' + method + '"]');
+    if (methodEl) methodEl.checked = true;
+    var read = function (modal, name, fallback) {
+      var el = modal.querySelector('input[name="' + name + '"]:checked');
+      return el ? el.value : fallback;
+    };
+    var opened = window.MiniGames.openSetup('path-setup-modal', function (modal) {
+      host.launchMiniGame(self.id, encodeReplayCode({
+        shape: read(modal, 'path-shape', self.defaults.shape),
+        width: read(modal, 'path-width', self.defaults.width),
+        inputMethod: read(modal, 'path-input-method', self.defaults.inputMethod),
+        playerSpeed: parseInt(read(modal, 'path-speed', self.defaults.playerSpeed), 10)
+      }));
+    });
+    if (!opened) host.launchMiniGame(this.id, encodeReplayCode(this.defaults));
+  };
+
+  // Re-project the path (and the player with it) when the canvas size changes
+  PathTracing.prototype._fitPath = function () {
+    var run = this._run, canvas = this._services.canvas;
+    if (run.path.width === canvas.width && run.path.height === canvas.height) return;
+    var oldDims = { width: run.path.width, height: run.path.height };
+    var p = this._mover.player;
+    var moved = window.DSG.layout.reproject(p.x, p.y, MARGIN_PX, oldDims, canvas);
+    p.x = run.prevX = moved.x; p.y = run.prevY = moved.y;
+    p.trail = [];
+    var progress = run.path.length ? run.progress / run.path.length : 0;
+    run.path = buildPath(this.config.shape, canvas);
+    run.progress = progress * run.path.length;
+  };
+
+  PathTracing.prototype.update = function (dt) {
+    var run = this._run, mover = this._mover;
+    if (!run || run.finished) return;
+    this._fitPath();
+    var DSG = window.DSG;
+    DSG.simulation.fadeTrail(mover);
+    DSG.movement.updatePlayerMovement(mover, dt);
+    var p = mover.player, path = run.path, tol = run.tolerance;
+    var moved = p.x !== run.prevX || p.y !== run.prevY;
+    run.prevX = p.x; run.prevY = p.y;
+    var start = path.points[0];
+    // The timer starts on the first move from the start dot (cursor users bring the pointer onto it first)
+    if (!run.started) {
+      if (!moved || Math.hypot(p.x - start.x, p.y - start.y) > tol) return;
+      run.started = true;
+    }
+    var stepMs = dt * 1000;
+    run.elapsedMs += stepMs;
+    var deviation = nearestOnPath(path, p.x, p.y, 0, path.points.length).dist;
+    run.deviationMs += deviation * stepMs;
+    run.maxDeviation = Math.max(run.maxDeviation, deviation);
+    var offPath = deviation > tol;
+    if (offPath) run.offPathMs += stepMs;
+    if (offPath !== run.offPath) {
+      run.offPath = offPath;
+      if (offPath) this._services.playSound('move');
+    }
+    if (offPath) return;
+    // Advance only within reach of the furthest point so far
+    var reach = run.progress + tol * 2, to = 0;
+    while (to < path.cum.length - 1 && path.cum[to] <= reach) to++;
+    var local = nearestOnPath(path, p.x, p.y, 0, to);
+    if (local.dist <= tol && local.along > run.progress) run.progress = local.along;
+    if (run.progress >= path.length - tol) this._finish();
+  };
+
+  PathTracing.prototype._finish = function () {
+    var run = this._run;
+    run.finished = true;
+    this._unbindCursor();
+    this._services.complete(this.getResults());
+  };
+
+  PathTracing.prototype.handleInput = function (evt) {
+    var run = this._run, services = this._services, mover = this._mover;
+    if (!run || !evt || !services || services.host.gameState !== 'minigame') return;
+    if (evt.type === 'keydown' && evt.code === 'Escape') { services.exit(); return; }
+    if (run.finished) return;
+    var method = this.config.inputMethod;
+    if (evt.type === 'keydown' || evt.type === 'keyup') {
+      var bindings = window.DSG && window.DSG.keyBindings;
+      var dir = bindings ? bindings.directionFor(services.host, evt.code) : KEY_DIRS[evt.code];
+      if (!dir || (method !== 'discrete' && method !== 'continuous')) return;
+      if (evt.preventDefault) evt.preventDefault();
+      // DSG.movement reads the arrow codes, whichever key is bound to the direction
+      if (bindings) bindings.press(services.host, mover.keys, evt.code, evt.type === 'keydown');
+      else mover.keys[evt.code] = evt.type === 'keydown';
+      // Continuous keeps moving in the last pressed direction, as in directional practice
+      if (method === 'continuous' && evt.type === 'keydown') { mover.player.continuousDirection = dir; mover.player.isMoving = true; }
+      // ...until sticky movement lets go of that direction
+      if (method === 'continuous' && evt.latchReleased && mover.player.continuousDirection === dir) { mover.player.continuousDirection = null; mover.player.isMoving = false; }
+      return;
+    }
+    if (evt.type === 'movement' && method === 'joystick') {
+      mover.joystickState = (evt.direction && evt.direction !== 'stop')
+        ? { direction: evt.direction, directionVector: evt.directionVector || { x: 0, y: 0 }, intensity: evt.intensity || 0, angle: evt.angle || 0 }
+        : null;
+    }
+  };
+
+  PathTracing.prototype.render = function (ctx) {
+    var run = this._run, mover = this._mover;
+    if (!run || !ctx) return;
+    var host = this._services.host, canvas = this._services.canvas;
+    var points = run.path.points, tol = run.tolerance, i;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    var tracePath = function (from, to) {
+      ctx.beginPath();
+      ctx.moveTo(points[from].x, points[from].y);
+      for (i = from + 1; i <= to; i++) ctx.lineTo(points[i].x, points[i].y);
+      ctx.stroke();
+    };
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    // Band the player should stay inside, then the centre line, then the part already traced
+    ctx.strokeStyle = 'rgba(52, 152, 219, 0.15)';
+    ctx.lineWidth = tol * 2;
+    tracePath(0, points.length - 1);
+    ctx.strokeStyle = 'rgba(44, 62, 80, 0.5)';
+    ctx.lineWidth = 2;
+    tracePath(0, points.length - 1);
+    var done = 0;
+    while (done < run.path.cum.length - 1 && run.path.cum[done + 1] <= run.progress) done++;
+    if (done > 0) {
+      ctx.strokeStyle = 'rgba(39, 174, 96, 0.8)';
+      ctx.lineWidth = 4;
+      tracePath(0, done);
+    }
+
+    var start = points[0], end = points[points.length - 1];
+    ctx.fillStyle = '#27ae60';
+    ctx.beginPath();
+    ctx.arc(start.x, start.y, tol * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = Math.round(tol * 1.4) + 'px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('🏁', end.x, end.y);
+
+    if (window.DSG && window.DSG.movement) window.DSG.movement.drawTrail(host, ctx, mover.player);
+    var p = mover.player;
+    ctx.fillStyle = run.offPath ? '#e67e22' : '#3498db';
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'left';
+    var status = run.started
+      ? 'Time ' + host.formatTime(run.elapsedMs) + '   Accuracy ' + this._accuracy() + '%   Off path ' + host.formatTime(run.offPathMs)
+      : (this.config.inputMethod === 'cursor' ? 'Move the pointer onto the green dot to start' : 'Move to start the timer');
+    ctx.fillText(status, 16, 18);
+  };
+
+  PathTracing.prototype._accuracy = function () {
+    var run = this._run;
+    return run && run.elapsedMs > 0 ? Math.round(100 * (run.elapsedMs - run.offPathMs) / run.elapsedMs) : 100;
+  };
+
+  PathTracing.prototype.getResults = function () {
+    var run = this._run;
+    if (!run) return {};
+    var accuracy = this._accuracy();
+    var offPathMs = Math.round(run.offPathMs);
+    var meanDeviation = run.elapsedMs > 0 ? Math.round(run.deviationMs / run.elapsedMs) : 0;
+    return {
+      completed: run.finished,
+      totalTime: Math.round(run.elapsedMs),
+      replayCode: this.getReplayCode(),
+      accuracy: accuracy,
+      offPathTime: offPathMs,
+      meanDeviation: meanDeviation,
+      maxDeviation: Math.round(run.maxDeviation),
+      config: { shape: this.config.shape, width: this.config.width, inputMethod: this.config.inputMethod, playerSpeed: this.config.playerSpeed },
+      stats: [
+        { icon: '🎯', text: accuracy + '% on the path' },
+        { icon: '↔️', text: (offPathMs / 1000).toFixed(1) + 's off the path' },
+        { icon: '📏', text: meanDeviation + 'px average distance from the line' }
+      ]
+    };
+  };
+
+  PathTracing.prototype.getReplayCode = function () {
+    return this.config ? encodeReplayCode(this.config) : '';
+  };
+
+  PathTracing.prototype.matchesReplayCode = function (code) {
+    return !!decodeReplayCode(code);
+  };
+
+  PathTracing.prototype.applyReplayCode = function (code) {
+    var config = decodeReplayCode(code);
+    if (!config) return null;
+    this._start(config);
+    this._services.announce('Path ready. Follow the line from the green dot to the flag.');
+    return config;
+  };
+
+  PathTracing.prototype.dispose = function () {
+    this._unbindCursor();
+    this._run = null;
+    this._mover = null;
+  };
+
+  if (window.MiniGames) {
+    try { window.MiniGames.register(new PathTracing()); } catch (e) { /* ignore */ }
+  }
+})();
@@ -1,11 +1,78 @@
-/* Mini-game registry to discover/select games by id */
+/* Mini-game registry to discover/select games by id.
+   GameScene hosts whichever registered mini-game is active; the Activities picker lists MiniGames.list().
+   A new activity only needs registering here: GameScene routes its input and its replay codes (by codePrefix).
+
+   Mini-game interface (prototype methods; instances are registered once and re-initialised per run):
+     id, name, description, defaults     identity + default config
+     init(ctx, config, services)         start a run on the shared canvas context
+     update(dt)                          one fixed simulation step (seconds)
+     render(ctx, alpha)                  draw; alpha = progress into the next step (interpolation)
+     handleInput(evt)                    keydown / keyup forwarded by the SceneManager, plus input bridge movement
+                                         ({ type: 'movement', direction, intensity, ... } from joystick / switch
+                                         scanning / eye gaze) and filtered keys forwarded by GameScene
+     getResults()                        summary of the current / last run
+     getReplayCode()                     code reproducing the current run
+     applyReplayCode(code)               start a run from a code; returns the decoded config or null
+   Optional:
+     configure(host)                     open the activity's own setup screen instead of starting straight away
+     dispose()                           release listeners / state when another mini-game is mounted
+     codePrefix                          prefix of this activity's replay codes (e.g. 'MAZE-'); Play Replay Code,
+                                         playlists and imports route codes starting with it here (ownerOf)
+     matchesReplayCode(code)             true when a code with that prefix is a valid code for this activity
+
+   services (built by GameScene): { id, host, canvas, fixedStep, announce(msg), playSound(name), complete(results), exit() }
+   complete(results) takes { completed, totalTime, replayCode, config, ... }; an optional results.stats list of
+   { icon, text } lines is shown on the results screen.
+
+   MiniGames.openSetup(modalId, onStart) shows an activity's setup <dialog> (buttons marked data-setup="start" /
+   data-setup="cancel"); Start closes it and calls onStart(modal), Cancel / close return to the menu. */
 (function () {
   function Registry() { this._map = new Map(); }
   Registry.prototype.register = function (game) {
     if (!game || !game.id) throw new Error('Mini-game must have an id');
+    var prefix = game.codePrefix ? String(game.codePrefix).toUpperCase() : null;
+    this._map.forEach(function (other) {
+      if (prefix && other.id !== game.id && other.codePrefix && String(other.codePrefix).toUpperCase() === prefix) {
+        throw new Error('Replay code prefix ' + prefix + ' is already used by ' + other.id);
+      }
+    });
     this._map.set(game.id, game);
   };
   Registry.prototype.get = function (id) { return this._map.get(id); };
   Registry.prototype.list = function () { return Array.from(this._map.values()); };
+  // Activity a replay code belongs to by its registered prefix, when the code is valid for it; null otherwise
+  // (directional practice codes have no prefix)
+  Registry.prototype.ownerOf = function (code) {
+    var s = String(code == null ? '' : code).trim();
+    var upper = s.toUpperCase();
+    return this.list().find(function (game) {
+      if (!game.codePrefix || upper.indexOf(String(game.codePrefix).toUpperCase()) !== 0) return false;
+      return typeof game.matchesReplayCode !== 'function' || game.matchesReplayCode(s);
+    }) || null;
+  };
+  Registry.prototype.openSetup = function (modalId, onStart) {
+    var modal = document.getElementById(modalId);
+    if (!modal) return false;
+    modal._onSetupStart = onStart;
+    if (!modal._setupBound) {
+      var close = function () { if (modal.open) modal.close(); };
+      var cancel = function () {
+        close();
+        try { if (window.sceneManager) window.sceneManager.switch('menu'); } catch (e) {}
+      };
+      var start = function () { close(); modal._onSetupStart(modal); };
+      var startBtn = modal.querySelector('[data-setup="start"]');
+      var cancelBtn = modal.querySelector('[data-setup="cancel"]');
+      var closeBtn = modal.querySelector('.modal-close');
+      if (startBtn) startBtn.addEventListener('click', start);
+      if (cancelBtn) cancelBtn.addEventListener('click', cancel);
+      if (closeBtn) closeBtn.addEventListener('click', cancel);
+      modal._setupBound = true;
+    }
+    modal.showModal();
+    var focusEl = modal.querySelector('input:checked, input, button');
+    if (focusEl) focusEl.focus();
+    return true;
+  };
   window.MiniGames = new Registry();
 })();
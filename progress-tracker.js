@@ -9,11 +9,7 @@ class ProgressTracker {
         this.sessionStartTime = Date.now();
         this.currentSession = null;
         this.progressData = null;
-        this.settings = {
-            trackingEnabled: true,
-            anonymousOnly: true,
-            dataRetentionDays: 90
-        };
+        this.settings = { ...ProgressTracker.DEFAULT_SETTINGS };
         
         this.initialize();
         console.log('ProgressTracker initialized');
@@ -37,12 +33,20 @@ class ProgressTracker {
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
+    /**
+     * localStorage key for the active student profile (DSG.profiles); plain key when profiles are unavailable
+     */
+    storageKey(base) {
+        const profiles = window.DSG && window.DSG.profiles;
+        return profiles ? profiles.key(base) : base;
+    }
+    
     /**
      * Load tracking settings from localStorage
      */
     loadSettings() {
         try {
-            const stored = localStorage.getItem('progressTrackerSettings');
+            const stored = localStorage.getItem(this.storageKey('progressTrackerSettings'));
             if (stored) {
                 this.settings = { ...this.settings, ...JSON.parse(stored) };
             }
@@ -56,7 +60,7 @@ class ProgressTracker {
      */
     saveSettings() {
         try {
-            localStorage.setItem('progressTrackerSettings', JSON.stringify(this.settings));
+            localStorage.setItem(this.storageKey('progressTrackerSettings'), JSON.stringify(this.settings));
         } catch (error) {
             console.error('Failed to save progress tracker settings:', error);
         }
@@ -69,7 +73,9 @@ class ProgressTracker {
         if (!this.settings.trackingEnabled) return;
         
         try {
-            const stored = localStorage.getItem('studentProgressData');
+            // Remember the key so data loaded for one profile is never saved into another
+            this.progressKey = this.storageKey('studentProgressData');
+            const stored = localStorage.getItem(this.progressKey);
             this.progressData = stored ? JSON.parse(stored) : this.createEmptyProgressData();
         } catch (error) {
             console.warn('Failed to load progress data:', error);
@@ -214,10 +220,14 @@ class ProgressTracker {
                 perf.movementCount++;
                 break;
                 
-            case 'levelCompleted':
+            case 'sessionCompleted':
                 perf.levelsCompleted++;
                 break;
                 
+            case 'hazardHit':
+                perf.hazardsHit = (perf.hazardsHit || 0) + 1;
+                break;
+                
             case 'inputError':
                 perf.inputErrors++;
                 break;
@@ -233,44 +243,15 @@ class ProgressTracker {
     }
     
     /**
-     * Check for achievements
+     * Check for achievements: the data-driven catalogue (DSG.achievements) against the running totals that
+     * completed sessions report with their sessionCompleted event
      */
     checkAchievements(eventType, data) {
-        const achievements = [
-            {
-                id: 'firstTarget',
-                name: 'First Success',
-                description: 'Collected your first target',
-                condition: () => this.currentSession.performance.targetsCollected >= 1
-            },
-            {
-                id: 'firstLevel',
-                name: 'Level Master',
-                description: 'Completed your first level',
-                condition: () => this.currentSession.performance.levelsCompleted >= 1
-            },
-            {
-                id: 'persistent',
-                name: 'Persistence',
-                description: 'Played for 5 minutes without giving up',
-                condition: () => (Date.now() - this.sessionStartTime) >= 300000
-            },
-            {
-                id: 'explorer',
-                name: 'Explorer',
-                description: 'Made 100 movements in a single session',
-                condition: () => this.currentSession.performance.movementCount >= 100
-            },
-            {
-                id: 'collector',
-                name: 'Collector',
-                description: 'Collected 10 targets in a single session',
-                condition: () => this.currentSession.performance.targetsCollected >= 10
-            }
-        ];
+        const catalogue = window.DSG && window.DSG.achievements;
+        if (!catalogue || !data.totals) return;
         
-        achievements.forEach(achievement => {
-            if (!this.hasAchievement(achievement.id) && achievement.condition()) {
+        catalogue.earned(data.totals).forEach(achievement => {
+            if (!this.hasAchievement(achievement.id)) {
                 this.unlockAchievement(achievement);
             }
         });
@@ -288,12 +269,17 @@ class ProgressTracker {
      */
     unlockAchievement(achievement) {
         const unlocked = {
-            ...achievement,
+            id: achievement.id,
+            name: achievement.name,
+            description: achievement.description,
+            icon: achievement.icon,
             unlockedAt: Date.now(),
             sessionId: this.sessionId
         };
         
         this.progressData.achievements.push(unlocked);
+        // Saved straight away so the gallery and progress export see it before the page closes
+        this.saveProgressData();
         
         // Announce achievement
         if (window.accessibilityManager) {
@@ -327,12 +313,23 @@ class ProgressTracker {
             }
         }
         
-        if (eventType === 'levelCompleted') {
+        if (eventType === 'sessionCompleted') {
             if (!learning.skillDemonstrated.includes('goalCompletion')) {
                 learning.skillDemonstrated.push('goalCompletion');
             }
         }
         
+        // Input method and accessibility modes the student chose
+        if (eventType === 'sessionStarted') {
+            const accessibility = this.currentSession.accessibility;
+            if (data.inputMethod) accessibility.inputMethod = data.inputMethod;
+            (data.assists || []).forEach(feature => {
+                if (!accessibility.assistiveFeatures.includes(feature)) {
+                    accessibility.assistiveFeatures.push(feature);
+                }
+            });
+        }
+        
         // Identify struggling areas
         if (eventType === 'inputError' && data.repeated) {
             const struggle = `${data.inputType}_difficulty`;
@@ -634,12 +631,14 @@ class ProgressTracker {
     }
     
     /**
-     * Limit session history for privacy
+     * Limit session detail for privacy: only the most recent sessions keep their event log, older ones keep their
+     * performance summary so long-term progress survives (the retention policy in cleanOldData still applies)
      */
     limitSessionHistory() {
-        const maxSessions = 20;
-        if (this.progressData.sessions.length > maxSessions) {
-            this.progressData.sessions = this.progressData.sessions.slice(-maxSessions);
+        const maxDetailedSessions = 20;
+        const sessions = this.progressData.sessions;
+        for (let i = 0; i < sessions.length - maxDetailedSessions; i++) {
+            if (sessions[i].events) delete sessions[i].events;
         }
     }
     
@@ -677,6 +676,20 @@ class ProgressTracker {
                 this.trackEvent('tabVisible', {});
             }
         });
+        
+        // Switching student profile closes this session under the old profile and continues under the new one
+        if (window.DSG && window.DSG.profiles) {
+            window.DSG.profiles.onChange(() => {
+                this.endSession();
+                this.settings = { ...ProgressTracker.DEFAULT_SETTINGS };
+                this.progressData = null;
+                this.loadSettings();
+                this.loadProgressData();
+                this.sessionId = this.generateSessionId();
+                this.sessionStartTime = Date.now();
+                this.startNewSession();
+            });
+        }
     }
     
     /**
@@ -686,7 +699,7 @@ class ProgressTracker {
         if (!this.settings.trackingEnabled) return;
         
         try {
-            localStorage.setItem('studentProgressData', JSON.stringify(this.progressData));
+            localStorage.setItem(this.progressKey || this.storageKey('studentProgressData'), JSON.stringify(this.progressData));
         } catch (error) {
             console.error('Failed to save progress data:', error);
         }
@@ -749,6 +762,17 @@ class ProgressTracker {
     }
 }
 
+ProgressTracker.DEFAULT_SETTINGS = {
+    trackingEnabled: true,
+    anonymousOnly: true,
+    dataRetentionDays: 90
+};
+
+// Class declarations do not attach to window; the game creates the shared instance (window.progressTracker)
+if (typeof window !== 'undefined') {
+    window.ProgressTracker = ProgressTracker;
+}
+
 // Export if using modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ProgressTracker;
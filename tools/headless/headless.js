@@ -0,0 +1,288 @@
+/**
+ * Headless session runner (Node).
+ *
+ * Responsibilities:
+ *  - Load the DSG game modules into a sandbox without a canvas or document (loadModules)
+ *  - Provide a plain game-state object with the fields and hooks the modules use (createHeadlessGame)
+ *  - Run a session from a replay code / config with scripted input and report the outcome (runSession); a layout
+ *    code (DSG.customLayouts) places the targets, with the rest of the setup from options.config
+ *  - Re-run a recorded session (DSG.recorder format) and report the outcome (replayRecording)
+ *  - A simple greedy input controller for every input method (seekNearestTarget)
+ *
+ * Design notes:
+ *  - The browser modules are loaded unchanged into a vm context whose global doubles as `window`; each call to
+ *    loadModules gets fresh module state.
+ *  - Steps go through DSG.simulation.step, the same path as the live loop and playback, at the engine's fixed step.
+ *  - Time is simulated: game.now() advances by exactly one step per update, so session times are reproducible and
+ *    independent of how fast the host runs.
+ *  - The timer starts on the first step (as if the first input arrived immediately); scripted input events use the
+ *    recording format ([frame, type, ...data]) and are applied through DSG.recorder.applyInputEvent.
+ *  - Scripted pauses ([frame, ms]) pause the session before that frame's step, let ms of simulated time pass and
+ *    resume, through the same DSG.sessionTiming / DSG.recorder hooks as the game's pause button. The 'pause' resize
+ *    strategy resumes at once (no time passes while paused).
+ *
+ * Exports (CommonJS):
+ *  FIXED_STEP: number (seconds)
+ *  loadModules() -> DSG context ({ DSG, ReplayCode })
+ *  createHeadlessGame(ctx, options) -> game
+ *  runSession(options) -> result
+ *  replayRecording(session, options) -> result
+ *  seekNearestTarget(game) - controller for runSession({ controller })
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const FIXED_STEP = 1 / 60; // mirrors Engine.FIXED_STEP (core/engine.js)
+const SIM_EPOCH_MS = 946684800000; // fixed, non-zero clock origin (2000-01-01) so start times are never falsy
+const DEFAULT_MAX_SECONDS = 300;
+
+// Same order as index.html; none of these touch the DOM at load time
+const MODULE_FILES = [
+  'core/replay-code.js',
+  'core/modules/layout-space.js',
+  'core/modules/custom-layouts.js',
+  'core/modules/target-generation.js',
+  'core/modules/session-timing.js',
+  'core/modules/collision-effects.js',
+  'core/modules/resize-handling.js',
+  'core/modules/target-motion.js',
+  'core/modules/switch-scanning.js',
+  'core/modules/player-movement.js',
+  'core/modules/simulation-step.js',
+  'core/modules/session-recorder.js',
+  'core/modules/path-analytics.js'
+];
+
+function loadModules() {
+  const sandbox = { console, setTimeout, clearTimeout };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  for (const file of MODULE_FILES) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, sandbox, { filename: file });
+  }
+  return { DSG: sandbox.DSG, ReplayCode: sandbox.ReplayCode };
+}
+
+function createHeadlessGame(ctx, options = {}) {
+  const DSG = ctx.DSG;
+  const game = {
+    headless: true,
+    debug: false,
+    fixedStep: FIXED_STEP,
+    playerSpeedScale: DSG.movement.PLAYER_SPEED_SCALE,
+    clockMs: 0,
+    canvas: { width: options.width || 1200, height: options.height || 800, focus() {} },
+    gameState: 'menu',
+    settings: { resizeHandling: options.resizeHandling || 'reposition' },
+    sessionConfig: JSON.parse(JSON.stringify(options.config || {})),
+    currentSession: {},
+    player: { x: 0, y: 0, size: 25, trail: [], targetX: null, targetY: null, continuousDirection: null, isMoving: false },
+    targets: [],
+    keys: {},
+    lastDirection: null,
+    cursorX: null,
+    cursorY: null,
+    joystickState: null,
+    switchDirection: null,
+    gazeDirection: null,
+    sounds: {},
+    announcements: [],
+    now() { return SIM_EPOCH_MS + this.clockMs; },
+    updateUI() {},
+    updatePlayPauseButton() {},
+    pauseGame() {},
+    announceToScreenReader(message) { this.announcements.push(message); },
+    completeSession() {
+      this.currentSession.endTime = this.now();
+      this.currentSession.completed = true;
+      this.currentSession.totalTime = DSG.sessionTiming.calculateSessionTime(this);
+      this.currentSession.path = DSG.pathAnalytics.finish(this);
+      this.recording = DSG.recorder.finish(this);
+      this.gameState = 'completed';
+    }
+  };
+  return game;
+}
+
+// Mirrors DirectionalSkillsGame.initializeNewSession for a known seed / config
+function initializeSession(game, ctx, seed) {
+  const counts = game.sessionConfig.targetCounts || {};
+  game.currentSession = {
+    seed, startTime: null, endTime: null, totalTime: 0, pausedTime: 0, pauseStartTime: null,
+    targetsCollected: 0, totalTargets: (counts.stationary || 0) + (counts.moving || 0) + (counts.flee || 0),
+    coreTargetsCollected: 0, bonusTargetsCollected: 0, hazardTargetsHit: 0, completed: false, timeAdjustments: 0
+  };
+  game.sessionConfig.seed = seed;
+  ctx.DSG.targets.generateSessionTargets(game);
+}
+
+function resolveSession(ctx, options) {
+  const layout = options.code ? ctx.DSG.customLayouts.configFor(options.code) : null;
+  if (layout) {
+    if (!options.config) throw new Error('A layout code needs a session config for the rest of the setup');
+    return { seed: options.code, config: Object.assign({}, options.config, layout, options.overrides || {}) };
+  }
+  if (options.code) {
+    const config = ctx.ReplayCode.decode(options.code);
+    if (!config) throw new Error(`Invalid replay code: ${options.code}`);
+    return { seed: options.code, config: Object.assign(config, options.overrides || {}) };
+  }
+  if (!options.config) throw new Error('runSession requires a replay code or a session config');
+  const config = Object.assign({}, options.config, options.overrides || {});
+  return { seed: ctx.ReplayCode.generateFromConfig(config), config };
+}
+
+function normalizeEvents(events) {
+  return (events || []).slice().sort((a, b) => a[0] - b[0]);
+}
+
+// Pause the running session for ms of simulated time, as pausing and resuming in the game would
+function pauseFor(game, ctx, ms) {
+  ctx.DSG.recorder.mark(game, 'p');
+  ctx.DSG.sessionTiming.pauseSession(game);
+  game.clockMs += ms;
+  ctx.DSG.sessionTiming.resumeSession(game);
+  ctx.DSG.recorder.mark(game, 'r');
+}
+
+// Step a 'playing' game until it completes or runs out of frames; events / controller feed input each step
+function simulate(game, ctx, { events, pauses = [], controller, maxFrames }) {
+  const stepMs = game.fixedStep * 1000;
+  let cursor = 0, pauseCursor = 0, frame = 0;
+  while (game.gameState === 'playing' && frame < maxFrames) {
+    while (pauseCursor < pauses.length && pauses[pauseCursor][0] <= frame) {
+      pauseFor(game, ctx, pauses[pauseCursor][1]);
+      pauseCursor++;
+    }
+    while (cursor < events.length && events[cursor][0] <= frame) {
+      ctx.DSG.recorder.applyInputEvent(game, events[cursor]);
+      cursor++;
+    }
+    if (controller) controller(game, frame);
+    game.clockMs += stepMs;
+    ctx.DSG.simulation.step(game, game.fixedStep);
+    frame++;
+  }
+  return frame;
+}
+
+function summarize(game, ctx, frames) {
+  const s = game.currentSession;
+  const timeMs = s.completed ? s.totalTime : ctx.DSG.sessionTiming.calculateSessionTime(game);
+  return {
+    seed: s.seed,
+    config: game.sessionConfig,
+    completed: !!s.completed,
+    frames,
+    activeMs: Math.round(frames * game.fixedStep * 1000),
+    timeMs: Math.round(timeMs),
+    timeAdjustments: s.timeAdjustments,
+    targetsCollected: s.targetsCollected,
+    coreTargetsCollected: s.coreTargetsCollected,
+    bonusTargetsCollected: s.bonusTargetsCollected,
+    hazardTargetsHit: s.hazardTargetsHit,
+    wrongTargetHits: s.wrongTargetHits || 0,
+    path: s.path || null,
+    targetsRemaining: game.targets.map(t => t.type),
+    player: { x: game.player.x, y: game.player.y },
+    recording: game.recording || null
+  };
+}
+
+/**
+ * Run one session.
+ * options: { code | config, overrides?, width?, height?, resizeHandling?, events?, pauses? ([frame, ms][]),
+ *            controller?(game, frame), maxSeconds? }
+ */
+function runSession(options = {}) {
+  const ctx = loadModules();
+  const { seed, config } = resolveSession(ctx, options);
+  const game = createHeadlessGame(ctx, Object.assign({}, options, { config }));
+  initializeSession(game, ctx, seed);
+  ctx.DSG.sessionTiming.startSession(game);
+  ctx.DSG.sessionTiming.beginTimedSession(game);
+  const maxFrames = Math.ceil((options.maxSeconds || DEFAULT_MAX_SECONDS) / game.fixedStep);
+  const frames = simulate(game, ctx, { events: normalizeEvents(options.events), pauses: normalizeEvents(options.pauses), controller: options.controller, maxFrames });
+  if (game.gameState === 'playing') {
+    game.currentSession.path = ctx.DSG.pathAnalytics.finish(game);
+    game.recording = ctx.DSG.recorder.finish(game);
+  }
+  return summarize(game, ctx, frames);
+}
+
+/**
+ * Re-run a recorded session from its starting snapshot (same as in-app playback, without the UI).
+ * session: a history entry ({ seed, config, recording }) or { seed, config, recording } built by hand.
+ */
+function replayRecording(session, options = {}) {
+  const rec = session && session.recording;
+  if (!rec || !rec.snapshot || !Array.isArray(rec.events)) throw new Error('Session has no recording');
+  const ctx = loadModules();
+  const game = createHeadlessGame(ctx, Object.assign({}, options, { config: session.config, width: rec.w, height: rec.h }));
+  initializeSession(game, ctx, session.seed);
+  game.targets = JSON.parse(JSON.stringify(rec.snapshot.targets));
+  Object.assign(game.player, { x: rec.snapshot.player.x, y: rec.snapshot.player.y, size: rec.snapshot.player.size, trail: [] });
+  game.gameState = 'playing';
+  game.currentSession.startTime = game.now();
+  ctx.DSG.pathAnalytics.begin(game);
+  const frames = simulate(game, ctx, { events: normalizeEvents(rec.events), maxFrames: rec.frames });
+  return summarize(game, ctx, frames);
+}
+
+// Greedy controller: head for the nearest core / bonus target (in ordered sessions, the next numbered target or
+// a bonus) with whatever the configured input method provides
+function seekNearestTarget(game) {
+  const p = game.player;
+  let next = null;
+  for (const t of game.targets) {
+    if (typeof t.sequenceIndex === 'number' && (!next || t.sequenceIndex < next.sequenceIndex)) next = t;
+  }
+  let best = null, bestDist = Infinity;
+  for (const t of game.targets) {
+    if (t.type === 'hazard' || (next && typeof t.sequenceIndex === 'number' && t !== next)) continue;
+    const d = Math.hypot(t.x - p.x, t.y - p.y);
+    if (d < bestDist) { best = t; bestDist = d; }
+  }
+  if (!best) return;
+  const dx = best.x - p.x, dy = best.y - p.y;
+  const horizontal = Math.abs(dx) > Math.abs(dy);
+  const dir = horizontal ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+  switch (game.sessionConfig.inputMethod) {
+    case 'continuous':
+      if (p.continuousDirection !== dir) { p.continuousDirection = dir; p.isMoving = true; }
+      break;
+    case 'mouse':
+      if (p.targetX !== best.x || p.targetY !== best.y) { p.targetX = Math.round(best.x * 100) / 100; p.targetY = Math.round(best.y * 100) / 100; }
+      break;
+    case 'cursor': {
+      const reach = Math.min(1, 6 / (bestDist || 1)); // cursor travels ~6px per step
+      game.cursorX = Math.round((p.x + dx * reach) * 100) / 100;
+      game.cursorY = Math.round((p.y + dy * reach) * 100) / 100;
+      break;
+    }
+    case 'joystick': {
+      const len = bestDist || 1;
+      game.joystickState = { direction: dir, directionVector: { x: Math.round(dx / len * 1e4) / 1e4, y: Math.round(dy / len * 1e4) / 1e4 }, intensity: 1, angle: 0 };
+      break;
+    }
+    case 'switch':
+      // Hold the scanned item a switch user would pick: the nearest-target move, or the straight direction
+      game.switchDirection = game.sessionConfig.switchScanSet === 'nearest' ? 'nearest' : dir;
+      break;
+    case 'gaze':
+      // Dwell on the edge zone of the straight direction
+      game.gazeDirection = dir;
+      break;
+    default: {
+      game.keys = {};
+      game.keys[{ up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' }[dir]] = true;
+    }
+  }
+}
+
+module.exports = { FIXED_STEP, loadModules, createHeadlessGame, runSession, replayRecording, seekNearestTarget };
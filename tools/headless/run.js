@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Command line front end for the headless runner.
+ *
+ * Usage:
+ *  node tools/headless/run.js --code <replay code> [options]
+ *
+ * Options:
+ *  --code <code>          Replay code to run (any supported version)
+ *  --events <file.json>   Scripted input: array of recording events ([frame, type, ...data])
+ *  --bot                  Drive the session with the greedy seekNearestTarget controller
+ *  --width <px>           Canvas width (default 1200)
+ *  --height <px>          Canvas height (default 800)
+ *  --seconds <n>          Give up after n simulated seconds (default 300)
+ *  --replay <file.json>   Re-run a saved session history entry ({ seed, config, recording })
+ *  --verify               After the run, replay its recording and check the outcome is identical
+ *  --recording            Include the recording in the printed result
+ *
+ * Prints the result as JSON; exits 1 when --verify finds a mismatch, 2 on bad arguments.
+ */
+'use strict';
+
+const fs = require('fs');
+const headless = require('./headless');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    if (['bot', 'verify', 'recording'].includes(key)) args[key] = true;
+    else args[key] = argv[++i];
+  }
+  return args;
+}
+
+function readJson(file) { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+
+// Fields that must match between a run and the replay of its recording
+function outcome(result) {
+  const { completed, frames, timeMs, targetsCollected, coreTargetsCollected, bonusTargetsCollected, hazardTargetsHit, wrongTargetHits, targetsRemaining, player, path } = result;
+  return JSON.stringify({ completed, frames, timeMs, targetsCollected, coreTargetsCollected, bonusTargetsCollected, hazardTargetsHit, wrongTargetHits, targetsRemaining, player, path });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let result;
+  if (args.replay) {
+    result = headless.replayRecording(readJson(args.replay));
+  } else if (args.code) {
+    result = headless.runSession({
+      code: args.code,
+      width: args.width ? parseInt(args.width, 10) : undefined,
+      height: args.height ? parseInt(args.height, 10) : undefined,
+      maxSeconds: args.seconds ? parseFloat(args.seconds) : undefined,
+      events: args.events ? readJson(args.events) : undefined,
+      controller: args.bot ? headless.seekNearestTarget : undefined
+    });
+  } else {
+    console.error('Usage: node tools/headless/run.js --code <replay code> [--bot | --events file.json] [--verify]');
+    console.error('       node tools/headless/run.js --replay session.json');
+    process.exit(2);
+  }
+
+  let exitCode = 0;
+  if (args.verify) {
+    if (!result.recording) {
+      result.verified = false;
+      exitCode = 1;
+    } else {
+      const replay = headless.replayRecording({ seed: result.seed, config: result.config, recording: result.recording });
+      result.verified = outcome(replay) === outcome(result);
+      if (!result.verified) { result.replayOutcome = JSON.parse(outcome(replay)); exitCode = 1; }
+    }
+  }
+  if (!args.recording) delete result.recording;
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(exitCode);
+}
+
+main();
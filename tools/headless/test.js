@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Regression tests for the session simulation, run through the headless runner.
+ *
+ * Usage:
+ *  node tools/headless/test.js
+ *
+ * Covers:
+ *  - Fixed replay codes driven by a scripted controller give known outcomes (targets, hazards, wrong targets, time)
+ *  - A run's recording replays to the identical outcome
+ *  - Scripted pauses are left out of the session time
+ *  - Timing maths (pausedTime, open pauses, timeAdjustments) and dwell grace / decay
+ *
+ * Expected numbers come from the simulation itself; when a rule change moves them on purpose, update them here in the
+ * same change. Prints one line per test; exits 1 if any test fails.
+ */
+'use strict';
+
+const assert = require('node:assert');
+const headless = require('./headless');
+
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// Values built inside a module sandbox have that sandbox's prototypes; compare them as plain data
+function plain(value) { return JSON.parse(JSON.stringify(value)); }
+
+// Without the recording, config and path, which are checked separately
+function outcome(result) {
+  const { completed, frames, timeMs, timeAdjustments, targetsCollected, coreTargetsCollected, bonusTargetsCollected, hazardTargetsHit, wrongTargetHits, targetsRemaining } = result;
+  return plain({ completed, frames, timeMs, timeAdjustments, targetsCollected, coreTargetsCollected, bonusTargetsCollected, hazardTargetsHit, wrongTargetHits, targetsRemaining });
+}
+
+function markers(result, types) {
+  return plain(result.recording.events.filter(e => types.includes(e[1])));
+}
+
+function replayOf(result) {
+  return headless.replayRecording({ seed: result.seed, config: result.config, recording: result.recording });
+}
+
+// Hold the arrow key towards a target
+function steerTo(game, target) {
+  const dx = target.x - game.player.x, dy = target.y - game.player.y;
+  const key = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'ArrowRight' : 'ArrowLeft') : (dy > 0 ? 'ArrowDown' : 'ArrowUp');
+  game.keys = { [key]: true };
+}
+
+// Walk into the first hazard, then collect as usual
+function hazardFirst(game) {
+  const hazard = game.targets.find(t => t.type === 'hazard');
+  if (hazard && !game.currentSession.hazardTargetsHit) steerTo(game, hazard);
+  else headless.seekNearestTarget(game);
+}
+
+// Touch the last target in the order before the first, then collect as usual
+function lastInOrderFirst(game) {
+  let last = null;
+  for (const t of game.targets) {
+    if (typeof t.sequenceIndex === 'number' && (!last || t.sequenceIndex > last.sequenceIndex)) last = t;
+  }
+  if (last && !game.currentSession.wrongTargetHits) steerTo(game, last);
+  else headless.seekNearestTarget(game);
+}
+
+test('keyboard code: one stationary target', () => {
+  const result = headless.runSession({ code: '10000130060110002120482133', controller: headless.seekNearestTarget });
+  assert.deepStrictEqual(outcome(result), {
+    completed: true, frames: 113, timeMs: 1883, timeAdjustments: 0, targetsCollected: 1, coreTargetsCollected: 1,
+    bonusTargetsCollected: 0, hazardTargetsHit: 0, wrongTargetHits: 0, targetsRemaining: []
+  });
+});
+
+test('gaze code: bonus time comes off the session time', () => {
+  const result = headless.runSession({ code: '51010230660110001211234535', controller: headless.seekNearestTarget });
+  assert.deepStrictEqual(outcome(result), {
+    completed: true, frames: 237, timeMs: -1050, timeAdjustments: -5, targetsCollected: 7, coreTargetsCollected: 6,
+    bonusTargetsCollected: 1, hazardTargetsHit: 0, wrongTargetHits: 0, targetsRemaining: []
+  });
+  assert.strictEqual(result.timeMs, result.activeMs + result.timeAdjustments * 1000);
+});
+
+test('hazard hit: counted, removed and penalised', () => {
+  const result = headless.runSession({ code: '30012130060110002120482138', controller: hazardFirst });
+  assert.deepStrictEqual(outcome(result), {
+    completed: true, frames: 145, timeMs: 7417, timeAdjustments: 5, targetsCollected: 3, coreTargetsCollected: 3,
+    bonusTargetsCollected: 0, hazardTargetsHit: 1, wrongTargetHits: 0, targetsRemaining: ['bonus', 'hazard']
+  });
+  assert.ok(result.recording.events.some(e => e[1] === 'haz'), 'hazard marker recorded');
+});
+
+test('sequence mode: touching a target out of order counts a wrong target and does not collect it', () => {
+  const result = headless.runSession({ code: '300001300601100021204821000001157', controller: lastInOrderFirst });
+  assert.strictEqual(result.config.sequenceMode, 'numbers');
+  assert.deepStrictEqual(outcome(result), {
+    completed: true, frames: 255, timeMs: 4250, timeAdjustments: 0, targetsCollected: 3, coreTargetsCollected: 3,
+    bonusTargetsCollected: 0, hazardTargetsHit: 0, wrongTargetHits: 1, targetsRemaining: []
+  });
+  assert.deepStrictEqual(markers(result, ['seq', 'col']).map(e => e[1]), ['seq', 'col', 'col', 'col']);
+});
+
+test('recordings replay to the identical outcome', () => {
+  const runs = [
+    headless.runSession({ code: '10000130060110002120482133', controller: headless.seekNearestTarget }),
+    headless.runSession({ code: '51010230660110001211234535', controller: headless.seekNearestTarget }),
+    headless.runSession({ code: '30012130060110002120482138', controller: hazardFirst }),
+    headless.runSession({ code: '300001300601100021204821000001157', controller: lastInOrderFirst })
+  ];
+  for (const result of runs) {
+    const replay = replayOf(result);
+    assert.deepStrictEqual(outcome(replay), outcome(result), `replay of ${result.seed}`);
+    assert.deepStrictEqual(replay.player, result.player, `final position in ${result.seed}`);
+    assert.deepStrictEqual(plain(replay.path), plain(result.path), `path metrics of ${result.seed}`);
+  }
+});
+
+test('scripted pauses are left out of the session time', () => {
+  const code = '30012130060110002120482138';
+  const unpaused = headless.runSession({ code, controller: hazardFirst });
+  const paused = headless.runSession({ code, controller: hazardFirst, pauses: [[30, 5000], [90, 12345]] });
+  assert.deepStrictEqual(outcome(paused), outcome(unpaused));
+  assert.deepStrictEqual(markers(paused, ['p', 'r']), [[30, 'p'], [30, 'r'], [90, 'p'], [90, 'r']]);
+  assert.deepStrictEqual(outcome(replayOf(paused)), outcome(unpaused));
+});
+
+test('session time: pausedTime, open pauses and timeAdjustments', () => {
+  const ctx = headless.loadModules();
+  const timing = ctx.DSG.sessionTiming;
+  const game = headless.createHeadlessGame(ctx);
+  game.currentSession = { startTime: null, endTime: null, pausedTime: 0, pauseStartTime: null, timeAdjustments: 0 };
+
+  // Pausing before the timer runs changes nothing
+  timing.pauseSession(game);
+  game.clockMs += 1000;
+  timing.resumeSession(game);
+  assert.strictEqual(game.currentSession.pausedTime, 0);
+
+  game.currentSession.startTime = game.now();
+  game.clockMs += 10000;
+  timing.pauseSession(game);
+  game.clockMs += 3000;
+  assert.strictEqual(timing.calculateSessionTime(game), 10000, 'an open pause is not counted');
+  timing.pauseSession(game); // already paused: keeps the first start
+  game.clockMs += 1000;
+  timing.resumeSession(game);
+  assert.strictEqual(game.currentSession.pausedTime, 4000);
+  game.clockMs += 2000;
+  assert.strictEqual(timing.calculateSessionTime(game), 12000);
+
+  game.currentSession.timeAdjustments = 5 - 5 + 5; // hazard, bonus, hazard
+  assert.strictEqual(timing.calculateSessionTime(game), 17000);
+  game.currentSession.endTime = game.now();
+  game.clockMs += 60000;
+  assert.strictEqual(timing.calculateSessionTime(game), 17000, 'time stops at endTime');
+});
+
+// One dwell target under the player and a second core target out of reach, so collecting does not end the session
+function dwellGame(dwell) {
+  const ctx = headless.loadModules();
+  const config = Object.assign({ dwellMode: true, dwellTime: 500, dwellGrace: 0, dwellDecay: false, feedback: { audio: false } }, dwell);
+  const game = headless.createHeadlessGame(ctx, { config });
+  game.currentSession = { targetsCollected: 0, coreTargetsCollected: 0, bonusTargetsCollected: 0, hazardTargetsHit: 0, timeAdjustments: 0 };
+  game.targets = [
+    { id: 'near', type: 'static', x: 100, y: 100, size: 30 },
+    { id: 'far', type: 'static', x: 1000, y: 700, size: 30 }
+  ];
+  const near = game.targets[0];
+  // 100 ms steps keep the sums exact
+  const step = (on, count) => {
+    for (let i = 0; i < count; i++) {
+      Object.assign(game.player, on ? { x: 100, y: 100 } : { x: 400, y: 400 });
+      ctx.DSG.collision.checkCollisions(game, 0.1);
+    }
+  };
+  return { game, near, step };
+}
+
+test('dwell: progress resets as soon as the player leaves without grace', () => {
+  const { game, near, step } = dwellGame({});
+  step(true, 3);
+  assert.strictEqual(near.dwellProgress, 0.6);
+  step(false, 1);
+  assert.strictEqual(near.dwellProgress, 0);
+  step(true, 4);
+  assert.strictEqual(game.currentSession.targetsCollected, 0);
+  step(true, 1);
+  assert.strictEqual(game.currentSession.targetsCollected, 1);
+});
+
+test('dwell: grace keeps progress while the player is briefly off the target', () => {
+  const { game, near, step } = dwellGame({ dwellGrace: 200 });
+  step(true, 3);
+  step(false, 2);
+  assert.strictEqual(near.dwellProgress, 0.6, 'kept through the grace window');
+  step(true, 2);
+  assert.strictEqual(game.currentSession.targetsCollected, 1);
+
+  const late = dwellGame({ dwellGrace: 200 });
+  late.step(true, 3);
+  late.step(false, 3);
+  assert.strictEqual(late.near.dwellProgress, 0, 'reset once grace runs out');
+});
+
+test('dwell: decay drains progress at the fill rate after grace', () => {
+  const { game, near, step } = dwellGame({ dwellGrace: 100, dwellDecay: true });
+  step(true, 4);
+  step(false, 2); // first 100 ms is grace, then 100 ms drains
+  assert.strictEqual(near.dwellProgress, 0.6);
+  step(false, 3);
+  assert.strictEqual(near.dwellProgress, 0, 'drained to nothing');
+  step(true, 4);
+  assert.strictEqual(game.currentSession.targetsCollected, 0);
+});
+
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}\n   ${String(error.message).split('\n').join('\n   ')}`);
+  }
+}
+console.log(`\n${tests.length - failed}/${tests.length} passed`);
+process.exitCode = failed ? 1 : 0;